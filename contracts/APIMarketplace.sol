@@ -0,0 +1,181 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title APIMarketplace - Staked API registry with pay-per-call payments
+/// @notice Providers stake ETH to list an API, consumers pay per call and an
+///         oracle reports call outcomes, slashing providers that misbehave.
+contract APIMarketplace {
+    struct API {
+        uint256 id;
+        string endpoint;
+        string description;
+        uint256 pricePerCall;
+        uint256 stake;
+        address provider;
+        bool active;
+        uint256 totalCalls;
+        uint256 successfulCalls;
+        uint256 createdAt;
+    }
+
+    uint256 public constant MIN_STAKE = 0.1 ether;
+    uint256 public constant SLASH_PERCENTAGE = 10;
+    uint256 public constant WITHDRAWAL_DELAY = 7 days;
+
+    address public owner;
+    address public oracle;
+    uint256 public nextApiId = 1;
+
+    mapping(uint256 => API) private apis;
+    mapping(address => uint256) public providerStakes;
+    mapping(uint256 => uint256) public withdrawalRequests;
+    mapping(uint256 => uint256) public reportedCalls;
+
+    event APIRegistered(uint256 indexed apiId, address indexed provider, string endpoint, uint256 stake);
+    event APIPayment(uint256 indexed apiId, address indexed consumer, uint256 amount);
+    event APICallReported(uint256 indexed apiId, bool success);
+    event ProviderSlashed(uint256 indexed apiId, address indexed provider, uint256 amount);
+    event APIDeactivated(uint256 indexed apiId);
+    event WithdrawalRequested(uint256 indexed apiId, address indexed provider, uint256 availableAt);
+    event StakeWithdrawn(uint256 indexed apiId, address indexed provider, uint256 amount);
+    event OracleUpdated(address indexed previousOracle, address indexed newOracle);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only owner");
+        _;
+    }
+
+    modifier onlyOracle() {
+        require(msg.sender == oracle, "Only oracle");
+        _;
+    }
+
+    modifier apiExists(uint256 apiId) {
+        require(apis[apiId].provider != address(0), "API does not exist");
+        _;
+    }
+
+    constructor(address _oracle) {
+        owner = msg.sender;
+        oracle = _oracle == address(0) ? msg.sender : _oracle;
+    }
+
+    function registerAPI(string calldata endpoint, string calldata description, uint256 pricePerCall) external payable {
+        require(msg.value >= MIN_STAKE, "Insufficient stake");
+        require(bytes(endpoint).length > 0, "Endpoint required");
+        require(pricePerCall > 0, "Price must be greater than zero");
+
+        uint256 apiId = nextApiId++;
+        apis[apiId] = API({
+            id: apiId,
+            endpoint: endpoint,
+            description: description,
+            pricePerCall: pricePerCall,
+            stake: msg.value,
+            provider: msg.sender,
+            active: true,
+            totalCalls: 0,
+            successfulCalls: 0,
+            createdAt: block.timestamp
+        });
+        providerStakes[msg.sender] += msg.value;
+
+        emit APIRegistered(apiId, msg.sender, endpoint, msg.value);
+    }
+
+    function payForAPICall(uint256 apiId) external payable apiExists(apiId) {
+        API storage api = apis[apiId];
+        require(api.active, "API not active");
+        require(msg.value >= api.pricePerCall, "Insufficient payment");
+
+        api.totalCalls++;
+
+        (bool sent, ) = payable(api.provider).call{value: msg.value}("");
+        require(sent, "Payment transfer failed");
+
+        emit APIPayment(apiId, msg.sender, msg.value);
+    }
+
+    function reportAPICall(uint256 apiId, bool success) external onlyOracle apiExists(apiId) {
+        API storage api = apis[apiId];
+        // Every report, success or failure, answers for one paid call
+        require(reportedCalls[apiId] < api.totalCalls, "No unreported calls");
+        reportedCalls[apiId]++;
+        if (success) {
+            api.successfulCalls++;
+        }
+
+        emit APICallReported(apiId, success);
+    }
+
+    function slashProvider(uint256 apiId) external onlyOracle apiExists(apiId) {
+        API storage api = apis[apiId];
+        require(api.stake > 0, "Nothing to slash");
+
+        uint256 amount = (api.stake * SLASH_PERCENTAGE) / 100;
+        api.stake -= amount;
+        providerStakes[api.provider] -= amount;
+
+        if (api.active) {
+            api.active = false;
+            emit APIDeactivated(apiId);
+        }
+
+        (bool sent, ) = payable(owner).call{value: amount}("");
+        require(sent, "Slash transfer failed");
+
+        emit ProviderSlashed(apiId, api.provider, amount);
+    }
+
+    function requestWithdrawal(uint256 apiId) external apiExists(apiId) {
+        API storage api = apis[apiId];
+        require(msg.sender == api.provider, "Not API provider");
+        require(withdrawalRequests[apiId] == 0, "Withdrawal already requested");
+        require(api.stake > 0, "No stake to withdraw");
+
+        withdrawalRequests[apiId] = block.timestamp;
+
+        if (api.active) {
+            api.active = false;
+            emit APIDeactivated(apiId);
+        }
+
+        emit WithdrawalRequested(apiId, msg.sender, block.timestamp + WITHDRAWAL_DELAY);
+    }
+
+    function withdrawStake(uint256 apiId) external apiExists(apiId) {
+        API storage api = apis[apiId];
+        require(msg.sender == api.provider, "Not API provider");
+
+        uint256 requestedAt = withdrawalRequests[apiId];
+        require(requestedAt != 0, "No withdrawal requested");
+        require(block.timestamp >= requestedAt + WITHDRAWAL_DELAY, "Withdrawal delay not met");
+
+        uint256 amount = api.stake;
+        api.stake = 0;
+        providerStakes[msg.sender] -= amount;
+        delete withdrawalRequests[apiId];
+
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "Withdrawal transfer failed");
+
+        emit StakeWithdrawn(apiId, msg.sender, amount);
+    }
+
+    function getAPI(uint256 apiId) external view apiExists(apiId) returns (API memory) {
+        return apis[apiId];
+    }
+
+    function setOracle(address newOracle) external onlyOwner {
+        require(newOracle != address(0), "Invalid oracle");
+        emit OracleUpdated(oracle, newOracle);
+        oracle = newOracle;
+    }
+
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "Invalid owner");
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+}
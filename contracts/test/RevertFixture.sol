@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title RevertFixture - Test-only contract failing in the ways APIMarketplace never does
+/// @notice Exercises the custom error and Panic branches of the revert decoder in lib/errors.js.
+contract RevertFixture {
+    error PaymentTooLow(uint256 apiId, uint256 sent, uint256 required);
+    error NotProvider(address caller);
+
+    uint256 public total;
+    uint256[] private items;
+
+    function payTooLittle(uint256 apiId, uint256 sent) external pure {
+        revert PaymentTooLow(apiId, sent, sent + 1);
+    }
+
+    function claim() external view {
+        revert NotProvider(msg.sender);
+    }
+
+    // Panic 0x11 once total would pass type(uint256).max
+    function add(uint256 amount) external {
+        total += amount;
+    }
+
+    // Panic 0x32, nothing is ever stored
+    function itemAt(uint256 index) external view returns (uint256) {
+        return items[index];
+    }
+
+    // Panic 0x12 for a zero divisor
+    function divide(uint256 a, uint256 b) external pure returns (uint256) {
+        return a / b;
+    }
+}
@@ -0,0 +1,41 @@
+require("@nomicfoundation/hardhat-toolbox");
+require("dotenv").config();
+const profiles = require("./networks.json");
+const { loadNetwork } = require("./scripts/networks");
+
+// The network Hardhat was asked for, if any
+const networkIndex = process.argv.indexOf("--network");
+const requestedNetwork = networkIndex === -1 ? process.env.HARDHAT_NETWORK : process.argv[networkIndex + 1];
+
+// Live profiles from networks.json (see scripts/networks.js), reached through their first RPC URL.
+// A profile that does not resolve (say a malformed address in .env) is left out, unless it is the
+// requested one, whose error is what the user needs to see.
+const liveNetworks = Object.fromEntries(
+  Object.keys(profiles)
+    .filter((name) => !profiles[name].inProcess)
+    .flatMap((name) => {
+      let profile;
+      try {
+        profile = loadNetwork(name);
+      } catch (error) {
+        if (name === requestedNetwork) {
+          throw error;
+        }
+        return [];
+      }
+      return [[name, {
+        url: profile.rpcUrls[0],
+        chainId: Number(profile.chainId),
+        accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : []
+      }]];
+    })
+);
+
+/** @type import('hardhat/config').HardhatUserConfig */
+module.exports = {
+  solidity: "0.8.26",
+  networks: {
+    hardhat: {},
+    ...liveNetworks
+  }
+};
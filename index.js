@@ -0,0 +1,48 @@
+// index.js - Public entry point for services talking to APIMarketplace
+const { MarketplaceClient, toAPIInfo, toWei } = require('./lib/client');
+const { MarketplaceError, decodeRevert, PANIC_CODES } = require('./lib/errors');
+const { CONTRACT_ABI } = require('./lib/abi');
+const { PaymentVerifier, MemoryPaymentStore, paymentMiddleware, requirePayment, paymentProof, signPaymentProof } = require('./lib/payments');
+const { PayingClient, PaymentLedger } = require('./lib/consumer');
+const { EventIndexer, IndexStore } = require('./lib/indexer');
+const { InvariantChecker, INVARIANTS } = require('./lib/invariants');
+const { TransactionManager, FailoverProvider, withRetries } = require('./lib/transactions');
+const { HealthMonitor } = require('./lib/monitor');
+const { VoucherSigner, VoucherVerifier, VoucherStore, serializeVoucher, parseVoucher } = require('./lib/vouchers');
+const { EventWatcher, WatcherStore, signWebhook, verifyWebhook, WEBHOOK_EVENTS } = require('./lib/watcher');
+
+module.exports = {
+    MarketplaceClient,
+    MarketplaceError,
+    CONTRACT_ABI,
+    decodeRevert,
+    toAPIInfo,
+    toWei,
+    PANIC_CODES,
+    PaymentVerifier,
+    MemoryPaymentStore,
+    paymentMiddleware,
+    requirePayment,
+    paymentProof,
+    signPaymentProof,
+    PayingClient,
+    PaymentLedger,
+    EventIndexer,
+    IndexStore,
+    InvariantChecker,
+    INVARIANTS,
+    TransactionManager,
+    FailoverProvider,
+    withRetries,
+    HealthMonitor,
+    VoucherSigner,
+    VoucherVerifier,
+    VoucherStore,
+    serializeVoucher,
+    parseVoucher,
+    EventWatcher,
+    WatcherStore,
+    signWebhook,
+    verifyWebhook,
+    WEBHOOK_EVENTS
+};
@@ -0,0 +1,49 @@
+// lib/abi.js - Human-readable APIMarketplace ABI shared by the client and test scripts
+//
+// Kept in sync with the compiled contract by scripts/drift.js, which scripts/test.js runs first.
+
+// Contract ABI
+const CONTRACT_ABI = [
+    // View functions for constants
+    "function MIN_STAKE() view returns (uint256)",
+    "function SLASH_PERCENTAGE() view returns (uint256)",
+    "function WITHDRAWAL_DELAY() view returns (uint256)",
+    "function nextApiId() view returns (uint256)",
+    "function oracle() view returns (address)",
+    "function owner() view returns (address)",
+    
+    // Core functions
+    "function registerAPI(string endpoint, string description, uint256 pricePerCall) payable",
+    "function payForAPICall(uint256 apiId) payable",
+    "function getAPI(uint256 apiId) view returns (tuple(uint256 id, string endpoint, string description, uint256 pricePerCall, uint256 stake, address provider, bool active, uint256 totalCalls, uint256 successfulCalls, uint256 createdAt))",
+    
+    // Oracle functions
+    "function reportAPICall(uint256 apiId, bool success)",
+    "function slashProvider(uint256 apiId)",
+    "function reportedCalls(uint256 apiId) view returns (uint256)",
+    
+    // Stake withdrawal
+    "function requestWithdrawal(uint256 apiId)",
+    "function withdrawStake(uint256 apiId)",
+    "function withdrawalRequests(uint256 apiId) view returns (uint256)",
+    
+    // State tracking
+    "function providerStakes(address) view returns (uint256)",
+    
+    // Owner functions
+    "function setOracle(address newOracle)",
+    "function transferOwnership(address newOwner)",
+    
+    // Events
+    "event APIRegistered(uint256 indexed apiId, address indexed provider, string endpoint, uint256 stake)",
+    "event APIPayment(uint256 indexed apiId, address indexed consumer, uint256 amount)",
+    "event APICallReported(uint256 indexed apiId, bool success)",
+    "event ProviderSlashed(uint256 indexed apiId, address indexed provider, uint256 amount)",
+    "event APIDeactivated(uint256 indexed apiId)",
+    "event WithdrawalRequested(uint256 indexed apiId, address indexed provider, uint256 availableAt)",
+    "event StakeWithdrawn(uint256 indexed apiId, address indexed provider, uint256 amount)",
+    "event OracleUpdated(address indexed previousOracle, address indexed newOracle)",
+    "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)"
+];
+
+module.exports = { CONTRACT_ABI };
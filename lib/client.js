@@ -0,0 +1,300 @@
+// lib/client.js - MarketplaceClient, a thin typed wrapper around APIMarketplace
+const { ethers } = require('ethers');
+const { CONTRACT_ABI } = require('./abi');
+const { MarketplaceError } = require('./errors');
+const { previewWrite } = require('./preview');
+
+/**
+ * @typedef {Object} APIInfo
+ * @property {bigint} id
+ * @property {string} endpoint
+ * @property {string} description
+ * @property {bigint} pricePerCall   Price in wei
+ * @property {bigint} stake          Stake in wei
+ * @property {string} provider
+ * @property {boolean} active
+ * @property {bigint} totalCalls
+ * @property {bigint} successfulCalls
+ * @property {Date} createdAt
+ * @property {string} priceEth       pricePerCall formatted in ETH
+ * @property {string} stakeEth       stake formatted in ETH
+ * @property {number|null} successRate  successfulCalls / totalCalls, null before the first call
+ */
+
+/**
+ * @typedef {Object} MarketplaceEvent
+ * @property {string} name   Event name, e.g. 'APIRegistered'
+ * @property {Object} args   Event arguments keyed by parameter name
+ * @property {import('ethers').Log} log
+ */
+
+/**
+ * @typedef {Object} WriteResult
+ * @property {string} hash
+ * @property {import('ethers').TransactionReceipt} receipt
+ * @property {MarketplaceEvent[]} events
+ */
+
+// Accepts wei as bigint or ETH as a decimal string ('0.1')
+function toWei(value, name) {
+    if (typeof value === 'bigint') {
+        return value;
+    }
+    if (typeof value === 'string') {
+        try {
+            return ethers.parseEther(value);
+        } catch {
+            // Reported below
+        }
+    }
+    throw new MarketplaceError(`${name} must be a bigint (wei) or an ETH string, got ${value}`, {
+        code: 'INVALID_ARGUMENT',
+        method: name
+    });
+}
+
+function toAPIInfo(api) {
+    const totalCalls = api.totalCalls;
+    return {
+        id: api.id,
+        endpoint: api.endpoint,
+        description: api.description,
+        pricePerCall: api.pricePerCall,
+        stake: api.stake,
+        provider: api.provider,
+        active: api.active,
+        totalCalls,
+        successfulCalls: api.successfulCalls,
+        createdAt: new Date(Number(api.createdAt) * 1000),
+        priceEth: ethers.formatEther(api.pricePerCall),
+        stakeEth: ethers.formatEther(api.stake),
+        successRate: totalCalls === 0n ? null : Number(api.successfulCalls) / Number(totalCalls)
+    };
+}
+
+class MarketplaceClient {
+    /**
+     * @param {string} address  Deployed APIMarketplace address
+     * @param {import('ethers').ContractRunner} runner  Signer for writes, provider for read-only use
+     * @param {{ abi?: Array, onTransaction?: (tx: WriteResult & { method: string }) => void, transactions?: import('./transactions').TransactionManager, preview?: boolean }} [options]
+     *   onTransaction is called after every mined write, e.g. to record gas.
+     *   transactions sends the writes (nonces, fee bumps, retries), it must belong to `runner`.
+     *   preview simulates every write first and throws its revert instead of sending one that
+     *   would fail, the scripts turn it on for live networks (see scripts/networks.js).
+     */
+    constructor(address, runner, options = {}) {
+        this.address = address;
+        this.contract = new ethers.Contract(address, options.abi || CONTRACT_ABI, runner);
+        this.onTransaction = options.onTransaction || null;
+        this.transactions = options.transactions || null;
+        this.previewWrites = options.preview ?? false;
+    }
+
+    get interface() {
+        return this.contract.interface;
+    }
+
+    get runner() {
+        return this.contract.runner;
+    }
+
+    /** Same contract, different signer. A TransactionManager is per signer, so pass the new one in `options`. */
+    connect(runner, options = {}) {
+        return new MarketplaceClient(this.address, runner, {
+            abi: this.contract.interface.fragments,
+            onTransaction: this.onTransaction,
+            preview: this.previewWrites,
+            ...options
+        });
+    }
+
+    async call(method, fn) {
+        try {
+            return await fn();
+        } catch (error) {
+            throw MarketplaceError.from(error, method, this.contract.interface);
+        }
+    }
+
+    async send(method, args, overrides = {}) {
+        return this.call(method, async () => {
+            if (this.previewWrites) {
+                const preview = await this.preview(method, args, overrides);
+                if (!preview.ok) {
+                    throw preview.error;
+                }
+            }
+            const { hash, receipt } = await this.submit(method, args, overrides);
+            const result = { hash, receipt, events: this.parseEvents(receipt) };
+            if (this.onTransaction) {
+                this.onTransaction({ method, ...result });
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Simulates a write with the arguments send() would get, without sending it.
+     * @returns {Promise<import('./preview').Preview>}
+     */
+    async preview(method, args, overrides = {}) {
+        return previewWrite(this, method, args, overrides);
+    }
+
+    // Through the TransactionManager when there is one, otherwise straight to the signer
+    async submit(method, args, overrides) {
+        if (this.transactions) {
+            return this.transactions.send(await this.contract[method].populateTransaction(...args, overrides));
+        }
+        const tx = await this.contract[method](...args, overrides);
+        return { hash: tx.hash, receipt: await tx.wait() };
+    }
+
+    /** @returns {MarketplaceEvent[]} Marketplace events in a receipt, other contracts' logs are skipped */
+    parseEvents(receipt) {
+        const events = [];
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== this.address.toLowerCase()) {
+                continue;
+            }
+            let parsed;
+            try {
+                parsed = this.contract.interface.parseLog(log);
+            } catch {
+                continue;
+            }
+            if (!parsed) {
+                continue;
+            }
+            const args = {};
+            parsed.fragment.inputs.forEach((input, index) => {
+                args[input.name] = parsed.args[index];
+            });
+            events.push({ name: parsed.name, args, log });
+        }
+        return events;
+    }
+
+    findEvent(result, name) {
+        return result.events.find(event => event.name === name);
+    }
+
+    // ---- Reads ----
+    
+    async constants() {
+        return this.call('constants', async () => {
+            const [minStake, slashPercentage, withdrawalDelay, oracle, owner] = await Promise.all([
+                this.contract.MIN_STAKE(),
+                this.contract.SLASH_PERCENTAGE(),
+                this.contract.WITHDRAWAL_DELAY(),
+                this.contract.oracle(),
+                this.contract.owner()
+            ]);
+            return { minStake, slashPercentage, withdrawalDelay, oracle, owner };
+        });
+    }
+
+    async nextApiId() {
+        return this.call('nextApiId', () => this.contract.nextApiId());
+    }
+
+    /** @returns {Promise<APIInfo>} */
+    async getAPI(apiId) {
+        return this.call('getAPI', async () => toAPIInfo(await this.contract.getAPI(apiId)));
+    }
+
+    /**
+     * Every registered API, optionally filtered.
+     * @param {{ activeOnly?: boolean, provider?: string }} [filter]
+     * @returns {Promise<APIInfo[]>}
+     */
+    async listAPIs(filter = {}) {
+        const nextApiId = await this.nextApiId();
+        const apis = [];
+        
+        for (let apiId = 1n; apiId < nextApiId; apiId++) {
+            const api = await this.getAPI(apiId);
+            if (filter.activeOnly && !api.active) {
+                continue;
+            }
+            if (filter.provider && api.provider.toLowerCase() !== filter.provider.toLowerCase()) {
+                continue;
+            }
+            apis.push(api);
+        }
+        
+        return apis;
+    }
+
+    async getProviderStake(provider) {
+        return this.call('providerStakes', () => this.contract.providerStakes(provider));
+    }
+
+    async getWithdrawalRequest(apiId) {
+        return this.call('withdrawalRequests', () => this.contract.withdrawalRequests(apiId));
+    }
+
+    /**
+     * Paid calls of the API the oracle has reported on, successful or not. null on
+     * deployments from before the contract kept count, which have no reportedCalls().
+     */
+    async getReportedCalls(apiId) {
+        try {
+            return await this.call('reportedCalls', () => this.contract.reportedCalls(apiId));
+        } catch (error) {
+            // An unknown function reverts without data, the contract has no fallback
+            if (error.revert && error.revert.kind === 'empty') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // ---- Writes ----
+    
+    /**
+     * @param {{ endpoint: string, description: string, pricePerCall: bigint|string, stake: bigint|string }} params
+     * @returns {Promise<WriteResult & { apiId: bigint, event: MarketplaceEvent }>}
+     */
+    async registerAPI({ endpoint, description, pricePerCall, stake }, overrides = {}) {
+        const price = toWei(pricePerCall, 'pricePerCall');
+        const value = toWei(stake, 'stake');
+        
+        const result = await this.send('registerAPI', [endpoint, description, price], { ...overrides, value });
+        const event = this.findEvent(result, 'APIRegistered');
+        if (!event) {
+            throw new MarketplaceError('registerAPI succeeded without an APIRegistered event', { code: 'NETWORK', method: 'registerAPI' });
+        }
+        
+        return { ...result, apiId: event.args.apiId, event };
+    }
+
+    /**
+     * Pays for one call. Without `amount` the API's current pricePerCall is paid.
+     * @returns {Promise<WriteResult & { event: MarketplaceEvent }>}
+     */
+    async payForAPICall(apiId, { amount } = {}, overrides = {}) {
+        const value = amount === undefined ? (await this.getAPI(apiId)).pricePerCall : toWei(amount, 'amount');
+        
+        const result = await this.send('payForAPICall', [apiId], { ...overrides, value });
+        return { ...result, event: this.findEvent(result, 'APIPayment') };
+    }
+
+    async reportAPICall(apiId, success, overrides = {}) {
+        return this.send('reportAPICall', [apiId, success], overrides);
+    }
+
+    async slashProvider(apiId, overrides = {}) {
+        return this.send('slashProvider', [apiId], overrides);
+    }
+
+    async requestWithdrawal(apiId, overrides = {}) {
+        return this.send('requestWithdrawal', [apiId], overrides);
+    }
+
+    async withdrawStake(apiId, overrides = {}) {
+        return this.send('withdrawStake', [apiId], overrides);
+    }
+}
+
+module.exports = { MarketplaceClient, toAPIInfo, toWei };
@@ -0,0 +1,272 @@
+// lib/consumer.js - Consumer-side client that pays for an API call and makes it in one step
+const fs = require('fs');
+const path = require('path');
+const { MarketplaceError } = require('./errors');
+const { toWei } = require('./client');
+const { DEFAULT_HEADER, DEFAULT_SIGNATURE_HEADER, signPaymentProof } = require('./payments');
+const { clientDomain } = require('./vouchers');
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * @typedef {Object} LedgerEntry
+ * @property {string} txHash
+ * @property {string} apiId
+ * @property {string} amount      Wei, as a decimal string
+ * @property {string} status      'paid' (not yet spent), 'used', 'rejected' or 'uncertain'
+ *                                (the request failed on the way, the provider may have spent it)
+ * @property {string} paidAt      ISO timestamp
+ * @property {{ url: string, method: string, status: number|null, attempts: number, at: string, error?: string }|null} request
+ */
+
+/**
+ * Local record of which payment transaction paid for which request.
+ * Pass `file` to keep it as JSON on disk, so prepaid calls survive restarts.
+ */
+class PaymentLedger {
+    constructor(file = null) {
+        this.file = file;
+        this.records = new Map();
+        
+        if (file && fs.existsSync(file)) {
+            for (const entry of JSON.parse(fs.readFileSync(file, 'utf8'))) {
+                this.records.set(entry.txHash, entry);
+            }
+        }
+    }
+
+    get(txHash) {
+        return this.records.get(txHash);
+    }
+
+    /** @returns {LedgerEntry[]} */
+    entries(filter = {}) {
+        return [...this.records.values()].filter(entry =>
+            (filter.apiId === undefined || entry.apiId === filter.apiId.toString()) &&
+            (filter.status === undefined || entry.status === filter.status)
+        );
+    }
+
+    recordPayment(apiId, txHash, amount) {
+        const entry = {
+            txHash,
+            apiId: apiId.toString(),
+            amount: amount.toString(),
+            status: 'paid',
+            paidAt: new Date().toISOString(),
+            request: null
+        };
+        this.records.set(txHash, entry);
+        this.save();
+        return entry;
+    }
+
+    update(txHash, changes) {
+        const entry = { ...this.records.get(txHash), ...changes };
+        this.records.set(txHash, entry);
+        this.save();
+        return entry;
+    }
+
+    /** Oldest payment for the API that hasn't been spent on a request yet */
+    nextUnused(apiId, skip = new Set()) {
+        return this.entries({ apiId, status: 'paid' }).find(entry => !skip.has(entry.txHash));
+    }
+
+    save() {
+        if (!this.file) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify([...this.records.values()], null, 2));
+    }
+}
+
+/**
+ * fetch()-like client for paid APIs: looks the API up, pays for the call and
+ * sends the request to its endpoint with the payment hash attached.
+ *
+ * Options:
+ *   maxPrice       refuse to pay more than this per call (bigint wei or ETH string)
+ *   maxRetries     retries while the provider reports the payment unconfirmed, default 5
+ *   retryDelayMs   wait between those retries, default the provider's Retry-After
+ *   onRetry        called with { attempt, txHash, response } before each retry
+ *   ledger         PaymentLedger, default in-memory
+ *   header, signatureHeader  must match the provider's paymentMiddleware options
+ *   fetch          fetch implementation, default global fetch
+ */
+class PayingClient {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.maxPrice = options.maxPrice === undefined ? null : toWei(options.maxPrice, 'maxPrice');
+        this.maxRetries = options.maxRetries ?? 5;
+        this.retryDelayMs = options.retryDelayMs ?? null;
+        this.onRetry = options.onRetry || null;
+        this.ledger = options.ledger || new PaymentLedger();
+        this.header = options.header || DEFAULT_HEADER;
+        this.signatureHeader = options.signatureHeader || DEFAULT_SIGNATURE_HEADER;
+        this.fetchImpl = options.fetch || globalThis.fetch;
+        this.inFlight = new Set();
+        this.domain = null;
+    }
+
+    get address() {
+        return this.client.runner.address;
+    }
+
+    // Active API whose price is within maxPrice
+    async quote(apiId) {
+        const api = await this.client.getAPI(apiId);
+        
+        if (!api.active) {
+            throw new MarketplaceError(`API ${apiId} is not active`, { code: 'API_INACTIVE', method: 'quote' });
+        }
+        if (this.maxPrice !== null && api.pricePerCall > this.maxPrice) {
+            throw new MarketplaceError(`API ${apiId} costs ${api.priceEth} ETH per call, above the max price`, {
+                code: 'PRICE_TOO_HIGH',
+                method: 'quote'
+            });
+        }
+        
+        return api;
+    }
+
+    /**
+     * Pays for `count` calls up front. The transactions are sent back to back
+     * with consecutive nonces and only then waited on together.
+     *
+     * Every payment that went through is recorded, even when others failed. Those
+     * failures are then thrown as PREPAY_INCOMPLETE, with the recorded entries in
+     * `error.paid` and the errors of the rest in `error.failures`.
+     * @returns {Promise<LedgerEntry[]>}
+     */
+    async prepay(apiId, count) {
+        const api = await this.quote(apiId);
+        // A TransactionManager hands out the nonces itself, and broadcasts in nonce order
+        const nonce = this.client.transactions ? null : await this.client.call('getNonce', () => this.client.runner.getNonce('pending'));
+        
+        const results = await Promise.allSettled(Array.from({ length: count }, (_, index) =>
+            this.client.payForAPICall(apiId, { amount: api.pricePerCall }, nonce === null ? {} : { nonce: nonce + index })
+        ));
+        
+        const paid = results
+            .filter(result => result.status === 'fulfilled')
+            .map(({ value }) => this.ledger.recordPayment(apiId, value.hash, api.pricePerCall));
+        const failures = results.filter(result => result.status === 'rejected').map(({ reason }) => reason);
+        
+        if (failures.length > 0) {
+            const reasons = failures.map(error => error.shortMessage || error.message).join('; ');
+            const error = new MarketplaceError(`${failures.length} of ${count} prepayments for API ${apiId} failed: ${reasons}`, {
+                code: 'PREPAY_INCOMPLETE',
+                method: 'prepay',
+                cause: failures[0]
+            });
+            error.paid = paid;
+            error.failures = failures;
+            throw error;
+        }
+        
+        return paid;
+    }
+
+    async pay(apiId) {
+        const api = await this.quote(apiId);
+        const result = await this.client.payForAPICall(apiId, { amount: api.pricePerCall });
+        return this.ledger.recordPayment(apiId, result.hash, api.pricePerCall);
+    }
+
+    /**
+     * Pays for (or uses a prepaid) call and requests the API's endpoint.
+     * `init` is passed to fetch, plus `path` to append to the endpoint.
+     * The returned Response carries the ledger entry as `response.payment`.
+     */
+    async fetch(apiId, init = {}) {
+        const { path: suffix = '', ...requestInit } = init;
+        const api = await this.quote(apiId);
+        const url = api.endpoint + suffix;
+        
+        const entry = this.ledger.nextUnused(apiId, this.inFlight) || await this.pay(apiId);
+        this.inFlight.add(entry.txHash);
+        try {
+            return await this.send(url, requestInit, entry);
+        } finally {
+            this.inFlight.delete(entry.txHash);
+        }
+    }
+
+    async send(url, requestInit, entry) {
+        const headers = new Headers(requestInit.headers);
+        headers.set(this.header, entry.txHash);
+        // Proves the payment is ours, the hash alone is public
+        this.domain = this.domain || await clientDomain(this.client);
+        headers.set(this.signatureHeader, await signPaymentProof(this.client.runner, { ...this.domain, apiId: entry.apiId, txHash: entry.txHash }));
+        
+        let response;
+        let attempts = 0;
+        while (true) {
+            attempts++;
+            try {
+                response = await this.fetchImpl(url, { ...requestInit, headers });
+            } catch (error) {
+                // The provider may have spent the payment before the connection failed,
+                // so it is set aside instead of being sent with the next request
+                this.ledger.update(entry.txHash, {
+                    status: 'uncertain',
+                    request: {
+                        url,
+                        method: requestInit.method || 'GET',
+                        status: null,
+                        attempts,
+                        at: new Date().toISOString(),
+                        error: error.message
+                    }
+                });
+                throw new MarketplaceError(`Request to ${url} failed: ${error.message}`, {
+                    code: 'NETWORK',
+                    method: 'fetch',
+                    cause: error
+                });
+            }
+            
+            if (response.status !== 425 || attempts > this.maxRetries) {
+                break;
+            }
+            
+            await response.body?.cancel();
+            if (this.onRetry) {
+                await this.onRetry({ attempt: attempts, txHash: entry.txHash, response });
+            }
+            await sleep(this.retryDelay(response));
+        }
+        
+        if (response.status === 425) {
+            // Still unconfirmed, keep it for the next call
+            response.payment = entry;
+            return response;
+        }
+        
+        response.payment = this.ledger.update(entry.txHash, {
+            status: response.status === 402 ? 'rejected' : 'used',
+            request: {
+                url,
+                method: requestInit.method || 'GET',
+                status: response.status,
+                attempts,
+                at: new Date().toISOString()
+            }
+        });
+        return response;
+    }
+
+    retryDelay(response) {
+        if (this.retryDelayMs !== null) {
+            return this.retryDelayMs;
+        }
+        const seconds = Number(response.headers.get('retry-after'));
+        return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 1000;
+    }
+}
+
+module.exports = { PayingClient, PaymentLedger };
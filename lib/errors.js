@@ -0,0 +1,190 @@
+// lib/errors.js - Revert decoding and the error type raised by the marketplace client
+const { ethers } = require('ethers');
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+// Solidity panic codes, see https://docs.soliditylang.org/en/latest/control-structures.html#panic-via-assert-and-error-via-require
+const PANIC_CODES = {
+    0x00: 'Generic compiler panic',
+    0x01: 'Assertion failed',
+    0x11: 'Arithmetic overflow or underflow',
+    0x12: 'Division or modulo by zero',
+    0x21: 'Invalid enum value',
+    0x22: 'Invalid storage byte array encoding',
+    0x31: 'pop() on empty array',
+    0x32: 'Array index out of bounds',
+    0x41: 'Out of memory',
+    0x51: 'Call to uninitialized internal function'
+};
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+// Walks the nested error shapes produced by ethers, Hardhat and JSON-RPC
+// nodes and returns the raw revert data, or null if there is none
+function findRevertData(error) {
+    const seen = new Set();
+    const queue = [error];
+    
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (!current || typeof current !== 'object' || seen.has(current)) {
+            continue;
+        }
+        seen.add(current);
+        
+        if (typeof current.data === 'string' && /^0x([0-9a-fA-F]{2})*$/.test(current.data)) {
+            return current.data;
+        }
+        if (current.data && typeof current.data === 'object') {
+            queue.push(current.data);
+        }
+        
+        queue.push(current.error, current.info, current.cause);
+        if (current.info) {
+            queue.push(current.info.error);
+        }
+    }
+    
+    return null;
+}
+
+// A mined transaction that reverted is reported without revert data,
+// but it is still the contract rejecting the call
+function isMinedRevert(error) {
+    return error && error.code === 'CALL_EXCEPTION' && error.receipt && error.receipt.status === 0;
+}
+
+/**
+ * Decodes why a call reverted.
+ *
+ * Returns null when the error is not a contract revert at all (RPC outage,
+ * out of gas, nonce problems...), otherwise an object with `kind` set to
+ * 'error' (require/revert string), 'panic', 'custom', 'empty' or 'unknown'.
+ */
+function decodeRevert(error, contractInterface) {
+    // Already decoded by MarketplaceError.from
+    if (error && error.revert && error.revert.kind) {
+        return error.revert;
+    }
+    
+    const data = findRevertData(error);
+    
+    if (data === null) {
+        if (isMinedRevert(error)) {
+            return { kind: 'unknown', data: null, message: 'transaction reverted without revert data' };
+        }
+        return null;
+    }
+    
+    if (data === '0x') {
+        return { kind: 'empty', data, message: 'reverted without a reason' };
+    }
+    
+    const selector = data.slice(0, 10).toLowerCase();
+    
+    if (selector === ERROR_SELECTOR) {
+        const [reason] = abiCoder.decode(['string'], ethers.dataSlice(data, 4));
+        return { kind: 'error', data, reason, message: `reverted with reason '${reason}'` };
+    }
+    
+    if (selector === PANIC_SELECTOR) {
+        const [code] = abiCoder.decode(['uint256'], ethers.dataSlice(data, 4));
+        const description = PANIC_CODES[Number(code)] || 'Unknown panic';
+        return {
+            kind: 'panic',
+            data,
+            code,
+            description,
+            message: `panicked with code 0x${code.toString(16)} (${description})`
+        };
+    }
+    
+    if (contractInterface) {
+        try {
+            const parsed = contractInterface.parseError(data);
+            if (parsed) {
+                return {
+                    kind: 'custom',
+                    data,
+                    name: parsed.name,
+                    signature: parsed.signature,
+                    args: parsed.args,
+                    message: `reverted with custom error ${formatCall(parsed.name, parsed.args)}`
+                };
+            }
+        } catch {
+            // Selector isn't in the ABI, fall through to unknown
+        }
+    }
+    
+    return { kind: 'unknown', data, message: `reverted with unrecognised data ${data}` };
+}
+
+function formatCall(name, args = []) {
+    const formatted = Array.from(args).map(arg => typeof arg === 'string' ? `"${arg}"` : String(arg));
+    return `${name}(${formatted.join(', ')})`;
+}
+
+// Loose equality for decoded custom error arguments (bigint vs number, address casing)
+function argsMatch(actual, expected) {
+    if (expected.length !== actual.length) {
+        return false;
+    }
+    return expected.every((value, index) => {
+        const got = actual[index];
+        if (typeof got === 'bigint' && (typeof value === 'number' || typeof value === 'bigint')) {
+            return got === BigInt(value);
+        }
+        if (typeof got === 'string' && typeof value === 'string' && ethers.isAddress(got)) {
+            return got.toLowerCase() === value.toLowerCase();
+        }
+        return got === value;
+    });
+}
+
+/**
+ * The one error type the marketplace client throws.
+ *
+ * `code` is 'REVERTED' when the contract rejected the call (see `revert`
+ * for the decoded reason), 'NOT_FOUND' for unknown API ids,
+ * 'INVALID_ARGUMENT' for bad input caught before sending and 'NETWORK'
+ * for everything else (RPC failures, timeouts, nonce problems...).
+ * Writes sent through a TransactionManager can also fail with 'TX_TIMEOUT'
+ * or 'TX_REPLACED' (the nonce was used by someone else's transaction).
+ * A HealthMonitor asked to send reports from a signer other than the
+ * contract's oracle fails with 'NOT_ORACLE'.
+ */
+class MarketplaceError extends Error {
+    constructor(message, { code, method, revert = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'MarketplaceError';
+        this.code = code;
+        this.method = method;
+        this.revert = revert;
+    }
+
+    get reason() {
+        return this.revert ? this.revert.reason : undefined;
+    }
+
+    static from(error, method, contractInterface) {
+        if (error instanceof MarketplaceError) {
+            return error;
+        }
+
+        const revert = decodeRevert(error, contractInterface);
+        if (!revert) {
+            return new MarketplaceError(`${method} failed: ${error.shortMessage || error.message}`, {
+                code: 'NETWORK',
+                method,
+                cause: error
+            });
+        }
+
+        const code = revert.reason === 'API does not exist' ? 'NOT_FOUND' : 'REVERTED';
+        return new MarketplaceError(`${method} ${revert.message}`, { code, method, revert, cause: error });
+    }
+}
+
+module.exports = { PANIC_CODES, MarketplaceError, decodeRevert, findRevertData, formatCall, argsMatch };
@@ -0,0 +1,291 @@
+// lib/indexer.js - Resumable local catalogue of APIMarketplace events and per-API stats
+const fs = require('fs');
+const path = require('path');
+
+// JSON has no bigints, so event args are stored as decimal strings
+function serializeArgs(args) {
+    const serialized = {};
+    for (const [name, value] of Object.entries(args)) {
+        serialized[name] = typeof value === 'bigint' ? value.toString() : value;
+    }
+    return serialized;
+}
+
+function toIndexedEvent({ name, args, log }) {
+    return {
+        name,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        txHash: log.transactionHash,
+        logIndex: log.index,
+        args: serializeArgs(args)
+    };
+}
+
+// Number and hash of every block in from..to
+async function blockHashes(provider, from, to) {
+    const numbers = Array.from({ length: Math.max(to - from + 1, 0) }, (_, index) => from + index);
+    const blocks = await Promise.all(numbers.map(number => provider.getBlock(number)));
+    return blocks.map(block => ({ number: block.number, hash: block.hash }));
+}
+
+/**
+ * The logs of `address` in fromBlock..toBlock and the hashes of blocks hashesFrom..toBlock,
+ * both from the same chain. The hashes are read before getLogs and checked against the logs
+ * and the head of the range after it: a reorg in between would otherwise save hashes of the
+ * new chain next to logs of the old one, and never be noticed. The range is read again then.
+ * @returns {Promise<{ logs: import('ethers').Log[], blocks: { number: number, hash: string }[] }>}
+ */
+async function readBlockRange(provider, { address, fromBlock, toBlock, hashesFrom }, attempts = 3) {
+    for (let attempt = 1; ; attempt++) {
+        const blocks = await blockHashes(provider, hashesFrom, toBlock);
+        const logs = await provider.getLogs({ address, fromBlock, toBlock });
+        const last = await provider.getBlock(toBlock);
+        
+        const hashes = new Map(blocks.map(block => [block.number, block.hash]));
+        const consistent = last && last.hash === hashes.get(toBlock) &&
+            logs.every(log => !hashes.has(log.blockNumber) || hashes.get(log.blockNumber) === log.blockHash);
+        if (consistent) {
+            return { logs, blocks };
+        }
+        if (attempt >= attempts) {
+            throw new Error(`Blocks ${fromBlock}-${toBlock} kept changing while they were read`);
+        }
+    }
+}
+
+/**
+ * Indexed events plus the checkpoint they were read up to.
+ * Pass `file` to keep it as JSON on disk so indexing resumes after a restart.
+ */
+class IndexStore {
+    constructor(file = null) {
+        this.file = file;
+        this.data = { checkpoint: null, recentBlocks: [], events: [], reorgs: 0 };
+        
+        if (file && fs.existsSync(file)) {
+            this.data = { ...this.data, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+        }
+    }
+
+    /** @returns {{ number: number, hash: string }|null} last fully processed block */
+    get checkpoint() {
+        return this.data.checkpoint;
+    }
+
+    get events() {
+        return this.data.events;
+    }
+
+    get recentBlocks() {
+        return this.data.recentBlocks;
+    }
+
+    get reorgs() {
+        return this.data.reorgs;
+    }
+
+    /** Appends a processed block range: its events and the hashes of its last blocks */
+    commit(events, recentBlocks, keep) {
+        this.data.events.push(...events);
+        
+        const byNumber = new Map(this.data.recentBlocks.map(block => [block.number, block]));
+        for (const block of recentBlocks) {
+            byNumber.set(block.number, block);
+        }
+        this.data.recentBlocks = [...byNumber.values()]
+            .sort((a, b) => a.number - b.number)
+            .slice(-keep);
+        this.data.checkpoint = this.data.recentBlocks[this.data.recentBlocks.length - 1];
+        this.save();
+    }
+
+    /** Forgets everything after `blockNumber`, or everything when it is null */
+    rewind(blockNumber) {
+        const keep = number => blockNumber !== null && number <= blockNumber;
+        
+        this.data.events = this.data.events.filter(event => keep(event.blockNumber));
+        this.data.recentBlocks = this.data.recentBlocks.filter(block => keep(block.number));
+        this.data.checkpoint = this.data.recentBlocks[this.data.recentBlocks.length - 1] || null;
+        this.data.reorgs++;
+        this.save();
+    }
+
+    save() {
+        if (!this.file) {
+            return;
+        }
+        // Through a temporary file, so a crash mid-write can't corrupt the index
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(`${this.file}.tmp`, JSON.stringify(this.data, null, 2));
+        fs.renameSync(`${this.file}.tmp`, this.file);
+    }
+}
+
+/**
+ * @typedef {Object} APIStats
+ * @property {bigint} apiId
+ * @property {string} provider
+ * @property {string} endpoint
+ * @property {boolean} active
+ * @property {bigint} calls            Paid calls
+ * @property {bigint} revenue          Wei paid by consumers
+ * @property {number} uniqueConsumers
+ * @property {number} successes        Calls the oracle reported as successful
+ * @property {number} failures         Calls the oracle reported as failed
+ * @property {number|null} successRatio  successes / reports, null before the first report
+ * @property {bigint} slashed          Wei slashed from the stake
+ * @property {number} registeredAtBlock
+ */
+
+/**
+ * Reads marketplace events in block ranges into an IndexStore.
+ *
+ * Options:
+ *   store          IndexStore, default in-memory
+ *   fromBlock      first block to scan, usually the deployment block, default 0
+ *   batchSize      blocks per getLogs request, default 2000
+ *   confirmations  stay this many blocks behind the head, default 0
+ *   reorgDepth     recent block hashes kept to detect and rewind reorgs, default 12
+ */
+class EventIndexer {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.provider = client.runner.provider || client.runner;
+        this.store = options.store || new IndexStore();
+        this.fromBlock = options.fromBlock ?? 0;
+        this.batchSize = options.batchSize ?? 2000;
+        this.confirmations = options.confirmations ?? 0;
+        this.reorgDepth = options.reorgDepth ?? 12;
+    }
+
+    /**
+     * Indexes new blocks up to `toBlock` (default the head minus confirmations).
+     * @returns {Promise<{ fromBlock: number, toBlock: number, events: number, rewoundTo: number|null|undefined }>}
+     */
+    async sync({ toBlock } = {}) {
+        return this.client.call('sync', async () => {
+            const rewoundTo = await this.handleReorg();
+            const head = await this.provider.getBlockNumber();
+            const target = Math.min(toBlock ?? head, head - this.confirmations);
+            const checkpoint = this.store.checkpoint;
+            const fromBlock = checkpoint ? checkpoint.number + 1 : this.fromBlock;
+            
+            let added = 0;
+            for (let from = fromBlock; from <= target; from += this.batchSize) {
+                const to = Math.min(from + this.batchSize - 1, target);
+                const { logs, blocks } = await readBlockRange(this.provider, {
+                    address: this.client.address,
+                    fromBlock: from,
+                    toBlock: to,
+                    hashesFrom: Math.max(from, to - this.reorgDepth + 1)
+                });
+                const events = this.client.parseEvents({ logs }).map(toIndexedEvent);
+                
+                this.store.commit(events, blocks, this.reorgDepth);
+                added += events.length;
+            }
+            
+            return { fromBlock, toBlock: target, events: added, rewoundTo };
+        });
+    }
+
+    /**
+     * Compares the saved block hashes with the chain and rewinds to the newest
+     * one that still matches, or to the start when none do.
+     * @returns {Promise<number|null|undefined>} block rewound to, undefined when nothing changed
+     */
+    async handleReorg() {
+        const saved = this.store.recentBlocks;
+        if (saved.length === 0) {
+            return undefined;
+        }
+        
+        for (let index = saved.length - 1; index >= 0; index--) {
+            const block = await this.provider.getBlock(saved[index].number);
+            if (block && block.hash === saved[index].hash) {
+                if (index === saved.length - 1) {
+                    return undefined;
+                }
+                this.store.rewind(saved[index].number);
+                return saved[index].number;
+            }
+        }
+        
+        this.store.rewind(null);
+        return null;
+    }
+
+    /** @returns {APIStats[]} every registered API, ordered by id */
+    allStats() {
+        const apis = new Map();
+        const consumers = new Map();
+        
+        for (const event of this.store.events) {
+            const key = event.args.apiId;
+            if (key === undefined) {
+                continue;
+            }
+            
+            if (event.name === 'APIRegistered') {
+                apis.set(key, {
+                    apiId: BigInt(key),
+                    provider: event.args.provider,
+                    endpoint: event.args.endpoint,
+                    active: true,
+                    calls: 0n,
+                    revenue: 0n,
+                    uniqueConsumers: 0,
+                    successes: 0,
+                    failures: 0,
+                    successRatio: null,
+                    slashed: 0n,
+                    registeredAtBlock: event.blockNumber
+                });
+                consumers.set(key, new Set());
+                continue;
+            }
+            
+            const stats = apis.get(key);
+            if (!stats) {
+                continue;
+            }
+            
+            switch (event.name) {
+                case 'APIPayment':
+                    stats.calls++;
+                    stats.revenue += BigInt(event.args.amount);
+                    consumers.get(key).add(event.args.consumer);
+                    break;
+                case 'APICallReported':
+                    if (event.args.success) {
+                        stats.successes++;
+                    } else {
+                        stats.failures++;
+                    }
+                    break;
+                case 'ProviderSlashed':
+                    stats.slashed += BigInt(event.args.amount);
+                    break;
+                case 'APIDeactivated':
+                    stats.active = false;
+                    break;
+            }
+        }
+        
+        for (const [key, stats] of apis) {
+            const reports = stats.successes + stats.failures;
+            stats.uniqueConsumers = consumers.get(key).size;
+            stats.successRatio = reports === 0 ? null : stats.successes / reports;
+        }
+        
+        return [...apis.values()].sort((a, b) => (a.apiId < b.apiId ? -1 : 1));
+    }
+
+    /** @returns {APIStats|undefined} */
+    stats(apiId) {
+        return this.allStats().find(stats => stats.apiId === BigInt(apiId));
+    }
+}
+
+module.exports = { EventIndexer, IndexStore, toIndexedEvent, blockHashes, readBlockRange };
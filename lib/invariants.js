@@ -0,0 +1,238 @@
+// lib/invariants.js - Accounting invariants that must hold for any APIMarketplace state
+const { ethers } = require('ethers');
+const { toAPIInfo } = require('./client');
+const { EventIndexer } = require('./indexer');
+
+const eth = wei => `${ethers.formatEther(wei)} ETH`;
+
+function countEvents(events, name, apiId) {
+    return events.filter(event => event.name === name && (apiId === undefined || event.args.apiId === apiId.toString())).length;
+}
+
+function sumEvents(events, name, apiId) {
+    return events
+        .filter(event => event.name === name && event.args.apiId === apiId.toString())
+        .reduce((sum, event) => sum + BigInt(event.args.amount ?? event.args.stake), 0n);
+}
+
+/**
+ * @typedef {Object} MarketplaceState
+ * @property {number} blockNumber
+ * @property {bigint} balance              ETH held by the contract
+ * @property {bigint} nextApiId
+ * @property {APIInfo[]} apis
+ * @property {Map<string, bigint>} providerStakes      by provider address
+ * @property {Map<bigint, bigint>} withdrawalRequests  by API id, 0 when none
+ * @property {Object[]|null} events        indexed events up to blockNumber, null when not read
+ */
+
+/**
+ * Each check returns its violations: { message, values } with the numbers involved.
+ * `needsEvents` checks are skipped when the state was read without events.
+ */
+const INVARIANTS = [
+    {
+        name: 'balance-equals-stakes',
+        description: "The contract's ETH balance equals the sum of providerStakes",
+        check(state) {
+            const totalStakes = [...state.providerStakes.values()].reduce((sum, stake) => sum + stake, 0n);
+            if (state.balance === totalStakes) {
+                return [];
+            }
+            return [{
+                message: `Contract holds ${eth(state.balance)} but providers have ${eth(totalStakes)} staked`,
+                values: { balance: state.balance, totalStakes }
+            }];
+        }
+    },
+    {
+        name: 'api-stakes-sum-to-provider',
+        description: "Each provider's API.stake values add up to its providerStakes",
+        check(state) {
+            const violations = [];
+            for (const [provider, providerStake] of state.providerStakes) {
+                const apis = state.apis.filter(api => api.provider === provider);
+                const apiStakes = apis.reduce((sum, api) => sum + api.stake, 0n);
+                if (apiStakes !== providerStake) {
+                    violations.push({
+                        message: `Provider ${provider}'s APIs hold ${eth(apiStakes)} but providerStakes is ${eth(providerStake)}`,
+                        values: { provider, apiIds: apis.map(api => api.id), apiStakes, providerStake }
+                    });
+                }
+            }
+            return violations;
+        }
+    },
+    {
+        name: 'successful-within-total',
+        description: 'successfulCalls never exceeds totalCalls',
+        check(state) {
+            return state.apis
+                .filter(api => api.successfulCalls > api.totalCalls)
+                .map(api => ({
+                    message: `API ${api.id} has ${api.successfulCalls} successful calls out of ${api.totalCalls}`,
+                    values: { apiId: api.id, successfulCalls: api.successfulCalls, totalCalls: api.totalCalls }
+                }));
+        }
+    },
+    {
+        name: 'withdrawal-deactivates',
+        description: 'APIs with a pending withdrawal are inactive',
+        check(state) {
+            return state.apis
+                .filter(api => api.active && state.withdrawalRequests.get(api.id) !== 0n)
+                .map(api => ({
+                    message: `API ${api.id} is still active with a withdrawal requested`,
+                    values: { apiId: api.id, withdrawalRequestedAt: state.withdrawalRequests.get(api.id) }
+                }));
+        }
+    },
+    {
+        name: 'api-count-matches-events',
+        description: 'nextApiId - 1 equals the number of APIRegistered events',
+        needsEvents: true,
+        check(state) {
+            const registered = countEvents(state.events, 'APIRegistered');
+            if (state.nextApiId - 1n === BigInt(registered)) {
+                return [];
+            }
+            return [{
+                message: `nextApiId is ${state.nextApiId} but ${registered} APIRegistered events were emitted`,
+                values: { nextApiId: state.nextApiId, registeredEvents: registered }
+            }];
+        }
+    },
+    {
+        name: 'calls-match-payments',
+        description: "Each API's totalCalls equals its APIPayment events",
+        needsEvents: true,
+        check(state) {
+            const violations = [];
+            for (const api of state.apis) {
+                const payments = countEvents(state.events, 'APIPayment', api.id);
+                if (api.totalCalls !== BigInt(payments)) {
+                    violations.push({
+                        message: `API ${api.id} counts ${api.totalCalls} calls but has ${payments} APIPayment events`,
+                        values: { apiId: api.id, totalCalls: api.totalCalls, paymentEvents: payments }
+                    });
+                }
+            }
+            return violations;
+        }
+    },
+    {
+        name: 'reports-within-calls',
+        description: 'No API has more APICallReported events than paid calls',
+        needsEvents: true,
+        check(state) {
+            return state.apis
+                .map(api => ({ api, reports: countEvents(state.events, 'APICallReported', api.id) }))
+                .filter(({ api, reports }) => BigInt(reports) > api.totalCalls)
+                .map(({ api, reports }) => ({
+                    message: `API ${api.id} has ${reports} reported calls out of ${api.totalCalls} paid`,
+                    values: { apiId: api.id, reportEvents: reports, totalCalls: api.totalCalls }
+                }));
+        }
+    },
+    {
+        name: 'stake-matches-events',
+        description: 'Each API.stake equals its registered stake minus slashes and withdrawals',
+        needsEvents: true,
+        check(state) {
+            const violations = [];
+            for (const api of state.apis) {
+                const registered = sumEvents(state.events, 'APIRegistered', api.id);
+                const slashed = sumEvents(state.events, 'ProviderSlashed', api.id);
+                const withdrawn = sumEvents(state.events, 'StakeWithdrawn', api.id);
+                const expected = registered - slashed - withdrawn;
+                if (api.stake !== expected) {
+                    violations.push({
+                        message: `API ${api.id} has ${eth(api.stake)} staked, its events add up to ${eth(expected)}`,
+                        values: { apiId: api.id, stake: api.stake, registered, slashed, withdrawn }
+                    });
+                }
+            }
+            return violations;
+        }
+    }
+];
+
+/**
+ * @typedef {Object} InvariantReport
+ * @property {string} address
+ * @property {number} blockNumber
+ * @property {boolean} ok
+ * @property {{ name: string, description: string, status: 'passed'|'failed'|'skipped', violations: Object[] }[]} results
+ */
+
+/**
+ * Reads the whole marketplace state at one block and checks every invariant on it.
+ *
+ * Options:
+ *   fromBlock   first block to index events from, usually the deployment block, default 0
+ *   events      read events for the event-based checks, default true
+ *   invariants  checks to run, default INVARIANTS
+ */
+class InvariantChecker {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.provider = client.runner.provider || client.runner;
+        this.fromBlock = options.fromBlock ?? 0;
+        this.events = options.events ?? true;
+        this.invariants = options.invariants || INVARIANTS;
+    }
+
+    /** @returns {Promise<MarketplaceState>} every read pinned to `blockNumber`, default the head */
+    async readState(blockNumber) {
+        const blockTag = blockNumber ?? await this.client.call('getBlockNumber', () => this.provider.getBlockNumber());
+        const read = (method, ...args) => this.client.call(method, () => this.client.contract[method](...args, { blockTag }));
+        
+        const [balance, nextApiId] = await Promise.all([
+            this.client.call('getBalance', () => this.provider.getBalance(this.client.address, blockTag)),
+            read('nextApiId')
+        ]);
+        
+        const apis = [];
+        const withdrawalRequests = new Map();
+        for (let apiId = 1n; apiId < nextApiId; apiId++) {
+            apis.push(toAPIInfo(await read('getAPI', apiId)));
+            withdrawalRequests.set(apiId, await read('withdrawalRequests', apiId));
+        }
+        
+        const providerStakes = new Map();
+        for (const provider of new Set(apis.map(api => api.provider))) {
+            providerStakes.set(provider, await read('providerStakes', provider));
+        }
+        
+        let events = null;
+        if (this.events) {
+            // A fresh in-memory index, so a reverted local chain never leaves stale events behind
+            const indexer = new EventIndexer(this.client, { fromBlock: this.fromBlock });
+            await indexer.sync({ toBlock: blockTag });
+            events = indexer.store.events;
+        }
+        
+        return { blockNumber: blockTag, balance, nextApiId, apis, providerStakes, withdrawalRequests, events };
+    }
+
+    /** @returns {Promise<InvariantReport>} */
+    async check({ blockNumber } = {}) {
+        const state = await this.readState(blockNumber);
+        const results = this.invariants.map(({ name, description, needsEvents, check }) => {
+            if (needsEvents && !state.events) {
+                return { name, description, status: 'skipped', violations: [] };
+            }
+            const violations = check(state);
+            return { name, description, status: violations.length === 0 ? 'passed' : 'failed', violations };
+        });
+        
+        return {
+            address: this.client.address,
+            blockNumber: state.blockNumber,
+            ok: results.every(result => result.status !== 'failed'),
+            results
+        };
+    }
+}
+
+module.exports = { InvariantChecker, INVARIANTS };
@@ -0,0 +1,336 @@
+// lib/monitor.js - Probes API endpoints and turns their availability into oracle reports
+const { MarketplaceError } = require('./errors');
+
+const DEFAULTS = {
+    intervalMs: 60000,
+    timeoutMs: 5000,
+    // 402 is a paid endpoint that is up and asking for payment (see lib/payments.js)
+    expectedStatus: ['2xx', '3xx', 402],
+    windowSize: 20,
+    minSamples: 5,
+    threshold: 0.8
+};
+
+/**
+ * @typedef {Object} ProbeResult
+ * @property {bigint} apiId
+ * @property {string} endpoint
+ * @property {boolean} ok          answered in time with an expected status
+ * @property {number|null} status
+ * @property {number} latencyMs
+ * @property {string|null} error   why the probe failed
+ * @property {string} at           ISO timestamp
+ */
+
+/**
+ * @typedef {Object} OracleReport
+ * @property {bigint} apiId
+ * @property {boolean} success       what reportAPICall would be sent with
+ * @property {number} availability   score that crossed the threshold
+ * @property {number} samples
+ * @property {string} reason
+ * @property {string|null} hash      reportAPICall transaction, null in a dry run
+ * @property {string|null} error     why sending it failed
+ */
+
+function invalidArgument(message) {
+    return new MarketplaceError(message, { code: 'INVALID_ARGUMENT', method: 'monitor' });
+}
+
+// Status rules are exact codes (402) or classes ('2xx')
+function checkStatusRules(rules) {
+    if (!Array.isArray(rules) || rules.length === 0 || !rules.every(rule => Number.isInteger(rule) || /^[1-5]xx$/i.test(rule))) {
+        throw invalidArgument(`expectedStatus must list status codes or classes like "2xx", got ${JSON.stringify(rules)}`);
+    }
+    return rules;
+}
+
+function statusMatches(status, rules) {
+    return rules.some(rule => Number.isInteger(rule) ? status === rule : Math.floor(status / 100) === Number(rule[0]));
+}
+
+const percent = score => `${Math.round(score * 100)}%`;
+
+/**
+ * Probes the endpoint of every active API on a schedule and keeps a rolling
+ * availability score per API: the share of its last `windowSize` probes that
+ * got an expected status within `timeoutMs`. When a score falls below
+ * `threshold` a failed reportAPICall is prepared, when it climbs back a
+ * successful one. Scores with fewer than `minSamples` probes aren't judged.
+ *
+ * Reports are sent through `client`, whose signer has to be the contract's
+ * oracle, unless `dryRun` is set, which only simulates them from the oracle's
+ * address; they are returned either way. One that
+ * can't be sent (a success needs a paid call that wasn't reported yet) is
+ * prepared again the next round.
+ *
+ * Options: intervalMs, timeoutMs, expectedStatus, windowSize, minSamples,
+ * threshold (defaults in DEFAULTS), plus
+ *   rules     per-API overrides by id: { expectedStatus, timeoutMs, path }
+ *   dryRun    prepare and simulate reports without sending them
+ *   fetch     fetch implementation, default global fetch
+ *   onEvent   called with { type: 'probe'|'report'|'round'|'error', ... } for logging
+ */
+class HealthMonitor {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.options = { ...DEFAULTS };
+        for (const key of Object.keys(DEFAULTS)) {
+            if (options[key] !== undefined) {
+                this.options[key] = options[key];
+            }
+        }
+        checkStatusRules(this.options.expectedStatus);
+        if (!(this.options.threshold > 0 && this.options.threshold <= 1)) {
+            throw invalidArgument(`threshold must be above 0 and at most 1, got ${this.options.threshold}`);
+        }
+        if (!(this.options.minSamples >= 1 && this.options.minSamples <= this.options.windowSize)) {
+            throw invalidArgument(`minSamples must be between 1 and windowSize (${this.options.windowSize})`);
+        }
+        
+        this.rules = {};
+        for (const [apiId, rule] of Object.entries(options.rules || {})) {
+            if (rule.expectedStatus !== undefined) {
+                checkStatusRules(rule.expectedStatus);
+            }
+            this.rules[apiId] = rule;
+        }
+        
+        this.dryRun = options.dryRun ?? false;
+        this.fetchImpl = options.fetch || globalThis.fetch;
+        this.onEvent = options.onEvent || null;
+        // By API id: { endpoint, probes, healthy }, healthy is null until first judged
+        this.apis = new Map();
+        this.oracleChecked = false;
+        this.running = null;
+        this.stopped = false;
+        this.timer = null;
+        this.wake = null;
+    }
+
+    emit(event) {
+        if (this.onEvent) {
+            this.onEvent(event);
+        }
+    }
+
+    /** @returns {Promise<ProbeResult>} */
+    async probe(api) {
+        const rule = this.rules[api.id.toString()] || {};
+        const expectedStatus = rule.expectedStatus || this.options.expectedStatus;
+        const timeoutMs = rule.timeoutMs ?? this.options.timeoutMs;
+        const result = { apiId: api.id, endpoint: api.endpoint, ok: false, status: null, latencyMs: 0, error: null, at: new Date().toISOString() };
+        
+        let url;
+        try {
+            url = new URL(api.endpoint + (rule.path || ''));
+        } catch {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            result.error = 'not an http(s) URL';
+            return result;
+        }
+        
+        const startedAt = Date.now();
+        try {
+            // Redirects aren't followed, a 3xx is the endpoint's answer
+            const response = await this.fetchImpl(url, { redirect: 'manual', signal: AbortSignal.timeout(timeoutMs) });
+            await response.body?.cancel();
+            result.status = response.status;
+            result.ok = statusMatches(response.status, expectedStatus);
+            if (!result.ok) {
+                result.error = `unexpected status ${response.status}`;
+            }
+        } catch (error) {
+            result.error = error.name === 'TimeoutError' ? `no answer within ${timeoutMs}ms` : (error.cause || error).message;
+        }
+        result.latencyMs = Date.now() - startedAt;
+        return result;
+    }
+
+    /** Availability over the rolling window, null before minSamples probes */
+    score(apiId) {
+        const state = this.apis.get(apiId.toString());
+        if (!state || state.probes.length < this.options.minSamples) {
+            return null;
+        }
+        return state.probes.filter(probe => probe.ok).length / state.probes.length;
+    }
+
+    scores() {
+        return [...this.apis.entries()].map(([apiId, state]) => ({
+            apiId: BigInt(apiId),
+            endpoint: state.endpoint,
+            availability: this.score(apiId),
+            samples: state.probes.length,
+            healthy: state.healthy
+        }));
+    }
+
+    // Adds the probe to the window, returns a report when the score crossed the threshold
+    record(result) {
+        const key = result.apiId.toString();
+        if (!this.apis.has(key)) {
+            this.apis.set(key, { endpoint: result.endpoint, probes: [], healthy: null });
+        }
+        const state = this.apis.get(key);
+        state.probes.push(result);
+        state.probes.splice(0, state.probes.length - this.options.windowSize);
+        
+        const availability = this.score(key);
+        if (availability === null) {
+            return null;
+        }
+        const healthy = availability >= this.options.threshold;
+        const crossed = healthy ? state.healthy === false : state.healthy !== false;
+        state.healthy = healthy;
+        if (!crossed) {
+            return null;
+        }
+        
+        const threshold = percent(this.options.threshold);
+        return {
+            apiId: result.apiId,
+            success: healthy,
+            availability,
+            samples: state.probes.length,
+            reason: healthy
+                ? `availability ${percent(availability)} is back at or above ${threshold}`
+                : `availability ${percent(availability)} fell below ${threshold}, last error: ${result.error}`,
+            hash: null,
+            error: null
+        };
+    }
+
+    async assertOracle() {
+        if (this.oracleChecked) {
+            return;
+        }
+        const { oracle } = await this.client.constants();
+        const address = this.client.runner && this.client.runner.address;
+        if (!address || address.toLowerCase() !== oracle.toLowerCase()) {
+            throw new MarketplaceError(`${address || 'A read-only client'} is not the contract's oracle ${oracle}, only a dry run can prepare reports`, {
+                code: 'NOT_ORACLE',
+                method: 'monitor'
+            });
+        }
+        this.oracleChecked = true;
+    }
+
+    async send(report, api) {
+        // The contract only takes a report for a paid call nobody reported on yet. Older
+        // deployments don't count reports, they only keep successes within paid calls.
+        const reported = await this.client.getReportedCalls(report.apiId);
+        const unpaid = reported === null ? report.success && api.successfulCalls >= api.totalCalls : reported >= api.totalCalls;
+        if (unpaid) {
+            report.error = `no paid call left to report as ${report.success ? 'successful' : 'failed'}`;
+        } else {
+            try {
+                report.hash = (await this.client.reportAPICall(report.apiId, report.success)).hash;
+            } catch (error) {
+                report.error = error.message;
+                this.emit({ type: 'error', apiId: report.apiId, error });
+            }
+        }
+        
+        if (report.error) {
+            // Prepared again next round
+            this.apis.get(report.apiId.toString()).healthy = !report.success;
+        }
+    }
+
+    // What the contract would say to the oracle's report, error is set when it would revert
+    async simulate(report) {
+        try {
+            const { oracle } = await this.client.constants();
+            const preview = await this.client.preview('reportAPICall', [report.apiId, report.success], { from: oracle });
+            if (!preview.ok) {
+                report.error = preview.error.message;
+            }
+        } catch (error) {
+            report.error = error.message;
+            this.emit({ type: 'error', apiId: report.apiId, error });
+        }
+    }
+
+    /**
+     * One round: probes every active API and sends (or in a dry run only
+     * simulates) the reports for scores that crossed the threshold.
+     * @returns {Promise<{ probes: ProbeResult[], reports: OracleReport[] }>}
+     */
+    async check() {
+        if (!this.dryRun) {
+            await this.assertOracle();
+        }
+        
+        const apis = await this.client.listAPIs({ activeOnly: true });
+        // Deactivated APIs can't be reported on anymore
+        const active = new Set(apis.map(api => api.id.toString()));
+        for (const apiId of this.apis.keys()) {
+            if (!active.has(apiId)) {
+                this.apis.delete(apiId);
+            }
+        }
+        
+        const probes = await Promise.all(apis.map(api => this.probe(api)));
+        const reports = [];
+        for (const result of probes) {
+            this.emit({ type: 'probe', ...result });
+            const report = this.record(result);
+            if (report) {
+                reports.push(report);
+            }
+        }
+        
+        // One at a time, the oracle's nonces are handed out in order
+        const byId = new Map(apis.map(api => [api.id.toString(), api]));
+        for (const report of reports) {
+            if (this.dryRun) {
+                await this.simulate(report);
+            } else {
+                await this.send(report, byId.get(report.apiId.toString()));
+            }
+            this.emit({ type: 'report', dryRun: this.dryRun, ...report });
+        }
+        
+        this.emit({ type: 'round', probes, reports });
+        return { probes, reports };
+    }
+
+    /** Runs check() every intervalMs until stop(), a failed round is emitted as an error */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.stopped = false;
+        this.running = (async () => {
+            while (!this.stopped) {
+                try {
+                    await this.check();
+                } catch (error) {
+                    this.emit({ type: 'error', error });
+                }
+                if (!this.stopped) {
+                    await new Promise(resolve => {
+                        this.wake = resolve;
+                        this.timer = setTimeout(resolve, this.options.intervalMs);
+                    });
+                }
+            }
+        })();
+    }
+
+    /** Stops the schedule after the current round */
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        if (this.wake) {
+            this.wake();
+        }
+        await this.running;
+        this.running = null;
+    }
+}
+
+module.exports = { HealthMonitor, statusMatches };
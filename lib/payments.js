@@ -0,0 +1,257 @@
+// lib/payments.js - Provider-side verification of payForAPICall payments for HTTP servers
+const { ethers } = require('ethers');
+const { MarketplaceError } = require('./errors');
+const { voucherDomain, clientDomain } = require('./vouchers');
+
+const DEFAULT_HEADER = 'x-payment-tx';
+const DEFAULT_SIGNATURE_HEADER = 'x-payment-signature';
+
+// HTTP status for each rejection, everything else is 402 Payment Required
+const STATUS_BY_CODE = {
+    PAYMENT_UNCONFIRMED: 425,
+    NETWORK: 503
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function paymentError(code, message) {
+    return new MarketplaceError(message, { code, method: 'verifyPayment' });
+}
+
+const PAYMENT_PROOF_TYPES = {
+    PaymentProof: [
+        { name: 'apiId', type: 'uint256' },
+        { name: 'txHash', type: 'bytes32' }
+    ]
+};
+
+/**
+ * The typed data a payer signs (EIP-712) to prove a payment is theirs. A mined
+ * transaction hash is public, so on its own anyone could present it, and the
+ * chain, contract and API keep the proof from counting anywhere else.
+ * @param {{ chainId: bigint|number, contractAddress: string, apiId: bigint, txHash: string }} proof
+ */
+function paymentProof({ chainId, contractAddress, apiId, txHash }) {
+    return {
+        domain: voucherDomain({ chainId, contractAddress }),
+        types: PAYMENT_PROOF_TYPES,
+        message: { apiId: BigInt(apiId), txHash: txHash.toLowerCase() }
+    };
+}
+
+async function signPaymentProof(signer, proof) {
+    const { domain, types, message } = paymentProof(proof);
+    return signer.signTypedData(domain, types, message);
+}
+
+// Address that signed the proof
+function recoverPayer(proof, signature) {
+    if (!signature) {
+        throw paymentError('PAYMENT_UNSIGNED', `Payment ${proof.txHash} needs the payer's signature to be used`);
+    }
+    try {
+        const { domain, types, message } = paymentProof(proof);
+        return ethers.verifyTypedData(domain, types, message, signature);
+    } catch (error) {
+        throw paymentError('PAYMENT_INVALID', `"${signature}" is not a signature`);
+    }
+}
+
+/**
+ * Remembers which payment transactions have already paid for a request.
+ * Swap in something persistent (Redis, a database) by passing an object
+ * with the same async claim/delete methods as `usedPayments`. claim has to
+ * check and mark in one step (SET NX, INSERT ... ON CONFLICT DO NOTHING),
+ * or two servers sharing the store could both spend a payment.
+ */
+class MemoryPaymentStore {
+    constructor() {
+        this.hashes = new Set();
+    }
+
+    /** Marks txHash used, false when it already was */
+    async claim(txHash) {
+        if (this.hashes.has(txHash)) {
+            return false;
+        }
+        this.hashes.add(txHash);
+        return true;
+    }
+
+    async delete(txHash) {
+        this.hashes.delete(txHash);
+    }
+}
+
+/**
+ * Checks that a transaction hash is a confirmed payForAPICall for one API.
+ *
+ * Options:
+ *   apiId                 API this server sells (required)
+ *   confirmations         blocks required on top of the payment, default 1
+ *   confirmationTimeoutMs how long to wait for them before rejecting, default 0
+ *   pollIntervalMs        confirmation polling interval, default 1000
+ *   usedPayments          replay store, default in-memory
+ */
+class PaymentVerifier {
+    constructor(client, options = {}) {
+        if (options.apiId === undefined) {
+            throw new MarketplaceError('PaymentVerifier needs the apiId it is protecting', {
+                code: 'INVALID_ARGUMENT',
+                method: 'PaymentVerifier'
+            });
+        }
+        
+        this.client = client;
+        this.provider = client.runner.provider || client.runner;
+        this.apiId = BigInt(options.apiId);
+        this.confirmations = options.confirmations ?? 1;
+        this.confirmationTimeoutMs = options.confirmationTimeoutMs ?? 0;
+        this.pollIntervalMs = options.pollIntervalMs ?? 1000;
+        this.usedPayments = options.usedPayments || new MemoryPaymentStore();
+        this.domain = null;
+    }
+
+    /**
+     * Verifies a payment and marks it used. `signature` is the payer's signature of
+     * paymentProof() for this chain, contract, API and txHash, the payment only
+     * counts for whoever made it.
+     * Throws MarketplaceError with a PAYMENT_* code when the payment can't be accepted.
+     */
+    async verify(txHash, { signature } = {}) {
+        if (!txHash) {
+            throw paymentError('PAYMENT_MISSING', 'No payment transaction hash provided');
+        }
+        if (!ethers.isHexString(txHash, 32)) {
+            throw paymentError('PAYMENT_INVALID', `"${txHash}" is not a transaction hash`);
+        }
+        this.domain = this.domain || await clientDomain(this.client);
+        const signer = recoverPayer({ ...this.domain, apiId: this.apiId, txHash }, signature);
+        
+        // Claimed before the receipt is checked, so two concurrent requests can't both spend it
+        const key = txHash.toLowerCase();
+        if (!await this.usedPayments.claim(key)) {
+            throw paymentError('PAYMENT_REPLAYED', `Payment ${txHash} has already been used`);
+        }
+        
+        try {
+            return await this.checkReceipt(txHash, signer);
+        } catch (error) {
+            // A payment that wasn't accepted stays usable, once confirmed or by its real payer
+            await this.usedPayments.delete(key);
+            throw MarketplaceError.from(error, 'verifyPayment');
+        }
+    }
+
+    async checkReceipt(txHash, signer) {
+        const receipt = await this.waitForConfirmations(txHash);
+        
+        if (receipt.status !== 1) {
+            throw paymentError('PAYMENT_FAILED', `Payment ${txHash} reverted`);
+        }
+        
+        const payment = this.client.parseEvents(receipt)
+            .find(event => event.name === 'APIPayment' && event.args.apiId === this.apiId);
+        if (!payment) {
+            throw paymentError('PAYMENT_MISMATCH', `Transaction ${txHash} is not a payment for API ${this.apiId}`);
+        }
+        
+        const { amount } = payment.args;
+        const payer = payment.args.consumer;
+        if (payer.toLowerCase() !== signer.toLowerCase()) {
+            throw paymentError('PAYMENT_MISMATCH', `Payment ${txHash} was made by ${payer}, not ${signer}`);
+        }
+        
+        const api = await this.client.getAPI(this.apiId);
+        if (amount < api.pricePerCall) {
+            throw paymentError(
+                'PAYMENT_INSUFFICIENT',
+                `Payment of ${ethers.formatEther(amount)} ETH is below the price of ${api.priceEth} ETH`
+            );
+        }
+        
+        return {
+            txHash: receipt.hash,
+            apiId: this.apiId,
+            consumer: payer,
+            amount,
+            blockNumber: receipt.blockNumber
+        };
+    }
+
+    async waitForConfirmations(txHash) {
+        const deadline = Date.now() + this.confirmationTimeoutMs;
+        
+        while (true) {
+            const receipt = await this.provider.getTransactionReceipt(txHash);
+            const confirmations = receipt ? await receipt.confirmations() : 0;
+            
+            if (receipt && confirmations >= this.confirmations) {
+                return receipt;
+            }
+            
+            if (Date.now() + this.pollIntervalMs > deadline) {
+                if (!receipt) {
+                    throw paymentError('PAYMENT_NOT_FOUND', `Payment ${txHash} has not been mined`);
+                }
+                throw paymentError(
+                    'PAYMENT_UNCONFIRMED',
+                    `Payment ${txHash} has ${confirmations}/${this.confirmations} confirmations`
+                );
+            }
+            
+            await sleep(this.pollIntervalMs);
+        }
+    }
+}
+
+function sendPaymentError(res, error) {
+    const code = error.code && (error.code.startsWith('PAYMENT_') || error.code === 'NETWORK') ? error.code : 'PAYMENT_INVALID';
+    const status = STATUS_BY_CODE[code] || 402;
+    
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    if (code === 'PAYMENT_UNCONFIRMED') {
+        res.setHeader('Retry-After', '1');
+    }
+    res.end(JSON.stringify({ error: code, message: error.message }));
+}
+
+/**
+ * Express/Connect-style middleware: reads the payment hash and the payer's
+ * signature of it from request headers, verifies them and sets `req.payment`
+ * before calling `next()`.
+ */
+function paymentMiddleware(verifier, options = {}) {
+    const header = (options.header || DEFAULT_HEADER).toLowerCase();
+    const signatureHeader = (options.signatureHeader || DEFAULT_SIGNATURE_HEADER).toLowerCase();
+    
+    return async (req, res, next) => {
+        try {
+            req.payment = await verifier.verify(req.headers[header], { signature: req.headers[signatureHeader] });
+        } catch (error) {
+            sendPaymentError(res, error);
+            return;
+        }
+        next();
+    };
+}
+
+/** Wraps a plain `http.createServer` handler so it only runs for paid requests */
+function requirePayment(verifier, handler, options = {}) {
+    const middleware = paymentMiddleware(verifier, options);
+    return (req, res) => middleware(req, res, () => handler(req, res));
+}
+
+module.exports = {
+    DEFAULT_HEADER,
+    DEFAULT_SIGNATURE_HEADER,
+    MemoryPaymentStore,
+    PaymentVerifier,
+    paymentMiddleware,
+    requirePayment,
+    paymentProof,
+    signPaymentProof
+};
@@ -0,0 +1,181 @@
+// lib/preview.js - What a write would do, worked out before anything is sent
+const { ethers } = require('ethers');
+const { MarketplaceError } = require('./errors');
+
+/**
+ * @typedef {Object} Preview
+ * @property {string} method
+ * @property {Array} args
+ * @property {string} from
+ * @property {boolean} ok                    false when the call would revert
+ * @property {MarketplaceError|null} error   the decoded revert when it would
+ * @property {bigint} value                  ETH sent with the call (stake or price)
+ * @property {bigint|null} gasLimit          estimated gas
+ * @property {bigint|null} maxFee            estimated gas at current fees
+ * @property {bigint} totalOut               value + maxFee, the most the sender is out
+ * @property {{ name: string, args: Object }[]} events   what the contract would emit
+ * @property {{ what: string, before: *, after: *, unit: string|null }[]} changes   state it would change, unit 'wei' for ETH
+ */
+
+function event(name, args) {
+    return { name, args };
+}
+
+function change(what, before, after, unit = null) {
+    return { what, before, after, unit };
+}
+
+async function balanceOf(client, address) {
+    const provider = client.runner.provider || client.runner;
+    return client.call('getBalance', () => provider.getBalance(address));
+}
+
+// Per write: the events and state changes the contract would produce from the current
+// state, mirroring contracts/APIMarketplace.sol. Only asked once the static call passed.
+const EFFECTS = {
+    async registerAPI(client, { from, args: [endpoint, , pricePerCall], value }) {
+        const [apiId, staked] = await Promise.all([client.nextApiId(), client.getProviderStake(from)]);
+        return {
+            events: [event('APIRegistered', { apiId, provider: from, endpoint, stake: value })],
+            changes: [
+                change('nextApiId', apiId, apiId + 1n),
+                change(`API ${apiId}`, null, `${endpoint} at ${ethers.formatEther(pricePerCall)} ETH per call`),
+                change(`providerStakes[${from}]`, staked, staked + value, 'wei')
+            ]
+        };
+    },
+    
+    async payForAPICall(client, { from, args: [apiId], value }) {
+        const api = await client.getAPI(apiId);
+        const balance = await balanceOf(client, api.provider);
+        return {
+            events: [event('APIPayment', { apiId, consumer: from, amount: value })],
+            changes: [
+                change(`API ${apiId} totalCalls`, api.totalCalls, api.totalCalls + 1n),
+                change(`balance of ${api.provider}`, balance, balance + value, 'wei')
+            ]
+        };
+    },
+    
+    async reportAPICall(client, { args: [apiId, success] }) {
+        const [api, reported] = await Promise.all([client.getAPI(apiId), client.getReportedCalls(apiId)]);
+        return {
+            events: [event('APICallReported', { apiId, success })],
+            changes: [
+                // null on deployments from before the contract counted reports
+                ...(reported === null ? [] : [change(`reportedCalls[${apiId}]`, reported, reported + 1n)]),
+                ...(success ? [change(`API ${apiId} successfulCalls`, api.successfulCalls, api.successfulCalls + 1n)] : [])
+            ]
+        };
+    },
+    
+    async slashProvider(client, { args: [apiId] }) {
+        const [api, { slashPercentage, owner }] = await Promise.all([client.getAPI(apiId), client.constants()]);
+        const [staked, balance] = await Promise.all([client.getProviderStake(api.provider), balanceOf(client, owner)]);
+        const amount = (api.stake * slashPercentage) / 100n;
+        return {
+            events: [
+                ...(api.active ? [event('APIDeactivated', { apiId })] : []),
+                event('ProviderSlashed', { apiId, provider: api.provider, amount })
+            ],
+            changes: [
+                change(`API ${apiId} stake`, api.stake, api.stake - amount, 'wei'),
+                change(`providerStakes[${api.provider}]`, staked, staked - amount, 'wei'),
+                ...(api.active ? [change(`API ${apiId} active`, true, false)] : []),
+                change(`balance of ${owner}`, balance, balance + amount, 'wei')
+            ]
+        };
+    },
+    
+    async requestWithdrawal(client, { from, args: [apiId] }) {
+        const [api, { withdrawalDelay }] = await Promise.all([client.getAPI(apiId), client.constants()]);
+        // The next block's timestamp isn't known yet, the latest one is close enough
+        const provider = client.runner.provider || client.runner;
+        const { timestamp } = await client.call('getBlock', () => provider.getBlock('latest'));
+        const requestedAt = BigInt(timestamp);
+        return {
+            events: [
+                ...(api.active ? [event('APIDeactivated', { apiId })] : []),
+                event('WithdrawalRequested', { apiId, provider: from, availableAt: requestedAt + withdrawalDelay })
+            ],
+            changes: [
+                change(`withdrawalRequests[${apiId}]`, 0n, requestedAt),
+                ...(api.active ? [change(`API ${apiId} active`, true, false)] : [])
+            ]
+        };
+    },
+    
+    async withdrawStake(client, { from, args: [apiId] }) {
+        const [api, staked, requestedAt] = await Promise.all([client.getAPI(apiId), client.getProviderStake(from), client.getWithdrawalRequest(apiId)]);
+        return {
+            events: [event('StakeWithdrawn', { apiId, provider: from, amount: api.stake })],
+            changes: [
+                change(`API ${apiId} stake`, api.stake, 0n, 'wei'),
+                change(`providerStakes[${from}]`, staked, staked - api.stake, 'wei'),
+                change(`withdrawalRequests[${apiId}]`, requestedAt, 0n)
+            ]
+        };
+    },
+    
+    async setOracle(client, { args: [newOracle] }) {
+        const { oracle } = await client.constants();
+        return {
+            events: [event('OracleUpdated', { previousOracle: oracle, newOracle })],
+            changes: [change('oracle', oracle, newOracle)]
+        };
+    },
+    
+    async transferOwnership(client, { args: [newOwner] }) {
+        const { owner } = await client.constants();
+        return {
+            events: [event('OwnershipTransferred', { previousOwner: owner, newOwner })],
+            changes: [change('owner', owner, newOwner)]
+        };
+    }
+};
+
+/**
+ * Runs `method` as a static call from the client's signer, or `overrides.from`, and estimates
+ * its gas and fees. A call that would revert comes back with ok false and the decoded reason,
+ * RPC failures throw.
+ * @returns {Promise<Preview>}
+ */
+async function previewWrite(client, method, args, overrides = {}) {
+    if (!EFFECTS[method]) {
+        throw new MarketplaceError(`${method} is not a write that can be previewed, expected one of: ${Object.keys(EFFECTS).join(', ')}`, {
+            code: 'INVALID_ARGUMENT',
+            method: 'preview'
+        });
+    }
+    
+    const from = overrides.from || await client.runner.getAddress();
+    const value = overrides.value === undefined ? 0n : overrides.value;
+    const preview = { method, args, from, ok: false, error: null, value, gasLimit: null, maxFee: null, totalOut: value, events: [], changes: [] };
+    
+    // Simulated through the provider: a signer refuses calls from any other address
+    const provider = client.runner.provider || client.runner;
+    const contract = client.contract.connect(provider);
+    const call = { ...overrides, from };
+    try {
+        await contract[method].staticCall(...args, call);
+        preview.gasLimit = await contract[method].estimateGas(...args, call);
+    } catch (error) {
+        const reverted = MarketplaceError.from(error, method, client.interface);
+        if (!reverted.revert) {
+            throw reverted;
+        }
+        preview.error = reverted;
+        return preview;
+    }
+    
+    // Priced like the TransactionManager will send it, at the most it could pay per gas
+    const feeData = await client.call('getFeeData', () => provider.getFeeData());
+    preview.maxFee = preview.gasLimit * (feeData.maxFeePerGas != null ? feeData.maxFeePerGas : feeData.gasPrice);
+    preview.totalOut = value + preview.maxFee;
+    
+    Object.assign(preview, await EFFECTS[method](client, { from, args, value }));
+    preview.ok = true;
+    return preview;
+}
+
+module.exports = { previewWrite };
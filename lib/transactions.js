@@ -0,0 +1,444 @@
+// lib/transactions.js - Reliable writes over flaky RPCs: local nonces, fee bumping, confirmations and failover
+const { ethers } = require('ethers');
+const { MarketplaceError } = require('./errors');
+
+const RETRYABLE_CODES = new Set([
+    'NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT',
+    'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'
+]);
+const RETRYABLE_MESSAGE = /rate limit|too many requests|\b(429|502|503|504)\b|timeout|timed out|socket hang up|missing response|bad response|ECONNREFUSED|ECONNRESET/i;
+const NONCE_TOO_LOW = /nonce too low|nonce has already been used|nonce is too low|NONCE_EXPIRED/i;
+const ALREADY_KNOWN = /already known|known transaction|already imported/i;
+const UNDERPRICED = /underpriced|REPLACEMENT_UNDERPRICED/i;
+
+const DEFAULTS = {
+    confirmations: 1,
+    timeoutMs: 5 * 60 * 1000,
+    bumpAfterMs: 60 * 1000,
+    bumpPercent: 15,
+    maxBumps: 3,
+    retries: 4,
+    backoffMs: 500,
+    pollIntervalMs: 1000
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Node errors, ethers errors and JSON-RPC error bodies all carry part of the story
+function messageOf(error) {
+    return [error.code, error.shortMessage, error.message, error.error && error.error.message, error.info && error.info.error && error.info.error.message]
+        .filter(Boolean)
+        .join(' ');
+}
+
+/** True for failures of the RPC itself, where the same request can succeed when retried */
+function isRetryableRpcError(error) {
+    if (!error || ['CALL_EXCEPTION', 'INSUFFICIENT_FUNDS', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED'].includes(error.code)) {
+        return false;
+    }
+    if (RETRYABLE_CODES.has(error.code) || RETRYABLE_MESSAGE.test(messageOf(error))) {
+        return true;
+    }
+    return Boolean(error.cause) && error.cause !== error && isRetryableRpcError(error.cause);
+}
+
+/** Runs `fn`, retrying RPC failures with exponential backoff: backoffMs, 2x, 4x... */
+async function withRetries(fn, { retries = DEFAULTS.retries, backoffMs = DEFAULTS.backoffMs, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= retries || !isRetryableRpcError(error)) {
+                throw error;
+            }
+            const delayMs = backoffMs * 2 ** attempt;
+            if (onRetry) {
+                onRetry({ attempt: attempt + 1, delayMs, error });
+            }
+            await sleep(delayMs);
+        }
+    }
+}
+
+/**
+ * Provider over several RPC URLs. Requests go to the current URL and move on to the
+ * next one when it fails with an RPC error, backing off after every full round.
+ *
+ * Options:
+ *   network     chain name or id, skips network detection
+ *   rounds      times every URL is tried before giving up, default 3
+ *   backoffMs   wait after the first failed round, doubled after each one, default 500
+ *   onFailover  called with { method, from, to, attempt, error } when switching URLs
+ */
+class FailoverProvider extends ethers.AbstractProvider {
+    constructor(urls, options = {}) {
+        if (!Array.isArray(urls) || urls.length === 0) {
+            throw new MarketplaceError('FailoverProvider needs at least one RPC URL', { code: 'INVALID_ARGUMENT', method: 'FailoverProvider' });
+        }
+        const network = options.network === undefined ? undefined : ethers.Network.from(options.network);
+        super(network);
+        
+        this.urls = urls;
+        this.providers = urls.map(url => new ethers.JsonRpcProvider(url, network, { staticNetwork: network, batchMaxCount: 1 }));
+        this.active = 0;
+        this.rounds = options.rounds ?? 3;
+        this.backoffMs = options.backoffMs ?? DEFAULTS.backoffMs;
+        this.onFailover = options.onFailover || null;
+    }
+
+    /** URL requests currently go to */
+    get url() {
+        return this.urls[this.active];
+    }
+
+    async failover(method, fn) {
+        const attempts = this.providers.length * this.rounds;
+        for (let attempt = 1; ; attempt++) {
+            const index = this.active;
+            try {
+                return await fn(this.providers[index]);
+            } catch (error) {
+                if (!isRetryableRpcError(error) || attempt >= attempts) {
+                    throw error;
+                }
+                // Concurrent requests failing on the same URL only move on once
+                if (this.active === index) {
+                    this.active = (index + 1) % this.providers.length;
+                }
+                if (this.onFailover) {
+                    this.onFailover({ method, from: this.urls[index], to: this.url, attempt, error });
+                }
+                if (attempt % this.providers.length === 0) {
+                    await sleep(this.backoffMs * 2 ** (attempt / this.providers.length - 1));
+                }
+            }
+        }
+    }
+
+    async _detectNetwork() {
+        return this.failover('chainId', provider => provider._detectNetwork());
+    }
+
+    async _perform(request) {
+        return this.failover(request.method, provider => provider._perform(request));
+    }
+
+    destroy() {
+        this.providers.forEach(provider => provider.destroy());
+        super.destroy();
+    }
+}
+
+// One manager per provider and address, so every client of a wallet shares its nonces
+const managers = new WeakMap();
+
+/**
+ * Sends one signer's transactions and waits for them, surviving flaky RPCs:
+ *
+ *   - nonces are handed out locally, so back-to-back sends never collide, and
+ *     resynced from the chain when another sender used the wallet
+ *   - a broadcast that reached the node although the RPC failed is kept, not sent again
+ *   - a transaction still pending after bumpAfterMs is replaced with the same
+ *     nonce and bumpPercent higher fees, up to maxBumps times
+ *   - a transaction the node forgot about is broadcast again
+ *   - RPC errors are retried with exponential backoff
+ *
+ * Options: confirmations, timeoutMs, bumpAfterMs, bumpPercent, maxBumps, retries,
+ * backoffMs, pollIntervalMs (defaults in DEFAULTS), and onEvent, called with
+ * { type: 'retry'|'resync'|'landed'|'rebroadcast'|'bump', ... } for logging.
+ */
+class TransactionManager {
+    constructor(signer, options = {}) {
+        this.signer = signer;
+        this.provider = signer.provider;
+        this.address = signer.address;
+        this.options = { ...DEFAULTS };
+        for (const key of Object.keys(DEFAULTS)) {
+            if (options[key] !== undefined) {
+                this.options[key] = options[key];
+            }
+        }
+        this.onEvent = options.onEvent || null;
+        this.nonce = null;
+        this.lock = Promise.resolve();
+    }
+
+    /** The shared manager of a signer, created with `options` on first use */
+    static for(signer, options = {}) {
+        if (!managers.has(signer.provider)) {
+            managers.set(signer.provider, new Map());
+        }
+        const byAddress = managers.get(signer.provider);
+        if (!byAddress.has(signer.address)) {
+            byAddress.set(signer.address, new TransactionManager(signer, options));
+        }
+        return byAddress.get(signer.address);
+    }
+
+    /** Forgets the local nonces of every manager on `provider`, e.g. after a local chain was reverted */
+    static resetNonces(provider) {
+        for (const manager of (managers.get(provider) || new Map()).values()) {
+            manager.resetNonce();
+        }
+    }
+
+    emit(event) {
+        if (this.onEvent) {
+            this.onEvent({ address: this.address, ...event });
+        }
+    }
+
+    async rpc(method, fn) {
+        return withRetries(fn, {
+            retries: this.options.retries,
+            backoffMs: this.options.backoffMs,
+            onRetry: ({ attempt, delayMs, error }) => this.emit({ type: 'retry', method, attempt, delayMs, error })
+        });
+    }
+
+    // Runs `fn` after every earlier locked call has finished
+    async locked(fn) {
+        const result = this.lock.then(fn);
+        this.lock = result.catch(() => {});
+        return result;
+    }
+
+    // Only called under the lock, so concurrent sends never read the same starting nonce
+    async nextNonce() {
+        if (this.nonce === null) {
+            this.nonce = await this.rpc('getNonce', () => this.provider.getTransactionCount(this.address, 'pending'));
+        }
+        return this.nonce++;
+    }
+
+    // An explicit nonce was passed in: keep the local count ahead of it
+    useNonce(nonce) {
+        if (this.nonce !== null && this.nonce <= nonce) {
+            this.nonce = nonce + 1;
+        }
+        return nonce;
+    }
+
+    resetNonce() {
+        this.nonce = null;
+    }
+
+    async networkFees() {
+        const feeData = await this.rpc('getFeeData', () => this.provider.getFeeData());
+        if (feeData.maxFeePerGas != null) {
+            return { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+        }
+        return { gasPrice: feeData.gasPrice };
+    }
+
+    // Nodes only accept a replacement that raises every fee, by at least 10% on most clients
+    async bumpedFees(tx) {
+        const bump = value => value + (value * BigInt(this.options.bumpPercent) + 99n) / 100n;
+        const max = (a, b) => (b != null && b > a ? b : a);
+        const current = await this.networkFees();
+        if (tx.maxFeePerGas != null) {
+            return {
+                maxFeePerGas: max(bump(tx.maxFeePerGas), current.maxFeePerGas),
+                maxPriorityFeePerGas: max(bump(tx.maxPriorityFeePerGas), current.maxPriorityFeePerGas)
+            };
+        }
+        return { gasPrice: max(bump(tx.gasPrice), current.gasPrice ?? current.maxFeePerGas) };
+    }
+
+    /**
+     * Signs and broadcasts one version of a transaction. Wallets sign locally so the
+     * hash is known even when the RPC fails after accepting it.
+     */
+    async broadcast(tx) {
+        if (this.signer.signingKey) {
+            const signed = await this.signer.signTransaction(tx);
+            try {
+                await this.rpc('broadcastTransaction', () => this.provider.broadcastTransaction(signed));
+            } catch (error) {
+                if (!ALREADY_KNOWN.test(messageOf(error))) {
+                    throw error;
+                }
+            }
+            return { hash: ethers.keccak256(signed), tx: { ...tx } };
+        }
+        
+        // Node-managed accounts (Hardhat, JSON-RPC signers) sign on send, which can't be safely retried
+        const response = await this.signer.sendTransaction(tx);
+        return { hash: response.hash, tx: { ...tx } };
+    }
+
+    // The hash of `tx` signed locally, when the node already has it. Signatures are
+    // deterministic, so signing again gives the hash of the earlier broadcast
+    async landedHash(tx) {
+        if (!this.signer.signingKey) {
+            return null;
+        }
+        const hash = ethers.keccak256(await this.signer.signTransaction(tx));
+        const known = await this.rpc('getTransaction', () => this.provider.getTransaction(hash))
+            || await this.rpc('getTransactionReceipt', () => this.provider.getTransactionReceipt(hash));
+        return known ? hash : null;
+    }
+
+    async firstBroadcast(tx, explicitNonce) {
+        try {
+            return await this.broadcast(tx);
+        } catch (error) {
+            this.resetNonce();
+            if (!NONCE_TOO_LOW.test(messageOf(error))) {
+                throw error;
+            }
+            
+            // A broadcast the RPC reported as failed can still have reached the node, and
+            // its retry then finds the nonce used by this very transaction
+            const hash = await this.landedHash(tx);
+            if (hash) {
+                this.emit({ type: 'landed', nonce: tx.nonce, hash });
+                return { hash, tx: { ...tx } };
+            }
+            if (explicitNonce) {
+                throw error;
+            }
+        }
+        
+        // Another sender used this wallet since the nonce was read
+        this.emit({ type: 'resync', nonce: tx.nonce });
+        tx.nonce = await this.nextNonce();
+        try {
+            return await this.broadcast(tx);
+        } catch (error) {
+            this.resetNonce();
+            throw error;
+        }
+    }
+
+    /**
+     * Sends `request` and waits for its receipt. `options` overrides the manager's
+     * settings for this one transaction, e.g. { maxBumps: 0 } for fixed-fee sends.
+     * @returns {Promise<{ hash: string, receipt: import('ethers').TransactionReceipt, nonce: number, replaced: string[] }>}
+     *   replaced lists earlier versions that lost to the mined one
+     */
+    async send(request, options = {}) {
+        const settings = { ...this.options, ...options };
+        const tx = { ...request };
+        delete tx.from;
+        const explicitNonce = tx.nonce != null;
+        
+        // Sends are prepared and broadcast one at a time, in the order they were called:
+        // nonces follow the call order, and nodes that mine on arrival never see a nonce
+        // that skips ahead of one still being sent
+        const first = await this.locked(async () => {
+            if (tx.gasLimit == null) {
+                tx.gasLimit = await this.rpc('estimateGas', () => this.signer.estimateGas(request));
+            }
+            if (tx.chainId == null) {
+                tx.chainId = (await this.rpc('getNetwork', () => this.provider.getNetwork())).chainId;
+            }
+            if (tx.gasPrice == null && tx.maxFeePerGas == null) {
+                Object.assign(tx, await this.networkFees());
+            }
+            tx.nonce = explicitNonce ? this.useNonce(tx.nonce) : await this.nextNonce();
+            return this.firstBroadcast(tx, explicitNonce);
+        });
+        return this.waitFor([first], settings);
+    }
+
+    async waitFor(sent, settings) {
+        const startedAt = Date.now();
+        const { nonce } = sent[0].tx;
+        let lastSentAt = startedAt;
+        let consumedPolls = 0;
+        
+        while (true) {
+            // Any version can be the one that gets mined, newest first
+            for (const { hash } of [...sent].reverse()) {
+                const receipt = await this.rpc('getTransactionReceipt', () => this.provider.getTransactionReceipt(hash));
+                if (receipt) {
+                    return this.confirm(receipt, sent, settings, startedAt);
+                }
+            }
+            
+            const hashes = sent.map(({ hash }) => hash);
+            if (Date.now() - startedAt >= settings.timeoutMs) {
+                // The nonce may never be used, so the next send reads it from the chain again
+                this.resetNonce();
+                throw new MarketplaceError(`Transaction with nonce ${nonce} not mined after ${settings.timeoutMs} ms (${hashes.join(', ')})`, {
+                    code: 'TX_TIMEOUT',
+                    method: 'send'
+                });
+            }
+            
+            const latestNonce = await this.rpc('getNonce', () => this.provider.getTransactionCount(this.address, 'latest'));
+            if (latestNonce > nonce) {
+                // Load-balanced RPCs can lag on receipts, so a few polls pass before giving up
+                if (++consumedPolls >= 3) {
+                    this.resetNonce();
+                    throw new MarketplaceError(`Nonce ${nonce} was used by a transaction other than ${hashes.join(', ')}`, {
+                        code: 'TX_REPLACED',
+                        method: 'send'
+                    });
+                }
+            } else {
+                const latest = sent[sent.length - 1];
+                const pending = await this.rpc('getTransaction', () => this.provider.getTransaction(latest.hash));
+                if (!pending) {
+                    this.emit({ type: 'rebroadcast', nonce, hash: latest.hash });
+                    await this.broadcast(latest.tx).catch(error => this.emit({ type: 'retry', method: 'rebroadcast', attempt: 1, delayMs: 0, error }));
+                } else if (sent.length <= settings.maxBumps && Date.now() - lastSentAt >= settings.bumpAfterMs) {
+                    lastSentAt = Date.now();
+                    await this.replace(sent, latest);
+                }
+            }
+            
+            await sleep(settings.pollIntervalMs);
+        }
+    }
+
+    async replace(sent, latest) {
+        const tx = { ...latest.tx, ...(await this.bumpedFees(latest.tx)) };
+        try {
+            const replacement = await this.broadcast(tx);
+            sent.push(replacement);
+            this.emit({ type: 'bump', nonce: tx.nonce, hash: replacement.hash, replaces: latest.hash, maxFeePerGas: tx.maxFeePerGas, gasPrice: tx.gasPrice });
+        } catch (error) {
+            // Mined meanwhile, or not enough of a bump for this node: the next poll sorts it out
+            if (!NONCE_TOO_LOW.test(messageOf(error)) && !UNDERPRICED.test(messageOf(error))) {
+                throw error;
+            }
+        }
+    }
+
+    async confirm(receipt, sent, settings, startedAt) {
+        if (receipt.status === 0) {
+            throw ethers.makeError('transaction execution reverted', 'CALL_EXCEPTION', {
+                action: 'sendTransaction',
+                data: null,
+                reason: null,
+                invocation: null,
+                revert: null,
+                transaction: { to: receipt.to, from: receipt.from, data: '' },
+                receipt
+            });
+        }
+        
+        while (await this.rpc('getBlockNumber', () => receipt.confirmations()) < settings.confirmations) {
+            if (Date.now() - startedAt >= settings.timeoutMs) {
+                throw new MarketplaceError(`Transaction ${receipt.hash} has fewer than ${settings.confirmations} confirmations after ${settings.timeoutMs} ms`, {
+                    code: 'TX_TIMEOUT',
+                    method: 'send'
+                });
+            }
+            await sleep(settings.pollIntervalMs);
+        }
+        
+        return {
+            hash: receipt.hash,
+            receipt,
+            nonce: sent[0].tx.nonce,
+            replaced: sent.map(({ hash }) => hash).filter(hash => hash !== receipt.hash)
+        };
+    }
+}
+
+module.exports = { TransactionManager, FailoverProvider, withRetries, isRetryableRpcError, TRANSACTION_DEFAULTS: DEFAULTS };
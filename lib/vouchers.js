@@ -0,0 +1,297 @@
+// lib/vouchers.js - Signed cumulative payment vouchers (EIP-712) for paying calls off-chain
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { MarketplaceError } = require('./errors');
+const { toWei } = require('./client');
+
+const VOUCHER_TYPES = {
+    PaymentVoucher: [
+        { name: 'apiId', type: 'uint256' },
+        { name: 'consumer', type: 'address' },
+        { name: 'amount', type: 'uint256' }
+    ]
+};
+
+/**
+ * @typedef {Object} Voucher
+ * @property {bigint} apiId
+ * @property {string} consumer
+ * @property {bigint} amount      wei owed for every call so far, not just the last one
+ * @property {string} signature   the consumer's EIP-712 signature
+ */
+
+function voucherError(code, message) {
+    return new MarketplaceError(message, { code, method: 'verifyVoucher' });
+}
+
+/** Vouchers only count on one chain, for one deployment of the contract */
+function voucherDomain({ chainId, contractAddress }) {
+    if (chainId === undefined || !ethers.isAddress(contractAddress)) {
+        throw new MarketplaceError('Vouchers need the chainId and contractAddress they are for', {
+            code: 'INVALID_ARGUMENT',
+            method: 'voucherDomain'
+        });
+    }
+    return { name: 'APIMarketplace', version: '1', chainId: BigInt(chainId), verifyingContract: ethers.getAddress(contractAddress) };
+}
+
+/** Chain and contract `client` talks to, read from its network */
+async function clientDomain(client) {
+    const provider = client.runner.provider || client.runner;
+    const { chainId } = await client.call('getNetwork', () => provider.getNetwork());
+    return { chainId, contractAddress: client.address };
+}
+
+/** JSON for headers and files, amounts as decimal strings */
+function serializeVoucher(voucher) {
+    return JSON.stringify({
+        apiId: voucher.apiId.toString(),
+        consumer: voucher.consumer,
+        amount: voucher.amount.toString(),
+        signature: voucher.signature
+    });
+}
+
+// Amounts and ids arrive as bigints, or as decimal strings from JSON
+const isUint = value => (typeof value === 'bigint' && value >= 0n) || (typeof value === 'string' && /^\d+$/.test(value));
+
+/**
+ * Checks the shape of a voucher from JSON or an object, the signature is checked by VoucherVerifier.
+ * @returns {Voucher}
+ */
+function parseVoucher(input) {
+    let raw = input;
+    if (typeof input === 'string') {
+        try {
+            raw = JSON.parse(input);
+        } catch {
+            throw voucherError('VOUCHER_INVALID', 'Voucher is not valid JSON');
+        }
+    }
+    if (!raw || !isUint(raw.apiId) || !isUint(raw.amount) || !ethers.isAddress(raw.consumer) || !ethers.isHexString(raw.signature, 65)) {
+        throw voucherError('VOUCHER_INVALID', 'Voucher needs an apiId, consumer, amount and signature');
+    }
+    return { apiId: BigInt(raw.apiId), consumer: ethers.getAddress(raw.consumer), amount: BigInt(raw.amount), signature: raw.signature };
+}
+
+/**
+ * Consumer side: signs one voucher per call, each for the running total owed
+ * to the API. Losing a voucher costs nothing, the next one covers it.
+ *
+ * The latest voucher signed for each API is kept in `options.store`, a
+ * VoucherStore. Give it a file so the totals survive a restart: a signer
+ * starting again from 0 would sign totals the provider already accepted.
+ */
+class VoucherSigner {
+    /**
+     * @param {import('ethers').Signer} signer
+     * @param {{ chainId: bigint|number, contractAddress: string }} domain
+     * @param {{ store?: VoucherStore }} [options]
+     */
+    constructor(signer, domain, options = {}) {
+        this.signer = signer;
+        this.domain = voucherDomain(domain);
+        this.store = options.store || new VoucherStore();
+        this.locks = new Map();
+    }
+
+    /** A signer for the contract and chain `client` is connected to, signing with its wallet */
+    static async for(client, options = {}) {
+        return new VoucherSigner(client.runner, await clientDomain(client), options);
+    }
+
+    get address() {
+        return this.signer.address;
+    }
+
+    /** Total signed for `apiId` so far */
+    async total(apiId) {
+        const latest = await this.store.get(BigInt(apiId), await this.signer.getAddress());
+        return latest ? latest.amount : 0n;
+    }
+
+    // Runs `fn` after every earlier locked call for the same API has finished
+    async locked(key, fn) {
+        const result = (this.locks.get(key) || Promise.resolve()).then(fn);
+        const lock = result.catch(() => {});
+        this.locks.set(key, lock);
+        lock.then(() => {
+            if (this.locks.get(key) === lock) {
+                this.locks.delete(key);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Signs a voucher raising the total for `apiId` by `price`. Calls for one API sign
+     * one after the other, so concurrent calls never sign the same total, and a failed
+     * signature leaves the total where it was.
+     * @returns {Promise<Voucher>}
+     */
+    async pay(apiId, price) {
+        const increment = toWei(price, 'price');
+        if (increment <= 0n) {
+            throw new MarketplaceError('A voucher has to raise the amount owed', { code: 'INVALID_ARGUMENT', method: 'pay' });
+        }
+        const key = BigInt(apiId).toString();
+        
+        return this.locked(key, async () => {
+            const amount = await this.total(apiId) + increment;
+            const message = { apiId: BigInt(apiId), consumer: await this.signer.getAddress(), amount };
+            const signature = await this.signer.signTypedData(this.domain, VOUCHER_TYPES, message);
+            const voucher = { ...message, signature };
+            await this.store.set(voucher);
+            return voucher;
+        });
+    }
+}
+
+/**
+ * The latest voucher per consumer and API, the one to settle.
+ * Pass `file` to keep them as JSON on disk so a restart loses nothing.
+ */
+class VoucherStore {
+    constructor(file = null) {
+        this.file = file;
+        this.vouchers = new Map();
+        if (file && fs.existsSync(file)) {
+            for (const saved of JSON.parse(fs.readFileSync(file, 'utf8'))) {
+                const voucher = parseVoucher(saved);
+                this.vouchers.set(VoucherStore.key(voucher.apiId, voucher.consumer), voucher);
+            }
+        }
+    }
+
+    static key(apiId, consumer) {
+        return `${apiId}:${consumer.toLowerCase()}`;
+    }
+
+    async get(apiId, consumer) {
+        return this.vouchers.get(VoucherStore.key(apiId, consumer)) || null;
+    }
+
+    async set(voucher) {
+        this.vouchers.set(VoucherStore.key(voucher.apiId, voucher.consumer), voucher);
+        this.save();
+    }
+
+    async all() {
+        return [...this.vouchers.values()];
+    }
+
+    save() {
+        if (!this.file) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify([...this.vouchers.values()].map(voucher => JSON.parse(serializeVoucher(voucher))), null, 2));
+    }
+}
+
+/**
+ * Provider side: accepts a voucher when the consumer signed it for this API,
+ * contract and chain, and it raises what the consumer owes by at least the
+ * price of the call. Throws MarketplaceError with a VOUCHER_* code otherwise.
+ *
+ * Options:
+ *   apiId                 API this server sells (required)
+ *   chainId, contractAddress   the domain vouchers are signed for (required)
+ *   pricePerCall          minimum raise per voucher, default 0 (any raise)
+ *   store                 VoucherStore, default in-memory
+ */
+class VoucherVerifier {
+    constructor(options = {}) {
+        if (options.apiId === undefined) {
+            throw new MarketplaceError('VoucherVerifier needs the apiId it is protecting', {
+                code: 'INVALID_ARGUMENT',
+                method: 'VoucherVerifier'
+            });
+        }
+        
+        this.apiId = BigInt(options.apiId);
+        this.domain = voucherDomain(options);
+        this.pricePerCall = options.pricePerCall === undefined ? 0n : toWei(options.pricePerCall, 'pricePerCall');
+        this.store = options.store || new VoucherStore();
+        this.pending = new Set();
+    }
+
+    /** A verifier for the contract and chain `client` is connected to, charging the API's on-chain price */
+    static async for(client, options = {}) {
+        const domain = await clientDomain(client);
+        const { pricePerCall } = await client.getAPI(options.apiId);
+        return new VoucherVerifier({ ...options, pricePerCall, ...domain });
+    }
+
+    /** The consumer who signed `voucher`, or null when the signature doesn't recover */
+    recover(voucher) {
+        try {
+            const { apiId, consumer, amount } = voucher;
+            return ethers.verifyTypedData(this.domain, VOUCHER_TYPES, { apiId, consumer, amount }, voucher.signature);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Checks a voucher and keeps it as the consumer's latest.
+     * @returns {Promise<{ voucher: Voucher, consumer: string, amount: bigint, increment: bigint }>}
+     */
+    async verify(input) {
+        const voucher = parseVoucher(input);
+        if (voucher.apiId !== this.apiId) {
+            throw voucherError('VOUCHER_MISMATCH', `Voucher is for API ${voucher.apiId}, not ${this.apiId}`);
+        }
+        
+        // A voucher signed for another contract or chain recovers to some other address
+        const signer = this.recover(voucher);
+        if (!signer || signer !== voucher.consumer) {
+            throw voucherError('VOUCHER_INVALID_SIGNATURE', `Voucher is not signed by ${voucher.consumer} for this contract and chain`);
+        }
+        
+        // Claimed before any await so two concurrent vouchers can't both raise from the same total
+        const key = VoucherStore.key(voucher.apiId, voucher.consumer);
+        if (this.pending.has(key)) {
+            throw voucherError('VOUCHER_REPLAYED', `Another voucher from ${voucher.consumer} is being verified`);
+        }
+        this.pending.add(key);
+        
+        try {
+            const latest = await this.store.get(voucher.apiId, voucher.consumer);
+            const previous = latest ? latest.amount : 0n;
+            if (voucher.amount === previous) {
+                throw voucherError('VOUCHER_REPLAYED', `A voucher for ${ethers.formatEther(voucher.amount)} ETH was already accepted`);
+            }
+            if (voucher.amount < previous) {
+                throw voucherError('VOUCHER_AMOUNT_DECREASED', `Voucher for ${ethers.formatEther(voucher.amount)} ETH is below the ${ethers.formatEther(previous)} ETH already accepted`);
+            }
+            
+            const increment = voucher.amount - previous;
+            if (increment < this.pricePerCall) {
+                throw voucherError('VOUCHER_INSUFFICIENT', `Voucher raises the total by ${ethers.formatEther(increment)} ETH, below the price of ${ethers.formatEther(this.pricePerCall)} ETH`);
+            }
+            
+            await this.store.set(voucher);
+            return { voucher, consumer: voucher.consumer, amount: voucher.amount, increment };
+        } finally {
+            this.pending.delete(key);
+        }
+    }
+
+    /** Latest voucher of every consumer of this API, what settlement would collect */
+    async settlements() {
+        return (await this.store.all()).filter(voucher => voucher.apiId === this.apiId);
+    }
+}
+
+module.exports = {
+    VOUCHER_TYPES,
+    voucherDomain,
+    clientDomain,
+    serializeVoucher,
+    parseVoucher,
+    VoucherSigner,
+    VoucherVerifier,
+    VoucherStore
+};
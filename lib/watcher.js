@@ -0,0 +1,504 @@
+// lib/watcher.js - Follows marketplace events and delivers them to providers as signed webhooks
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { MarketplaceError } = require('./errors');
+const { toIndexedEvent, blockHashes, readBlockRange } = require('./indexer');
+
+// Events about one API, the ones a provider can subscribe to
+const WEBHOOK_EVENTS = ['APIRegistered', 'APIPayment', 'APICallReported', 'ProviderSlashed', 'APIDeactivated', 'WithdrawalRequested', 'StakeWithdrawn'];
+
+const SIGNATURE_HEADER = 'x-marketplace-signature';
+const TIMESTAMP_HEADER = 'x-marketplace-timestamp';
+const DELIVERY_HEADER = 'x-marketplace-delivery';
+const EVENT_HEADER = 'x-marketplace-event';
+
+const DEFAULTS = {
+    intervalMs: 5000,
+    confirmations: 0,
+    reorgDepth: 12,
+    batchSize: 2000,
+    maxAttempts: 5,
+    backoffMs: 1000,
+    timeoutMs: 5000
+};
+
+/** HMAC-SHA256 over "<timestamp>.<body>", hex encoded */
+function signWebhook(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * For receivers: checks the signature of a webhook against the raw request body and
+ * refuses ones signed more than `toleranceMs` ago, so captured requests can't be replayed later.
+ * @returns {boolean}
+ */
+function verifyWebhook({ secret, body, headers, toleranceMs = 5 * 60 * 1000, now = Date.now() }) {
+    const timestamp = Number(headers[TIMESTAMP_HEADER]);
+    const signature = String(headers[SIGNATURE_HEADER] || '');
+    if (!Number.isInteger(timestamp) || Math.abs(now - timestamp * 1000) > toleranceMs) {
+        return false;
+    }
+    const expected = Buffer.from(`sha256=${signWebhook(secret, timestamp, body)}`);
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * @typedef {Object} Delivery
+ * @property {string} id            `<webhook>:<txHash>:<n>` for the transaction's n-th marketplace event,
+ *                                  the same on every attempt and when a reorg mines the transaction again
+ * @property {string} webhook       name of the webhook it goes to
+ * @property {Object} payload       the event as sent, see EventWatcher
+ * @property {number} attempts
+ * @property {number} nextAttemptAt ms timestamp
+ * @property {string|null} lastError
+ */
+
+/**
+ * Checkpoint and outbox of an EventWatcher. Events are queued in the same write that
+ * moves the checkpoint past them, and only leave the outbox once delivered, so a
+ * restart resends rather than loses them. The hashes of the last blocks read and the
+ * deliveries made from them are kept to notice and undo reorgs.
+ * Pass `file` to keep it as JSON on disk.
+ */
+class WatcherStore {
+    constructor(file = null) {
+        this.file = file;
+        this.data = { checkpoint: null, recentBlocks: [], recentDeliveries: {}, outbox: [], providers: {}, delivered: 0, reorgs: 0 };
+        
+        if (file && fs.existsSync(file)) {
+            this.data = { ...this.data, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+        }
+    }
+
+    /** @returns {number|null} last block whose events are queued */
+    get checkpoint() {
+        return this.data.checkpoint;
+    }
+
+    /** @returns {Delivery[]} */
+    get outbox() {
+        return this.data.outbox;
+    }
+
+    // Provider of every API seen so far, filters need it for events that only carry the apiId
+    get providers() {
+        return this.data.providers;
+    }
+
+    get delivered() {
+        return this.data.delivered;
+    }
+
+    /** @returns {{ number: number, hash: string }[]} the last blocks read, oldest first */
+    get recentBlocks() {
+        return this.data.recentBlocks;
+    }
+
+    // Block of every delivery made from the recent blocks, by delivery id
+    get recentDeliveries() {
+        return this.data.recentDeliveries;
+    }
+
+    get reorgs() {
+        return this.data.reorgs;
+    }
+
+    /** Queues the deliveries of a block range read up to `checkpoint`, with the hashes of its last blocks */
+    enqueue(deliveries, checkpoint, recentBlocks = [], keep = DEFAULTS.reorgDepth) {
+        this.data.outbox.push(...deliveries);
+        this.data.checkpoint = checkpoint;
+        
+        const byNumber = new Map(this.data.recentBlocks.map(block => [block.number, block]));
+        for (const block of recentBlocks) {
+            byNumber.set(block.number, block);
+        }
+        this.data.recentBlocks = [...byNumber.values()]
+            .sort((a, b) => a.number - b.number)
+            .slice(-keep);
+        const oldest = this.data.recentBlocks.length > 0 ? this.data.recentBlocks[0].number : Infinity;
+        for (const [id, blockNumber] of Object.entries(this.data.recentDeliveries)) {
+            if (blockNumber < oldest) {
+                delete this.data.recentDeliveries[id];
+            }
+        }
+        this.save();
+    }
+
+    remove(delivery, { delivered }) {
+        this.data.outbox = this.data.outbox.filter(entry => entry.id !== delivery.id);
+        if (delivered) {
+            this.data.delivered++;
+            this.data.recentDeliveries[delivery.id] = delivery.payload.blockNumber;
+        }
+        this.save();
+    }
+
+    /**
+     * Moves the checkpoint back to `blockNumber` and drops the undelivered events of later blocks.
+     * @returns {Delivery[]} the dropped deliveries
+     */
+    rewind(blockNumber) {
+        const dropped = this.data.outbox.filter(delivery => delivery.payload.blockNumber > blockNumber);
+        this.data.outbox = this.data.outbox.filter(delivery => delivery.payload.blockNumber <= blockNumber);
+        this.data.recentBlocks = this.data.recentBlocks.filter(block => block.number <= blockNumber);
+        this.data.checkpoint = blockNumber;
+        this.data.reorgs++;
+        this.save();
+        return dropped;
+    }
+
+    save() {
+        if (!this.file) {
+            return;
+        }
+        // Through a temporary file, so a crash mid-write can't cost the outbox
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(`${this.file}.tmp`, JSON.stringify(this.data, null, 2));
+        fs.renameSync(`${this.file}.tmp`, this.file);
+    }
+}
+
+function webhookError(message) {
+    return new MarketplaceError(message, { code: 'INVALID_ARGUMENT', method: 'EventWatcher' });
+}
+
+function toWebhook(config) {
+    if (!config.url || !config.secret) {
+        throw webhookError('Every webhook needs a url and a secret to sign with');
+    }
+    const lower = values => (values && values.length > 0 ? new Set(values.map(value => String(value).toLowerCase())) : null);
+    const unknown = (config.events || []).filter(name => !WEBHOOK_EVENTS.includes(name));
+    if (unknown.length > 0) {
+        throw webhookError(`Unknown event(s) ${unknown.join(', ')}, expected some of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    return {
+        name: config.name || config.url,
+        url: config.url,
+        secret: config.secret,
+        providers: lower(config.providers),
+        apiIds: lower(config.apiIds),
+        events: config.events && config.events.length > 0 ? new Set(config.events) : null
+    };
+}
+
+/**
+ * Reads marketplace events block range by block range, from a checkpoint, and POSTs each
+ * one as signed JSON to every webhook whose filters it passes. Delivery is at least once:
+ * a receiver can see the same delivery id again after a retry or a restart and should
+ * ignore ids it already handled.
+ *
+ * The JSON body is the event as lib/indexer.js stores it, plus its id, provider, chainId
+ * and contract. Headers carry the delivery id, the event name, a unix timestamp and
+ * `sha256=<hmac>` of "<timestamp>.<body>" with the webhook's secret, see verifyWebhook.
+ *
+ * Reorgs up to `reorgDepth` blocks deep are caught like EventIndexer does, by comparing the
+ * saved hashes of the last blocks read: the watcher reads again from the newest one that
+ * still matches. Undelivered events of orphaned blocks are dropped and queued again when
+ * the new chain has them; ones already delivered are not sent twice. A delivery can't be
+ * taken back, so one from a block that ends up orphaned stays delivered, the 'reorg' event
+ * lists them. `confirmations` trades latency for that: at the default 0 events go out as
+ * soon as they are mined, a few blocks behind the head they rarely get orphaned.
+ *
+ * Options:
+ *   webhooks        [{ name, url, secret, providers, apiIds, events }], filters are optional
+ *                   lists and an event has to pass all that are given
+ *   store           WatcherStore, default in-memory
+ *   fromBlock       first block to read without a checkpoint, default the current head
+ *   deadLetterFile  JSON lines file for deliveries that ran out of attempts
+ *   subscribe       read as soon as the provider announces a block (websocket providers push
+ *                   them), on top of every intervalMs
+ *   fetch, onEvent  called with { type: 'queued'|'delivered'|'retry'|'dead-letter'|'reorg'|'error', ... }
+ *   intervalMs, confirmations, reorgDepth, batchSize, maxAttempts, backoffMs, timeoutMs (see DEFAULTS),
+ *   retries wait backoffMs, then twice as long each time
+ */
+class EventWatcher {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.provider = client.runner.provider || client.runner;
+        this.options = { ...DEFAULTS };
+        for (const key of Object.keys(DEFAULTS)) {
+            if (options[key] !== undefined) {
+                this.options[key] = options[key];
+            }
+        }
+        this.webhooks = new Map((options.webhooks || []).map(config => {
+            const webhook = toWebhook(config);
+            return [webhook.name, webhook];
+        }));
+        this.store = options.store || new WatcherStore();
+        this.fromBlock = options.fromBlock ?? null;
+        this.deadLetterFile = options.deadLetterFile || null;
+        this.subscribe = Boolean(options.subscribe);
+        this.fetch = options.fetch || fetch;
+        this.onEvent = options.onEvent || null;
+        this.chainId = null;
+        this.timer = null;
+        this.running = null;
+        this.onBlock = () => this.tick();
+    }
+
+    emit(event) {
+        if (this.onEvent) {
+            this.onEvent(event);
+        }
+    }
+
+    async providerOf(apiId) {
+        if (!this.store.providers[apiId]) {
+            this.store.providers[apiId] = (await this.client.getAPI(apiId)).provider;
+        }
+        return this.store.providers[apiId];
+    }
+
+    matches(webhook, payload) {
+        return (!webhook.events || webhook.events.has(payload.name)) &&
+            (!webhook.apiIds || webhook.apiIds.has(payload.apiId)) &&
+            (!webhook.providers || webhook.providers.has(payload.provider.toLowerCase()));
+    }
+
+    /**
+     * Compares the saved block hashes with the chain and rewinds to the newest one that
+     * still matches, or to just before the oldest one when none do.
+     * @returns {Promise<number|undefined>} block rewound to, undefined when nothing changed
+     */
+    async handleReorg() {
+        const saved = this.store.recentBlocks;
+        if (saved.length === 0) {
+            return undefined;
+        }
+        
+        let rewoundTo = saved[0].number - 1;
+        for (let index = saved.length - 1; index >= 0; index--) {
+            const block = await this.provider.getBlock(saved[index].number);
+            if (block && block.hash === saved[index].hash) {
+                if (index === saved.length - 1) {
+                    return undefined;
+                }
+                rewoundTo = saved[index].number;
+                break;
+            }
+        }
+        
+        const orphaned = Object.entries(this.store.recentDeliveries)
+            .filter(([, blockNumber]) => blockNumber > rewoundTo)
+            .map(([id]) => id);
+        const dropped = this.store.rewind(rewoundTo);
+        this.emit({ type: 'reorg', rewoundTo, dropped, orphaned });
+        return rewoundTo;
+    }
+
+    /**
+     * Queues the events of every block since the checkpoint, up to the head minus confirmations,
+     * after rewinding past a reorg.
+     * @returns {Promise<{ fromBlock: number, toBlock: number, events: number, queued: number, rewoundTo: number|undefined }>}
+     */
+    async poll() {
+        return this.client.call('poll', async () => {
+            if (this.chainId === null) {
+                this.chainId = (await this.provider.getNetwork()).chainId.toString();
+            }
+            const rewoundTo = await this.handleReorg();
+            const head = await this.provider.getBlockNumber();
+            const target = head - this.options.confirmations;
+            const { reorgDepth } = this.options;
+            if (this.store.checkpoint === null && this.fromBlock === null) {
+                // Nothing to catch up on when starting fresh from the head
+                this.store.enqueue([], target, await blockHashes(this.provider, Math.max(target, 0), target), reorgDepth);
+            }
+            const fromBlock = this.store.checkpoint === null ? this.fromBlock : this.store.checkpoint + 1;
+            
+            let events = 0;
+            let queued = 0;
+            for (let from = fromBlock; from <= target; from += this.options.batchSize) {
+                const to = Math.min(from + this.options.batchSize - 1, target);
+                const { logs, blocks } = await readBlockRange(this.provider, {
+                    address: this.client.address,
+                    fromBlock: from,
+                    toBlock: to,
+                    hashesFrom: Math.max(from, to - reorgDepth + 1)
+                });
+                
+                // A transaction mined again after a reorg usually lands at another logIndex,
+                // its events keep their order within it
+                const positions = new Map();
+                const counts = new Map();
+                for (const log of logs) {
+                    const position = counts.get(log.transactionHash) || 0;
+                    positions.set(`${log.transactionHash}:${log.index}`, position);
+                    counts.set(log.transactionHash, position + 1);
+                }
+                
+                const deliveries = [];
+                for (const event of this.client.parseEvents({ logs }).filter(event => WEBHOOK_EVENTS.includes(event.name))) {
+                    const indexed = toIndexedEvent(event);
+                    const apiId = indexed.args.apiId;
+                    if (event.name === 'APIRegistered') {
+                        this.store.providers[apiId] = indexed.args.provider;
+                    }
+                    const payload = {
+                        id: `${indexed.txHash}:${positions.get(`${indexed.txHash}:${indexed.logIndex}`)}`,
+                        ...indexed,
+                        apiId,
+                        provider: await this.providerOf(apiId),
+                        chainId: this.chainId,
+                        contract: this.client.address
+                    };
+                    // A delivery made before a reorg isn't repeated for the same event in the new chain
+                    const matching = [...this.webhooks.values()]
+                        .filter(webhook => this.matches(webhook, payload))
+                        .filter(webhook => this.store.recentDeliveries[`${webhook.name}:${payload.id}`] === undefined);
+                    deliveries.push(...matching.map(webhook => ({
+                        id: `${webhook.name}:${payload.id}`,
+                        webhook: webhook.name,
+                        payload,
+                        attempts: 0,
+                        nextAttemptAt: 0,
+                        lastError: null
+                    })));
+                    events++;
+                    if (matching.length > 0) {
+                        this.emit({ type: 'queued', payload, webhooks: matching.map(webhook => webhook.name) });
+                    }
+                }
+                this.store.enqueue(deliveries, to, blocks, reorgDepth);
+                queued += deliveries.length;
+            }
+            
+            return { fromBlock, toBlock: target, events, queued, rewoundTo };
+        });
+    }
+
+    /** POSTs one delivery, throws when the receiver doesn't answer with a 2xx */
+    async post(webhook, delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000);
+        let response;
+        try {
+            response = await this.fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'content-type': 'application/json',
+                    [EVENT_HEADER]: delivery.payload.name,
+                    [DELIVERY_HEADER]: delivery.id,
+                    [TIMESTAMP_HEADER]: String(timestamp),
+                    [SIGNATURE_HEADER]: `sha256=${signWebhook(webhook.secret, timestamp, body)}`
+                },
+                body,
+                signal: AbortSignal.timeout(this.options.timeoutMs)
+            });
+        } catch (error) {
+            const reason = error.name === 'TimeoutError' ? `no answer within ${this.options.timeoutMs}ms` : (error.cause && error.cause.message) || error.message;
+            throw new Error(reason);
+        }
+        await response.arrayBuffer().catch(() => {});
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+    }
+
+    async deliver(delivery) {
+        const webhook = this.webhooks.get(delivery.webhook);
+        try {
+            if (!webhook) {
+                throw new Error(`webhook ${delivery.webhook} is no longer configured`);
+            }
+            await this.post(webhook, delivery);
+        } catch (error) {
+            delivery.attempts++;
+            delivery.lastError = error.message;
+            if (!webhook || delivery.attempts >= this.options.maxAttempts) {
+                this.deadLetter(delivery);
+                return false;
+            }
+            delivery.nextAttemptAt = Date.now() + this.options.backoffMs * 2 ** (delivery.attempts - 1);
+            this.store.save();
+            this.emit({ type: 'retry', delivery, error });
+            return false;
+        }
+        
+        delivery.attempts++;
+        this.store.remove(delivery, { delivered: true });
+        this.emit({ type: 'delivered', delivery });
+        return true;
+    }
+
+    deadLetter(delivery) {
+        if (this.deadLetterFile) {
+            fs.mkdirSync(path.dirname(this.deadLetterFile), { recursive: true });
+            fs.appendFileSync(this.deadLetterFile, `${JSON.stringify({ ...delivery, deadAt: new Date().toISOString() })}\n`);
+        }
+        this.store.remove(delivery, { delivered: false });
+        this.emit({ type: 'dead-letter', delivery });
+    }
+
+    /**
+     * Attempts every queued delivery that is due, oldest first.
+     * @returns {Promise<{ delivered: number, failed: number, pending: number }>}
+     */
+    async flush() {
+        let delivered = 0;
+        let failed = 0;
+        const due = this.store.outbox.filter(delivery => delivery.nextAttemptAt <= Date.now());
+        for (const delivery of due) {
+            if (await this.deliver(delivery)) {
+                delivered++;
+            } else {
+                failed++;
+            }
+        }
+        return { delivered, failed, pending: this.store.outbox.length };
+    }
+
+    /** One poll and flush, never two at once */
+    async tick() {
+        if (!this.running) {
+            this.running = (async () => {
+                try {
+                    const polled = await this.poll();
+                    return { ...polled, ...(await this.flush()) };
+                } catch (error) {
+                    this.emit({ type: 'error', error });
+                    return null;
+                } finally {
+                    this.running = null;
+                }
+            })();
+        }
+        return this.running;
+    }
+
+    /** Ticks now and every intervalMs, and on every new block when subscribed, until stop() */
+    async start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => this.tick(), this.options.intervalMs);
+        if (this.subscribe) {
+            await this.provider.on('block', this.onBlock);
+        }
+        await this.tick();
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.subscribe) {
+            await this.provider.off('block', this.onBlock);
+        }
+        await this.running;
+    }
+}
+
+module.exports = {
+    EventWatcher,
+    WatcherStore,
+    signWebhook,
+    verifyWebhook,
+    WEBHOOK_EVENTS,
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    DELIVERY_HEADER,
+    EVENT_HEADER
+};
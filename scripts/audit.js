@@ -0,0 +1,136 @@
+// scripts/audit.js - Checks the marketplace accounting invariants of a deployed contract
+//
+// Usage: node scripts/audit.js [--network <name>] [--address <address>] [--from-block <n>] [--block <n>] [--no-events] [--json]
+//
+//   --network     profile from networks.json (see scripts/networks.js), its chain and constants are checked first
+//   --address     contract to audit, default the network's deployment (see scripts/deployments.js)
+//   --from-block  where event indexing starts, default the deployment block (scanning from 0 is slow on public chains)
+//   --block       audit the state at this block instead of the head
+//   --no-events   skip the checks that need the contract's event history
+//
+// Exits with 1 when an invariant is violated.
+const { ethers } = require('ethers');
+const { MarketplaceClient } = require('../lib/client');
+const { MarketplaceError } = require('../lib/errors');
+const { InvariantChecker } = require('../lib/invariants');
+const { toJSON } = require('./format');
+const { createProvider } = require('./rpc');
+const { networkFromArgs, loadNetwork, verifyNetwork } = require('./networks');
+
+function usageError(message) {
+    return new MarketplaceError(message, { code: 'INVALID_ARGUMENT', method: 'audit' });
+}
+
+function parseArgs(argv) {
+    const options = { network: networkFromArgs([]), address: null, fromBlock: null, blockNumber: undefined, events: true, json: false };
+    const blockNumber = (flag, value) => {
+        if (!/^\d+$/.test(value || '')) {
+            throw usageError(`${flag} needs a block number`);
+        }
+        return Number(value);
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--network':
+                options.network = argv[++i];
+                break;
+            case '--address':
+                options.address = argv[++i];
+                break;
+            case '--from-block':
+                options.fromBlock = blockNumber(arg, argv[++i]);
+                break;
+            case '--block':
+                options.blockNumber = blockNumber(arg, argv[++i]);
+                break;
+            case '--no-events':
+                options.events = false;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            default:
+                throw usageError(`Unknown option "${arg}"`);
+        }
+    }
+    
+    if (options.address !== null && !ethers.isAddress(options.address)) {
+        throw usageError(`Invalid --address "${options.address}"`);
+    }
+    return options;
+}
+
+function formatValue(value) {
+    return Array.isArray(value) ? `[${value.join(', ')}]` : String(value);
+}
+
+/** Plain-text report: one line per invariant, then each violation with the values involved */
+function formatInvariantReport(report) {
+    const lines = [`🔍 Invariants for ${report.address} at block ${report.blockNumber}`];
+    
+    for (const result of report.results) {
+        if (result.status === 'passed') {
+            lines.push(`   ✅ ${result.name}`);
+        } else if (result.status === 'skipped') {
+            lines.push(`   ⏭️  ${result.name} (skipped, needs events)`);
+        } else {
+            lines.push(`   ❌ ${result.name}: ${result.description}`);
+            for (const { message, values } of result.violations) {
+                lines.push(`      • ${message}`);
+                lines.push(`        ${Object.entries(values).map(([name, value]) => `${name}=${formatValue(value)}`).join(', ')}`);
+            }
+        }
+    }
+    
+    const checked = report.results.filter(result => result.status !== 'skipped');
+    const held = checked.filter(result => result.status === 'passed').length;
+    lines.push(`📊 ${held}/${checked.length} invariants hold`);
+    return lines.join('\n');
+}
+
+/**
+ * Runs one audit. Tests pass their own provider and io to drive it in-process,
+ * `main` one for the profile's RPC URLs.
+ * @returns {Promise<import('../lib/invariants').InvariantReport>}
+ */
+async function run(argv, { provider, io }) {
+    const options = parseArgs(argv);
+    const profile = loadNetwork(options.network);
+    const address = options.address || profile.contractAddress;
+    if (!address) {
+        throw usageError(`No contract for "${profile.name}": pass --address, deploy one or set the profile's contractAddress in networks.json`);
+    }
+    
+    const client = new MarketplaceClient(address, provider);
+    await verifyNetwork(client, profile);
+    const checker = new InvariantChecker(client, { fromBlock: options.fromBlock ?? profile.deploymentBlock, events: options.events });
+    
+    const report = await checker.check({ blockNumber: options.blockNumber });
+    io.log(options.json ? toJSON(report) : formatInvariantReport(report));
+    return report;
+}
+
+async function main() {
+    try {
+        const argv = process.argv.slice(2);
+        const profile = loadNetwork(networkFromArgs(argv));
+        const report = await run(argv, {
+            provider: createProvider(profile.rpcUrls, { log: console.error }),
+            io: { log: message => console.log(message) }
+        });
+        if (!report.ok) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { run, parseArgs, formatInvariantReport };
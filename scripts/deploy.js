@@ -0,0 +1,224 @@
+// scripts/deploy.js - Compiles and deploys APIMarketplace, records the deployment and smoke tests it
+//
+// Usage: node scripts/deploy.js --network <name> [--oracle <address>] [--owner <address>] [--dry-run] [--yes]
+//
+//   --network  live profile from networks.json to deploy to (see scripts/networks.js)
+//   --oracle   address allowed to report calls and slash providers, default the deployer
+//   --owner    gets ownership (and slashed stakes) once deployed, default the deployer
+//   --dry-run  estimate the deployment's gas and fees, then stop without sending or recording anything
+//
+// The deployment is written to deployments/<network>.json (see scripts/deployments.js) as soon
+// as it is mined, where the test scripts and CLIs pick up its address. Its owner is updated once
+// ownership has been transferred, then phase1's constant checks run against it.
+// Deploys from PRIVATE_KEY in .env, through a TransactionManager configured by the TX_* settings.
+const { ethers } = require('ethers');
+const { MarketplaceClient } = require('../lib/client');
+const { MarketplaceError } = require('../lib/errors');
+const { TransactionManager } = require('../lib/transactions');
+const { DeploymentRegistry, abiHash } = require('./deployments');
+const { networkFromArgs, loadNetwork, verifyNetwork } = require('./networks');
+const { createProvider, transactionOptions } = require('./rpc');
+require('dotenv').config();
+
+const PRIVATE_KEY = process.env.PRIVATE_KEY;
+
+function usageError(message) {
+    return new MarketplaceError(message, { code: 'INVALID_ARGUMENT', method: 'deploy' });
+}
+
+function parseArgs(argv) {
+    const options = { network: networkFromArgs([]), oracle: null, owner: null, dryRun: false, yes: false };
+    const address = (flag, value) => {
+        if (!ethers.isAddress(value || '')) {
+            throw usageError(`${flag} needs an address`);
+        }
+        return ethers.getAddress(value);
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--network':
+                options.network = argv[++i];
+                break;
+            case '--oracle':
+                options.oracle = address(arg, argv[++i]);
+                break;
+            case '--owner':
+                options.owner = address(arg, argv[++i]);
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--yes':
+                options.yes = true;
+                break;
+            default:
+                throw usageError(`Unknown option "${arg}"`);
+        }
+    }
+    
+    return options;
+}
+
+/** Compiles the contracts with Hardhat and returns APIMarketplace's artifact */
+async function compileMarketplace() {
+    // Loaded lazily, booting Hardhat is slow
+    const hre = require('hardhat');
+    await hre.run('compile', { quiet: true });
+    return hre.artifacts.readArtifact('APIMarketplace');
+}
+
+/**
+ * Estimates the deployment transaction without sending it, priced at the most it could pay per gas.
+ * A constructor that would revert throws.
+ * @returns {Promise<{ gasLimit: bigint, maxFee: bigint }>}
+ */
+async function estimateDeployment({ signer, artifact, oracle }) {
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+    const gasLimit = await signer.estimateGas(await factory.getDeployTransaction(oracle));
+    const feeData = await signer.provider.getFeeData();
+    return { gasLimit, maxFee: gasLimit * (feeData.maxFeePerGas != null ? feeData.maxFeePerGas : feeData.gasPrice) };
+}
+
+/**
+ * Sends the deployment transaction and waits for it.
+ * @returns {Promise<{ address: string, hash: string, receipt: import('ethers').TransactionReceipt }>}
+ */
+async function deployMarketplace({ signer, artifact, oracle, transactions = TransactionManager.for(signer) }) {
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, signer);
+    const { hash, receipt } = await transactions.send(await factory.getDeployTransaction(oracle));
+    return { address: receipt.contractAddress, hash, receipt };
+}
+
+// phase1's constant checks against the new contract, without the test wallet setup
+async function smokeTest(client, profile, expected) {
+    const { FoundationTests } = require('./phase1');
+    const tests = new FoundationTests();
+    Object.assign(tests, { profile, network: profile.name, provider: client.runner.provider || client.runner, client1: client });
+    
+    const passed = await tests.runTest('Deployed Contract Constants', async () => {
+        await verifyNetwork(client, profile);
+        await tests.checkContractConstants({ ...expected, fresh: true });
+    });
+    return { passed, errors: tests.results.errors };
+}
+
+/**
+ * Runs one deployment. Tests pass their own signer, artifact, registry and io to drive it in-process.
+ * @returns {Promise<import('./deployments').Deployment|null>} null for a dry run or a declined confirmation
+ */
+async function run(argv, { signer, artifact, io, registry = new DeploymentRegistry(), transactions = TransactionManager.for(signer) }) {
+    const options = parseArgs(argv);
+    const profile = loadNetwork(options.network, { registry });
+    
+    // Checked before spending anything on a deployment to the wrong chain
+    const { chainId } = await signer.provider.getNetwork();
+    if (chainId !== profile.chainId) {
+        throw new MarketplaceError(`Network "${profile.name}" is chain ${profile.chainId}, but the RPC is connected to chain ${chainId}`, {
+            code: 'NETWORK_MISMATCH',
+            method: 'deploy'
+        });
+    }
+    
+    const deployer = await signer.getAddress();
+    const oracle = options.oracle || deployer;
+    const owner = options.owner || deployer;
+    io.info([
+        `🚀 Deploying APIMarketplace to ${profile.name} (chain ${chainId})`,
+        `   Deployer: ${deployer}`,
+        `   Oracle: ${oracle}`,
+        `   Owner: ${owner}`
+    ].join('\n'));
+    
+    if (options.dryRun) {
+        const { gasLimit, maxFee } = await estimateDeployment({ signer, artifact, oracle });
+        const transfer = owner !== deployer ? ', plus the ownership transfer' : '';
+        io.info(`   🔎 Would deploy with ${gasLimit} gas (up to ${ethers.formatEther(maxFee)} ETH in fees${transfer})`);
+        io.log('🧪 Dry run, nothing was sent or recorded');
+        return null;
+    }
+    if (!options.yes && !await io.confirm('Deploy? [y/N] ')) {
+        io.log('🚫 Cancelled, nothing was sent');
+        return null;
+    }
+    
+    const { address, hash, receipt } = await deployMarketplace({ signer, artifact, oracle, transactions });
+    io.log(`✅ Deployed at ${address} in block ${receipt.blockNumber} (tx ${hash})`);
+    
+    // Recorded before anything else can fail, so the address is never lost
+    let deployment = {
+        network: profile.name,
+        chainId: Number(chainId),
+        address,
+        transactionHash: hash,
+        blockNumber: receipt.blockNumber,
+        abiHash: abiHash(artifact.abi),
+        deployer,
+        owner: deployer,
+        oracle,
+        deployedAt: new Date().toISOString()
+    };
+    io.log(`📝 Recorded in ${registry.write(profile.name, deployment)}`);
+    
+    if (owner !== deployer) {
+        const contract = new ethers.Contract(address, artifact.abi, signer);
+        try {
+            const transfer = await transactions.send(await contract.transferOwnership.populateTransaction(owner));
+            io.log(`👑 Ownership transferred to ${owner} (tx ${transfer.hash})`);
+        } catch (error) {
+            const cause = MarketplaceError.from(error, 'transferOwnership', contract.interface);
+            throw new MarketplaceError(`Deployed and recorded at ${address}, still owned by ${deployer}: ${cause.message}`, {
+                code: 'OWNERSHIP_TRANSFER_FAILED',
+                method: 'deploy',
+                cause
+            });
+        }
+        deployment = { ...deployment, owner };
+        registry.write(profile.name, deployment);
+    }
+    
+    const client = new MarketplaceClient(address, signer.provider);
+    const smoke = await smokeTest(client, { ...profile, contractAddress: address, deployment }, { oracle, owner });
+    if (!smoke.passed) {
+        throw new MarketplaceError(`Deployed and recorded, but the smoke test failed: ${smoke.errors.join('; ')}`, {
+            code: 'SMOKE_TEST_FAILED',
+            method: 'deploy'
+        });
+    }
+    io.log(`🎉 ${address} is live on ${profile.name}`);
+    return deployment;
+}
+
+async function main() {
+    const { consoleIO } = require('./marketplace');
+    try {
+        const argv = process.argv.slice(2);
+        const profile = loadNetwork(networkFromArgs(argv));
+        if (profile.inProcess) {
+            throw usageError(`The ${profile.name} network only lives inside test runs, pick a live one with --network`);
+        }
+        if (!PRIVATE_KEY) {
+            throw usageError('Please set PRIVATE_KEY in .env file, it pays for the deployment');
+        }
+        
+        console.log('🔨 Compiling...');
+        const artifact = await compileMarketplace();
+        const signer = new ethers.Wallet(PRIVATE_KEY, createProvider(profile.rpcUrls));
+        await run(argv, {
+            signer,
+            artifact,
+            io: consoleIO,
+            transactions: TransactionManager.for(signer, transactionOptions())
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { run, parseArgs, compileMarketplace, deployMarketplace, smokeTest };
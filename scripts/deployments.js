@@ -0,0 +1,58 @@
+// scripts/deployments.js - Per-network registry of APIMarketplace deployments
+//
+// deployments/<network>.json holds the latest deployment made with scripts/deploy.js.
+// Network profiles (scripts/networks.js) read their contract address and deployment
+// block from it, so every script talks to the contract that was deployed last.
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments');
+
+/**
+ * @typedef {Object} Deployment
+ * @property {string} network
+ * @property {number} chainId
+ * @property {string} address
+ * @property {string} transactionHash
+ * @property {number} blockNumber
+ * @property {string} abiHash       abiHash() of the compiled ABI that was deployed
+ * @property {string} deployer
+ * @property {string} owner
+ * @property {string} oracle
+ * @property {string} deployedAt    ISO timestamp
+ */
+
+/** Hash of an ABI's signatures, independent of its formatting and order */
+function abiHash(abi) {
+    const signatures = ethers.Interface.from(abi).fragments.map(fragment => fragment.format('full')).sort();
+    return ethers.id(signatures.join('\n'));
+}
+
+class DeploymentRegistry {
+    constructor(dir = DEPLOYMENTS_DIR) {
+        this.dir = dir;
+    }
+
+    file(network) {
+        return path.join(this.dir, `${network}.json`);
+    }
+
+    /** @returns {Deployment|null} */
+    read(network) {
+        const file = this.file(network);
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    /** Replaces the network's deployment, earlier ones live on in git history */
+    write(network, deployment) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(this.file(network), JSON.stringify(deployment, null, 2) + '\n');
+        return this.file(network);
+    }
+}
+
+module.exports = { DEPLOYMENTS_DIR, DeploymentRegistry, abiHash };
@@ -0,0 +1,219 @@
+// scripts/drift.js - Checks the hand-written CONTRACT_ABI against the compiled APIMarketplace
+//
+// Usage: node scripts/drift.js [--json]
+//
+// Lists functions, events and errors that are missing from lib/abi.js, that it has but the
+// contract doesn't, and those whose parameters, struct fields or mutability differ. A wrong
+// getAPI tuple would otherwise decode silently into the wrong fields. scripts/test.js runs
+// this before any suite, and TestBase before any phase. On live networks TestBase also
+// compares the ABI hash the registry recorded for the deployment with the compiled one.
+// Exits with 1 when CONTRACT_ABI has drifted.
+const { ethers } = require('ethers');
+const { CONTRACT_ABI } = require('../lib/abi');
+const { MarketplaceError } = require('../lib/errors');
+const { toJSON } = require('./format');
+const { compileMarketplace } = require('./deploy');
+const { abiHash } = require('./deployments');
+
+// Constructor and receive/fallback aren't called through CONTRACT_ABI
+const COMPARED_TYPES = ['function', 'event', 'error'];
+
+function usageError(message) {
+    return new MarketplaceError(message, { code: 'INVALID_ARGUMENT', method: 'drift' });
+}
+
+function parseArgs(argv) {
+    const options = { json: false };
+    
+    for (const arg of argv) {
+        switch (arg) {
+            case '--json':
+                options.json = true;
+                break;
+            default:
+                throw usageError(`Unknown option "${arg}"`);
+        }
+    }
+    
+    return options;
+}
+
+// Keyed by signature, so overloads of one name are compared one by one
+function fragmentsBySignature(abi) {
+    const fragments = new Map();
+    for (const fragment of ethers.Interface.from(abi).fragments) {
+        if (COMPARED_TYPES.includes(fragment.type)) {
+            fragments.set(`${fragment.type} ${fragment.format('sighash')}`, fragment);
+        }
+    }
+    return fragments;
+}
+
+// The fragments of one type and name among `fragments`
+function sameName(fragments, { type, name }) {
+    return fragments.filter(fragment => fragment.type === type && fragment.name === name);
+}
+
+function compareType(at, expected, actual, changes) {
+    if (expected.isArray() && actual.isArray() && expected.arrayLength === actual.arrayLength) {
+        compareType(`${at}[]`, expected.arrayChildren, actual.arrayChildren, changes);
+    } else if (expected.isTuple() && actual.isTuple()) {
+        compareParams(at, expected.components, actual.components, changes);
+    } else if (expected.format() !== actual.format()) {
+        changes.push(`${at} is ${actual.format()}, the contract has ${expected.format()}`);
+    }
+}
+
+// Positional, like the ABI coder: a reordered struct is as wrong as a retyped one
+function compareParams(where, expected, actual, changes) {
+    for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+        const want = expected[i];
+        const have = actual[i];
+        const at = `${where}.${(want || have).name || `#${i}`}`;
+        
+        if (!have) {
+            changes.push(`${at} (${want.format()}) is missing`);
+            continue;
+        }
+        if (!want) {
+            changes.push(`${at} (${have.format()}) is not in the contract`);
+            continue;
+        }
+        // Naming an unnamed parameter (like a mapping getter's key) changes nothing
+        if (want.name && want.name !== have.name) {
+            changes.push(`${where}.#${i} is named "${have.name}", the contract calls it "${want.name}"`);
+        }
+        if (Boolean(want.indexed) !== Boolean(have.indexed)) {
+            changes.push(`${at} is ${have.indexed ? '' : 'not '}indexed, the contract's is ${want.indexed ? '' : 'not '}indexed`);
+        }
+        compareType(at, want, have, changes);
+    }
+}
+
+function compareFragments(expected, actual) {
+    const changes = [];
+    compareParams(expected.name, expected.inputs, actual.inputs, changes);
+    if (expected.type === 'function') {
+        compareParams(`${expected.name} returns`, expected.outputs, actual.outputs, changes);
+        if (expected.stateMutability !== actual.stateMutability) {
+            changes.push(`${expected.name} is ${actual.stateMutability}, the contract has ${expected.stateMutability}`);
+        }
+    }
+    return changes;
+}
+
+/**
+ * Compares `abi` with the contract's compiled ABI.
+ * @returns {{ ok: boolean, compared: number, differences: Array<{ kind: 'missing'|'extra'|'changed', type: string, name: string, signature: string, changes: string[] }> }}
+ */
+function checkAbi(compiledAbi, abi = CONTRACT_ABI) {
+    const compiled = fragmentsBySignature(compiledAbi);
+    const written = fragmentsBySignature(abi);
+    const differences = [];
+    const difference = (kind, fragment, changes = []) => differences.push({
+        kind,
+        type: fragment.type,
+        name: fragment.name,
+        signature: fragment.format('full'),
+        changes
+    });
+    
+    const compare = (expected, actual) => {
+        const changes = compareFragments(expected, actual);
+        if (changes.length > 0) {
+            difference('changed', actual, changes);
+        }
+    };
+    
+    for (const [key, fragment] of compiled) {
+        if (written.has(key)) {
+            compare(fragment, written.get(key));
+        }
+    }
+    
+    // A retyped parameter changes the signature. When a name has a single unmatched fragment
+    // on each side they are the same one, and the change says what differs.
+    const missing = [...compiled].filter(([key]) => !written.has(key)).map(([, fragment]) => fragment);
+    const extra = [...written].filter(([key]) => !compiled.has(key)).map(([, fragment]) => fragment);
+    for (const fragment of missing) {
+        const counterparts = sameName(extra, fragment);
+        if (counterparts.length === 1 && sameName(missing, fragment).length === 1) {
+            compare(fragment, counterparts[0]);
+            extra.splice(extra.indexOf(counterparts[0]), 1);
+        } else {
+            difference('missing', fragment);
+        }
+    }
+    extra.forEach(fragment => difference('extra', fragment));
+    
+    return { ok: differences.length === 0, compared: compiled.size, differences };
+}
+
+/**
+ * Compares the ABI hash recorded with a registry deployment (scripts/deployments.js) against
+ * the compiled contract's. A contract deployed from other source, like one from before a
+ * getter was added, would revert on the calls CONTRACT_ABI makes to it.
+ * @returns {{ ok: boolean, known: boolean, message: string }}
+ */
+function checkDeployment(deployment, compiledAbi) {
+    if (!deployment || !deployment.abiHash) {
+        return { ok: true, known: false, message: '⚠️  No deployment with an ABI hash in the registry, the contract could be built from other source' };
+    }
+    
+    const compiled = abiHash(compiledAbi);
+    if (deployment.abiHash !== compiled) {
+        return {
+            ok: false,
+            known: true,
+            message: `❌ ${deployment.address} on ${deployment.network} was deployed from other source (ABI hash ${deployment.abiHash}, compiled ${compiled}), redeploy with \`npm run deploy -- --network ${deployment.network}\``
+        };
+    }
+    return { ok: true, known: true, message: `✅ ${deployment.address} was deployed from the compiled APIMarketplace` };
+}
+
+function formatDriftReport(report) {
+    if (report.ok) {
+        return `✅ CONTRACT_ABI matches the compiled APIMarketplace (${report.compared} functions, events and errors)`;
+    }
+    
+    const lines = [`❌ CONTRACT_ABI in lib/abi.js has drifted from the compiled APIMarketplace:`];
+    for (const { kind, signature, changes } of report.differences) {
+        if (kind === 'missing') {
+            lines.push(`   ➖ ${signature} is missing`);
+        } else if (kind === 'extra') {
+            lines.push(`   ➕ ${signature} is not in the contract`);
+        } else {
+            lines.push(`   ✏️  ${signature} differs:`);
+            changes.forEach(change => lines.push(`      ${change}`));
+        }
+    }
+    return lines.join('\n');
+}
+
+async function run(argv, { artifact, abi = CONTRACT_ABI, io }) {
+    const options = parseArgs(argv);
+    const report = checkAbi(artifact.abi, abi);
+    io.log(options.json ? toJSON(report) : formatDriftReport(report));
+    return report;
+}
+
+async function main() {
+    try {
+        const report = await run(process.argv.slice(2), {
+            artifact: await compileMarketplace(),
+            io: { log: message => console.log(message) }
+        });
+        if (!report.ok) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { run, parseArgs, checkAbi, checkDeployment, formatDriftReport };
@@ -0,0 +1,21 @@
+// scripts/format.js - Plain-text tables and BigInt-safe JSON for command-line output
+
+function toJSON(value) {
+    return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item), 2);
+}
+
+// columns: [title, key] pairs, rows: objects holding those keys
+function formatTable(rows, columns) {
+    const widths = columns.map(([title, key]) =>
+        Math.max(title.length, ...rows.map(row => String(row[key]).length))
+    );
+    const line = values => values.map((value, index) => String(value).padEnd(widths[index])).join('  ').trimEnd();
+    
+    return [
+        line(columns.map(([title]) => title)),
+        line(widths.map(width => '-'.repeat(width))),
+        ...rows.map(row => line(columns.map(([, key]) => row[key])))
+    ].join('\n');
+}
+
+module.exports = { toJSON, formatTable };
@@ -0,0 +1,292 @@
+// scripts/fuzz.js - Seeded generators, property checks and shrinking for the fuzz suite
+//
+// Every case is generated from its own 32-bit seed, so a failing case can be rebuilt
+// from the seed alone. Failing seeds are kept in fuzz-seeds.json and replayed first
+// on every run until the file entry is removed.
+//
+//   FUZZ_RUNS=<n>     random cases per property, default 25
+//   FUZZ_SEED=<n>     seed of the whole run, printed by every run so it can be repeated
+const fs = require('fs');
+const path = require('path');
+const { toJSON } = require('./format');
+
+const SEEDS_FILE = path.join(__dirname, '..', 'fuzz-seeds.json');
+const DEFAULT_RUNS = 25;
+const DEFAULT_MAX_SHRINKS = 2000;
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+const ASCII = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-._~:/?#[]@!$&\'()*+,;=% ';
+// Multi-byte, astral, right-to-left, combining and zero-width code points
+const UNICODE = Array.from('éßøñ日本語中文한국어ÄÖÜ🚀🔥💸🧪عربيעברית\u0301\u200b\u00a0');
+
+/** mulberry32: small, fast and good enough to spread test inputs */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    
+    const random = {
+        next,
+        int: max => Math.floor(next() * max),
+        seed: () => Math.floor(next() * 4294967296) >>> 0,
+        chance: probability => next() < probability,
+        pick: items => items[random.int(items.length)],
+        bigint: max => {
+            // Random 32-bit words, reduced into [0, max]
+            let value = 0n;
+            for (let bits = 0n; bits < BigInt(max.toString(2).length) + 32n; bits += 32n) {
+                value = (value << 32n) | BigInt(random.seed());
+            }
+            return value % (max + 1n);
+        }
+    };
+    return random;
+}
+
+/**
+ * Generator of values that can also propose simpler versions of a value.
+ * shrink(value) yields candidates, most aggressive first.
+ */
+function arbitrary(generate, shrink = () => []) {
+    return { generate, shrink };
+}
+
+/** Shrinks toward `target` by halving the distance, ending with one step */
+function* shrinkBigint(value, target) {
+    if (value === target) {
+        return;
+    }
+    yield target;
+    const distance = value > target ? value - target : target - value;
+    const direction = value > target ? -1n : 1n;
+    for (let step = distance / 2n; step > 0n; step /= 2n) {
+        yield value + direction * step;
+    }
+}
+
+/**
+ * bigint in [min, max], mostly close to one of `anchors` (within `spread`),
+ * sometimes anywhere in the range. Shrinks toward `toward`, default `min`.
+ */
+function bigintNear(anchors, { spread = 1000n, min = 0n, max = MAX_UINT256, toward = min } = {}) {
+    const clamp = value => (value < min ? min : value > max ? max : value);
+    return arbitrary(random => {
+        if (random.chance(0.15)) {
+            return min + random.bigint(max - min);
+        }
+        const anchor = random.pick(anchors);
+        const offset = random.chance(0.3) ? BigInt(random.int(3)) : random.bigint(spread);
+        return clamp(random.chance(0.5) ? anchor + offset : anchor - offset);
+    }, value => shrinkBigint(value, toward));
+}
+
+/**
+ * String of `alphabets` code points. Lengths favour the edges: empty, short and maxLength.
+ * Shrinks by dropping halves, then single characters of short strings, then by
+ * replacing non-ASCII with 'a'.
+ */
+function text({ maxLength = 256, alphabets = [ASCII, UNICODE], prefix = '' } = {}) {
+    return arbitrary(random => {
+        const length = random.pick([0, 1, random.int(16), random.int(maxLength + 1), maxLength]);
+        const alphabet = Array.from(random.pick(alphabets));
+        let value = prefix;
+        for (let i = 0; i < length; i++) {
+            value += random.pick(alphabet);
+        }
+        return value;
+    }, function* (value) {
+        const chars = Array.from(value);
+        if (chars.length === 0) {
+            return;
+        }
+        yield '';
+        if (chars.length > 1) {
+            yield chars.slice(0, Math.ceil(chars.length / 2)).join('');
+            yield chars.slice(Math.floor(chars.length / 2)).join('');
+        }
+        for (let i = 0; chars.length > 1 && chars.length <= 32 && i < chars.length; i++) {
+            yield [...chars.slice(0, i), ...chars.slice(i + 1)].join('');
+        }
+        const ascii = chars.map(char => (char.codePointAt(0) > 0x7f ? 'a' : char)).join('');
+        if (ascii !== value) {
+            yield ascii;
+        }
+    });
+}
+
+/** One of several generators. Shrinks through all of them, since the origin is unknown. */
+function oneOf(...generators) {
+    return arbitrary(random => random.pick(generators).generate(random), function* (value) {
+        const seen = new Set();
+        for (const generator of generators) {
+            for (const candidate of generator.shrink(value)) {
+                const key = typeof candidate === 'bigint' ? `${candidate}n` : JSON.stringify(candidate);
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    yield candidate;
+                }
+            }
+        }
+    });
+}
+
+/** Object of independent fields. Shrinks one field at a time. */
+function record(shape) {
+    const keys = Object.keys(shape);
+    return arbitrary(random => {
+        const value = {};
+        for (const key of keys) {
+            value[key] = shape[key].generate(random);
+        }
+        return value;
+    }, function* (value) {
+        for (const key of keys) {
+            for (const candidate of shape[key].shrink(value[key])) {
+                yield { ...value, [key]: candidate };
+            }
+        }
+    });
+}
+
+/**
+ * Failing seeds per property, kept as JSON so they can be committed and replayed.
+ * `file` null keeps them in memory only.
+ */
+class FailingSeeds {
+    constructor(file = SEEDS_FILE) {
+        this.file = file;
+        this.entries = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+    }
+
+    seedsFor(property) {
+        return this.entries.filter(entry => entry.property === property).map(entry => entry.seed);
+    }
+
+    add(property, failure) {
+        if (this.seedsFor(property).includes(failure.seed)) {
+            return;
+        }
+        this.entries.push({
+            property,
+            seed: failure.seed,
+            shrunk: JSON.parse(toJSON(failure.shrunk)),
+            error: failure.error.message,
+            foundAt: new Date().toISOString()
+        });
+        if (this.file) {
+            fs.writeFileSync(this.file, JSON.stringify(this.entries, null, 2) + '\n');
+        }
+    }
+}
+
+async function holds(property, value) {
+    try {
+        await property(value);
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+/**
+ * Repeatedly takes the first shrink candidate that still fails, until none does
+ * or `maxShrinks` candidates were tried.
+ */
+async function shrinkFailure(generator, property, value, error, maxShrinks) {
+    let tried = 0;
+    let steps = 0;
+    let improved = true;
+    
+    while (improved && tried < maxShrinks) {
+        improved = false;
+        for (const candidate of generator.shrink(value)) {
+            if (++tried > maxShrinks) {
+                break;
+            }
+            const candidateError = await holds(property, candidate);
+            if (candidateError) {
+                value = candidate;
+                error = candidateError;
+                steps++;
+                improved = true;
+                break;
+            }
+        }
+    }
+    
+    return { value, error, steps, tried: Math.min(tried, maxShrinks) };
+}
+
+function runSeed() {
+    return process.env.FUZZ_SEED === undefined ? Math.floor(Math.random() * 4294967296) >>> 0 : Number(process.env.FUZZ_SEED) >>> 0;
+}
+
+/**
+ * Checks that `property` (async, throws on a mismatch) holds for generated values:
+ * first every saved failing seed, then `runs` random cases. The first failing case
+ * is shrunk and its seed saved.
+ *
+ * Options: runs, seed (of the whole run), seeds (FailingSeeds), maxShrinks
+ * @returns {Promise<{ property: string, seed: number, runs: number, replayed: number, failure: Object|null }>}
+ *   failure is { seed, original, shrunk, error, shrinkSteps }
+ */
+async function checkProperty(name, generator, property, options = {}) {
+    const runs = options.runs ?? Number(process.env.FUZZ_RUNS || DEFAULT_RUNS);
+    const seed = options.seed ?? runSeed();
+    const seeds = options.seeds || new FailingSeeds();
+    const maxShrinks = options.maxShrinks ?? DEFAULT_MAX_SHRINKS;
+    
+    const saved = seeds.seedsFor(name);
+    const caseSeeds = createRandom(seed);
+    const cases = [...saved, ...Array.from({ length: runs }, () => caseSeeds.seed())];
+    
+    for (const caseSeed of cases) {
+        const original = generator.generate(createRandom(caseSeed));
+        const error = await holds(property, original);
+        if (!error) {
+            continue;
+        }
+        
+        const shrunk = await shrinkFailure(generator, property, original, error, maxShrinks);
+        const failure = { seed: caseSeed, original, shrunk: shrunk.value, error: shrunk.error, shrinkSteps: shrunk.steps };
+        seeds.add(name, failure);
+        return { property: name, seed, runs, replayed: saved.length, failure };
+    }
+    
+    return { property: name, seed, runs, replayed: saved.length, failure: null };
+}
+
+/** Rebuilds the case a seed generates, e.g. to debug a saved failure */
+function replay(generator, caseSeed) {
+    return generator.generate(createRandom(caseSeed));
+}
+
+// Long strings are cut so a failing case stays readable in the console
+function describeCase(value, maxLength = 80) {
+    const json = JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item));
+    return json.replace(/"((?:[^"\\]|\\.){80,})"/g, (match, inner) =>
+        `"${inner.slice(0, maxLength)}…" (${Array.from(JSON.parse(match)).length} chars)`
+    );
+}
+
+module.exports = {
+    SEEDS_FILE,
+    MAX_UINT256,
+    ASCII,
+    UNICODE,
+    createRandom,
+    arbitrary,
+    bigintNear,
+    text,
+    oneOf,
+    record,
+    FailingSeeds,
+    checkProperty,
+    replay,
+    describeCase
+};
@@ -0,0 +1,167 @@
+// scripts/gas.js - Gas used per contract operation, compared against a committed baseline
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { formatTable } = require('./format');
+
+const BASELINE_FILE = path.join(__dirname, '..', 'gas-baseline.json');
+const DEFAULT_THRESHOLD_PERCENT = 5;
+const HISTORY_RUNS = 50;
+// Compared separately, so a lighter call getting heavier shows even when the max holds
+const COMPARED_STATS = ['min', 'avg', 'max'];
+
+/**
+ * Collects gasUsed for every mined write. TestBase hands `record` to its
+ * clients as onTransaction and keeps `test` pointed at the running test.
+ */
+class GasTracker {
+    constructor(suite) {
+        this.suite = suite;
+        this.test = null;
+        this.samples = [];
+    }
+
+    record({ method, receipt }) {
+        this.samples.push({
+            suite: this.suite,
+            test: this.test,
+            operation: method,
+            gasUsed: Number(receipt.gasUsed)
+        });
+    }
+}
+
+function stats(values) {
+    const total = values.reduce((sum, value) => sum + value, 0);
+    return {
+        calls: values.length,
+        min: Math.min(...values),
+        avg: Math.round(total / values.length),
+        max: Math.max(...values)
+    };
+}
+
+function groupBy(samples, keyOf) {
+    const groups = new Map();
+    for (const sample of samples) {
+        const key = keyOf(sample);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(sample.gasUsed);
+    }
+    return groups;
+}
+
+// Per-test keys stay stable when other tests are added, so they are what gets compared
+function testKey(sample) {
+    return `${sample.suite} › ${sample.test} › ${sample.operation}`;
+}
+
+/** min/avg/max per operation and per suite › test › operation */
+function summarizeGas(samples) {
+    const operations = {};
+    for (const [operation, values] of groupBy(samples, sample => sample.operation)) {
+        operations[operation] = stats(values);
+    }
+    
+    const tests = {};
+    for (const [key, values] of groupBy(samples, testKey)) {
+        tests[key] = stats(values);
+    }
+    
+    return { operations, tests };
+}
+
+function loadBaseline(file = BASELINE_FILE) {
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function saveBaseline(summary, thresholdPercent, file = BASELINE_FILE) {
+    const baseline = {
+        thresholdPercent,
+        operations: summary.operations,
+        tests: Object.fromEntries(Object.entries(summary.tests).map(([key, { min, avg, max }]) => [key, { min, avg, max }]))
+    };
+    fs.writeFileSync(file, JSON.stringify(baseline, null, 2) + '\n');
+    return baseline;
+}
+
+function percentChange(current, previous) {
+    return previous === 0 ? 0 : ((current - previous) / previous) * 100;
+}
+
+/**
+ * Every min, avg or max of a test › operation that grew by more than the threshold
+ * over its own baseline. Keys missing from the baseline are new and never count as
+ * regressions, and so are stats an older baseline didn't record.
+ */
+function findRegressions(summary, baseline, thresholdPercent) {
+    const regressions = [];
+    for (const [key, current] of Object.entries(summary.tests)) {
+        const previous = baseline.tests[key];
+        if (!previous) {
+            continue;
+        }
+        for (const stat of COMPARED_STATS.filter(name => previous[name] !== undefined)) {
+            const change = percentChange(current[stat], previous[stat]);
+            if (change > thresholdPercent) {
+                regressions.push({ key, stat, baseline: previous[stat], current: current[stat], changePercent: Number(change.toFixed(2)) });
+            }
+        }
+    }
+    return regressions;
+}
+
+function formatGasReport(summary, baseline, gasPriceGwei) {
+    const gasPrice = ethers.parseUnits(String(gasPriceGwei), 'gwei');
+    const rows = Object.entries(summary.operations)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([operation, current]) => {
+            const previous = baseline && baseline.operations[operation];
+            const change = previous ? percentChange(current.avg, previous.avg) : null;
+            return {
+                operation,
+                calls: current.calls,
+                min: current.min.toLocaleString(),
+                avg: current.avg.toLocaleString(),
+                max: current.max.toLocaleString(),
+                baseline: previous ? previous.avg.toLocaleString() : '-',
+                change: change === null ? 'new' : `${change >= 0 ? '+' : ''}${change.toFixed(1)}%`,
+                cost: ethers.formatEther(BigInt(current.avg) * gasPrice)
+            };
+        });
+    
+    return formatTable(rows, [
+        ['OPERATION', 'operation'],
+        ['CALLS', 'calls'],
+        ['MIN', 'min'],
+        ['AVG', 'avg'],
+        ['MAX', 'max'],
+        ['BASELINE AVG', 'baseline'],
+        ['CHANGE', 'change'],
+        [`AVG COST @ ${gasPriceGwei} gwei (ETH)`, 'cost']
+    ]);
+}
+
+// Keeps the per-operation summary of the last runs so trends survive between runs
+function appendHistory(file, entry) {
+    const history = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+    history.push(entry);
+    fs.writeFileSync(file, JSON.stringify(history.slice(-HISTORY_RUNS), null, 2) + '\n');
+}
+
+module.exports = {
+    BASELINE_FILE,
+    DEFAULT_THRESHOLD_PERCENT,
+    GasTracker,
+    summarizeGas,
+    loadBaseline,
+    saveBaseline,
+    findRegressions,
+    formatGasReport,
+    appendHistory
+};
@@ -0,0 +1,376 @@
+// scripts/loadtest.js - Concurrent payments and registrations against a fresh local chain
+//
+// Usage: node scripts/loadtest.js [--consumers <n>] [--payments <n>] [--registrations <n>] [--rate <per second>]
+//                                 [--block-time <ms>] [--price <eth>] [--underpay <fraction>] [--json]
+//
+//   --consumers      wallets paying for the same API at the same time, default 10
+//   --payments       payments spread over the consumers, default 100
+//   --registrations  APIs registered by fresh providers in between the payments, default 5
+//   --rate           transactions started per second, whether or not earlier ones are mined, default 20
+//   --block-time     mine a block every <ms> so transactions share blocks, 0 mines one per transaction (default 1000)
+//   --price          pricePerCall of the API everyone pays for, default 0.001
+//   --underpay       fraction of the payments sent 1 wei below the price, default 0
+//
+// Always runs on a fresh in-process Hardhat chain with a new APIMarketplace, never on a live network.
+// Afterwards the API's totalCalls, its provider's balance and nextApiId have to match the
+// transactions that succeeded, otherwise the command fails.
+const { ethers } = require('ethers');
+const { MarketplaceClient, toWei } = require('../lib/client');
+const { MarketplaceError } = require('../lib/errors');
+const { TransactionManager } = require('../lib/transactions');
+const { GasTracker, summarizeGas } = require('./gas');
+const { toJSON, formatTable } = require('./format');
+const { transactionOptions } = require('./rpc');
+
+// Local blocks come quickly, so receipts are polled more often than on a live chain
+const POLL_INTERVAL_MS = 100;
+// Gas money per transaction, on top of what a wallet pays or stakes
+const GAS_RESERVE = ethers.parseEther('0.01');
+const OPERATIONS = ['payForAPICall', 'registerAPI'];
+
+function usageError(message) {
+    return new MarketplaceError(message, { code: 'INVALID_ARGUMENT', method: 'loadtest' });
+}
+
+function parseArgs(argv) {
+    const options = {
+        consumers: 10,
+        payments: 100,
+        registrations: 5,
+        rate: 20,
+        blockTimeMs: 1000,
+        price: ethers.parseEther('0.001'),
+        underpay: 0,
+        json: false
+    };
+    const number = (flag, value, valid) => {
+        const parsed = Number(value);
+        if (value === undefined || !valid(parsed)) {
+            throw usageError(`Invalid ${flag} "${value}"`);
+        }
+        return parsed;
+    };
+    const positiveInteger = parsed => Number.isInteger(parsed) && parsed > 0;
+    const count = parsed => Number.isInteger(parsed) && parsed >= 0;
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--consumers':
+                options.consumers = number(arg, argv[++i], positiveInteger);
+                break;
+            case '--payments':
+                options.payments = number(arg, argv[++i], count);
+                break;
+            case '--registrations':
+                options.registrations = number(arg, argv[++i], count);
+                break;
+            case '--rate':
+                options.rate = number(arg, argv[++i], parsed => parsed > 0);
+                break;
+            case '--block-time':
+                options.blockTimeMs = number(arg, argv[++i], count);
+                break;
+            case '--underpay':
+                options.underpay = number(arg, argv[++i], parsed => parsed >= 0 && parsed <= 1);
+                break;
+            case '--price': {
+                const value = argv[++i];
+                options.price = /^\d*\.?\d+$/.test(value || '') ? toWei(value, 'price') : 0n;
+                if (options.price === 0n) {
+                    throw usageError(`Invalid ${arg} "${value}"`);
+                }
+                break;
+            }
+            case '--json':
+                options.json = true;
+                break;
+            default:
+                throw usageError(`Unknown option "${arg}"`);
+        }
+    }
+    
+    if (options.payments + options.registrations === 0) {
+        throw usageError('Nothing to send, pass --payments or --registrations');
+    }
+    return options;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+}
+
+/** Nearest-rank percentile, null for no values */
+function percentile(values, p) {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// Picks `count` of `total` slots, evenly spread
+function spread(count, total) {
+    const picked = new Set();
+    for (let slot = 0; slot < total; slot++) {
+        if (Math.floor(((slot + 1) * count) / total) > Math.floor((slot * count) / total)) {
+            picked.add(slot);
+        }
+    }
+    return picked;
+}
+
+// Reverts are grouped by their reason, everything else by error code
+function causeOf(error) {
+    if (error instanceof MarketplaceError) {
+        return error.reason || error.code;
+    }
+    return error.message;
+}
+
+// With a block time transactions wait in the mempool and share blocks, 0 goes back to one block per transaction
+async function setBlockTime(provider, blockTimeMs) {
+    await provider.send('evm_setAutomine', [blockTimeMs === 0]);
+    await provider.send('evm_setIntervalMining', [blockTimeMs]);
+}
+
+function check(name, expected, actual, unit = null) {
+    return { name, expected, actual, unit, ok: expected === actual };
+}
+
+/**
+ * Funds fresh consumer and provider wallets from `client`'s signer, registers the API they
+ * pay for, then starts every transaction on schedule and measures it until it is mined.
+ * @returns {Promise<Object>} the report printed by formatLoadReport
+ */
+async function runLoadTest(client, options, io) {
+    const provider = client.runner.provider;
+    const { minStake } = await client.constants();
+    const connect = () => {
+        const wallet = ethers.Wallet.createRandom().connect(provider);
+        return client.connect(wallet, {
+            transactions: TransactionManager.for(wallet, { ...transactionOptions({ log: io.info }), pollIntervalMs: POLL_INTERVAL_MS })
+        });
+    };
+    
+    const apiProvider = connect();
+    const consumers = Array.from({ length: options.consumers }, connect);
+    const registrants = Array.from({ length: options.registrations }, connect);
+    const paymentsPerConsumer = BigInt(Math.ceil(options.payments / options.consumers));
+    
+    // Setup still mines one transaction per block
+    io.info(`💰 Funding ${consumers.length} consumer(s) and ${registrants.length + 1} provider(s)...`);
+    const funder = client.transactions || TransactionManager.for(client.runner);
+    await Promise.all([
+        [apiProvider, minStake + GAS_RESERVE],
+        ...consumers.map(consumer => [consumer, paymentsPerConsumer * (options.price + GAS_RESERVE)]),
+        ...registrants.map(registrant => [registrant, minStake + GAS_RESERVE])
+    ].map(([wallet, value]) => funder.send({ to: wallet.runner.address, value })));
+    const { apiId } = await apiProvider.registerAPI({
+        endpoint: 'https://load.test/api',
+        description: 'Load test target',
+        pricePerCall: options.price,
+        stake: minStake
+    });
+    
+    const snapshot = async () => ({
+        totalCalls: (await client.getAPI(apiId)).totalCalls,
+        balance: await provider.getBalance(apiProvider.runner.address),
+        nextApiId: await client.nextApiId()
+    });
+    const before = await snapshot();
+    
+    const total = options.payments + options.registrations;
+    const registrationSlots = spread(options.registrations, total);
+    const underpaid = spread(Math.round(options.payments * options.underpay), options.payments);
+    const operations = [];
+    for (let slot = 0, paid = 0, registered = 0; slot < total; slot++) {
+        if (registrationSlots.has(slot)) {
+            const index = registered++;
+            operations.push({
+                method: 'registerAPI',
+                send: () => registrants[index].registerAPI({
+                    endpoint: `https://load.test/api/${index + 1}`,
+                    description: 'Registered under load',
+                    pricePerCall: options.price,
+                    stake: minStake
+                })
+            });
+        } else {
+            const amount = underpaid.has(paid) ? options.price - 1n : options.price;
+            const consumer = consumers[paid++ % consumers.length];
+            operations.push({ method: 'payForAPICall', amount, send: () => consumer.payForAPICall(apiId, { amount }) });
+        }
+    }
+    
+    io.info(`🚀 Sending ${options.payments} payment(s) and ${options.registrations} registration(s) at ${options.rate}/s...`);
+    const results = [];
+    await setBlockTime(provider, options.blockTimeMs);
+    const startedAt = Date.now();
+    try {
+        await Promise.all(operations.map(async ({ method, amount, send }, slot) => {
+            await sleep(startedAt + (slot * 1000) / options.rate - Date.now());
+            const sentAt = Date.now();
+            try {
+                const result = await send();
+                results.push({ method, amount, ok: true, latencyMs: Date.now() - sentAt, receipt: result.receipt, apiId: result.apiId });
+            } catch (error) {
+                results.push({ method, amount, ok: false, latencyMs: Date.now() - sentAt, cause: causeOf(error) });
+            }
+        }));
+    } finally {
+        await setBlockTime(provider, 0);
+    }
+    const durationMs = Date.now() - startedAt;
+    const after = await snapshot();
+    
+    const succeeded = results.filter(result => result.ok);
+    const paid = succeeded.filter(result => result.method === 'payForAPICall');
+    const registered = succeeded.filter(result => result.method === 'registerAPI');
+    const perSecond = count => Number((count / (durationMs / 1000)).toFixed(2));
+    
+    const gas = new GasTracker('loadtest');
+    succeeded.forEach(result => gas.record({ method: result.method, receipt: result.receipt }));
+    const gasByOperation = summarizeGas(gas.samples).operations;
+    
+    const byOperation = {};
+    for (const method of OPERATIONS) {
+        const sent = results.filter(result => result.method === method);
+        if (sent.length === 0) {
+            continue;
+        }
+        const ok = sent.filter(result => result.ok);
+        const latencies = ok.map(result => result.latencyMs);
+        byOperation[method] = {
+            sent: sent.length,
+            succeeded: ok.length,
+            failed: sent.length - ok.length,
+            perSecond: perSecond(ok.length),
+            latencyMs: { p50: percentile(latencies, 50), p90: percentile(latencies, 90), p99: percentile(latencies, 99), max: percentile(latencies, 100) },
+            gas: ok.length === 0 ? null : {
+                ...gasByOperation[method],
+                total: ok.reduce((sum, result) => sum + result.receipt.gasUsed, 0n),
+                fees: ok.reduce((sum, result) => sum + result.receipt.fee, 0n)
+            }
+        };
+    }
+    
+    const failures = new Map();
+    for (const result of results.filter(result => !result.ok)) {
+        const key = `${result.method}: ${result.cause}`;
+        failures.set(key, { operation: result.method, cause: result.cause, count: (failures.has(key) ? failures.get(key).count : 0) + 1 });
+    }
+    
+    const blocks = new Map();
+    succeeded.forEach(({ receipt }) => blocks.set(receipt.blockNumber, (blocks.get(receipt.blockNumber) || 0) + 1));
+    
+    const checks = [
+        check('totalCalls', before.totalCalls + BigInt(paid.length), after.totalCalls),
+        check('provider balance', before.balance + paid.reduce((sum, result) => sum + result.amount, 0n), after.balance, 'wei'),
+        check('nextApiId', before.nextApiId + BigInt(registered.length), after.nextApiId),
+        check('distinct API ids', registered.length, new Set(registered.map(result => result.apiId)).size)
+    ];
+    
+    return {
+        config: {
+            consumers: options.consumers,
+            payments: options.payments,
+            registrations: options.registrations,
+            rate: options.rate,
+            blockTimeMs: options.blockTimeMs,
+            price: options.price,
+            underpay: options.underpay
+        },
+        apiId,
+        durationMs,
+        sent: results.length,
+        succeeded: succeeded.length,
+        perSecond: perSecond(succeeded.length),
+        operations: byOperation,
+        failures: [...failures.values()].sort((a, b) => b.count - a.count),
+        blocks: { count: blocks.size, maxTransactions: Math.max(0, ...blocks.values()) },
+        checks,
+        ok: checks.every(result => result.ok)
+    };
+}
+
+function formatLoadReport(report) {
+    const ms = value => (value === null ? '-' : `${value}ms`);
+    const rows = Object.entries(report.operations).map(([method, operation]) => ({
+        method,
+        sent: operation.sent,
+        ok: operation.succeeded,
+        failed: operation.failed,
+        perSecond: operation.perSecond,
+        p50: ms(operation.latencyMs.p50),
+        p90: ms(operation.latencyMs.p90),
+        p99: ms(operation.latencyMs.p99),
+        max: ms(operation.latencyMs.max),
+        gas: operation.gas ? operation.gas.avg : '-',
+        fees: operation.gas ? `${ethers.formatEther(operation.gas.fees)} ETH` : '-'
+    }));
+    const value = (amount, unit) => (unit === 'wei' ? `${ethers.formatEther(amount)} ETH` : String(amount));
+    
+    const lines = [
+        `🏁 ${report.succeeded}/${report.sent} transaction(s) mined in ${(report.durationMs / 1000).toFixed(1)}s (${report.perSecond}/s), ` +
+            `${report.blocks.count} block(s) with up to ${report.blocks.maxTransactions} each`,
+        formatTable(rows, [
+            ['Operation', 'method'], ['Sent', 'sent'], ['OK', 'ok'], ['Failed', 'failed'], ['Per second', 'perSecond'],
+            ['p50', 'p50'], ['p90', 'p90'], ['p99', 'p99'], ['Max', 'max'], ['Avg gas', 'gas'], ['Fees', 'fees']
+        ])
+    ];
+    for (const failure of report.failures) {
+        lines.push(`⚠️  ${failure.count} × ${failure.operation}: ${failure.cause}`);
+    }
+    for (const result of report.checks) {
+        lines.push(result.ok
+            ? `✅ ${result.name}: ${value(result.actual, result.unit)}`
+            : `❌ ${result.name}: ${value(result.actual, result.unit)}, expected ${value(result.expected, result.unit)}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Runs one load test with wallets funded by `client`'s signer and prints its report.
+ * Tests pass the client of their local chain and their own io.
+ */
+async function run(argv, { client, io }) {
+    const options = parseArgs(argv);
+    const mining = options.blockTimeMs === 0 ? 'one block per transaction' : `a block every ${options.blockTimeMs}ms`;
+    io.info(`🚦 Load test: ${options.consumers} consumer(s), ${mining}`);
+    const report = await runLoadTest(client, options, io);
+    io.log(options.json ? toJSON(report) : formatLoadReport(report));
+    return report;
+}
+
+async function main() {
+    try {
+        const argv = process.argv.slice(2);
+        // Bad flags fail before Hardhat boots
+        parseArgs(argv);
+        
+        const { compileMarketplace, deployMarketplace } = require('./deploy');
+        const hre = require('hardhat');
+        console.error('🔨 Deploying APIMarketplace to a fresh in-process chain...');
+        const [deployer, , oracle] = await hre.ethers.getSigners();
+        const transactions = TransactionManager.for(deployer, transactionOptions({ log: console.error }));
+        const { address } = await deployMarketplace({ signer: deployer, artifact: await compileMarketplace(), oracle: oracle.address, transactions });
+        
+        const report = await run(argv, {
+            client: new MarketplaceClient(address, deployer, { transactions }),
+            io: { log: message => console.log(message), info: message => console.error(message) }
+        });
+        if (!report.ok) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { run, parseArgs, runLoadTest, formatLoadReport, percentile };
@@ -0,0 +1,421 @@
+// scripts/marketplace.js - Command-line tool for browsing, registering and paying for APIs
+//
+// Usage: node scripts/marketplace.js <command> [options]
+//
+//   list      [--active] [--min-price <eth>] [--max-price <eth>] [--min-success <ratio>]
+//   show      <apiId>
+//   register            --endpoint <url> --description <text> --price <eth> --stake <eth>
+//   pay                 <apiId> [--amount <eth>]
+//   stake               [--address <address>]
+//   report              <apiId> --result success|failure   (oracle only)
+//   slash               <apiId>                             (oracle only)
+//   request-withdrawal  <apiId>
+//   withdraw            <apiId>
+//
+// Every command accepts --json and --network <name>. Writes are simulated first and show the
+// decoded revert, or the events, state changes and ETH they would cost; one that would revert is
+// never sent. Then they ask for confirmation unless --yes is given, or stop there with --dry-run.
+// The contract and RPC URLs come from the network profile (scripts/networks.js), PRIVATE_KEY from .env.
+// Writes go through a TransactionManager configured by the TX_* settings (see scripts/rpc.js).
+const readline = require('readline');
+const { ethers } = require('ethers');
+const { MarketplaceClient, toWei } = require('../lib/client');
+const { MarketplaceError, formatCall } = require('../lib/errors');
+const { TransactionManager } = require('../lib/transactions');
+const { toJSON, formatTable } = require('./format');
+const { createProvider, transactionOptions } = require('./rpc');
+const { networkFromArgs, loadNetwork, verifyNetwork } = require('./networks');
+require('dotenv').config();
+
+const PRIVATE_KEY = process.env.PRIVATE_KEY;
+
+const BOOLEAN_FLAGS = new Set(['json', 'yes', 'active', 'dry-run']);
+
+// Accepted by every command
+const GLOBAL_FLAGS = ['json', 'network'];
+
+const COMMANDS = {
+    list: { flags: ['active', 'min-price', 'max-price', 'min-success'], run: listCommand },
+    show: { flags: [], run: showCommand },
+    register: { flags: ['endpoint', 'description', 'price', 'stake', 'yes', 'dry-run'], run: registerCommand },
+    pay: { flags: ['amount', 'yes', 'dry-run'], run: payCommand },
+    stake: { flags: ['address'], run: stakeCommand },
+    report: { flags: ['result', 'yes', 'dry-run'], run: reportCommand },
+    slash: { flags: ['yes', 'dry-run'], run: slashCommand },
+    'request-withdrawal': { flags: ['yes', 'dry-run'], run: requestWithdrawalCommand },
+    withdraw: { flags: ['yes', 'dry-run'], run: withdrawCommand }
+};
+
+function usageError(message) {
+    return new MarketplaceError(message, { code: 'INVALID_ARGUMENT', method: 'cli' });
+}
+
+function parseArgs(argv) {
+    const options = { command: null, positional: [], flags: {} };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            if (options.command === null) {
+                options.command = arg;
+            } else {
+                options.positional.push(arg);
+            }
+            continue;
+        }
+        
+        const name = arg.slice(2);
+        if (BOOLEAN_FLAGS.has(name)) {
+            options.flags[name] = true;
+        } else if (i + 1 < argv.length) {
+            options.flags[name] = argv[++i];
+        } else {
+            throw usageError(`${arg} needs a value`);
+        }
+    }
+    
+    return options;
+}
+
+function requireFlag(flags, name) {
+    if (flags[name] === undefined) {
+        throw usageError(`--${name} is required`);
+    }
+    return flags[name];
+}
+
+function parseApiId(positional) {
+    if (positional.length !== 1 || !/^\d+$/.test(positional[0])) {
+        throw usageError('Expected a numeric <apiId>');
+    }
+    return BigInt(positional[0]);
+}
+
+// Writes need a wallet, reads work with a bare provider
+async function signerAddress(client) {
+    if (typeof client.runner.getAddress !== 'function') {
+        throw usageError('This command sends a transaction, set PRIVATE_KEY in .env');
+    }
+    return client.runner.getAddress();
+}
+
+function formatRate(successRate) {
+    return successRate === null ? 'n/a' : `${(successRate * 100).toFixed(1)}%`;
+}
+
+// Prints either the human-readable text or the JSON payload
+function output(io, flags, data, text) {
+    io.log(flags.json ? toJSON(data) : text);
+    return data;
+}
+
+function formatPreview(preview) {
+    const eth = value => `${ethers.formatEther(value)} ETH`;
+    const value = (amount, unit) => (amount === null ? '-' : unit === 'wei' ? eth(amount) : String(amount));
+    if (!preview.ok) {
+        return `   ❌ Would fail: ${preview.error.message}`;
+    }
+    
+    const lines = [
+        `   🔎 Would succeed, ${preview.gasLimit} gas (up to ${eth(preview.maxFee)} in fees)`,
+        `   ETH out: ${eth(preview.value)} + fees = up to ${eth(preview.totalOut)}`,
+        '   Events:',
+        ...preview.events.map(event => `     ${formatCall(event.name, Object.values(event.args))}`)
+    ];
+    if (preview.changes.length > 0) {
+        lines.push('   State changes:', ...preview.changes.map(change => `     ${change.what}: ${value(change.before, change.unit)} → ${value(change.after, change.unit)}`));
+    }
+    return lines.join('\n');
+}
+
+// Every write is simulated first: one that would revert is never sent, --dry-run stops after the simulation.
+// Returns { send: true } once confirmed, otherwise the command's result.
+async function confirmWrite(client, io, flags, summary, [method, args, overrides = {}]) {
+    const preview = await client.preview(method, args, overrides);
+    io.info(`${summary}\n${formatPreview(preview)}`);
+    if (!preview.ok) {
+        throw preview.error;
+    }
+    
+    if (flags['dry-run']) {
+        return { send: false, result: output(io, flags, { dryRun: true, preview }, '🧪 Dry run, nothing was sent') };
+    }
+    if (!flags.yes && !await io.confirm('Send this transaction? [y/N] ')) {
+        return { send: false, result: output(io, flags, { cancelled: true }, '🚫 Cancelled, nothing was sent') };
+    }
+    return { send: true };
+}
+
+async function listCommand(client, { flags }, io) {
+    const minPrice = flags['min-price'] === undefined ? null : toWei(flags['min-price'], 'min-price');
+    const maxPrice = flags['max-price'] === undefined ? null : toWei(flags['max-price'], 'max-price');
+    const minSuccess = flags['min-success'] === undefined ? null : Number(flags['min-success']);
+    if (minSuccess !== null && !(minSuccess >= 0 && minSuccess <= 1)) {
+        throw usageError('--min-success must be a ratio between 0 and 1');
+    }
+    
+    // APIs without any calls have no reliability yet and don't pass --min-success
+    const apis = (await client.listAPIs({ activeOnly: flags.active })).filter(api =>
+        (minPrice === null || api.pricePerCall >= minPrice) &&
+        (maxPrice === null || api.pricePerCall <= maxPrice) &&
+        (minSuccess === null || (api.successRate !== null && api.successRate >= minSuccess))
+    );
+    
+    const rows = apis.map(api => ({
+        ...api,
+        activeText: api.active ? 'yes' : 'no',
+        calls: `${api.successfulCalls}/${api.totalCalls}`,
+        success: formatRate(api.successRate)
+    }));
+    const table = apis.length === 0 ? 'No APIs match' : formatTable(rows, [
+        ['ID', 'id'],
+        ['ENDPOINT', 'endpoint'],
+        ['PRICE (ETH)', 'priceEth'],
+        ['STAKE (ETH)', 'stakeEth'],
+        ['ACTIVE', 'activeText'],
+        ['CALLS', 'calls'],
+        ['SUCCESS', 'success']
+    ]);
+    
+    return output(io, flags, apis, table);
+}
+
+async function showCommand(client, { flags, positional }, io) {
+    const api = await client.getAPI(parseApiId(positional));
+    const withdrawalRequestedAt = await client.getWithdrawalRequest(api.id);
+    const data = { ...api, withdrawalRequestedAt: withdrawalRequestedAt === 0n ? null : new Date(Number(withdrawalRequestedAt) * 1000) };
+    
+    const text = [
+        `🔌 API ${api.id}: ${api.endpoint}`,
+        `   ${api.description}`,
+        `   Provider:    ${api.provider}`,
+        `   Price:       ${api.priceEth} ETH per call`,
+        `   Stake:       ${api.stakeEth} ETH`,
+        `   Active:      ${api.active ? 'yes' : 'no'}`,
+        `   Calls:       ${api.successfulCalls}/${api.totalCalls} successful (${formatRate(api.successRate)})`,
+        `   Registered:  ${api.createdAt.toISOString()}`,
+        `   Withdrawal:  ${data.withdrawalRequestedAt ? `requested ${data.withdrawalRequestedAt.toISOString()}` : 'none'}`
+    ].join('\n');
+    
+    return output(io, flags, data, text);
+}
+
+async function registerCommand(client, { flags }, io) {
+    const endpoint = requireFlag(flags, 'endpoint');
+    const description = requireFlag(flags, 'description');
+    const pricePerCall = toWei(requireFlag(flags, 'price'), 'price');
+    const stake = toWei(requireFlag(flags, 'stake'), 'stake');
+    await signerAddress(client);
+    
+    const { minStake } = await client.constants();
+    if (stake < minStake) {
+        throw usageError(`Stake of ${ethers.formatEther(stake)} ETH is below MIN_STAKE (${ethers.formatEther(minStake)} ETH)`);
+    }
+    if (pricePerCall === 0n) {
+        throw usageError('--price must be greater than zero');
+    }
+    
+    const write = await confirmWrite(client, io, flags, [
+        `📝 Registering ${endpoint}`,
+        `   Price: ${ethers.formatEther(pricePerCall)} ETH per call`,
+        `   Stake: ${ethers.formatEther(stake)} ETH (MIN_STAKE ${ethers.formatEther(minStake)} ETH)`
+    ].join('\n'), ['registerAPI', [endpoint, description, pricePerCall], { value: stake }]);
+    if (!write.send) {
+        return write.result;
+    }
+    
+    const { apiId, hash } = await client.registerAPI({ endpoint, description, pricePerCall, stake });
+    return output(io, flags, { apiId, hash }, `✅ Registered API ${apiId} (tx ${hash})`);
+}
+
+async function payCommand(client, { flags, positional }, io) {
+    const apiId = parseApiId(positional);
+    await signerAddress(client);
+    
+    const [api, { minStake }] = await Promise.all([client.getAPI(apiId), client.constants()]);
+    if (!api.active) {
+        throw new MarketplaceError(`API ${apiId} is not active`, { code: 'API_INACTIVE', method: 'cli' });
+    }
+    
+    const amount = flags.amount === undefined ? api.pricePerCall : toWei(flags.amount, 'amount');
+    if (amount < api.pricePerCall) {
+        throw usageError(`Payment of ${ethers.formatEther(amount)} ETH is below the price of ${api.priceEth} ETH`);
+    }
+    
+    const summary = [
+        `💳 Paying for one call to API ${apiId} (${api.endpoint})`,
+        `   Amount: ${ethers.formatEther(amount)} ETH (price ${api.priceEth} ETH)`,
+        `   Provider stake: ${api.stakeEth} ETH (MIN_STAKE ${ethers.formatEther(minStake)} ETH)`
+    ];
+    if (api.stake < minStake) {
+        summary.push('   ⚠️  Provider stake has been slashed below MIN_STAKE');
+    }
+    const write = await confirmWrite(client, io, flags, summary.join('\n'), ['payForAPICall', [apiId], { value: amount }]);
+    if (!write.send) {
+        return write.result;
+    }
+    
+    const { hash } = await client.payForAPICall(apiId, { amount });
+    return output(io, flags, { apiId, amount, hash }, `✅ Paid ${ethers.formatEther(amount)} ETH (tx ${hash})`);
+}
+
+async function stakeCommand(client, { flags }, io) {
+    const address = flags.address || await signerAddress(client);
+    if (!ethers.isAddress(address)) {
+        throw usageError(`"${address}" is not an address`);
+    }
+    
+    const [total, apis] = await Promise.all([
+        client.getProviderStake(address),
+        client.listAPIs({ provider: address })
+    ]);
+    const data = { provider: address, totalStake: total, apis: apis.map(api => ({ id: api.id, stake: api.stake, active: api.active })) };
+    
+    const lines = [`💰 ${address} has ${ethers.formatEther(total)} ETH staked`];
+    for (const api of apis) {
+        lines.push(`   API ${api.id}: ${api.stakeEth} ETH${api.active ? '' : ' (inactive)'}`);
+    }
+    
+    return output(io, flags, data, lines.join('\n'));
+}
+
+async function reportCommand(client, { flags, positional }, io) {
+    const apiId = parseApiId(positional);
+    const outcome = requireFlag(flags, 'result');
+    if (outcome !== 'success' && outcome !== 'failure') {
+        throw usageError('--result must be success or failure');
+    }
+    await signerAddress(client);
+    
+    const success = outcome === 'success';
+    const write = await confirmWrite(client, io, flags, `🔮 Reporting a ${outcome} for API ${apiId}`, ['reportAPICall', [apiId, success]]);
+    if (!write.send) {
+        return write.result;
+    }
+    
+    const { hash } = await client.reportAPICall(apiId, success);
+    return output(io, flags, { apiId, success, hash }, `✅ Reported a ${outcome} (tx ${hash})`);
+}
+
+async function slashCommand(client, { flags, positional }, io) {
+    const apiId = parseApiId(positional);
+    await signerAddress(client);
+    
+    const [api, { slashPercentage }] = await Promise.all([client.getAPI(apiId), client.constants()]);
+    const write = await confirmWrite(client, io, flags, `⚔️  Slashing ${slashPercentage}% of API ${apiId}'s ${api.stakeEth} ETH stake`, ['slashProvider', [apiId]]);
+    if (!write.send) {
+        return write.result;
+    }
+    
+    const result = await client.slashProvider(apiId);
+    const { amount } = client.findEvent(result, 'ProviderSlashed').args;
+    return output(io, flags, { apiId, amount, hash: result.hash }, `✅ Slashed ${ethers.formatEther(amount)} ETH (tx ${result.hash})`);
+}
+
+async function requestWithdrawalCommand(client, { flags, positional }, io) {
+    const apiId = parseApiId(positional);
+    await signerAddress(client);
+    
+    const [api, { withdrawalDelay }] = await Promise.all([client.getAPI(apiId), client.constants()]);
+    const summary = [
+        `⏳ Requesting withdrawal of API ${apiId}'s ${api.stakeEth} ETH stake`,
+        `   The API stops taking payments now, the stake can be withdrawn after ${Number(withdrawalDelay) / 86400} day(s)`
+    ];
+    const write = await confirmWrite(client, io, flags, summary.join('\n'), ['requestWithdrawal', [apiId]]);
+    if (!write.send) {
+        return write.result;
+    }
+    
+    const { hash } = await client.requestWithdrawal(apiId);
+    return output(io, flags, { apiId, hash }, `✅ Withdrawal requested (tx ${hash})`);
+}
+
+async function withdrawCommand(client, { flags, positional }, io) {
+    const apiId = parseApiId(positional);
+    await signerAddress(client);
+    
+    const api = await client.getAPI(apiId);
+    const write = await confirmWrite(client, io, flags, `💸 Withdrawing API ${apiId}'s ${api.stakeEth} ETH stake`, ['withdrawStake', [apiId]]);
+    if (!write.send) {
+        return write.result;
+    }
+    
+    const { hash } = await client.withdrawStake(apiId);
+    return output(io, flags, { apiId, amount: api.stake, hash }, `✅ Withdrew ${api.stakeEth} ETH (tx ${hash})`);
+}
+
+/**
+ * Runs one CLI invocation. Tests pass their own client and io to drive it in-process.
+ * @returns {Promise<Object>} the command's result, as printed with --json
+ */
+async function run(argv, { client, io }) {
+    const options = parseArgs(argv);
+    const command = COMMANDS[options.command];
+    if (!command) {
+        throw usageError(`Unknown command "${options.command || ''}", expected one of: ${Object.keys(COMMANDS).join(', ')}`);
+    }
+    
+    for (const flag of Object.keys(options.flags)) {
+        if (!GLOBAL_FLAGS.includes(flag) && !command.flags.includes(flag)) {
+            throw usageError(`Unknown option --${flag} for ${options.command}`);
+        }
+    }
+    
+    return command.run(client, options, io);
+}
+
+function createClient(profile) {
+    if (profile.inProcess) {
+        throw usageError(`The ${profile.name} network only lives inside test runs, pick a live one with --network`);
+    }
+    if (!profile.contractAddress) {
+        throw usageError(`No contract for "${profile.name}": deploy one with \`npm run deploy -- --network ${profile.name}\` or set the profile's contractAddress in networks.json`);
+    }
+    
+    // Progress goes to stderr so --json output stays parseable
+    const provider = createProvider(profile.rpcUrls, { log: console.error });
+    if (!PRIVATE_KEY) {
+        return new MarketplaceClient(profile.contractAddress, provider);
+    }
+    // No preview option: confirmWrite already simulates every write before it is sent
+    const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
+    return new MarketplaceClient(profile.contractAddress, wallet, {
+        transactions: TransactionManager.for(wallet, transactionOptions({ log: console.error }))
+    });
+}
+
+// Confirmation prompts go to stderr so --json output stays parseable
+const consoleIO = {
+    log: message => console.log(message),
+    info: message => console.error(message),
+    confirm: question => {
+        if (!process.stdin.isTTY) {
+            console.error('❌ No terminal to confirm on, pass --yes to send without asking');
+            return Promise.resolve(false);
+        }
+        const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+        return new Promise(resolve => rl.question(question, answer => {
+            rl.close();
+            resolve(/^y(es)?$/i.test(answer.trim()));
+        }));
+    }
+};
+
+async function main() {
+    try {
+        const argv = process.argv.slice(2);
+        const profile = loadNetwork(networkFromArgs(argv));
+        const client = createClient(profile);
+        await verifyNetwork(client, profile);
+        await run(argv, { client, io: consoleIO });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { run, parseArgs, formatPreview, COMMANDS, consoleIO };
@@ -0,0 +1,192 @@
+// scripts/monitor.js - Watches API endpoints and reports their availability as the oracle
+//
+// Usage: node scripts/monitor.js [--network <name>] [--dry-run] [--once] [--interval <seconds>] [--timeout <ms>]
+//                                [--expect-status <list>] [--window <probes>] [--min-samples <n>] [--threshold <ratio>] [--json]
+//
+//   --dry-run        simulate the reports from the oracle's address without sending them, needs no key
+//   --once           probe once and exit instead of every --interval seconds (default 60)
+//   --expect-status  statuses that count as up, e.g. 200,402 or 2xx (default 2xx,3xx,402)
+//   --window         probes in the rolling availability score (default 20), judged after --min-samples (default 5)
+//   --threshold      availability below which a failed call is reported (default 0.8)
+//
+// Reports are sent with ORACLE_PRIVATE_KEY from .env, which has to be the contract's oracle.
+// See lib/monitor.js for how scores and reports work.
+const { ethers } = require('ethers');
+const { MarketplaceClient } = require('../lib/client');
+const { MarketplaceError } = require('../lib/errors');
+const { HealthMonitor } = require('../lib/monitor');
+const { TransactionManager } = require('../lib/transactions');
+const { toJSON, formatTable } = require('./format');
+const { createProvider, transactionOptions } = require('./rpc');
+const { networkFromArgs, loadNetwork, verifyNetwork } = require('./networks');
+require('dotenv').config();
+
+const ORACLE_PRIVATE_KEY = process.env.ORACLE_PRIVATE_KEY;
+
+function usageError(message) {
+    return new MarketplaceError(message, { code: 'INVALID_ARGUMENT', method: 'monitor' });
+}
+
+function parseArgs(argv) {
+    const options = { network: networkFromArgs([]), dryRun: false, once: false, json: false, monitor: {} };
+    const number = (flag, value, valid) => {
+        const parsed = Number(value);
+        if (value === undefined || !valid(parsed)) {
+            throw usageError(`Invalid ${flag} "${value}"`);
+        }
+        return parsed;
+    };
+    const positiveInteger = parsed => Number.isInteger(parsed) && parsed > 0;
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--network':
+                options.network = argv[++i];
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--once':
+                options.once = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--interval':
+                options.monitor.intervalMs = number(arg, argv[++i], parsed => parsed > 0) * 1000;
+                break;
+            case '--timeout':
+                options.monitor.timeoutMs = number(arg, argv[++i], positiveInteger);
+                break;
+            case '--window':
+                options.monitor.windowSize = number(arg, argv[++i], positiveInteger);
+                break;
+            case '--min-samples':
+                options.monitor.minSamples = number(arg, argv[++i], positiveInteger);
+                break;
+            case '--threshold':
+                options.monitor.threshold = number(arg, argv[++i], parsed => parsed > 0 && parsed <= 1);
+                break;
+            case '--expect-status':
+                options.monitor.expectedStatus = (argv[++i] || '').split(',').map(rule => /^\d+$/.test(rule) ? Number(rule) : rule);
+                break;
+            default:
+                throw usageError(`Unknown option "${arg}"`);
+        }
+    }
+    
+    return options;
+}
+
+function formatRound({ probes, reports }, monitor) {
+    const scores = new Map(monitor.scores().map(score => [score.apiId, score]));
+    const rows = probes.map(probe => {
+        const { availability, samples } = scores.get(probe.apiId);
+        return {
+            id: probe.apiId,
+            endpoint: probe.endpoint,
+            result: probe.ok ? `✅ ${probe.status}` : `❌ ${probe.error}`,
+            latency: `${probe.latencyMs}ms`,
+            availability: availability === null ? `n/a (${samples} probes)` : `${(availability * 100).toFixed(1)}%`
+        };
+    });
+    
+    const lines = [`🩺 ${new Date().toISOString()}: ${probes.length} endpoint(s) probed`];
+    if (rows.length > 0) {
+        lines.push(formatTable(rows, [['ID', 'id'], ['Endpoint', 'endpoint'], ['Probe', 'result'], ['Latency', 'latency'], ['Availability', 'availability']]));
+    }
+    for (const report of reports) {
+        const outcome = report.success ? 'success' : 'failure';
+        const sent = report.error
+            ? `❌ ${monitor.dryRun ? 'dry run, would fail' : 'not sent'}: ${report.error}`
+            : report.hash ? `sent in ${report.hash}` : 'dry run, would succeed';
+        lines.push(`🔮 API ${report.apiId}: report ${outcome}, ${report.reason} (${sent})`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Runs the monitor until `signal` aborts, or for one round with --once.
+ * Each round is printed as it completes.
+ * Tests pass their own client, io and fetch to drive it in-process.
+ * @returns {Promise<HealthMonitor>}
+ */
+async function run(argv, { client, io, fetch, signal }) {
+    const options = parseArgs(argv);
+    const monitor = new HealthMonitor(client, {
+        ...options.monitor,
+        dryRun: options.dryRun,
+        fetch,
+        onEvent: event => {
+            if (event.type === 'round') {
+                io.log(options.json ? toJSON(event) : formatRound(event, monitor));
+            } else if (event.type === 'error' && event.apiId === undefined) {
+                io.info(`⚠️  Monitoring round failed: ${event.error.message}`);
+            }
+        }
+    });
+    // A wrong key stops here rather than failing every round
+    if (!options.dryRun) {
+        await monitor.assertOracle();
+    }
+    
+    if (options.once) {
+        await monitor.check();
+        return monitor;
+    }
+    
+    io.info(`🩺 Monitoring every ${monitor.options.intervalMs / 1000}s${options.dryRun ? ' (dry run)' : ''}, stop with Ctrl+C`);
+    monitor.start();
+    if (!signal.aborted) {
+        await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+    }
+    await monitor.stop();
+    return monitor;
+}
+
+async function main() {
+    try {
+        const argv = process.argv.slice(2);
+        const options = parseArgs(argv);
+        const profile = loadNetwork(networkFromArgs(argv));
+        if (profile.inProcess) {
+            throw usageError(`The ${profile.name} network only lives inside test runs, pick a live one with --network`);
+        }
+        if (!profile.contractAddress) {
+            throw usageError(`No contract for "${profile.name}": deploy one with \`npm run deploy -- --network ${profile.name}\``);
+        }
+        if (!options.dryRun && !ORACLE_PRIVATE_KEY) {
+            throw usageError('Set ORACLE_PRIVATE_KEY in .env to send reports, or pass --dry-run');
+        }
+        
+        const provider = createProvider(profile.rpcUrls, { log: console.error });
+        let client = new MarketplaceClient(profile.contractAddress, provider);
+        if (!options.dryRun) {
+            const wallet = new ethers.Wallet(ORACLE_PRIVATE_KEY, provider);
+            client = new MarketplaceClient(profile.contractAddress, wallet, {
+                transactions: TransactionManager.for(wallet, transactionOptions({ log: console.error })),
+                preview: profile.preview
+            });
+        }
+        await verifyNetwork(client, profile);
+        
+        const controller = new AbortController();
+        process.once('SIGINT', () => controller.abort());
+        process.once('SIGTERM', () => controller.abort());
+        await run(argv, {
+            client,
+            io: { log: message => console.log(message), info: message => console.error(message) },
+            signal: controller.signal
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { run, parseArgs, formatRound };
@@ -0,0 +1,165 @@
+// scripts/networks.js - Network profiles from networks.json, picked with --network
+//
+// A profile names a chain and the marketplace deployed on it:
+//
+//   chainId          the chain the RPC must be connected to
+//   inProcess        true for the in-process Hardhat chain, which deploys a fresh contract per run
+//   rpcUrls          tried in order when one fails (see FailoverProvider)
+//   contractAddress  deployed APIMarketplace, when deployments/<name>.json has none (see scripts/deployments.js)
+//   deploymentBlock  where event scans start, likewise
+//   constants        minStake (ETH), slashPercentage and withdrawalDelay (seconds) the contract must have
+//   funding          targets (ETH per test wallet role) and sweep, see scripts/wallets.js
+//   preview          simulate every write before sending it (MarketplaceClient's preview option),
+//                    default true on live networks. The marketplace CLI previews each write itself.
+//
+// String values can use ${VAR} to read secrets like RPC API keys from .env. The profile
+// is --network <name>, else NETWORK (or the older TEST_NETWORK) from .env, else hardhat.
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { MarketplaceError } = require('../lib/errors');
+const { DeploymentRegistry } = require('./deployments');
+require('dotenv').config();
+
+const NETWORKS_FILE = path.join(__dirname, '..', 'networks.json');
+const DEFAULT_NETWORK = 'hardhat';
+
+// Contract getters behind each expected constant, for the mismatch messages
+const CONSTANT_NAMES = {
+    minStake: 'MIN_STAKE',
+    slashPercentage: 'SLASH_PERCENTAGE',
+    withdrawalDelay: 'WITHDRAWAL_DELAY'
+};
+
+function profileError(message) {
+    return new MarketplaceError(message, { code: 'INVALID_ARGUMENT', method: 'loadNetwork' });
+}
+
+/** Profile name from `--network <name>` in argv, falling back to .env and then hardhat */
+function networkFromArgs(argv = process.argv.slice(2), env = process.env) {
+    const index = argv.indexOf('--network');
+    if (index === -1) {
+        return env.NETWORK || env.TEST_NETWORK || DEFAULT_NETWORK;
+    }
+    if (index + 1 >= argv.length || argv[index + 1].startsWith('--')) {
+        throw profileError('--network needs a profile name from networks.json');
+    }
+    return argv[index + 1];
+}
+
+// ${VAR} from the environment, unset variables become ''
+function interpolate(value, env) {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => env[name] || '');
+}
+
+function parseConstants(name, constants = {}) {
+    const parsed = {};
+    for (const [key, value] of Object.entries(constants)) {
+        if (!CONSTANT_NAMES[key]) {
+            throw profileError(`Network "${name}" expects unknown constant "${key}", expected one of: ${Object.keys(CONSTANT_NAMES).join(', ')}`);
+        }
+        try {
+            parsed[key] = key === 'minStake' ? ethers.parseEther(String(value)) : BigInt(value);
+        } catch (error) {
+            throw profileError(`Network "${name}" has an invalid ${key}: ${value}`);
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Reads one profile, with ${VAR}s filled in, addresses checked and constants as bigints.
+ * The contract comes from the registry's deployment when there is one.
+ * @returns {{ name: string, chainId: bigint, inProcess: boolean, rpcUrls: string[], contractAddress: string|null,
+ *   deploymentBlock: number, deployment: import('./deployments').Deployment|null, constants: Object<string, bigint>,
+ *   funding: { targets: Object, sweep: boolean }, preview: boolean }}
+ */
+function loadNetwork(name, { file = NETWORKS_FILE, env = process.env, registry = new DeploymentRegistry() } = {}) {
+    const profiles = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const raw = profiles[name];
+    if (!raw) {
+        throw profileError(`Unknown network "${name}", expected one of: ${Object.keys(profiles).join(', ')}`);
+    }
+    
+    if (!/^\d+$/.test(String(raw.chainId)) || BigInt(raw.chainId) === 0n) {
+        throw profileError(`Network "${name}" needs a chainId`);
+    }
+    
+    const rpcUrls = (raw.rpcUrls || []).map(url => interpolate(url, env).trim()).filter(Boolean);
+    if (!raw.inProcess && rpcUrls.length === 0) {
+        throw profileError(`Network "${name}" needs at least one of its rpcUrls`);
+    }
+    
+    const contractAddress = interpolate(raw.contractAddress || '', env) || null;
+    if (contractAddress && !ethers.isAddress(contractAddress)) {
+        throw profileError(`Network "${name}" has an invalid contractAddress: ${contractAddress}`);
+    }
+    
+    const deployment = registry.read(name);
+    if (deployment && BigInt(deployment.chainId) !== BigInt(raw.chainId)) {
+        throw profileError(`${registry.file(name)} was deployed on chain ${deployment.chainId}, but network "${name}" is chain ${raw.chainId}`);
+    }
+    
+    const funding = raw.funding || {};
+    return {
+        name,
+        chainId: BigInt(raw.chainId),
+        inProcess: Boolean(raw.inProcess),
+        rpcUrls,
+        contractAddress: deployment ? ethers.getAddress(deployment.address) : contractAddress && ethers.getAddress(contractAddress),
+        deploymentBlock: deployment ? deployment.blockNumber : Number(raw.deploymentBlock || 0),
+        deployment,
+        constants: parseConstants(name, raw.constants),
+        funding: { targets: funding.targets || {}, sweep: funding.sweep ?? true },
+        preview: raw.preview ?? !raw.inProcess
+    };
+}
+
+// One profile per process, chosen from the command line when first needed
+let current = null;
+
+function currentNetwork() {
+    if (!current) {
+        current = loadNetwork(networkFromArgs());
+    }
+    return current;
+}
+
+function formatConstant(key, value) {
+    return key === 'minStake' ? `${ethers.formatEther(value)} ETH` : value.toString();
+}
+
+/**
+ * Checks that `client` is connected to the profile's chain and that the contract
+ * has the constants the profile expects. Throws NETWORK_MISMATCH listing every difference.
+ * @returns {Promise<{ chainId: bigint, constants: Object }>}
+ */
+async function verifyNetwork(client, profile) {
+    const provider = client.runner.provider || client.runner;
+    const { chainId } = await client.call('getNetwork', () => provider.getNetwork());
+    const mismatches = [];
+    let constants = null;
+    
+    if (chainId !== profile.chainId) {
+        mismatches.push(`connected to chain ${chainId}, expected ${profile.chainId}`);
+    } else if (await client.call('getCode', () => provider.getCode(client.address)) === '0x') {
+        mismatches.push(`no contract deployed at ${client.address}`);
+    } else {
+        constants = await client.constants();
+        for (const [key, expected] of Object.entries(profile.constants)) {
+            if (constants[key] !== expected) {
+                mismatches.push(`${CONSTANT_NAMES[key]} is ${formatConstant(key, constants[key])}, expected ${formatConstant(key, expected)}`);
+            }
+        }
+    }
+    
+    if (mismatches.length > 0) {
+        throw new MarketplaceError(`Network "${profile.name}" does not match: ${mismatches.join('; ')}`, {
+            code: 'NETWORK_MISMATCH',
+            method: 'verifyNetwork'
+        });
+    }
+    return { chainId, constants };
+}
+
+module.exports = { NETWORKS_FILE, DEFAULT_NETWORK, networkFromArgs, loadNetwork, currentNetwork, verifyNetwork };
@@ -0,0 +1,110 @@
+// scripts/oracle.js - Scriptable stand-in for the marketplace oracle
+
+/**
+ * Drives reportAPICall/slashProvider through a MarketplaceClient whose signer
+ * the contract recognises as its oracle. Failures are counted per API and the
+ * provider is slashed once `failureThreshold` failures have been reported.
+ */
+class LocalOracle {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.failureThreshold = options.failureThreshold ?? 3;
+        this.autoSlash = options.autoSlash ?? true;
+        this.failures = new Map();
+        this.history = [];
+    }
+
+    get address() {
+        return this.client.runner.address;
+    }
+
+    async report(apiId, success) {
+        const result = await this.client.reportAPICall(apiId, success);
+        this.record(apiId, success ? 'success' : 'failure', result.receipt);
+        
+        if (success) {
+            return result;
+        }
+        
+        const key = apiId.toString();
+        const failures = (this.failures.get(key) || 0) + 1;
+        this.failures.set(key, failures);
+        
+        if (this.autoSlash && failures >= this.failureThreshold) {
+            await this.slash(apiId);
+        }
+        
+        return result;
+    }
+
+    async reportSuccess(apiId) {
+        return this.report(apiId, true);
+    }
+
+    async reportFailure(apiId) {
+        return this.report(apiId, false);
+    }
+
+    async slash(apiId) {
+        const result = await this.client.slashProvider(apiId);
+        this.failures.delete(apiId.toString());
+        this.record(apiId, 'slash', result.receipt);
+        return result;
+    }
+
+    /**
+     * Plays a list of steps in order. A step is either 'success' | 'failure' |
+     * 'slash' (applied to `defaultApiId`) or an object { apiId, outcome }.
+     */
+    async play(steps, defaultApiId) {
+        const results = [];
+        
+        for (const step of steps) {
+            const { apiId = defaultApiId, outcome } = typeof step === 'string' ? { outcome: step } : step;
+            if (apiId === undefined) {
+                throw new Error(`Oracle step "${outcome}" has no apiId`);
+            }
+            
+            switch (outcome) {
+                case 'success':
+                    results.push(await this.reportSuccess(apiId));
+                    break;
+                case 'failure':
+                    results.push(await this.reportFailure(apiId));
+                    break;
+                case 'slash':
+                    results.push(await this.slash(apiId));
+                    break;
+                default:
+                    throw new Error(`Unknown oracle step "${outcome}"`);
+            }
+        }
+        
+        return results;
+    }
+
+    // Slash the contract would apply to a stake right now
+    async expectedSlash(stake) {
+        const { slashPercentage } = await this.client.constants();
+        return (stake * slashPercentage) / 100n;
+    }
+
+    record(apiId, action, receipt) {
+        this.history.push({
+            apiId: BigInt(apiId),
+            action,
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed
+        });
+    }
+
+    printHistory() {
+        console.log(`   🔮 Oracle ${this.address} activity:`);
+        this.history.forEach(entry => {
+            console.log(`      API ${entry.apiId}: ${entry.action} (block ${entry.blockNumber}, gas ${entry.gasUsed.toLocaleString()})`);
+        });
+    }
+}
+
+module.exports = { LocalOracle };
@@ -0,0 +1,168 @@
+// scripts/phase10.js - Gas Reporter
+const { TestBase, releaseWalletPool } = require('./setup');
+const { GasTracker, summarizeGas, findRegressions, formatGasReport } = require('./gas');
+const { ethers } = require('ethers');
+
+class GasReporterTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 10,
+        title: 'Gas Reporter',
+        run: 'runGasTests',
+        dependsOn: ['PaymentSystemTests']
+    };
+
+    constructor() {
+        super();
+    }
+
+    async runGasTests() {
+        console.log('⛽ PHASE 10: GAS REPORTER');
+        console.log('Testing gas recording, summaries and baseline regressions\n');
+        
+        await this.setup();
+        
+        // Test 1: Recording
+        await this.testRecordsEveryWrite();
+        
+        // Test 2: Baselines
+        await this.testRegressionThreshold();
+        await this.testRegressionPerOperation();
+        await this.testReportCost();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 10 complete! Gas usage is tracked against the baseline.');
+        } else {
+            console.log('\n⚠️  Fix Phase 10 issues before proceeding');
+        }
+    }
+
+    async testRecordsEveryWrite() {
+        await this.runTest('Records Gas For Every Write', async ({ apiId }) => {
+            const recordedBefore = this.gas.samples.length;
+            
+            const payments = [];
+            for (let i = 0; i < 3; i++) {
+                payments.push(await this.client2.payForAPICall(apiId));
+            }
+            
+            const samples = this.gas.samples.slice(recordedBefore);
+            const fixtureSamples = this.gas.samples.filter(sample => sample.test === 'fixture oneActiveAPI');
+            console.log(`   ⛽ Recorded ${samples.length} payments, fixture used ${fixtureSamples.length} transaction(s)`);
+            
+            this.assert(samples.length === 3, 'Each payment should be recorded once');
+            this.assert(samples.every(sample => sample.suite === 'GasReporterTests' && sample.test === 'Records Gas For Every Write'), 'Samples should carry the suite and test');
+            this.assert(fixtureSamples.length === 1 && fixtureSamples[0].operation === 'registerAPI', 'Fixture gas should be reported under the fixture');
+            
+            const gasUsed = payments.map(payment => Number(payment.receipt.gasUsed));
+            const { operations, tests } = summarizeGas(samples);
+            const payStats = operations.payForAPICall;
+            console.log(`   📊 payForAPICall min ${payStats.min}, avg ${payStats.avg}, max ${payStats.max}`);
+            
+            this.assert(payStats.calls === 3, 'Summary should count calls');
+            this.assert(payStats.min === Math.min(...gasUsed) && payStats.max === Math.max(...gasUsed), 'Min and max should match the receipts');
+            this.assert(tests['GasReporterTests › Records Gas For Every Write › payForAPICall'].calls === 3, 'Summary should group by suite, test and operation');
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testRegressionThreshold() {
+        await this.runTest('Flags Regressions Over The Threshold', async () => {
+            const tracker = new GasTracker('Suite');
+            const receipt = gasUsed => ({ gasUsed: BigInt(gasUsed) });
+            tracker.test = 'register';
+            tracker.record({ method: 'registerAPI', receipt: receipt(210000) });
+            tracker.test = 'pay';
+            tracker.record({ method: 'payForAPICall', receipt: receipt(53000) });
+            tracker.test = 'brand new test';
+            tracker.record({ method: 'payForAPICall', receipt: receipt(90000) });
+            
+            const baseline = {
+                operations: {},
+                tests: {
+                    'Suite › register › registerAPI': { max: 200000 },
+                    'Suite › pay › payForAPICall': { max: 50000 }
+                }
+            };
+            const summary = summarizeGas(tracker.samples);
+            
+            const strict = findRegressions(summary, baseline, 4);
+            console.log(`   ⛽ At 4%: ${strict.map(r => `${r.key} +${r.changePercent}%`).join(', ')}`);
+            this.assert(strict.length === 2, 'Both known operations grew by more than 4%');
+            this.assert(strict[0].changePercent === 5, 'Change should be reported as a percentage');
+            
+            const lenient = findRegressions(summary, baseline, 5);
+            this.assert(lenient.length === 1 && lenient[0].key === 'Suite › pay › payForAPICall', 'Growth equal to the threshold is allowed');
+            this.assert(!strict.some(r => r.key.includes('brand new test')), 'Tests missing from the baseline are not regressions');
+        }, { fixture: 'clean' });
+    }
+
+    async testRegressionPerOperation() {
+        await this.runTest('Flags Regressions Per Operation Below The Max', async () => {
+            const tracker = new GasTracker('Suite');
+            const receipt = gasUsed => ({ gasUsed: BigInt(gasUsed) });
+            tracker.test = 'mixed';
+            // The light payment got heavier, the heavy one and the test's max stayed put
+            tracker.record({ method: 'payForAPICall', receipt: receipt(46000) });
+            tracker.record({ method: 'payForAPICall', receipt: receipt(60000) });
+            // One operation got cheaper while another one in the same test got dearer
+            tracker.record({ method: 'reportAPICall', receipt: receipt(30000) });
+            tracker.record({ method: 'slashProvider', receipt: receipt(58000) });
+            
+            const baseline = {
+                operations: {},
+                tests: {
+                    'Suite › mixed › payForAPICall': { min: 40000, avg: 50000, max: 60000 },
+                    'Suite › mixed › reportAPICall': { min: 40000, avg: 40000, max: 40000 },
+                    'Suite › mixed › slashProvider': { min: 50000, avg: 50000, max: 50000 }
+                }
+            };
+            const regressions = findRegressions(summarizeGas(tracker.samples), baseline, 5);
+            const found = regressions.map(r => `${r.key.split(' › ').pop()} ${r.stat}`);
+            console.log(`   ⛽ ${found.join(', ')}`);
+            
+            this.assert(found.includes('payForAPICall min') && found.includes('payForAPICall avg'), 'A lighter call getting heavier should be flagged under an unchanged max');
+            this.assert(!found.includes('payForAPICall max'), 'The unchanged max is no regression');
+            this.assert(found.filter(name => name.startsWith('slashProvider')).length === 3, 'A dearer operation should be flagged despite a cheaper one in the same test');
+            this.assert(!found.some(name => name.startsWith('reportAPICall')), 'Cheaper operations are not regressions');
+        }, { fixture: 'clean' });
+    }
+
+    async testReportCost() {
+        await this.runTest('Report Shows Cost At Gas Price', async () => {
+            const tracker = new GasTracker('Suite');
+            tracker.test = 'pay';
+            for (const gasUsed of [40000, 50000, 60000]) {
+                tracker.record({ method: 'payForAPICall', receipt: { gasUsed: BigInt(gasUsed) } });
+            }
+            const summary = summarizeGas(tracker.samples);
+            
+            const table = formatGasReport(summary, { operations: { payForAPICall: { avg: 40000 } } }, 30);
+            console.log(table.split('\n').map(line => `   ${line}`).join('\n'));
+            
+            const expectedCost = ethers.formatEther(50000n * ethers.parseUnits('30', 'gwei'));
+            this.assert(table.includes('40,000') && table.includes('50,000') && table.includes('60,000'), 'Table should show min, avg and max');
+            this.assert(table.includes(expectedCost), `Table should price the average at 30 gwei (${expectedCost} ETH)`);
+            this.assert(table.includes('+25.0%'), 'Table should show the change against the baseline average');
+        }, { fixture: 'clean' });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new GasReporterTests();
+        await tests.runGasTests();
+    } catch (error) {
+        console.error('\n💥 Phase 10 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { GasReporterTests };
@@ -0,0 +1,180 @@
+// scripts/phase11.js - Deterministic Test Wallets
+const { TestBase, releaseWalletPool } = require('./setup');
+const { WalletPool, ROLES } = require('./wallets');
+const { ethers } = require('ethers');
+
+// Hardhat's built-in accounts come from this mnemonic
+const HARDHAT_MNEMONIC = 'test test test test test test test test test test test junk';
+
+class WalletPoolTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 11,
+        title: 'Test Wallet Pool',
+        run: 'runWalletPoolTests',
+        dependsOn: ['PaymentSystemTests']
+    };
+
+    constructor() {
+        super();
+    }
+
+    async runWalletPoolTests() {
+        console.log('👛 PHASE 11: DETERMINISTIC TEST WALLETS');
+        console.log('Testing role derivation, top-up funding and the sweep back to the funder\n');
+        
+        await this.setup();
+        
+        if (!this.supportsSnapshots) {
+            throw new Error(`❌ Wallet pool tests move funds between fresh wallets and only run locally, not on ${this.network}`);
+        }
+        
+        // Test 1: Derivation
+        await this.testDeterministicRoles();
+        
+        // Test 2: Funding
+        await this.testTopUpOnly();
+        
+        // Test 3: Sweep
+        await this.testSweepAndReport();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 11 complete! Test wallets are reused and swept back.');
+        } else {
+            console.log('\n⚠️  Fix Phase 11 issues before proceeding');
+        }
+    }
+
+    // A pool funded by wallet 1 whose roles start out empty on the local chain
+    createPool(options = {}) {
+        return new WalletPool(this.provider, this.wallet1, {
+            mnemonic: WalletPool.mnemonicFromKey(ethers.id('phase11 funder')),
+            ...options
+        });
+    }
+
+    async testDeterministicRoles() {
+        await this.runTest('Roles Are Derived Deterministically', async () => {
+            const first = this.createPool();
+            const second = this.createPool();
+            
+            for (const role of ROLES) {
+                console.log(`   👤 ${role.padEnd(8)} ${first.wallet(role).address}`);
+                this.assert(first.wallet(role).address === second.wallet(role).address, `${role} should be the same on every run`);
+            }
+            this.assert(new Set(ROLES.map(role => first.wallet(role).address)).size === ROLES.length, 'Every role should get its own wallet');
+            
+            const otherKey = new WalletPool(this.provider, this.wallet1, { mnemonic: WalletPool.mnemonicFromKey(ethers.id('another funder')) });
+            this.assert(otherKey.wallet('consumer').address !== first.wallet('consumer').address, 'A different funder key should get different wallets');
+            
+            // Roles use Hardhat's derivation path, so the local accounts line up with them
+            const hardhat = new WalletPool(this.provider, this.wallet1, { mnemonic: HARDHAT_MNEMONIC });
+            this.assert(hardhat.wallet('provider').address === this.wallet1.address, 'Provider role should be Hardhat account 0');
+            this.assert(hardhat.wallet('consumer').address === this.wallet2.address, 'Consumer role should be Hardhat account 1');
+            this.assert(hardhat.wallet('oracle').address === this.oracleWallet.address, 'Oracle role should be Hardhat account 2');
+            this.assert(hardhat.wallet('attacker').address === this.attackerWallet.address, 'Attacker role should be Hardhat account 3');
+            
+            let unknownRole = null;
+            try {
+                first.wallet('auditor');
+            } catch (error) {
+                unknownRole = error;
+            }
+            this.assert(unknownRole, 'Unknown roles should be rejected');
+        }, { fixture: 'clean' });
+    }
+
+    async testTopUpOnly() {
+        await this.runTest('Funding Only Tops Up', async ({ apiId }) => {
+            const pool = this.createPool();
+            await pool.fund();
+            
+            for (const role of ROLES) {
+                const balance = await this.provider.getBalance(pool.wallet(role).address);
+                this.assert(balance === pool.targets[role], `${role} should be funded to exactly its target`);
+            }
+            
+            console.log('   🔁 Funding again without spending...');
+            const nonceBefore = await this.wallet1.getNonce();
+            await pool.fund();
+            this.assert(await this.wallet1.getNonce() === nonceBefore, 'Funded wallets should not be topped up again');
+            
+            console.log('   💳 Consumer pays for a call, attacker receives extra ETH...');
+            const consumerClient = this.client1.connect(pool.wallet('consumer'));
+            const { receipt } = await consumerClient.payForAPICall(apiId);
+            const { pricePerCall } = await this.client1.getAPI(apiId);
+            const spent = pricePerCall + receipt.fee;
+            await (await this.wallet1.sendTransaction({ to: pool.wallet('attacker').address, value: ethers.parseEther('1') })).wait();
+            
+            const attackerBefore = await this.provider.getBalance(pool.wallet('attacker').address);
+            const topUp = await pool.topUp('consumer');
+            this.assert(topUp, 'Consumer should be topped up after spending');
+            
+            const transfer = await this.provider.getTransaction(topUp.hash);
+            this.assert(transfer.value === spent, 'Top-up should only replace what was spent');
+            
+            await pool.topUp('attacker');
+            this.assert(await this.provider.getBalance(pool.wallet('attacker').address) === attackerBefore, 'Balances above target are left alone');
+            
+            const greedy = this.createPool({ targets: { provider: '100000' } });
+            let shortfall = null;
+            try {
+                await greedy.topUp('provider');
+            } catch (error) {
+                shortfall = error;
+            }
+            this.assert(shortfall && shortfall.message.includes('needs'), 'Funding beyond the funder balance should fail clearly');
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testSweepAndReport() {
+        await this.runTest('Sweep Returns Leftovers', async ({ apiId, pricePerCall }) => {
+            const pool = this.createPool();
+            await pool.fund();
+            const funded = Object.values(pool.targets).reduce((sum, target) => sum + target, 0n);
+            
+            const consumerClient = this.client1.connect(pool.wallet('consumer'));
+            await consumerClient.payForAPICall(apiId);
+            
+            console.log('   🧹 Sweeping...');
+            const swept = await pool.sweep();
+            const { maxFeePerGas } = await this.provider.getFeeData();
+            
+            for (const role of ROLES) {
+                const balance = await this.provider.getBalance(pool.wallet(role).address);
+                this.assert(balance <= 21000n * maxFeePerGas, `${role} should only keep fee dust, has ${ethers.formatEther(balance)} ETH`);
+            }
+            this.assert(Object.keys(swept).length === ROLES.length, 'Every funded role should be swept');
+            
+            const report = await pool.report();
+            console.log(pool.formatReport(report).split('\n').map(line => `   ${line}`).join('\n'));
+            
+            const row = role => report.rows.find(entry => entry.role === role);
+            this.assert(row('consumer').start === 0n, 'Report should start from the balances before funding');
+            this.assert(report.spent === report.rows.reduce((sum, entry) => sum + entry.start - entry.end, 0n), 'Spent should be the total balance drop');
+            this.assert(report.spent < funded, 'Most of the funding should come back to the funder');
+            // The fixture API belongs to the funder, so the payment comes back and only gas is lost
+            this.assert(report.spent > 0n && report.spent < pricePerCall, 'Only gas should be spent');
+        }, { fixture: 'oneActiveAPI' });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new WalletPoolTests();
+        await tests.runWalletPoolTests();
+    } catch (error) {
+        console.error('\n💥 Phase 11 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { WalletPoolTests };
@@ -0,0 +1,279 @@
+// scripts/phase12.js - Property-Based Fuzzing of Registration and Payments
+//
+// FUZZ_RUNS and FUZZ_SEED control the runs (see scripts/fuzz.js). Failing seeds are
+// saved to fuzz-seeds.json and replayed on every later run.
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { TestBase, releaseWalletPool } = require('./setup');
+const { MarketplaceClient } = require('../lib/client');
+const { decodeRevert } = require('../lib/errors');
+const { TransactionManager } = require('../lib/transactions');
+const { MAX_UINT256, ASCII, bigintNear, text, oneOf, record, FailingSeeds, checkProperty, replay, describeCase } = require('./fuzz');
+const { ethers } = require('ethers');
+
+function registrationCase(minStake) {
+    return record({
+        endpoint: oneOf(
+            text({ prefix: 'https://', maxLength: 64, alphabets: [ASCII] }),
+            text({ maxLength: 512 })
+        ),
+        description: text({ maxLength: 1024 }),
+        pricePerCall: bigintNear([0n, 1n, ethers.parseEther('0.001'), MAX_UINT256], { spread: 10n ** 15n }),
+        stake: bigintNear([minStake, ethers.parseEther('0.15')], { spread: ethers.parseEther('0.05'), max: ethers.parseEther('1') })
+    });
+}
+
+// Prices a consumer can afford, and payments a few wei to 0.001 ETH either side of them
+function paymentCase() {
+    return record({
+        pricePerCall: bigintNear([1n, ethers.parseEther('0.001'), ethers.parseEther('1')], {
+            spread: 10n ** 15n,
+            min: 1n,
+            max: ethers.parseEther('5')
+        }),
+        overpay: bigintNear([0n], { spread: 1000n, min: -(10n ** 15n), max: 10n ** 15n, toward: 0n })
+    });
+}
+
+// The contract's require checks, in the order it makes them
+function expectedRegistration({ endpoint, pricePerCall, stake }, minStake) {
+    if (stake < minStake) {
+        return 'Insufficient stake';
+    }
+    if (endpoint.length === 0) {
+        return 'Endpoint required';
+    }
+    if (pricePerCall === 0n) {
+        return 'Price must be greater than zero';
+    }
+    return null;
+}
+
+function expectedPayment(amount, pricePerCall) {
+    return amount < pricePerCall ? 'Insufficient payment' : null;
+}
+
+class FuzzTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 12,
+        title: 'Registration and Payment Fuzzing',
+        run: 'runFuzzTests',
+        dependsOn: ['RegistrationEdgeTests', 'PaymentSystemTests']
+    };
+
+    constructor() {
+        super();
+    }
+
+    async runFuzzTests() {
+        console.log('🎲 PHASE 12: PROPERTY-BASED FUZZING');
+        console.log('Testing generated registrations and payments against a model of the contract\n');
+        
+        await this.setup();
+        
+        if (!this.supportsSnapshots) {
+            throw new Error(`❌ Fuzzing reverts the chain after every case and only runs locally, not on ${this.network}`);
+        }
+        
+        // Random inputs would move the gas baseline on every run, so these clients aren't tracked
+        this.fuzzProvider = new MarketplaceClient(this.contractAddress, this.wallet1, { transactions: TransactionManager.for(this.wallet1) });
+        this.fuzzConsumer = this.fuzzProvider.connect(this.wallet2, { transactions: TransactionManager.for(this.wallet2) });
+        this.minStake = (await this.client1.constants()).minStake;
+        
+        // Test 1: Registration
+        await this.testRegistrationModel();
+        
+        // Test 2: Payments
+        await this.testPaymentModel();
+        
+        // Test 3: Shrinking and replay
+        await this.testShrinkAndReplay();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 12 complete! Generated inputs match the model.');
+        } else {
+            console.log('\n⚠️  Fix Phase 12 issues before proceeding');
+        }
+    }
+
+    // Every case starts from the same chain state
+    isolated(property) {
+        return async value => {
+            const snapshotId = await this.takeSnapshot();
+            try {
+                await property(value);
+            } finally {
+                await this.revertToSnapshot(snapshotId);
+            }
+        };
+    }
+
+    // Sends a write and returns { result } or { revert }, anything but a revert is rethrown
+    async attempt(promise) {
+        try {
+            return { result: await promise, revert: null };
+        } catch (error) {
+            const revert = decodeRevert(error, this.fuzzProvider.interface);
+            if (!revert) {
+                throw error;
+            }
+            return { result: null, revert };
+        }
+    }
+
+    assertOutcome(expected, revert) {
+        if (expected) {
+            this.assert(revert && revert.reason === expected, `Expected revert '${expected}' but ${revert ? revert.message : 'it succeeded'}`);
+        } else {
+            this.assert(!revert, `Expected success but ${revert && revert.message}`);
+        }
+    }
+
+    // Runs the property and turns a counterexample into a readable failure
+    async fuzz(name, generator, property, outcomes) {
+        const { seed, runs, replayed, failure } = await checkProperty(name, generator, this.isolated(property));
+        console.log(`   🎲 Seed ${seed}: ${runs} random cases, ${replayed} saved seeds replayed`);
+        console.log(`   📊 Outcomes: ${Object.entries(outcomes).map(([outcome, count]) => `${outcome} ${count}`).join(', ')}`);
+        
+        if (failure) {
+            console.log(`   💥 Case seed ${failure.seed} failed: ${describeCase(failure.original)}`);
+            console.log(`   🔬 Shrunk in ${failure.shrinkSteps} steps to: ${describeCase(failure.shrunk)}`);
+            console.log('   💾 Seed kept in fuzz-seeds.json and replayed on every run');
+            throw new Error(`${failure.error.message} for ${describeCase(failure.shrunk)}`);
+        }
+    }
+
+    async testRegistrationModel() {
+        await this.runTest('Registration Matches Model', async () => {
+            console.log('   📝 Registering generated endpoints, descriptions, prices and stakes...');
+            const outcomes = {};
+            
+            await this.fuzz('registerAPI', registrationCase(this.minStake), async input => {
+                const expected = expectedRegistration(input, this.minStake);
+                outcomes[expected || 'registered'] = (outcomes[expected || 'registered'] || 0) + 1;
+                
+                const nextApiId = await this.fuzzProvider.nextApiId();
+                const stakeBefore = await this.fuzzProvider.getProviderStake(this.wallet1.address);
+                const { result, revert } = await this.attempt(this.fuzzProvider.registerAPI(input));
+                this.assertOutcome(expected, revert);
+                
+                if (revert) {
+                    this.assert(await this.fuzzProvider.nextApiId() === nextApiId, 'A rejected registration should not use an API ID');
+                    this.assert(await this.fuzzProvider.getProviderStake(this.wallet1.address) === stakeBefore, 'A rejected registration should not add stake');
+                    return;
+                }
+                
+                const api = await this.fuzzProvider.getAPI(result.apiId);
+                this.assert(result.apiId === nextApiId, 'Registration should use the next API ID');
+                this.assert(api.endpoint === input.endpoint, 'Endpoint should be stored unchanged');
+                this.assert(api.description === input.description, 'Description should be stored unchanged');
+                this.assert(api.pricePerCall === input.pricePerCall, 'Price should be stored unchanged');
+                this.assert(api.stake === input.stake, 'Stake should be the value sent');
+                this.assert(api.provider === this.wallet1.address && api.active, 'API should be active and owned by the sender');
+                this.assert(await this.fuzzProvider.getProviderStake(this.wallet1.address) === stakeBefore + input.stake, 'Provider stake should grow by the stake');
+                this.assert(result.event.args.endpoint === input.endpoint, 'APIRegistered should carry the endpoint');
+            }, outcomes);
+        }, { fixture: 'clean' });
+    }
+
+    async testPaymentModel() {
+        await this.runTest('Payment Matches Model', async () => {
+            console.log('   💳 Paying generated amounts around generated prices...');
+            const outcomes = {};
+            
+            await this.fuzz('payForAPICall', paymentCase(), async ({ pricePerCall, overpay }) => {
+                const amount = pricePerCall + overpay < 0n ? 0n : pricePerCall + overpay;
+                const expected = expectedPayment(amount, pricePerCall);
+                outcomes[expected || 'paid'] = (outcomes[expected || 'paid'] || 0) + 1;
+                
+                const { apiId } = await this.fuzzProvider.registerAPI({
+                    endpoint: 'https://api.fuzz.test/v1',
+                    description: 'Fuzzed price',
+                    pricePerCall,
+                    stake: this.minStake
+                });
+                const providerBefore = await this.provider.getBalance(this.wallet1.address);
+                const { result, revert } = await this.attempt(this.fuzzConsumer.payForAPICall(apiId, { amount }));
+                this.assertOutcome(expected, revert);
+                
+                const api = await this.fuzzProvider.getAPI(apiId);
+                const received = await this.provider.getBalance(this.wallet1.address) - providerBefore;
+                if (revert) {
+                    this.assert(api.totalCalls === 0n, 'A rejected payment should not count a call');
+                    this.assert(received === 0n, 'A rejected payment should not reach the provider');
+                    return;
+                }
+                
+                this.assert(api.totalCalls === 1n, 'Payment should count one call');
+                this.assert(received === amount, `Provider should receive the full ${amount} wei, got ${received}`);
+                this.assert(result.event && result.event.args.amount === amount, 'APIPayment should carry the amount paid');
+                this.assert(result.event.args.consumer === this.wallet2.address, 'APIPayment should name the consumer');
+            }, outcomes);
+        }, { fixture: 'clean' });
+    }
+
+    async testShrinkAndReplay() {
+        await this.runTest('Failing Cases Shrink And Replay', async () => {
+            console.log('   🐛 Checking a planted bug: prices from 0.001 ETH with a non-ASCII description...');
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fuzz-'));
+            try {
+                await this.checkPlantedBug(path.join(dir, 'seeds.json'));
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    }
+
+    async checkPlantedBug(file) {
+        const generator = registrationCase(this.minStake);
+        const threshold = ethers.parseEther('0.001');
+        const planted = async ({ pricePerCall, description }) => {
+            if (pricePerCall >= threshold && /[^\x00-\x7f]/.test(description)) {
+                throw new Error('Planted bug');
+            }
+        };
+        
+        const first = await checkProperty('planted', generator, planted, { runs: 200, seed: 1, seeds: new FailingSeeds(file) });
+        this.assert(first.failure, 'The planted bug should be found');
+        
+        const { shrunk } = first.failure;
+        console.log(`   🔬 Shrunk in ${first.failure.shrinkSteps} steps to: ${describeCase(shrunk)}`);
+        this.assert(shrunk.pricePerCall === threshold, `Price should shrink to the 0.001 ETH boundary, got ${shrunk.pricePerCall}`);
+        this.assert(Array.from(shrunk.description).length === 1 && shrunk.description.codePointAt(0) > 0x7f, 'Description should shrink to one non-ASCII character');
+        this.assert(shrunk.endpoint === '' && shrunk.stake === 0n, 'Unrelated fields should shrink to their simplest value');
+        
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        this.assert(saved.length === 1 && saved[0].seed === first.failure.seed, 'The failing seed should be saved');
+        this.assert(describeCase(replay(generator, saved[0].seed)) === describeCase(first.failure.original), 'The saved seed should rebuild the same case');
+        
+        console.log(`   🔁 Replaying saved seed ${saved[0].seed} without random cases...`);
+        const second = await checkProperty('planted', generator, planted, { runs: 0, seeds: new FailingSeeds(file) });
+        this.assert(second.replayed === 1 && second.failure, 'The saved seed should be replayed and fail again');
+        this.assert(describeCase(second.failure.shrunk) === describeCase(shrunk), 'Replay should shrink to the same case');
+        
+        const fixed = await checkProperty('planted', generator, async () => {}, { runs: 0, seeds: new FailingSeeds(file) });
+        this.assert(fixed.replayed === 1 && !fixed.failure, 'A fixed bug should pass its replayed seed');
+    }
+}
+
+async function main() {
+    try {
+        const tests = new FuzzTests();
+        await tests.runFuzzTests();
+    } catch (error) {
+        console.error('\n💥 Phase 12 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { FuzzTests };
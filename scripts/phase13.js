@@ -0,0 +1,209 @@
+// scripts/phase13.js - Marketplace Accounting Invariants
+const { TestBase, releaseWalletPool } = require('./setup');
+const { InvariantChecker, INVARIANTS } = require('../lib/invariants');
+const { run: runAudit, parseArgs } = require('./audit');
+const { ethers } = require('ethers');
+
+class InvariantTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 13,
+        title: 'Accounting Invariants',
+        run: 'runInvariantTests',
+        dependsOn: ['StakeWithdrawalTests']
+    };
+
+    constructor() {
+        super();
+        // Every test in this suite is followed by a full audit
+        this.checkInvariants = true;
+    }
+
+    async runInvariantTests() {
+        console.log('⚖️  PHASE 13: ACCOUNTING INVARIANTS');
+        console.log('Testing that balances, stakes, call counts and events stay consistent\n');
+        
+        await this.setup();
+        
+        if (!this.supportsSnapshots) {
+            throw new Error(`❌ Invariant tests break the accounting on purpose and only run locally, not on ${this.network}`);
+        }
+        
+        // Test 1: Invariants through a full API lifecycle
+        await this.testLifecycle();
+        
+        // Test 2: Violation reports
+        await this.testViolationReport();
+        
+        // Test 3: The runTest hook
+        await this.testHookFailsTest();
+        
+        // Test 4: Standalone audit
+        await this.testStandaloneAudit();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 13 complete! Marketplace accounting is consistent.');
+        } else {
+            console.log('\n⚠️  Fix Phase 13 issues before proceeding');
+        }
+    }
+
+    // Adds ETH to the contract without going through any of its functions
+    async addContractBalance(amount) {
+        const balance = await this.provider.getBalance(this.contractAddress);
+        await this.provider.send('hardhat_setBalance', [this.contractAddress, ethers.toQuantity(balance + amount)]);
+    }
+
+    async testLifecycle() {
+        await this.runTest('Invariants Hold Through The API Lifecycle', async ({ apiId }) => {
+            const steps = [
+                ['second API from another provider', async () => {
+                    const second = await this.attackerClient.registerAPI({
+                        endpoint: 'https://api.second.com/v1',
+                        description: 'Second provider',
+                        pricePerCall: ethers.parseEther('0.002'),
+                        stake: ethers.parseEther('0.2')
+                    });
+                    this.secondApiId = second.apiId;
+                }],
+                ['three payments', async () => {
+                    await this.client2.payForAPICall(apiId);
+                    await this.client2.payForAPICall(apiId, { amount: ethers.parseEther('0.005') });
+                    await this.client2.payForAPICall(this.secondApiId);
+                }],
+                ['oracle reports', async () => {
+                    await this.oracleClient.reportAPICall(apiId, true);
+                    await this.oracleClient.reportAPICall(apiId, false);
+                    await this.oracleClient.reportAPICall(this.secondApiId, true);
+                }],
+                ['slash', () => this.oracleClient.slashProvider(this.secondApiId)],
+                ['withdrawal request', () => this.client1.requestWithdrawal(apiId)],
+                ['withdrawal', async () => {
+                    const { withdrawalDelay } = await this.client1.constants();
+                    await this.increaseTime(Number(withdrawalDelay));
+                    await this.client1.withdrawStake(apiId);
+                }]
+            ];
+            
+            for (const [name, step] of steps) {
+                await step();
+                const report = await this.assertInvariants();
+                const checked = report.results.filter(result => result.status === 'passed').length;
+                console.log(`   ✅ After ${name}: ${checked}/${INVARIANTS.length} invariants hold`);
+            }
+            
+            const { stake } = await this.client1.getAPI(apiId);
+            this.assert(stake === 0n, 'Withdrawn API should have no stake left');
+            this.assert(await this.provider.getBalance(this.contractAddress) === await this.client1.getProviderStake(this.attackerWallet.address), 'Only the slashed provider should have ETH left in the contract');
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testViolationReport() {
+        await this.runTest('Violations Name The Invariant And Values', async ({ stake }) => {
+            console.log('   💸 Sending 1 ETH to the contract behind its back...');
+            const extra = ethers.parseEther('1');
+            await this.addContractBalance(extra);
+            
+            const report = await new InvariantChecker(this.client1).check();
+            const failed = report.results.filter(result => result.status === 'failed');
+            this.assert(!report.ok, 'Report should fail');
+            this.assert(failed.length === 1 && failed[0].name === 'balance-equals-stakes', `Only the balance invariant should fail, got ${failed.map(result => result.name)}`);
+            
+            const [violation] = failed[0].violations;
+            console.log(`   📋 ${violation.message}`);
+            this.assert(violation.values.balance === stake + extra && violation.values.totalStakes === stake, 'Violation should carry the balance and the stakes');
+            
+            // Restored before the hook audits the chain after this test
+            await this.addContractBalance(-extra);
+            
+            console.log('   🧮 Checking corrupted state directly...');
+            const state = await new InvariantChecker(this.client1).readState();
+            const [api] = state.apis;
+            const corrupted = {
+                ...state,
+                apis: [{ ...api, successfulCalls: api.totalCalls + 2n, stake: api.stake - 1n, active: true }],
+                withdrawalRequests: new Map([[api.id, 1n]])
+            };
+            const broken = INVARIANTS.filter(invariant => invariant.check(corrupted).length > 0).map(invariant => invariant.name);
+            console.log(`   📋 Violated: ${broken.join(', ')}`);
+            for (const name of ['api-stakes-sum-to-provider', 'successful-within-total', 'withdrawal-deactivates', 'stake-matches-events']) {
+                this.assert(broken.includes(name), `${name} should catch the corruption`);
+            }
+            this.assert(!broken.includes('calls-match-payments'), 'Untouched call counts should still match the payments');
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testHookFailsTest() {
+        await this.runTest('Hook Fails A Test That Breaks Accounting', async () => {
+            // A second suite instance on the same chain, so its failure doesn't count here
+            const inner = new InvariantTests();
+            Object.assign(inner, { provider: this.provider, client1: this.client1, contractAddress: this.contractAddress });
+            
+            console.log('   🧪 Running an inner test that leaves extra ETH in the contract (its failure is expected)...');
+            const passed = await inner.runTest('Leaves Extra ETH', () => this.addContractBalance(1n));
+            this.assert(passed === false, 'Inner test should fail on the invariant check');
+            this.assert(inner.results.errors[0].includes('balance-equals-stakes'), 'Failure should name the violated invariant');
+            this.assert(inner.results.errors[0].includes('balance=150000000000000001'), 'Failure should show the values involved');
+            
+            this.assert(await this.provider.getBalance(this.contractAddress) === ethers.parseEther('0.15'), 'Inner test should be reverted');
+            
+            const skipped = new InvariantTests();
+            Object.assign(skipped, { provider: this.provider, client1: this.client1, checkInvariants: false });
+            this.assert(await skipped.runTest('Unchecked', async () => {}) === true, 'Suites without checkInvariants are not audited');
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testStandaloneAudit() {
+        await this.runTest('Standalone Audit Of A Deployed Address', async ({ apiId }) => {
+            const output = [];
+            const io = { log: message => output.push(message) };
+            const registeredAt = await this.provider.getBlockNumber();
+            await this.client2.payForAPICall(apiId);
+            
+            console.log(`   🔍 Auditing ${this.contractAddress}...`);
+            const report = await runAudit(['--address', this.contractAddress], { provider: this.provider, io });
+            console.log(output[0].split('\n').map(line => `   ${line}`).join('\n'));
+            this.assert(report.ok && report.results.every(result => result.status === 'passed'), 'Audit should pass every invariant');
+            
+            const earlier = await runAudit(['--address', this.contractAddress, '--block', String(registeredAt), '--json'], { provider: this.provider, io });
+            this.assert(earlier.blockNumber === registeredAt, 'Audit should read the requested block');
+            this.assert(JSON.parse(output[1]).blockNumber === registeredAt, '--json should print the report');
+            
+            const withoutEvents = await runAudit(['--address', this.contractAddress, '--no-events'], { provider: this.provider, io });
+            this.assert(withoutEvents.results.filter(result => result.status === 'skipped').length === 4, '--no-events should skip the event checks');
+            
+            await this.addContractBalance(1n);
+            const failing = await runAudit(['--address', this.contractAddress], { provider: this.provider, io });
+            this.assert(!failing.ok && output[3].includes('❌ balance-equals-stakes'), 'Audit should report the violated invariant');
+            await this.addContractBalance(-1n);
+            
+            let usage = null;
+            try {
+                parseArgs(['--address', 'not-an-address']);
+            } catch (error) {
+                usage = error;
+            }
+            this.assert(usage && usage.code === 'INVALID_ARGUMENT', 'A bad address should be a usage error');
+        }, { fixture: 'oneActiveAPI' });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new InvariantTests();
+        await tests.runInvariantTests();
+    } catch (error) {
+        console.error('\n💥 Phase 13 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { InvariantTests };
@@ -0,0 +1,354 @@
+// scripts/phase14.js - Transaction Manager and RPC Failover
+const http = require('http');
+const { TestBase, releaseWalletPool } = require('./setup');
+const { TransactionManager, FailoverProvider, withRetries } = require('../lib/transactions');
+const { describeTransactionEvent } = require('./rpc');
+const { ethers } = require('ethers');
+
+// Hardhat's built-in accounts come from this mnemonic, the first ones are taken by the test roles
+const HARDHAT_MNEMONIC = 'test test test test test test test test test test test junk';
+const DEAD_URL = 'http://127.0.0.1:1';
+
+/**
+ * JSON-RPC server in front of the in-process Hardhat node. The first `failFirst`
+ * requests get a 503, like an overloaded public RPC. The first `loseReplies`
+ * broadcasts reach the node but get a 503 back, like a reply lost on the way.
+ */
+async function startRpcProxy({ failFirst = 0, loseReplies = 0 } = {}) {
+    const { network } = require('hardhat');
+    const stats = { requests: 0, failed: 0, lost: 0 };
+    
+    const answer = async ({ id, method, params }) => {
+        try {
+            return { jsonrpc: '2.0', id, result: await network.provider.request({ method, params }) };
+        } catch (error) {
+            return { jsonrpc: '2.0', id, error: { code: error.code || -32603, message: error.message, data: error.data } };
+        }
+    };
+    
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+            stats.requests++;
+            if (stats.failed < failFirst) {
+                stats.failed++;
+                res.writeHead(503).end('Service Unavailable');
+                return;
+            }
+            const payload = JSON.parse(body);
+            const response = Array.isArray(payload) ? await Promise.all(payload.map(answer)) : await answer(payload);
+            if (stats.lost < loseReplies && payload.method === 'eth_sendRawTransaction') {
+                stats.lost++;
+                res.writeHead(503).end('Service Unavailable');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(response));
+        });
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    return { url, stats, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+class TransactionManagerTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 14,
+        title: 'Transaction Manager',
+        run: 'runTransactionManagerTests',
+        dependsOn: ['PaymentSystemTests']
+    };
+
+    constructor() {
+        super();
+    }
+
+    async runTransactionManagerTests() {
+        console.log('📮 PHASE 14: TRANSACTION MANAGER');
+        console.log('Testing nonces, fee bumping, rebroadcasts, timeouts, retries and RPC failover\n');
+        
+        await this.setup();
+        
+        if (!this.supportsSnapshots) {
+            throw new Error(`❌ Transaction manager tests stop mining and only run locally, not on ${this.network}`);
+        }
+        
+        // Test 1: Local nonces
+        await this.testConcurrentNonces();
+        
+        // Test 2: Nonce resync
+        await this.testNonceResync();
+        
+        // Test 3: Lost broadcast replies
+        await this.testLostReply();
+        
+        // Test 4: Fee bumping
+        await this.testFeeBump();
+        
+        // Test 5: Rebroadcast
+        await this.testRebroadcast();
+        
+        // Test 6: Timeout
+        await this.testTimeout();
+        
+        // Test 7: Retries and failover
+        await this.testFailover();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 14 complete! Writes survive stuck, dropped and failing RPCs.');
+        } else {
+            console.log('\n⚠️  Fix Phase 14 issues before proceeding');
+        }
+    }
+
+    // A funded Hardhat account none of the roles use, signing locally like a live wallet
+    spareWallet(provider = this.provider) {
+        return ethers.HDNodeWallet.fromPhrase(HARDHAT_MNEMONIC, undefined, "m/44'/60'/0'/0/10").connect(provider);
+    }
+
+    // Manager with fast polling whose events are logged and kept
+    createManager(signer, options = {}) {
+        const events = [];
+        const manager = new TransactionManager(signer, {
+            pollIntervalMs: 20,
+            ...options,
+            onEvent: event => {
+                events.push(event);
+                console.log(describeTransactionEvent(event));
+            }
+        });
+        return { manager, events };
+    }
+
+    // Every version broadcast, as { hash, tx }, without changing what the manager does
+    recordBroadcasts(manager) {
+        const broadcasts = [];
+        const broadcast = manager.broadcast.bind(manager);
+        manager.broadcast = async tx => {
+            const sent = await broadcast(tx);
+            broadcasts.push(sent);
+            return sent;
+        };
+        return broadcasts;
+    }
+
+    async waitUntil(condition, message, timeoutMs = 5000) {
+        const startedAt = Date.now();
+        while (!(await condition())) {
+            if (Date.now() - startedAt > timeoutMs) {
+                throw new Error(`Timed out waiting until ${message}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    }
+
+    // Transactions stay in the mempool until `evm_mine`
+    async withoutAutomine(testFunction) {
+        await this.provider.send('evm_setAutomine', [false]);
+        try {
+            return await testFunction();
+        } finally {
+            await this.provider.send('evm_setAutomine', [true]);
+        }
+    }
+
+    async testConcurrentNonces() {
+        await this.runTest('Concurrent Sends Get Consecutive Nonces', async ({ apiId }) => {
+            const startNonce = await this.provider.getTransactionCount(this.wallet2.address);
+            
+            console.log('   💳 Sending 5 payments at once...');
+            const payments = await Promise.all(Array.from({ length: 5 }, () => this.client2.payForAPICall(apiId)));
+            const nonces = await Promise.all(payments.map(async ({ hash }) => (await this.provider.getTransaction(hash)).nonce));
+            console.log(`   🔢 Nonces: ${nonces.join(', ')}`);
+            
+            this.assert([...nonces].sort((a, b) => a - b).every((nonce, i) => nonce === startNonce + i), 'Payments should use consecutive nonces');
+            this.assert((await this.client2.getAPI(apiId)).totalCalls === 5n, 'Every payment should be counted');
+            
+            const { manager } = this.createManager(this.spareWallet());
+            const transfers = await Promise.all([1n, 2n, 3n].map(value => manager.send({ to: this.wallet2.address, value })));
+            this.assert(new Set(transfers.map(({ nonce }) => nonce)).size === 3, 'Locally signed sends should get their own nonces');
+            this.assert(transfers.every(({ receipt, replaced }) => receipt.status === 1 && replaced.length === 0), 'Every transfer should be mined as sent');
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testNonceResync() {
+        await this.runTest('Nonce Resyncs After Another Sender', async () => {
+            const wallet = this.spareWallet();
+            const { manager, events } = this.createManager(wallet);
+            const first = await manager.send({ to: this.wallet2.address, value: 1n });
+            
+            console.log('   ✉️  Sending from the same key behind the manager\'s back...');
+            await (await wallet.sendTransaction({ to: this.wallet2.address, value: 1n })).wait();
+            
+            const second = await manager.send({ to: this.wallet2.address, value: 1n });
+            this.assert(events.some(event => event.type === 'resync'), 'A used nonce should be resynced');
+            this.assert(second.nonce === first.nonce + 2, `The retry should use the next free nonce, got ${second.nonce}`);
+            this.assert(second.receipt.status === 1, 'The resynced transfer should be mined');
+        });
+    }
+
+    async testLostReply() {
+        await this.runTest('Broadcast That Landed Despite An RPC Error Is Not Sent Twice', async () => {
+            const proxy = await startRpcProxy({ loseReplies: 1 });
+            const provider = new FailoverProvider([proxy.url], { network: (await this.provider.getNetwork()).chainId, backoffMs: 1 });
+            
+            try {
+                const wallet = this.spareWallet(provider);
+                const { manager, events } = this.createManager(wallet, { backoffMs: 1 });
+                const startNonce = await this.provider.getTransactionCount(wallet.address);
+                
+                console.log('   📡 Broadcasting through a proxy that loses the first reply...');
+                const { hash, nonce, receipt } = await manager.send({ to: this.wallet2.address, value: 1n });
+                this.assert(proxy.stats.lost === 1, 'The proxy should have lost the broadcast reply');
+                this.assert(events.some(event => event.type === 'landed' && event.hash === hash), 'The landed broadcast should be recognized');
+                this.assert(!events.some(event => event.type === 'resync'), 'The nonce should not be resynced for our own transaction');
+                this.assert(nonce === startNonce && receipt.status === 1, 'The first broadcast should be the one mined');
+                this.assert(await this.provider.getTransactionCount(wallet.address) === startNonce + 1, 'The transfer should be sent exactly once');
+                
+                const next = await manager.send({ to: this.wallet2.address, value: 1n });
+                this.assert(next.nonce === startNonce + 1, `The next send should use the next nonce, got ${next.nonce}`);
+            } finally {
+                provider.destroy();
+                await proxy.close();
+            }
+        });
+    }
+
+    async testFeeBump() {
+        await this.runTest('Stuck Transaction Is Replaced With Higher Fees', async () => {
+            const { manager, events } = this.createManager(this.spareWallet(), { bumpAfterMs: 50, maxBumps: 2 });
+            const broadcasts = this.recordBroadcasts(manager);
+            
+            await this.withoutAutomine(async () => {
+                const sending = manager.send({ to: this.wallet2.address, value: 1n });
+                await this.waitUntil(() => events.filter(event => event.type === 'bump').length === 2, 'the transfer was bumped twice');
+                
+                console.log('   ⛏️  Mining the pending block...');
+                await this.provider.send('evm_mine', []);
+                const { hash, replaced, receipt } = await sending;
+                
+                const [original, first, last] = broadcasts;
+                this.assert(hash === last.hash && receipt.status === 1, 'The last replacement should be the one mined');
+                this.assert(replaced.length === 2 && replaced.includes(original.hash) && replaced.includes(first.hash), 'Both earlier versions should be reported as replaced');
+                this.assert(await this.provider.getTransaction(original.hash) === null, 'The original should be gone from the node');
+                this.assert(broadcasts.every(({ tx }) => tx.nonce === original.tx.nonce), 'Replacements should keep the nonce');
+                
+                for (const [before, after] of [[original, first], [first, last]]) {
+                    this.assert(after.tx.maxFeePerGas * 100n >= before.tx.maxFeePerGas * 115n, 'Every bump should raise the fee by bumpPercent');
+                    this.assert(after.tx.maxPriorityFeePerGas * 100n >= before.tx.maxPriorityFeePerGas * 115n, 'Every bump should raise the tip by bumpPercent');
+                }
+            });
+        });
+    }
+
+    async testRebroadcast() {
+        await this.runTest('Dropped Transaction Is Broadcast Again', async () => {
+            const { manager, events } = this.createManager(this.spareWallet(), { maxBumps: 0 });
+            const broadcasts = this.recordBroadcasts(manager);
+            
+            await this.withoutAutomine(async () => {
+                const sending = manager.send({ to: this.wallet2.address, value: 1n });
+                await this.waitUntil(() => broadcasts.length === 1, 'the transfer was broadcast');
+                const [{ hash: dropped }] = broadcasts;
+                
+                console.log('   🗑️  Dropping it from the mempool...');
+                await this.provider.send('hardhat_dropTransaction', [dropped]);
+                await this.waitUntil(() => events.some(event => event.type === 'rebroadcast'), 'the transfer was rebroadcast');
+                
+                await this.provider.send('evm_mine', []);
+                const { hash, receipt } = await sending;
+                this.assert(hash === dropped && receipt.status === 1, 'The same signed transaction should be mined');
+            });
+        });
+    }
+
+    async testTimeout() {
+        await this.runTest('Unmined Transaction Times Out', async () => {
+            const { manager } = this.createManager(this.spareWallet(), { timeoutMs: 200, maxBumps: 0 });
+            
+            await this.withoutAutomine(async () => {
+                let timeout = null;
+                try {
+                    await manager.send({ to: this.wallet2.address, value: 1n });
+                } catch (error) {
+                    timeout = error;
+                }
+                this.assert(timeout && timeout.code === 'TX_TIMEOUT', `Send should time out, got ${timeout && timeout.message}`);
+                this.assert(manager.nonce === null, 'A timed-out send should leave the nonce to be read from the chain again');
+                console.log(`   ⏱️  ${timeout.message}`);
+            });
+        });
+    }
+
+    async testFailover() {
+        await this.runTest('Retries And Fails Over Between RPC URLs', async () => {
+            let calls = 0;
+            const retried = await withRetries(async () => {
+                if (++calls < 3) {
+                    throw ethers.makeError('connection reset', 'NETWORK_ERROR');
+                }
+                return 'ok';
+            }, { backoffMs: 1 });
+            this.assert(retried === 'ok' && calls === 3, 'RPC errors should be retried');
+            
+            let reverted = null;
+            calls = 0;
+            await withRetries(async () => {
+                calls++;
+                throw ethers.makeError('execution reverted', 'CALL_EXCEPTION');
+            }, { backoffMs: 1 }).catch(error => { reverted = error; });
+            this.assert(reverted && calls === 1, 'Reverts should not be retried');
+            
+            const proxy = await startRpcProxy({ failFirst: 2 });
+            const switches = [];
+            const provider = new FailoverProvider([DEAD_URL, proxy.url], {
+                network: (await this.provider.getNetwork()).chainId,
+                backoffMs: 1,
+                onFailover: ({ from, to, error }) => {
+                    switches.push(to);
+                    console.log(`   🔀 ${from} failed (${error.shortMessage || error.message}), switching to ${to}`);
+                }
+            });
+            
+            try {
+                console.log(`   📡 Sending through a dead URL and a flaky proxy at ${proxy.url}...`);
+                const { manager } = this.createManager(this.spareWallet(provider), { backoffMs: 1 });
+                const { hash, receipt } = await manager.send({ to: this.wallet2.address, value: 1n });
+                this.assert(receipt.status === 1 && (await this.provider.getTransaction(hash)) !== null, 'The transfer should reach the node');
+                this.assert(proxy.stats.failed === 2, 'The proxy should have failed its first requests');
+                this.assert(switches[0] === proxy.url && provider.url === proxy.url, 'Requests should move off the dead URL');
+                
+                let exhausted = null;
+                const dead = new FailoverProvider([DEAD_URL], { network: 31337, rounds: 2, backoffMs: 1 });
+                await dead.getBlockNumber().catch(error => { exhausted = error; });
+                dead.destroy();
+                this.assert(exhausted, 'A provider with only dead URLs should give up');
+            } finally {
+                provider.destroy();
+                await proxy.close();
+            }
+        });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new TransactionManagerTests();
+        await tests.runTransactionManagerTests();
+    } catch (error) {
+        console.error('\n💥 Phase 14 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { TransactionManagerTests };
@@ -0,0 +1,202 @@
+// scripts/phase15.js - Network Profiles
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { TestBase, releaseWalletPool } = require('./setup');
+const { MarketplaceClient } = require('../lib/client');
+const { networkFromArgs, loadNetwork, verifyNetwork } = require('./networks');
+const { run: runAudit } = require('./audit');
+const cli = require('./marketplace');
+const { ethers } = require('ethers');
+
+class NetworkProfileTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 15,
+        title: 'Network Profiles',
+        run: 'runNetworkProfileTests',
+        dependsOn: ['FoundationTests']
+    };
+
+    constructor() {
+        super();
+    }
+
+    async runNetworkProfileTests() {
+        console.log('🗺️  PHASE 15: NETWORK PROFILES');
+        console.log('Testing profile loading, --network selection and the startup chain and constant checks\n');
+        
+        await this.setup();
+        
+        // Test 1: Loading
+        await this.testLoadProfiles();
+        
+        // Test 2: Bad profiles
+        await this.testRejectBadProfiles();
+        
+        // Test 3: Startup checks
+        await this.testVerifyNetwork();
+        
+        // Test 4: CLIs
+        await this.testCommandsTakeNetwork();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 15 complete! Tools only run against the network they were pointed at.');
+        } else {
+            console.log('\n⚠️  Fix Phase 15 issues before proceeding');
+        }
+    }
+
+    // Writes `profiles` to a temporary networks file for the duration of `testFunction`
+    async withProfiles(profiles, testFunction) {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'networks-'));
+        const file = path.join(dir, 'networks.json');
+        fs.writeFileSync(file, JSON.stringify(profiles, null, 2));
+        try {
+            return await testFunction(file);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    async expectProfileError(load, expected) {
+        let caught = null;
+        try {
+            await load();
+        } catch (error) {
+            caught = error;
+        }
+        this.assert(caught && caught.code === 'INVALID_ARGUMENT', `Expected a profile error, got ${caught ? caught.message : 'none'}`);
+        this.assert(caught.message.includes(expected), `Error should mention "${expected}", got: ${caught.message}`);
+        console.log(`   🚫 ${caught.message}`);
+    }
+
+    async testLoadProfiles() {
+        await this.runTest('Profiles Load From networks.json', async () => {
+            const env = {};
+            const sepolia = loadNetwork('sepolia', { env });
+            console.log(`   📋 sepolia: chain ${sepolia.chainId}, ${sepolia.rpcUrls.length} RPC URL(s)`);
+            this.assert(sepolia.chainId === 11155111n && !sepolia.inProcess, 'Sepolia should be a live chain');
+            this.assert(sepolia.contractAddress === null, 'An unset ${CONTRACT_ADDRESS} should leave the address empty');
+            this.assert(sepolia.constants.minStake === ethers.parseEther('0.1'), 'minStake should be read in ETH');
+            this.assert(sepolia.funding.sweep === true && sepolia.funding.targets.consumer === '0.2', 'The funding policy should be loaded');
+            this.assert(sepolia.preview === true, 'Writes on a live chain should be simulated first by default');
+            
+            const hardhat = loadNetwork('hardhat', { env });
+            this.assert(hardhat.inProcess && hardhat.rpcUrls.length === 0, 'hardhat should be the in-process chain');
+            this.assert(hardhat.preview === false, 'Writes on the in-process chain should not be simulated by default');
+            
+            await this.withProfiles({
+                custom: {
+                    chainId: 5,
+                    rpcUrls: ['https://rpc.example/${RPC_KEY}', '${MISSING_URL}'],
+                    contractAddress: '${ADDRESS}',
+                    constants: { withdrawalDelay: 60 }
+                }
+            }, async file => {
+                const address = ethers.Wallet.createRandom().address.toLowerCase();
+                const custom = loadNetwork('custom', { file, env: { RPC_KEY: 'secret', ADDRESS: address } });
+                this.assert(custom.rpcUrls.length === 1 && custom.rpcUrls[0] === 'https://rpc.example/secret', '${VAR}s should be filled in and empty URLs dropped');
+                this.assert(custom.contractAddress === ethers.getAddress(address), 'The address should be checksummed');
+                this.assert(custom.constants.withdrawalDelay === 60n && custom.constants.minStake === undefined, 'Only the listed constants should be expected');
+                this.assert(custom.funding.sweep === true && custom.deploymentBlock === 0, 'Missing settings should get defaults');
+            });
+            
+            this.assert(networkFromArgs(['list', '--network', 'sepolia'], {}) === 'sepolia', '--network should pick the profile');
+            this.assert(networkFromArgs([], { TEST_NETWORK: 'localhost' }) === 'localhost', 'TEST_NETWORK should still work');
+            this.assert(networkFromArgs([], {}) === 'hardhat', 'hardhat should be the default');
+        });
+    }
+
+    async testRejectBadProfiles() {
+        await this.runTest('Bad Profiles Are Rejected', async () => {
+            await this.expectProfileError(() => loadNetwork('mainnet-typo'), 'expected one of: hardhat, localhost, sepolia');
+            await this.expectProfileError(() => networkFromArgs(['--network', '--json']), '--network needs a profile name');
+            
+            await this.withProfiles({
+                noChain: { rpcUrls: ['http://127.0.0.1:8545'] },
+                noUrls: { chainId: 1, rpcUrls: ['${UNSET_RPC_URL}'] },
+                badAddress: { chainId: 1, rpcUrls: ['http://127.0.0.1:8545'], contractAddress: '0x1234' },
+                badConstant: { chainId: 1, rpcUrls: ['http://127.0.0.1:8545'], constants: { maxStake: '1' } },
+                badValue: { chainId: 1, rpcUrls: ['http://127.0.0.1:8545'], constants: { minStake: 'a lot' } }
+            }, async file => {
+                await this.expectProfileError(() => loadNetwork('noChain', { file }), 'needs a chainId');
+                await this.expectProfileError(() => loadNetwork('noUrls', { file, env: {} }), 'needs at least one of its rpcUrls');
+                await this.expectProfileError(() => loadNetwork('badAddress', { file }), 'invalid contractAddress');
+                await this.expectProfileError(() => loadNetwork('badConstant', { file }), 'unknown constant "maxStake"');
+                await this.expectProfileError(() => loadNetwork('badValue', { file }), 'invalid minStake');
+            });
+        });
+    }
+
+    async expectMismatch(client, profile, expected) {
+        let caught = null;
+        try {
+            await verifyNetwork(client, profile);
+        } catch (error) {
+            caught = error;
+        }
+        this.assert(caught && caught.code === 'NETWORK_MISMATCH', `Expected NETWORK_MISMATCH, got ${caught ? caught.message : 'none'}`);
+        for (const part of expected) {
+            this.assert(caught.message.includes(part), `Mismatch should mention "${part}", got: ${caught.message}`);
+        }
+        console.log(`   🚫 ${caught.message}`);
+    }
+
+    async testVerifyNetwork() {
+        await this.runTest('Startup Checks Chain And Constants', async () => {
+            const { chainId, constants } = await verifyNetwork(this.client1, this.profile);
+            console.log(`   ✅ Chain ${chainId} with MIN_STAKE ${ethers.formatEther(constants.minStake)} ETH matches ${this.profile.name}`);
+            
+            await this.expectMismatch(this.client1, { ...this.profile, chainId: chainId + 1n }, [`connected to chain ${chainId}, expected ${chainId + 1n}`]);
+            
+            await this.expectMismatch(this.client1, {
+                ...this.profile,
+                constants: { ...this.profile.constants, minStake: ethers.parseEther('1'), withdrawalDelay: 86400n }
+            }, ['MIN_STAKE is 0.1 ETH, expected 1.0 ETH', 'WITHDRAWAL_DELAY is 604800, expected 86400']);
+            
+            const nowhere = new MarketplaceClient(this.wallet2.address, this.provider);
+            await this.expectMismatch(nowhere, this.profile, [`no contract deployed at ${this.wallet2.address}`]);
+        });
+    }
+
+    async testCommandsTakeNetwork() {
+        await this.runTest('Commands Take --network', async () => {
+            const output = [];
+            const io = { log: message => output.push(message), info: () => {}, confirm: async () => true };
+            
+            const report = await runAudit(['--network', this.network, '--address', this.contractAddress, '--no-events'], { provider: this.provider, io });
+            this.assert(report.ok, `Audit against the ${this.network} profile should pass`);
+            
+            // A profile for another chain than the one the suite runs on
+            const other = this.profile.chainId === 11155111n ? 'hardhat' : 'sepolia';
+            let mismatch = null;
+            await runAudit(['--network', other, '--address', this.contractAddress], { provider: this.provider, io }).catch(error => { mismatch = error; });
+            this.assert(mismatch && mismatch.code === 'NETWORK_MISMATCH', 'Auditing with the wrong profile should stop before reading anything');
+            console.log(`   🚫 ${mismatch.message}`);
+            
+            const stake = await cli.run(['stake', '--address', this.wallet1.address, '--network', this.network, '--json'], { client: this.client1, io });
+            this.assert(stake.provider === this.wallet1.address, 'The marketplace CLI should accept --network on any command');
+        });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new NetworkProfileTests();
+        await tests.runNetworkProfileTests();
+    } catch (error) {
+        console.error('\n💥 Phase 15 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { NetworkProfileTests };
@@ -0,0 +1,220 @@
+// scripts/phase16.js - Scripted Deployment
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { TestBase, releaseWalletPool } = require('./setup');
+const { MarketplaceClient } = require('../lib/client');
+const { TransactionManager } = require('../lib/transactions');
+const { DeploymentRegistry, abiHash } = require('./deployments');
+const { loadNetwork } = require('./networks');
+const { run: deploy, smokeTest } = require('./deploy');
+const { ethers } = require('ethers');
+
+class DeploymentTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 16,
+        title: 'Scripted Deployment',
+        run: 'runDeploymentTests',
+        dependsOn: ['NetworkProfileTests']
+    };
+
+    constructor() {
+        super();
+    }
+
+    async runDeploymentTests() {
+        console.log('🚀 PHASE 16: SCRIPTED DEPLOYMENT');
+        console.log('Testing the deploy command, the deployments registry and the post-deploy smoke test\n');
+        
+        await this.setup();
+        
+        if (!this.supportsSnapshots) {
+            throw new Error(`❌ Deployment tests deploy throwaway contracts and only run locally, not on ${this.network}`);
+        }
+        this.artifact = await require('hardhat').artifacts.readArtifact('APIMarketplace');
+        
+        // Test 1: Deploy and record
+        await this.testDeployAndRecord();
+        
+        // Test 2: Refusals
+        await this.testDeployRefusals();
+        
+        // Test 3: Failed ownership transfer
+        await this.testFailedOwnershipTransfer();
+        
+        // Test 4: Smoke test
+        await this.testSmokeTestFailure();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 16 complete! Deployments are recorded and checked.');
+        } else {
+            console.log('\n⚠️  Fix Phase 16 issues before proceeding');
+        }
+    }
+
+    // A registry in a temporary directory for the duration of `testFunction`
+    async withRegistry(testFunction) {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployments-'));
+        try {
+            return await testFunction(new DeploymentRegistry(dir));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    deployWith(argv, registry, io) {
+        return deploy(argv, {
+            signer: this.wallet1,
+            artifact: this.artifact,
+            registry,
+            io,
+            transactions: TransactionManager.for(this.wallet1)
+        });
+    }
+
+    captureIO(confirmed = true) {
+        const output = [];
+        const io = {
+            log: message => output.push(message),
+            info: message => output.push(message),
+            confirm: async () => confirmed
+        };
+        return { output, io };
+    }
+
+    async testDeployAndRecord() {
+        await this.runTest('Deploy Records The Deployment And Passes The Smoke Test', async () => {
+            await this.withRegistry(async registry => {
+                const { output, io } = this.captureIO();
+                const argv = ['--network', this.network, '--oracle', this.oracleWallet.address, '--owner', this.wallet2.address];
+                const deployment = await this.deployWith(argv, registry, io);
+                output.forEach(line => console.log(`   ${line.split('\n').join('\n   ')}`));
+                
+                const saved = registry.read(this.network);
+                this.assert(JSON.stringify(saved) === JSON.stringify(deployment), 'The deployment should be written to the registry');
+                this.assert(fs.existsSync(path.join(registry.dir, `${this.network}.json`)), 'The registry should have one file per network');
+                
+                const receipt = await this.provider.getTransactionReceipt(saved.transactionHash);
+                this.assert(receipt.contractAddress === saved.address && receipt.blockNumber === saved.blockNumber, 'Address and block should come from the deployment receipt');
+                this.assert(saved.chainId === 31337 && saved.deployer === this.wallet1.address, 'Chain and deployer should be recorded');
+                this.assert(saved.abiHash === abiHash(this.artifact.abi), 'The compiled ABI should be hashed');
+                this.assert(saved.abiHash === abiHash([...this.artifact.abi].reverse()), 'The ABI hash should not depend on fragment order');
+                
+                const { oracle, owner } = await new MarketplaceClient(saved.address, this.provider).constants();
+                this.assert(oracle === this.oracleWallet.address, 'The contract should use the given oracle');
+                this.assert(owner === this.wallet2.address, 'Ownership should be transferred to --owner');
+                this.assert(output.some(line => line.includes('is live on')), 'The smoke test should pass');
+                
+                const profile = loadNetwork(this.network, { registry });
+                this.assert(profile.contractAddress === saved.address && profile.deploymentBlock === saved.blockNumber, 'Scripts should read the address and block from the registry');
+                this.assert(loadNetwork(this.network, { registry: new DeploymentRegistry(path.join(registry.dir, 'empty')) }).contractAddress === null, 'Without a deployment there is no address');
+                
+                registry.write(this.network, { ...saved, chainId: 1 });
+                let stale = null;
+                try {
+                    loadNetwork(this.network, { registry });
+                } catch (error) {
+                    stale = error;
+                }
+                this.assert(stale && stale.message.includes('was deployed on chain 1'), 'A deployment from another chain should be refused');
+            });
+        });
+    }
+
+    async testDeployRefusals() {
+        await this.runTest('Deploy Refuses Wrong Chains, Bad Arguments, Declines And Dry Runs', async () => {
+            await this.withRegistry(async registry => {
+                const nonce = await this.provider.getTransactionCount(this.wallet1.address);
+                const attempt = async (argv, confirmed) => {
+                    try {
+                        return { result: await this.deployWith(argv, registry, this.captureIO(confirmed).io) };
+                    } catch (error) {
+                        console.log(`   🚫 ${error.message}`);
+                        return { error };
+                    }
+                };
+                
+                const wrongChain = await attempt(['--network', 'sepolia', '--yes'], true);
+                this.assert(wrongChain.error && wrongChain.error.code === 'NETWORK_MISMATCH', 'Deploying to the wrong chain should be refused');
+                
+                const badOracle = await attempt(['--network', this.network, '--oracle', '0x1234', '--yes'], true);
+                this.assert(badOracle.error && badOracle.error.code === 'INVALID_ARGUMENT', 'A bad --oracle should be a usage error');
+                
+                const declined = await attempt(['--network', this.network], false);
+                this.assert(declined.result === null, 'A declined confirmation should deploy nothing');
+                
+                const { output, io } = this.captureIO(true);
+                const dryRun = await this.deployWith(['--network', this.network, '--owner', this.wallet2.address, '--dry-run'], registry, io);
+                console.log(`   ${output.join('\n   ')}`);
+                this.assert(dryRun === null && output.some(line => /Would deploy with \d+ gas/.test(line)), 'A dry run should estimate the deployment and stop');
+                this.assert(!output.some(line => line.includes('Cancelled')), 'A dry run should not ask to deploy');
+                
+                this.assert(await this.provider.getTransactionCount(this.wallet1.address) === nonce, 'Nothing should have been sent');
+                this.assert(registry.read(this.network) === null, 'Nothing should have been recorded');
+            });
+        });
+    }
+
+    async testFailedOwnershipTransfer() {
+        await this.runTest('Deployment Stays Recorded When The Ownership Transfer Fails', async () => {
+            await this.withRegistry(async registry => {
+                const { output, io } = this.captureIO();
+                let failed = null;
+                try {
+                    await this.deployWith(['--network', this.network, '--owner', ethers.ZeroAddress, '--yes'], registry, io);
+                } catch (error) {
+                    failed = error;
+                }
+                console.log(`   🚫 ${failed && failed.message}`);
+                this.assert(failed && failed.code === 'OWNERSHIP_TRANSFER_FAILED' && failed.message.includes('Invalid owner'), `The transfer to the zero address should fail, got ${failed && failed.message}`);
+                
+                const saved = registry.read(this.network);
+                this.assert(saved && failed.message.includes(saved.address), 'The deployed address should be recorded and reported');
+                this.assert((await this.provider.getCode(saved.address)) !== '0x', 'The recorded address should hold the contract');
+                this.assert(saved.owner === this.wallet1.address, 'The record should keep the deployer as owner');
+                this.assert((await new MarketplaceClient(saved.address, this.provider).constants()).owner === saved.owner, 'The recorded owner should be the contract\'s');
+                this.assert(!output.some(line => line.includes('is live on')), 'The smoke test should not run');
+            });
+        });
+    }
+
+    async testSmokeTestFailure() {
+        await this.runTest('Smoke Test Catches A Mismatching Deployment', async () => {
+            const client = new MarketplaceClient(this.contractAddress, this.provider);
+            const passing = await smokeTest(client, this.profile, { oracle: this.oracleWallet.address, owner: this.wallet1.address });
+            this.assert(passing.passed, `The suite's own contract should pass, got ${passing.errors.join('; ')}`);
+            
+            const strict = { ...this.profile, constants: { ...this.profile.constants, withdrawalDelay: 86400n } };
+            const constants = await smokeTest(client, strict, {});
+            this.assert(!constants.passed && constants.errors[0].includes('WITHDRAWAL_DELAY'), 'Constants the profile does not expect should fail');
+            
+            const wrongOwner = await smokeTest(client, this.profile, { owner: this.wallet2.address });
+            this.assert(!wrongOwner.passed && wrongOwner.errors[0].includes(`Owner should be ${this.wallet2.address}`), 'A wrong owner should fail');
+            
+            await this.client2.registerAPI({ endpoint: 'https://api.example.com/v1', description: 'Existing', pricePerCall: ethers.parseEther('0.001'), stake: ethers.parseEther('0.1') });
+            const used = await smokeTest(client, this.profile, {});
+            this.assert(!used.passed && used.errors[0].includes('Next API ID should be 1'), 'A contract that is already in use is not a fresh deployment');
+        });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new DeploymentTests();
+        await tests.runDeploymentTests();
+    } catch (error) {
+        console.error('\n💥 Phase 16 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { DeploymentTests };
@@ -0,0 +1,200 @@
+// scripts/phase17.js - ABI Drift
+const { TestBase, CONTRACT_ABI, releaseWalletPool } = require('./setup');
+const { run: runDrift, checkAbi, checkDeployment, parseArgs } = require('./drift');
+const { abiHash } = require('./deployments');
+const { ethers } = require('ethers');
+
+class AbiDriftTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 17,
+        title: 'ABI Drift',
+        run: 'runAbiDriftTests',
+        dependsOn: ['FoundationTests']
+    };
+
+    constructor() {
+        super();
+    }
+
+    async runAbiDriftTests() {
+        console.log('🧬 PHASE 17: ABI DRIFT');
+        console.log('Testing the check of the hand-written CONTRACT_ABI against the compiled contract\n');
+        
+        await this.setup();
+        this.artifact = await require('hardhat').artifacts.readArtifact('APIMarketplace');
+        
+        // Test 1: In sync
+        await this.testAbiMatches();
+        
+        // Test 2: Missing and extra
+        await this.testMissingAndExtra();
+        
+        // Test 3: Changed
+        await this.testChangedFragments();
+        
+        // Test 4: Overloads
+        await this.testOverloads();
+        
+        // Test 5: Live deployments
+        await this.testDeploymentFromOtherSource();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 17 complete! CONTRACT_ABI matches the contract.');
+        } else {
+            console.log('\n⚠️  Fix Phase 17 issues before proceeding');
+        }
+    }
+
+    // CONTRACT_ABI with the signature containing `search` swapped for `replacement` (null drops it)
+    editAbi(search, replacement) {
+        const index = CONTRACT_ABI.findIndex(signature => signature.includes(search));
+        this.assert(index >= 0, `CONTRACT_ABI has no "${search}"`);
+        const abi = [...CONTRACT_ABI];
+        abi.splice(index, 1, ...(replacement === null ? [] : [CONTRACT_ABI[index].replace(search, replacement)]));
+        return abi;
+    }
+
+    differenceFor(report, name) {
+        const difference = report.differences.find(entry => entry.name === name);
+        this.assert(difference, `${name} should be listed, got ${report.differences.map(entry => entry.name).join(', ') || 'nothing'}`);
+        return difference;
+    }
+
+    assertChange(difference, expected) {
+        this.assert(difference.changes.includes(expected), `${difference.name} should report "${expected}", got: ${difference.changes.join('; ')}`);
+    }
+
+    async testAbiMatches() {
+        await this.runTest('CONTRACT_ABI Matches The Compiled Contract', async () => {
+            const output = [];
+            const report = await runDrift([], { artifact: this.artifact, io: { log: message => output.push(message) } });
+            console.log(`   ${output[0]}`);
+            this.assert(report.ok && report.differences.length === 0, 'CONTRACT_ABI should match the compiled contract');
+            
+            const named = this.artifact.abi.filter(fragment => ['function', 'event', 'error'].includes(fragment.type));
+            this.assert(report.compared === named.length, `Every function and event should be compared, got ${report.compared} of ${named.length}`);
+            this.assert(this.client1.contract.interface.getFunction('transferOwnership'), 'The owner functions should be callable through the client');
+            
+            const json = [];
+            await runDrift(['--json'], { artifact: this.artifact, io: { log: message => json.push(message) } });
+            this.assert(JSON.parse(json[0]).ok === true, '--json should print the report');
+            
+            let usage = null;
+            try {
+                parseArgs(['--fix']);
+            } catch (error) {
+                usage = error;
+            }
+            this.assert(usage && usage.code === 'INVALID_ARGUMENT', 'Unknown options should be usage errors');
+        });
+    }
+
+    async testMissingAndExtra() {
+        await this.runTest('Missing And Extra Fragments Are Listed', async () => {
+            const abi = [
+                ...this.editAbi('function setOracle', null),
+                'function pause()',
+                'event Paused(address account)'
+            ];
+            const report = checkAbi(this.artifact.abi, abi);
+            console.log(`   📋 ${report.differences.map(({ kind, signature }) => `${kind}: ${signature}`).join('\n   📋 ')}`);
+            
+            this.assert(!report.ok && report.differences.length === 3, 'Exactly the edited fragments should be listed');
+            this.assert(this.differenceFor(report, 'setOracle').kind === 'missing', 'A function only the contract has is missing');
+            this.assert(this.differenceFor(report, 'pause').kind === 'extra', 'A function the contract lacks is extra');
+            this.assert(this.differenceFor(report, 'Paused').type === 'event', 'Events are compared too');
+        });
+    }
+
+    async testChangedFragments() {
+        await this.runTest('Changed Parameters And Struct Fields Are Listed', async () => {
+            // Swapped struct fields still decode, just into the wrong names
+            const swapped = checkAbi(this.artifact.abi, this.editAbi('uint256 totalCalls, uint256 successfulCalls', 'uint256 successfulCalls, uint256 totalCalls'));
+            const getAPI = this.differenceFor(swapped, 'getAPI');
+            console.log(`   ✏️  ${getAPI.changes.join('\n   ✏️  ')}`);
+            this.assert(getAPI.kind === 'changed', 'A reordered struct should be a change');
+            this.assertChange(getAPI, 'getAPI returns.#0.#7 is named "successfulCalls", the contract calls it "totalCalls"');
+            
+            const dropped = this.differenceFor(checkAbi(this.artifact.abi, this.editAbi(', uint256 createdAt', '')), 'getAPI');
+            this.assertChange(dropped, 'getAPI returns.#0.createdAt (uint256) is missing');
+            
+            // The contract growing a field is drift as well
+            const compiled = JSON.parse(JSON.stringify(this.artifact.abi));
+            compiled.find(fragment => fragment.name === 'getAPI').outputs[0].components.push({ name: 'lastCallAt', type: 'uint256', internalType: 'uint256' });
+            this.assertChange(this.differenceFor(checkAbi(compiled), 'getAPI'), 'getAPI returns.#0.lastCallAt (uint256) is missing');
+            
+            const retyped = this.differenceFor(checkAbi(this.artifact.abi, this.editAbi('uint256 pricePerCall)', 'uint128 pricePerCall)')), 'registerAPI');
+            this.assertChange(retyped, 'registerAPI.pricePerCall is uint128, the contract has uint256');
+            
+            const unindexed = this.differenceFor(checkAbi(this.artifact.abi, this.editAbi('uint256 indexed apiId, bool success', 'uint256 apiId, bool success')), 'APICallReported');
+            this.assertChange(unindexed, 'APICallReported.apiId is not indexed, the contract\'s is indexed');
+            
+            const unpaid = this.differenceFor(checkAbi(this.artifact.abi, this.editAbi('payForAPICall(uint256 apiId) payable', 'payForAPICall(uint256 apiId)')), 'payForAPICall');
+            this.assertChange(unpaid, 'payForAPICall is nonpayable, the contract has payable');
+            
+            // Naming the mapping getter's unnamed key is harmless
+            const renamedKey = checkAbi(this.artifact.abi, this.editAbi('withdrawalRequests(uint256 apiId)', 'withdrawalRequests(uint256 id)'));
+            this.assert(renamedKey.ok, 'Names the contract leaves out should not count as drift');
+        });
+    }
+
+    async testOverloads() {
+        await this.runTest('Overloaded Functions Are Compared One By One', async () => {
+            // A contract with a second payForAPICall, paying for several calls at once
+            const overload = 'function payForAPICall(uint256 apiId, uint256 calls) payable';
+            const compiled = [...this.artifact.abi, JSON.parse(ethers.Fragment.from(overload).format('json'))];
+            
+            const both = checkAbi(compiled, [...CONTRACT_ABI, overload]);
+            this.assert(both.ok && both.compared === this.artifact.abi.filter(fragment => fragment.type !== 'constructor').length + 1, 'Both overloads should be compared and match');
+            
+            const missing = checkAbi(compiled);
+            this.assert(missing.differences.length === 1, `Only the overload CONTRACT_ABI lacks should be listed, got ${missing.differences.map(entry => entry.signature).join(', ')}`);
+            this.assert(missing.differences[0].kind === 'missing' && missing.differences[0].signature.includes('uint256 calls'), 'The two-argument overload should be missing');
+            
+            const unpaid = checkAbi(compiled, [...CONTRACT_ABI, overload.replace(' payable', '')]);
+            const changed = this.differenceFor(unpaid, 'payForAPICall');
+            console.log(`   ✏️  ${changed.signature}: ${changed.changes.join('; ')}`);
+            this.assert(unpaid.differences.length === 1 && changed.signature.includes('uint256 calls'), 'Only the edited overload should differ');
+            this.assertChange(changed, 'payForAPICall is nonpayable, the contract has payable');
+        });
+    }
+
+    async testDeploymentFromOtherSource() {
+        await this.runTest('Deployments From Other Source Are Refused', async () => {
+            const deployment = { network: 'sepolia', address: this.contractAddress, abiHash: abiHash(this.artifact.abi) };
+            const current = checkDeployment(deployment, this.artifact.abi);
+            this.assert(current.ok && current.known, 'A deployment of the compiled contract should pass');
+            
+            // Deployed before reportedCalls() was added to the contract
+            const older = this.artifact.abi.filter(fragment => fragment.name !== 'reportedCalls');
+            const stale = checkDeployment({ ...deployment, abiHash: abiHash(older) }, this.artifact.abi);
+            console.log(`   ${stale.message}`);
+            this.assert(!stale.ok && stale.message.includes('npm run deploy -- --network sepolia'), 'A deployment of older source should be refused');
+            
+            const unrecorded = checkDeployment(null, this.artifact.abi);
+            this.assert(unrecorded.ok && !unrecorded.known, 'A contract without a registry entry can only be warned about');
+            this.assert(checkDeployment({ ...deployment, abiHash: undefined }, this.artifact.abi).known === false, 'Older registry entries without an ABI hash are unknown too');
+        });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new AbiDriftTests();
+        await tests.runAbiDriftTests();
+    } catch (error) {
+        console.error('\n💥 Phase 17 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { AbiDriftTests };
@@ -0,0 +1,333 @@
+// scripts/phase18.js - Endpoint Health Monitor
+const http = require('http');
+const { TestBase, releaseWalletPool } = require('./setup');
+const { HealthMonitor } = require('../lib/monitor');
+const { MarketplaceClient } = require('../lib/client');
+const { run: runMonitor } = require('./monitor');
+const { ethers } = require('ethers');
+
+/**
+ * A local endpoint answering with `status` after `delayMs`, both can be changed
+ * while it runs. 3xx answers redirect to /elsewhere.
+ */
+async function startMockEndpoint(status = 200, delayMs = 0) {
+    const endpoint = { status, delayMs, requests: [] };
+    const server = http.createServer((req, res) => {
+        endpoint.requests.push(req.url);
+        setTimeout(() => {
+            res.statusCode = endpoint.status;
+            if (endpoint.status >= 300 && endpoint.status < 400) {
+                res.setHeader('Location', '/elsewhere');
+            }
+            res.end();
+        }, endpoint.delayMs);
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint.url = `http://127.0.0.1:${server.address().port}/v1`;
+    endpoint.close = () => {
+        // Slow answers still pending would hold close() up
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    };
+    return endpoint;
+}
+
+// A local URL nothing listens on anymore, so connections are refused
+async function refusedUrl() {
+    const endpoint = await startMockEndpoint();
+    await endpoint.close();
+    return endpoint.url;
+}
+
+class HealthMonitorTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 18,
+        title: 'Endpoint Health Monitor',
+        run: 'runHealthMonitorTests',
+        dependsOn: ['OracleReportingTests']
+    };
+
+    constructor() {
+        super();
+    }
+
+    async runHealthMonitorTests() {
+        console.log('🩺 PHASE 18: ENDPOINT HEALTH MONITOR');
+        console.log('Testing endpoint probes, rolling availability scores and the oracle reports they prepare\n');
+        
+        await this.setup();
+        
+        // The monitor probes every active API, on a shared contract that includes other people's
+        if (!this.supportsSnapshots) {
+            throw new Error(`❌ Health monitor tests need a contract of their own and only run locally, not on ${this.network}`);
+        }
+        
+        // Test 1: Probes
+        await this.testProbes();
+        
+        // Test 2: Scores and dry runs
+        await this.testScoreCrossesThreshold();
+        
+        // Test 3: Sending reports
+        await this.testReportsAreSent();
+        await this.testDeploymentWithoutReportCount();
+        
+        // Test 4: Schedule and CLI
+        await this.testScheduledMonitor();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 18 complete! Endpoint health reaches the oracle.');
+        } else {
+            console.log('\n⚠️  Fix Phase 18 issues before proceeding');
+        }
+    }
+
+    // Starts the endpoints, runs `testFunction` with them and always closes them
+    async withEndpoints(specs, testFunction) {
+        const endpoints = [];
+        try {
+            for (const [status, delayMs] of specs) {
+                endpoints.push(await startMockEndpoint(status, delayMs));
+            }
+            return await testFunction(...endpoints);
+        } finally {
+            await Promise.all(endpoints.map(endpoint => endpoint.close()));
+        }
+    }
+
+    async registerEndpoint(endpoint, description = 'Monitored API') {
+        const { apiId } = await this.client1.registerAPI({
+            endpoint,
+            description,
+            pricePerCall: ethers.parseEther('0.001'),
+            stake: ethers.parseEther('0.1')
+        });
+        return apiId;
+    }
+
+    async rounds(monitor, count) {
+        const reports = [];
+        for (let i = 0; i < count; i++) {
+            reports.push(...(await monitor.check()).reports);
+        }
+        return reports;
+    }
+
+    async expectCode(action, code) {
+        let caught = null;
+        try {
+            await action();
+        } catch (error) {
+            caught = error;
+        }
+        this.assert(caught && caught.code === code, `Expected ${code}, got ${caught ? caught.message : 'no error'}`);
+        console.log(`   🚫 ${caught.message}`);
+    }
+
+    async testProbes() {
+        await this.runTest('Probes Apply Timeouts And Status Rules', async () => {
+            await this.withEndpoints([[200], [402], [302], [500], [200, 500]], async (healthy, paid, redirect, broken, slow) => {
+                const ids = {};
+                for (const [name, url] of Object.entries({ healthy: healthy.url, paid: paid.url, redirect: redirect.url, broken: broken.url, slow: slow.url, refused: await refusedUrl(), invalid: 'ftp://files.example/v1' })) {
+                    ids[name] = await this.registerEndpoint(url, name);
+                }
+                
+                const monitor = new HealthMonitor(this.client1, { dryRun: true, timeoutMs: 100 });
+                const { probes, reports } = await monitor.check();
+                const probe = name => probes.find(result => result.apiId === ids[name]);
+                probes.forEach(result => console.log(`   ${result.ok ? '✅' : '❌'} ${result.endpoint}: ${result.ok ? result.status : result.error} (${result.latencyMs}ms)`));
+                
+                this.assert(probes.length === 7, 'Every active API should be probed');
+                this.assert(probe('healthy').ok && probe('healthy').status === 200, 'A 200 is up');
+                this.assert(probe('paid').ok, 'A 402 is a paid endpoint asking for payment, so up');
+                this.assert(probe('redirect').ok && probe('redirect').status === 302, 'Redirects should be answers, not followed');
+                this.assert(!probe('broken').ok && probe('broken').error === 'unexpected status 500', 'A 500 is down');
+                this.assert(!probe('slow').ok && probe('slow').error === 'no answer within 100ms', 'An answer after the timeout is down');
+                this.assert(!probe('refused').ok && probe('refused').error.includes('ECONNREFUSED'), 'A refused connection is down');
+                this.assert(!probe('invalid').ok && probe('invalid').error === 'not an http(s) URL', 'Endpoints that are not http(s) are down');
+                this.assert(reports.length === 0, 'One probe is not enough to judge an API');
+                
+                const strict = new HealthMonitor(this.client1, {
+                    dryRun: true,
+                    expectedStatus: [200],
+                    rules: { [ids.broken]: { expectedStatus: ['5xx'] }, [ids.healthy]: { path: '/health' } }
+                });
+                const strictProbes = (await strict.check()).probes;
+                const strictProbe = name => strictProbes.find(result => result.apiId === ids[name]);
+                this.assert(!strictProbe('paid').ok && strictProbe('paid').error === 'unexpected status 402', 'expectedStatus should replace the default rules');
+                this.assert(strictProbe('broken').ok, 'Per-API rules should override the expected status');
+                this.assert(healthy.requests.at(-1) === '/v1/health', 'Per-API rules should be able to probe another path');
+                
+                await this.expectCode(() => new HealthMonitor(this.client1, { expectedStatus: ['20x'] }), 'INVALID_ARGUMENT');
+                await this.expectCode(() => new HealthMonitor(this.client1, { threshold: 0 }), 'INVALID_ARGUMENT');
+            });
+        });
+    }
+
+    async testScoreCrossesThreshold() {
+        await this.runTest('Rolling Score Prepares Reports When It Crosses The Threshold', async () => {
+            await this.withEndpoints([[200]], async flaky => {
+                const apiId = await this.registerEndpoint(flaky.url);
+                const events = [];
+                const monitor = new HealthMonitor(this.client1, { dryRun: true, windowSize: 4, minSamples: 4, threshold: 0.75, onEvent: event => events.push(event) });
+                const oracleNonce = await this.provider.getTransactionCount(this.oracleWallet.address);
+                
+                this.assert((await this.rounds(monitor, 3)).length === 0 && monitor.score(apiId) === null, 'Scores should wait for minSamples probes');
+                this.assert((await this.rounds(monitor, 1)).length === 0 && monitor.score(apiId) === 1, 'A healthy API has nothing to report');
+                
+                flaky.status = 503;
+                this.assert((await this.rounds(monitor, 1)).length === 0 && monitor.score(apiId) === 0.75, 'A score at the threshold is still healthy');
+                const [failure] = await this.rounds(monitor, 1);
+                console.log(`   🔮 ${failure.reason}`);
+                this.assert(failure && failure.apiId === apiId && failure.success === false && failure.availability === 0.5, 'Falling below the threshold should prepare a failed call');
+                this.assert(failure.hash === null, 'A dry run should not send the report');
+                this.assert(failure.error && failure.error.includes('No unreported calls'), `A dry run should say the unpaid report would revert, got ${failure.error}`);
+                this.assert((await this.rounds(monitor, 2)).length === 0, 'An API that stays down is only reported once');
+                
+                flaky.status = 200;
+                this.assert((await this.rounds(monitor, 2)).length === 0, 'Recovering below the threshold is not enough');
+                const [recovery] = await this.rounds(monitor, 1);
+                console.log(`   🔮 ${recovery.reason}`);
+                this.assert(recovery && recovery.success === true && recovery.availability === 0.75, 'Climbing back should prepare a successful call');
+                
+                const [score] = monitor.scores();
+                this.assert(score.apiId === apiId && score.samples === 4 && score.healthy === true, 'The window should keep the last windowSize probes');
+                this.assert(events.filter(event => event.type === 'report').every(event => event.dryRun), 'Report events should be marked as dry runs');
+                this.assert(events.filter(event => event.type === 'round').length === 11, 'Every round should be emitted');
+                
+                const api = await this.client1.getAPI(apiId);
+                this.assert(api.totalCalls === 0n, 'Nothing should have been reported on chain');
+                this.assert(await this.provider.getTransactionCount(this.oracleWallet.address) === oracleNonce, 'The oracle should not have sent anything');
+            });
+        });
+    }
+
+    async testReportsAreSent() {
+        await this.runTest('Reports Are Sent By The Oracle', async () => {
+            await this.withEndpoints([[500]], async flaky => {
+                const apiId = await this.registerEndpoint(flaky.url);
+                // Reports only count against paid calls
+                await this.client2.payForAPICall(apiId);
+                
+                const notOracle = new HealthMonitor(this.client1, { windowSize: 2, minSamples: 2 });
+                await this.expectCode(() => notOracle.check(), 'NOT_ORACLE');
+                this.assert(flaky.requests.length === 0, 'Nothing should be probed without an oracle key');
+                
+                const monitor = new HealthMonitor(this.oracleClient, { windowSize: 2, minSamples: 2, threshold: 0.5 });
+                const [failure] = await this.rounds(monitor, 2);
+                this.assert(failure && failure.success === false && failure.error === null, 'The failure should be reported');
+                const receipt = await this.provider.getTransactionReceipt(failure.hash);
+                this.assert(receipt && receipt.from === this.oracleWallet.address, 'The oracle should have sent the report');
+                console.log(`   🔮 API ${apiId}: failure sent in ${failure.hash}`);
+                
+                const [event] = receipt.logs.map(log => this.client1.contract.interface.parseLog(log));
+                this.assert(event.name === 'APICallReported' && event.args.apiId === apiId && event.args.success === false, 'The failed call should be on chain');
+                
+                flaky.status = 200;
+                const [unpaid] = await this.rounds(monitor, 1);
+                console.log(`   🚫 API ${apiId}: ${unpaid.error}`);
+                this.assert(unpaid && unpaid.success === true && unpaid.hash === null, 'A success needs a paid call to count against');
+                
+                await this.client2.payForAPICall(apiId);
+                const [recovery] = await this.rounds(monitor, 1);
+                this.assert(recovery && recovery.success === true && recovery.hash, 'The recovery should be prepared again and sent once there is a paid call');
+                const api = await this.client1.getAPI(apiId);
+                this.assert(api.totalCalls === 2n && api.successfulCalls === 1n && await this.client1.getReportedCalls(apiId) === 2n, 'The successful call should be on chain');
+                this.assert((await this.rounds(monitor, 1)).length === 0, 'A sent report is not prepared again');
+            });
+        });
+    }
+
+    async testDeploymentWithoutReportCount() {
+        await this.runTest('Deployments Without reportedCalls Are Still Reported On', async () => {
+            await this.withEndpoints([[500]], async flaky => {
+                const apiId = await this.registerEndpoint(flaky.url);
+                await this.client2.payForAPICall(apiId);
+                await this.client2.payForAPICall(apiId);
+                
+                // Stands in for a deployment from before the report count: reportedCalls()
+                // goes to a contract that has no such function, everything else to ours
+                const hre = require('hardhat');
+                const signers = await hre.ethers.getSigners();
+                const fixture = await hre.ethers.deployContract('RevertFixture', signers[5]);
+                const elsewhere = new MarketplaceClient(await fixture.getAddress(), this.oracleWallet);
+                const legacy = Object.create(this.oracleClient);
+                legacy.getReportedCalls = id => elsewhere.getReportedCalls(id);
+                this.assert(await legacy.getReportedCalls(apiId) === null, 'A missing reportedCalls() should read as null');
+                
+                const preview = await legacy.preview('reportAPICall', [apiId, true]);
+                this.assert(preview.ok && preview.changes.map(change => change.what).join() === `API ${apiId} successfulCalls`, 'The preview should leave out the report count');
+                
+                const monitor = new HealthMonitor(legacy, { windowSize: 2, minSamples: 2, threshold: 0.5 });
+                const [failure] = await this.rounds(monitor, 2);
+                this.assert(failure && failure.success === false && failure.hash && failure.error === null, `The failure should be sent, got ${failure && failure.error}`);
+                
+                flaky.status = 200;
+                const [recovery] = await this.rounds(monitor, 1);
+                this.assert(recovery && recovery.success === true && recovery.hash && recovery.error === null, `The recovery should be checked against successfulCalls and sent, got ${recovery && recovery.error}`);
+                console.log(`   🔮 API ${apiId}: failure and recovery sent without reportedCalls()`);
+                
+                const api = await this.client1.getAPI(apiId);
+                this.assert(api.successfulCalls === 1n, 'The successful call should be on chain');
+            });
+        });
+    }
+
+    async testScheduledMonitor() {
+        await this.runTest('Monitor Runs On A Schedule Until Stopped', async () => {
+            await this.withEndpoints([[200]], async endpoint => {
+                const apiId = await this.registerEndpoint(endpoint.url);
+                const output = [];
+                const io = { log: message => output.push(message), info: message => output.push(message) };
+                
+                const once = await runMonitor(['--once', '--dry-run'], { client: this.client1, io });
+                this.assert(once.scores().length === 1 && endpoint.requests.length === 1, '--once should probe a single round');
+                console.log(`   ${output.at(-1).split('\n').join('\n   ')}`);
+                
+                const controller = new AbortController();
+                const running = runMonitor(['--dry-run', '--interval', '0.05', '--window', '3', '--min-samples', '1', '--json'], { client: this.client1, io, signal: controller.signal });
+                const startedAt = Date.now();
+                while (endpoint.requests.length < 4 && Date.now() - startedAt < 5000) {
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                }
+                controller.abort();
+                const monitor = await running;
+                
+                this.assert(endpoint.requests.length >= 4, 'The monitor should keep probing every --interval');
+                const [score] = monitor.scores();
+                this.assert(score.apiId === apiId && score.samples === 3 && score.availability === 1, '--window should bound the rolling score');
+                const rounds = output.filter(message => message.startsWith('{')).map(message => JSON.parse(message));
+                this.assert(rounds.length >= 3 && rounds[0].probes[0].apiId === apiId.toString(), '--json should print each round');
+                
+                const probes = endpoint.requests.length;
+                await new Promise(resolve => setTimeout(resolve, 100));
+                this.assert(endpoint.requests.length === probes, 'Nothing should be probed after stopping');
+                
+                await this.expectCode(() => runMonitor(['--once'], { client: this.client1, io }), 'NOT_ORACLE');
+                await this.expectCode(() => runMonitor(['--threshold', '2'], { client: this.client1, io }), 'INVALID_ARGUMENT');
+            });
+        });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new HealthMonitorTests();
+        await tests.runHealthMonitorTests();
+    } catch (error) {
+        console.error('\n💥 Phase 18 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { HealthMonitorTests };
@@ -0,0 +1,222 @@
+// scripts/phase19.js - End-to-End Provider Scenarios
+const { TestBase, releaseWalletPool } = require('./setup');
+const { MockProvider } = require('./provider');
+const { LocalOracle } = require('./oracle');
+const { PayingClient } = require('../lib/consumer');
+const { HealthMonitor } = require('../lib/monitor');
+const { MarketplaceError } = require('../lib/errors');
+const { ethers } = require('ethers');
+
+class ProviderScenarioTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 19,
+        title: 'End-to-End Provider Scenarios',
+        run: 'runProviderScenarioTests',
+        dependsOn: ['PayingClientTests', 'OracleReportingTests']
+    };
+
+    constructor() {
+        super();
+    }
+
+    async runProviderScenarioTests() {
+        console.log('🎭 PHASE 19: END-TO-END PROVIDER SCENARIOS');
+        console.log('Testing paid calls against local providers that are healthy, slow, erroring, dropping or overcharging\n');
+        
+        await this.setup();
+        
+        // Test 1: Happy path
+        await this.testHealthyProvider();
+        
+        // Test 2: Failing provider
+        await this.testErroringProviderIsSlashed();
+        
+        // Test 3: Slow provider
+        await this.testSlowProvider();
+        
+        // Test 4: Dropped connections
+        await this.testDroppingProvider();
+        
+        // Test 5: Overcharging
+        await this.testOverchargingProvider();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 19 complete! Payments are tied to real requests from end to end.');
+        } else {
+            console.log('\n⚠️  Fix Phase 19 issues before proceeding');
+        }
+    }
+
+    // Starts a mock provider registered by wallet1, runs `testFunction` with it and always closes it
+    async withProvider(options, testFunction) {
+        const provider = await MockProvider.start(this.client1, options);
+        try {
+            return await testFunction(provider);
+        } finally {
+            await provider.close();
+        }
+    }
+
+    consumer() {
+        return new PayingClient(this.client2, { retryDelayMs: 50 });
+    }
+
+    async expectNetworkError(request) {
+        let caught = null;
+        try {
+            await request;
+        } catch (error) {
+            caught = error;
+        }
+        this.assert(caught instanceof MarketplaceError && caught.code === 'NETWORK', `Expected a NETWORK error, got ${caught ? caught.message : 'a response'}`);
+        console.log(`   🔌 ${caught.message}`);
+        return caught;
+    }
+
+    async testHealthyProvider() {
+        await this.runTest('Healthy Provider Serves Paid Calls', async () => {
+            await this.withProvider({ behavior: 'healthy' }, async provider => {
+                const api = await this.client1.getAPI(provider.apiId);
+                this.assert(api.endpoint === provider.url, 'The API should be registered with the server\'s real URL');
+                
+                const response = await this.consumer().fetch(provider.apiId);
+                const body = await response.json();
+                this.assert(response.status === 200 && body.consumer === this.wallet2.address, 'The paid call should be served');
+                
+                const [call] = provider.calls;
+                this.assert(provider.calls.length === 1 && call.txHash === response.payment.txHash, 'The provider should have served exactly the call that was paid');
+                this.assert(call.amount === api.pricePerCall && call.delivered, 'The call should be paid at the registered price and delivered');
+                
+                const oracle = new LocalOracle(this.oracleClient);
+                await provider.reportCalls(oracle);
+                const reported = await this.client1.getAPI(provider.apiId);
+                this.assert(reported.totalCalls === 1n && reported.successfulCalls === 1n, 'The oracle should report the delivered call as successful');
+                this.assert((await provider.reportCalls(oracle)).length === 0, 'Calls should only be reported once');
+            });
+        });
+    }
+
+    async testErroringProviderIsSlashed() {
+        await this.runTest('Consumer Pays, Provider Fails, Oracle Reports And Slashes', async () => {
+            await this.withProvider({ behavior: 'error' }, async provider => {
+                const consumer = this.consumer();
+                for (let i = 0; i < 3; i++) {
+                    const response = await consumer.fetch(provider.apiId);
+                    this.assert(response.status === 500, `Call ${i + 1} should fail, got ${response.status}`);
+                    this.assert(response.payment.status === 'used', 'The failed call still took the payment');
+                }
+                this.assert(provider.calls.length === 3 && provider.calls.every(call => !call.delivered), 'Every paid call should have failed');
+                
+                const { stake } = await this.client1.getAPI(provider.apiId);
+                const oracle = new LocalOracle(this.oracleClient, { failureThreshold: 3 });
+                await provider.reportCalls(oracle);
+                oracle.printHistory();
+                
+                const api = await this.client1.getAPI(provider.apiId);
+                this.assert(oracle.history.map(entry => entry.action).join() === 'failure,failure,failure,slash', 'Three failures should get the provider slashed');
+                this.assert(!api.active && api.stake === stake - await oracle.expectedSlash(stake), 'The slashed API should be deactivated and lose part of its stake');
+                this.assert(api.totalCalls === 3n && api.successfulCalls === 0n, 'None of the paid calls succeeded');
+            });
+        });
+    }
+
+    async testSlowProvider() {
+        await this.runTest('Slow Provider Times Out Without Taking The Payment', async () => {
+            await this.withProvider({ behavior: 'slow', delayMs: 300 }, async provider => {
+                const monitor = new HealthMonitor(this.client1, { dryRun: true, timeoutMs: 100, minSamples: 1 });
+                const probe = (await monitor.check()).probes.find(result => result.apiId === provider.apiId);
+                this.assert(!probe.ok && probe.error === 'no answer within 100ms', 'The health monitor should see the provider as down');
+                
+                const consumer = this.consumer();
+                await this.expectNetworkError(consumer.fetch(provider.apiId, { signal: AbortSignal.timeout(100) }));
+                const [entry] = consumer.ledger.entries({ apiId: provider.apiId });
+                this.assert(entry.status === 'uncertain' && entry.request.status === null, 'A call that timed out can\'t tell whether its payment was taken');
+                
+                await new Promise(resolve => setTimeout(resolve, 300));
+                this.assert(provider.calls.length === 0, 'The provider should not take the payment of a consumer that gave up');
+                
+                // Known to be unspent here, so it can be put back by hand
+                consumer.ledger.update(entry.txHash, { status: 'paid' });
+                provider.setBehavior('healthy');
+                const response = await consumer.fetch(provider.apiId);
+                this.assert(response.status === 200 && response.payment.txHash === entry.txHash, 'The payment put back should be used');
+                this.assert((await this.client1.getAPI(provider.apiId)).totalCalls === 1n, 'Only one call should have been paid');
+            });
+        });
+    }
+
+    async testDroppingProvider() {
+        await this.runTest('Provider Drops The Connection After Payment', async () => {
+            await this.withProvider({ behavior: 'drop' }, async provider => {
+                const consumer = this.consumer();
+                await this.expectNetworkError(consumer.fetch(provider.apiId));
+                const [call] = provider.calls;
+                this.assert(call && !call.delivered, 'The provider should have taken the payment without answering');
+                
+                // The consumer can't tell a drop from a lost request, so it doesn't send the payment again
+                const lost = consumer.ledger.get(call.txHash);
+                this.assert(lost.status === 'uncertain' && lost.request.error, 'The ledger should set the payment aside as uncertain');
+                
+                provider.setBehavior('healthy');
+                const retry = await consumer.fetch(provider.apiId);
+                const body = await retry.json();
+                this.assert(retry.status === 200 && body.consumer === this.wallet2.address, `The next call should be served, got ${retry.status}`);
+                this.assert(retry.payment.txHash !== call.txHash, 'The next call should make a fresh payment');
+                this.assert(consumer.ledger.get(call.txHash).status === 'uncertain', 'The taken payment should stay set aside');
+                
+                const oracle = new LocalOracle(this.oracleClient);
+                await provider.reportCalls(oracle);
+                const api = await this.client1.getAPI(provider.apiId);
+                this.assert(api.totalCalls === 2n && api.successfulCalls === 1n && oracle.history[0].action === 'failure', 'The dropped call should be reported as failed');
+            });
+        });
+    }
+
+    async testOverchargingProvider() {
+        await this.runTest('Overcharging Provider Rejects The Registered Price', async () => {
+            await this.withProvider({ behavior: 'overcharge', overchargeFactor: 3n }, async provider => {
+                const response = await this.consumer().fetch(provider.apiId);
+                const body = await response.json();
+                console.log(`   💸 ${body.message}`);
+                this.assert(response.status === 402 && body.message === 'This call costs 0.003 ETH', 'The provider should ask for more than the registered price');
+                this.assert(response.payment.status === 'rejected', 'The consumer should see its payment rejected');
+                
+                const [call] = provider.calls;
+                this.assert(call.amount === ethers.parseEther('0.001') && !call.delivered, 'The registered price was paid and nothing was delivered');
+                
+                const oracle = new LocalOracle(this.oracleClient);
+                await provider.reportCalls(oracle);
+                this.assert((await this.client1.getAPI(provider.apiId)).successfulCalls === 0n, 'The overcharged call should be reported as failed');
+                
+                let unknown = null;
+                try {
+                    provider.setBehavior('teapot');
+                } catch (error) {
+                    unknown = error;
+                }
+                this.assert(unknown && unknown.message.includes('expected one of: healthy, slow, error, drop, overcharge'), 'Unknown behaviors should be refused');
+            });
+        });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new ProviderScenarioTests();
+        await tests.runProviderScenarioTests();
+    } catch (error) {
+        console.error('\n💥 Phase 19 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { ProviderScenarioTests };
@@ -0,0 +1,285 @@
+// scripts/phase20.js - Payment Vouchers
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TestBase, releaseWalletPool } = require('./setup');
+const { VoucherSigner, VoucherVerifier, VoucherStore, serializeVoucher, parseVoucher } = require('../lib/vouchers');
+const { ethers } = require('ethers');
+
+const PRICE = ethers.parseEther('0.001');
+
+class VoucherTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 20,
+        title: 'Payment Vouchers',
+        run: 'runVoucherTests',
+        dependsOn: ['FoundationTests']
+    };
+
+    constructor() {
+        super();
+    }
+
+    async runVoucherTests() {
+        console.log('🎟️  PHASE 20: PAYMENT VOUCHERS');
+        console.log('Testing signing, verification and tampering of cumulative EIP-712 vouchers, all off-chain\n');
+        
+        await this.setup();
+        
+        // Vouchers never touch the chain, the domain is all they need
+        this.domain = { chainId: 31337n, contractAddress: ethers.Wallet.createRandom().address };
+        
+        // Test 1: Signing
+        await this.testSigning();
+        
+        // Test 2: Verification
+        await this.testVerification();
+        
+        // Test 3: Tampering
+        await this.testTampering();
+        
+        // Test 4: Persistence
+        await this.testStorePersists();
+        
+        // Test 5: Concurrent and failed signing
+        await this.testConcurrentSigning();
+        
+        // Test 6: Verifier from the chain
+        await this.testVerifierForClient();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 20 complete! Calls can be paid with signed vouchers.');
+        } else {
+            console.log('\n⚠️  Fix Phase 20 issues before proceeding');
+        }
+    }
+
+    consumer(domain = this.domain) {
+        return new VoucherSigner(ethers.Wallet.createRandom(), domain);
+    }
+
+    verifier(options = {}) {
+        return new VoucherVerifier({ apiId: 1n, pricePerCall: PRICE, ...this.domain, ...options });
+    }
+
+    async expectRejected(verification, code) {
+        let caught = null;
+        try {
+            await verification;
+        } catch (error) {
+            caught = error;
+        }
+        this.assert(caught && caught.code === code, `Expected ${code}, got ${caught ? `${caught.code}: ${caught.message}` : 'an accepted voucher'}`);
+        console.log(`   🚫 ${code}: ${caught.message}`);
+    }
+
+    async testSigning() {
+        await this.runTest('Vouchers Are Cumulative And Bound To API, Contract And Chain', async () => {
+            const consumer = this.consumer();
+            const vouchers = [];
+            for (let i = 0; i < 3; i++) {
+                vouchers.push(await consumer.pay(1n, PRICE));
+            }
+            this.assert(vouchers.map(voucher => voucher.amount).join() === [PRICE, 2n * PRICE, 3n * PRICE].join(), 'Each voucher should carry the running total');
+            this.assert(await consumer.total(1n) === 3n * PRICE && await consumer.total(2n) === 0n, 'Totals should be kept per API');
+            this.assert(vouchers.every(voucher => voucher.consumer === consumer.address), 'Vouchers should name the consumer who signed them');
+            
+            const json = serializeVoucher(vouchers[2]);
+            console.log(`   🎟️  ${json}`);
+            const parsed = parseVoucher(json);
+            this.assert(parsed.amount === 3n * PRICE && parsed.apiId === 1n && parsed.signature === vouchers[2].signature, 'Vouchers should survive a JSON round trip');
+            
+            const otherContract = new VoucherSigner(consumer.signer, { ...this.domain, contractAddress: ethers.Wallet.createRandom().address });
+            const otherChain = new VoucherSigner(consumer.signer, { ...this.domain, chainId: 1n });
+            const signatures = new Set([
+                (await consumer.pay(2n, PRICE)).signature,
+                (await otherContract.pay(2n, PRICE)).signature,
+                (await otherChain.pay(2n, PRICE)).signature
+            ]);
+            this.assert(signatures.size === 3, 'The same payment should sign differently for another contract or chain');
+            
+            const connected = await VoucherSigner.for(this.client2);
+            this.assert(connected.domain.verifyingContract === this.contractAddress && connected.domain.chainId === this.profile.chainId, 'A signer for a client should use its contract and chain');
+            this.assert(connected.address === this.wallet2.address, 'A signer for a client should sign with its wallet');
+            
+            let invalid = null;
+            await consumer.pay(1n, 0n).catch(error => { invalid = error; });
+            this.assert(invalid && invalid.code === 'INVALID_ARGUMENT', 'A voucher that raises nothing should be refused');
+        });
+    }
+
+    async testVerification() {
+        await this.runTest('Provider Accepts Only Rising Totals', async () => {
+            const verifier = this.verifier();
+            const alice = this.consumer();
+            const bob = this.consumer();
+            const [first, second, third, fourth] = [await alice.pay(1n, PRICE), await alice.pay(1n, PRICE), await alice.pay(1n, PRICE), await alice.pay(1n, PRICE)];
+            
+            const accepted = await verifier.verify(first);
+            this.assert(accepted.consumer === alice.address && accepted.increment === PRICE, 'The first voucher should pay one call');
+            this.assert((await verifier.verify(serializeVoucher(second))).increment === PRICE, 'Vouchers should be accepted as JSON');
+            
+            await this.expectRejected(verifier.verify(second), 'VOUCHER_REPLAYED');
+            await this.expectRejected(verifier.verify(first), 'VOUCHER_AMOUNT_DECREASED');
+            
+            // A voucher that got lost is covered by the next one
+            const skipped = await verifier.verify(fourth);
+            this.assert(skipped.increment === 2n * PRICE && skipped.amount === 4n * PRICE, 'A later voucher should cover the one that never arrived');
+            await this.expectRejected(verifier.verify(third), 'VOUCHER_AMOUNT_DECREASED');
+            
+            const cheap = await bob.pay(1n, PRICE / 2n);
+            await this.expectRejected(verifier.verify(cheap), 'VOUCHER_INSUFFICIENT');
+            await verifier.verify(await bob.pay(1n, PRICE));
+            
+            // Two vouchers from one consumer at once can't both raise from the same total
+            const [next, after] = [await alice.pay(1n, PRICE), await alice.pay(1n, PRICE)];
+            const results = await Promise.allSettled([verifier.verify(next), verifier.verify(after)]);
+            this.assert(results[0].status === 'fulfilled' && results[1].reason.code === 'VOUCHER_REPLAYED', 'Concurrent vouchers from one consumer should be taken one at a time');
+            
+            const settlements = await verifier.settlements();
+            const owed = Object.fromEntries(settlements.map(voucher => [voucher.consumer, voucher.amount]));
+            console.log(`   💰 Ready to settle: ${settlements.map(voucher => `${voucher.consumer.slice(0, 10)}… ${ethers.formatEther(voucher.amount)} ETH`).join(', ')}`);
+            this.assert(settlements.length === 2 && owed[alice.address] === 5n * PRICE && owed[bob.address] === 1n * PRICE + PRICE / 2n, 'The latest voucher of each consumer should be kept for settlement');
+        });
+    }
+
+    async testTampering() {
+        await this.runTest('Tampered Vouchers Are Rejected', async () => {
+            const verifier = this.verifier();
+            const consumer = this.consumer();
+            const voucher = await consumer.pay(1n, PRICE);
+            
+            await this.expectRejected(verifier.verify({ ...voucher, amount: voucher.amount * 100n }), 'VOUCHER_INVALID_SIGNATURE');
+            await this.expectRejected(verifier.verify({ ...voucher, consumer: ethers.Wallet.createRandom().address }), 'VOUCHER_INVALID_SIGNATURE');
+            await this.expectRejected(verifier.verify({ ...voucher, apiId: 2n }), 'VOUCHER_MISMATCH');
+            await this.expectRejected(this.verifier({ apiId: 2n }).verify({ ...voucher, apiId: 2n }), 'VOUCHER_INVALID_SIGNATURE');
+            
+            const flipped = ethers.getBytes(voucher.signature);
+            flipped[10] ^= 0xff;
+            await this.expectRejected(verifier.verify({ ...voucher, signature: ethers.hexlify(flipped) }), 'VOUCHER_INVALID_SIGNATURE');
+            
+            const otherContract = await this.consumer({ ...this.domain, contractAddress: ethers.Wallet.createRandom().address }).pay(1n, PRICE);
+            await this.expectRejected(verifier.verify(otherContract), 'VOUCHER_INVALID_SIGNATURE');
+            const otherChain = await this.consumer({ ...this.domain, chainId: 11155111n }).pay(1n, PRICE);
+            await this.expectRejected(verifier.verify(otherChain), 'VOUCHER_INVALID_SIGNATURE');
+            
+            await this.expectRejected(verifier.verify('{"apiId": "1"'), 'VOUCHER_INVALID');
+            await this.expectRejected(verifier.verify({ ...voucher, signature: undefined }), 'VOUCHER_INVALID');
+            await this.expectRejected(verifier.verify({ ...voucher, amount: -1n }), 'VOUCHER_INVALID');
+            
+            this.assert((await verifier.settlements()).length === 0, 'Nothing tampered should be kept for settlement');
+            this.assert((await verifier.verify(voucher)).amount === PRICE, 'The untouched voucher should still be accepted');
+        });
+    }
+
+    async testStorePersists() {
+        await this.runTest('Latest Vouchers Survive A Restart', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vouchers-'));
+            try {
+                const file = path.join(dir, 'vouchers.json');
+                const consumer = this.consumer();
+                const first = await consumer.pay(1n, PRICE);
+                const second = await consumer.pay(1n, PRICE);
+                
+                await this.verifier({ store: new VoucherStore(file) }).verify(second);
+                
+                const restarted = this.verifier({ store: new VoucherStore(file) });
+                const [kept] = await restarted.settlements();
+                this.assert(kept && kept.amount === 2n * PRICE && kept.signature === second.signature, 'The latest voucher should be read back from disk');
+                await this.expectRejected(restarted.verify(second), 'VOUCHER_REPLAYED');
+                await this.expectRejected(restarted.verify(first), 'VOUCHER_AMOUNT_DECREASED');
+                this.assert((await restarted.verify(await consumer.pay(1n, PRICE))).increment === PRICE, 'Payments should continue from the saved total');
+                
+                console.log('   🔄 Restarting a consumer whose totals are kept on disk...');
+                const signed = path.join(dir, 'signed.json');
+                const wallet = ethers.Wallet.createRandom();
+                const verifier = this.verifier();
+                await verifier.verify(await new VoucherSigner(wallet, this.domain, { store: new VoucherStore(signed) }).pay(1n, PRICE));
+                await verifier.verify(await new VoucherSigner(wallet, this.domain, { store: new VoucherStore(signed) }).pay(1n, PRICE));
+                
+                const resumed = new VoucherSigner(wallet, this.domain, { store: new VoucherStore(signed) });
+                this.assert(await resumed.total(1n) === 2n * PRICE, 'A restarted consumer should read its total back from disk');
+                const next = await resumed.pay(1n, PRICE);
+                this.assert(next.amount === 3n * PRICE && (await verifier.verify(next)).increment === PRICE, 'A restarted consumer should keep raising the total the provider has');
+                
+                const forgetful = new VoucherSigner(wallet, this.domain);
+                await this.expectRejected(verifier.verify(await forgetful.pay(1n, PRICE)), 'VOUCHER_AMOUNT_DECREASED');
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    }
+
+    async testConcurrentSigning() {
+        await this.runTest('Concurrent And Failed Signing Keep The Total Right', async () => {
+            // A wallet that takes a while to sign, and refuses the signatures it is told to
+            const wallet = ethers.Wallet.createRandom();
+            const refused = new Set();
+            let signed = 0;
+            const slowWallet = {
+                address: wallet.address,
+                getAddress: async () => wallet.address,
+                signTypedData: async (domain, types, message) => {
+                    await new Promise(resolve => setTimeout(resolve, 20));
+                    if (refused.has(++signed)) {
+                        throw new Error('User rejected the signature');
+                    }
+                    return wallet.signTypedData(domain, types, message);
+                }
+            };
+            const consumer = new VoucherSigner(slowWallet, this.domain);
+            const verifier = this.verifier();
+            
+            const vouchers = await Promise.all([consumer.pay(1n, PRICE), consumer.pay(1n, PRICE), consumer.pay(1n, PRICE)]);
+            this.assert(vouchers.map(voucher => voucher.amount).join() === [PRICE, 2n * PRICE, 3n * PRICE].join(), `Concurrent payments should sign rising totals, got ${vouchers.map(voucher => voucher.amount).join(', ')}`);
+            for (const voucher of vouchers) {
+                await verifier.verify(voucher);
+            }
+            
+            // The second of these is refused: the third signs on top of the first
+            refused.add(signed + 2);
+            const results = await Promise.allSettled([consumer.pay(1n, PRICE), consumer.pay(1n, PRICE), consumer.pay(1n, PRICE)]);
+            this.assert(results[1].status === 'rejected' && /rejected/.test(results[1].reason.message), 'The refused signature should fail its payment');
+            this.assert(results[0].value.amount === 4n * PRICE && results[2].value.amount === 5n * PRICE, 'A refused signature should not raise the total');
+            const total = await consumer.total(1n);
+            this.assert(total === 5n * PRICE, `The total should only count signed vouchers, got ${ethers.formatEther(total)} ETH`);
+            
+            // No total was skipped, so each voucher pays for exactly one call
+            this.assert((await verifier.verify(results[0].value)).increment === PRICE && (await verifier.verify(results[2].value)).increment === PRICE, 'Every signed voucher should pay exactly one call');
+            console.log(`   🎟️  Signed ${signed} vouchers, ${ethers.formatEther(total)} ETH owed`);
+        });
+    }
+
+    async testVerifierForClient() {
+        await this.runTest('Verifier For A Client Charges The On-Chain Price', async ({ apiId, pricePerCall }) => {
+            const verifier = await VoucherVerifier.for(this.client1, { apiId: apiId, pricePerCall: 1n });
+            this.assert(verifier.pricePerCall === pricePerCall, `The API's price should win over the options, got ${verifier.pricePerCall}`);
+            this.assert(verifier.domain.verifyingContract === this.contractAddress && verifier.domain.chainId === this.profile.chainId, 'The verifier should use the client\'s contract and chain');
+            
+            const consumer = await VoucherSigner.for(this.client2);
+            await this.expectRejected(verifier.verify(await consumer.pay(apiId, 1n)), 'VOUCHER_INSUFFICIENT');
+            this.assert((await verifier.verify(await consumer.pay(apiId, pricePerCall))).increment === 1n + pricePerCall, 'A voucher raising by the price should be accepted');
+        }, { fixture: 'oneActiveAPI' });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new VoucherTests();
+        await tests.runVoucherTests();
+    } catch (error) {
+        console.error('\n💥 Phase 20 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { VoucherTests };
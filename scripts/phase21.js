@@ -0,0 +1,137 @@
+// scripts/phase21.js - Concurrent Load
+const { TestBase, releaseWalletPool } = require('./setup');
+const { run, parseArgs, formatLoadReport, percentile } = require('./loadtest');
+const { ethers } = require('ethers');
+
+class LoadTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 21,
+        title: 'Concurrent Load',
+        run: 'runLoadTests',
+        dependsOn: ['PaymentSystemTests', 'TransactionManagerTests']
+    };
+
+    constructor() {
+        super();
+    }
+
+    async runLoadTests() {
+        console.log('🚦 PHASE 21: CONCURRENT LOAD');
+        console.log('Testing many consumers paying for the same API in the same blocks, with registrations in between\n');
+        
+        await this.setup();
+        
+        // Load tests change how blocks are mined, which only a local chain allows
+        if (!this.supportsSnapshots) {
+            throw new Error(`❌ Load tests control block production and only run locally, not on ${this.network}`);
+        }
+        
+        // Test 1: Shared blocks
+        await this.testConcurrentPayments();
+        
+        // Test 2: Failures
+        await this.testFailuresByCause();
+        
+        // Test 3: Arguments and report
+        await this.testArgumentsAndReport();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 21 complete! Counters and balances hold up under concurrent payments.');
+        } else {
+            console.log('\n⚠️  Fix Phase 21 issues before proceeding');
+        }
+    }
+
+    // Runs the load test command with wallets funded by wallet1, returning its report and output
+    async loadTest(argv) {
+        const output = [];
+        const io = { log: message => output.push(message), info: message => output.push(message) };
+        const report = await run(argv, { client: this.client1, io });
+        console.log(`   ${output.at(-1).split('\n').join('\n   ')}`);
+        return { report, output };
+    }
+
+    async testConcurrentPayments() {
+        await this.runTest('Concurrent Payments Match totalCalls And Provider Balance', async () => {
+            const { report } = await this.loadTest(['--consumers', '6', '--payments', '30', '--registrations', '3', '--rate', '40', '--block-time', '250']);
+            this.assert(report.ok, `Every check should pass: ${report.checks.filter(check => !check.ok).map(check => check.name).join(', ')}`);
+            this.assert(report.sent === 33 && report.succeeded === 33 && report.failures.length === 0, 'Every payment and registration should be mined');
+            this.assert(report.blocks.maxTransactions > 1, 'Concurrent transactions should share blocks');
+            
+            const api = await this.client1.getAPI(report.apiId);
+            this.assert(api.totalCalls === 30n, `totalCalls should count every payment, got ${api.totalCalls}`);
+            this.assert(await this.client1.nextApiId() === report.apiId + 4n, 'Every registration should have got its own id');
+            
+            const { latencyMs, gas } = report.operations.payForAPICall;
+            this.assert(latencyMs.p50 <= latencyMs.p90 && latencyMs.p90 <= latencyMs.p99 && latencyMs.p99 <= latencyMs.max, 'Latency percentiles should be ordered');
+            this.assert(gas.calls === 30 && gas.avg > 0 && gas.total > 0n, 'Gas of every payment should be reported');
+            
+            // Mining is back to one block per transaction
+            const { receipt } = await this.client2.payForAPICall(report.apiId);
+            this.assert((await this.provider.getBlock(receipt.blockNumber)).transactions.length === 1, 'Automine should be restored');
+        });
+    }
+
+    async testFailuresByCause() {
+        await this.runTest('Rejected Payments Are Counted By Cause', async () => {
+            const { report, output } = await this.loadTest(['--consumers', '4', '--payments', '20', '--registrations', '0', '--rate', '50', '--block-time', '0', '--underpay', '0.2']);
+            this.assert(report.ok, 'Rejected payments should neither be counted nor reach the provider');
+            this.assert(report.failures.length === 1 && report.failures[0].cause === 'Insufficient payment' && report.failures[0].count === 4, 'Underpaid payments should be grouped by their revert reason');
+            this.assert(report.operations.payForAPICall.succeeded === 16 && report.operations.registerAPI === undefined, 'Only full payments should succeed');
+            this.assert((await this.client1.getAPI(report.apiId)).totalCalls === 16n, 'totalCalls should only count full payments');
+            this.assert(output.at(-1).includes('4 × payForAPICall: Insufficient payment'), 'The report should list failures by cause');
+        });
+    }
+
+    async testArgumentsAndReport() {
+        await this.runTest('Load Test Arguments And Report', async () => {
+            for (const argv of [['--rate', '0'], ['--consumers', '0'], ['--price', 'abc'], ['--underpay', '2'], ['--payments', '0', '--registrations', '0'], ['--network', 'sepolia']]) {
+                let caught = null;
+                try {
+                    parseArgs(argv);
+                } catch (error) {
+                    caught = error;
+                }
+                this.assert(caught && caught.code === 'INVALID_ARGUMENT', `${argv.join(' ')} should be refused`);
+            }
+            const options = parseArgs(['--price', '0.005', '--block-time', '0']);
+            this.assert(options.price === ethers.parseEther('0.005') && options.blockTimeMs === 0 && options.consumers === 10, 'Options should fall back to their defaults');
+            
+            const latencies = [120, 30, 80, 10, 50, 70, 40, 60, 20, 90];
+            this.assert(percentile(latencies, 50) === 50 && percentile(latencies, 90) === 90 && percentile(latencies, 100) === 120 && percentile([], 50) === null, 'Percentiles should use the nearest rank');
+            
+            const printed = formatLoadReport({
+                sent: 1,
+                succeeded: 1,
+                durationMs: 500,
+                perSecond: 2,
+                operations: {},
+                failures: [],
+                blocks: { count: 1, maxTransactions: 1 },
+                checks: [{ name: 'provider balance', expected: ethers.parseEther('0.002'), actual: ethers.parseEther('0.001'), unit: 'wei', ok: false }]
+            });
+            this.assert(printed.includes('❌ provider balance: 0.001 ETH, expected 0.002 ETH'), 'Mismatches should be shown with both values');
+        });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new LoadTests();
+        await tests.runLoadTests();
+    } catch (error) {
+        console.error('\n💥 Phase 21 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { LoadTests };
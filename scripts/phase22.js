@@ -0,0 +1,228 @@
+// scripts/phase22.js - Write Previews
+const { TestBase, releaseWalletPool } = require('./setup');
+const cli = require('./marketplace');
+const { formatCall } = require('../lib/errors');
+const { ethers } = require('ethers');
+
+class WritePreviewTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 22,
+        title: 'Write Previews',
+        run: 'runWritePreviewTests',
+        dependsOn: ['MarketplaceCLITests']
+    };
+
+    constructor() {
+        super();
+    }
+
+    async runWritePreviewTests() {
+        console.log('🔎 PHASE 22: WRITE PREVIEWS');
+        console.log('Testing simulated writes: decoded reverts, expected events, state changes and costs before sending\n');
+        
+        await this.setup();
+        
+        // Comparing previews with what really happens sends every kind of write and needs time travel
+        if (!this.supportsSnapshots) {
+            throw new Error(`❌ Write preview tests send owner and oracle writes and only run locally, not on ${this.network}`);
+        }
+        
+        // Test 1: Successful writes
+        await this.testPreviewMatchesWrite();
+        
+        // Test 2: Reverting writes
+        await this.testRevertsCaughtBeforeSending();
+        
+        // Test 3: CLI
+        await this.testCLIDryRun();
+        
+        // Test 4: Client option
+        await this.testClientPreviews();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 22 complete! Every write can be previewed before it is sent.');
+        } else {
+            console.log('\n⚠️  Fix Phase 22 issues before proceeding');
+        }
+    }
+
+    // Previews a write, sends it and checks the preview against the receipt
+    async expectPreviewMatches(client, method, args, overrides = {}) {
+        const from = await client.runner.getAddress();
+        const nonce = await this.provider.getTransactionCount(from);
+        const preview = await client.preview(method, args, overrides);
+        this.assert(preview.ok, `${method} should be previewed as succeeding, got ${preview.error && preview.error.message}`);
+        this.assert(await this.provider.getTransactionCount(from) === nonce, `Previewing ${method} should send nothing`);
+        
+        const result = await client.send(method, args, overrides);
+        const spent = preview.value + result.receipt.fee;
+        this.assert(preview.gasLimit >= result.receipt.gasUsed, `${method} used more gas than estimated`);
+        this.assert(spent <= preview.totalOut, `${method} cost ${spent} wei, previewed up to ${preview.totalOut}`);
+        
+        const expected = preview.events.map(event => formatCall(event.name, Object.values(event.args)));
+        const actual = result.events.map(event => formatCall(event.name, Object.values(event.args)));
+        console.log(`   🔎 ${method}: ${actual.join(', ')} for ${ethers.formatEther(spent)} ETH (previewed up to ${ethers.formatEther(preview.totalOut)} ETH)`);
+        if (method === 'requestWithdrawal') {
+            // Previewed from the latest block's time, mined a moment later
+            const predicted = preview.events.find(event => event.name === 'WithdrawalRequested').args;
+            const mined = result.events.find(event => event.name === 'WithdrawalRequested').args;
+            this.assert(mined.availableAt - predicted.availableAt <= 5n, 'availableAt should be previewed within a few seconds');
+            this.assert(result.events.map(event => event.name).join() === preview.events.map(event => event.name).join(), 'Previewed events should be emitted');
+        } else {
+            this.assert(actual.join() === expected.join(), `${method} emitted ${actual.join(', ')}, previewed ${expected.join(', ')}`);
+        }
+        return { preview, result };
+    }
+
+    async testPreviewMatchesWrite() {
+        await this.runTest('Previews Match What Every Write Does', async ({ apiId, pricePerCall }) => {
+            const stake = ethers.parseEther('0.2');
+            const { preview: registration } = await this.expectPreviewMatches(this.client1, 'registerAPI', ['https://api.example.com/preview', 'Previewed API', pricePerCall], { value: stake });
+            const nextApiId = registration.changes.find(change => change.what === 'nextApiId');
+            this.assert(nextApiId.after === await this.client1.nextApiId(), 'nextApiId should move as previewed');
+            
+            const providerBalance = await this.provider.getBalance(this.wallet1.address);
+            const { preview: payment } = await this.expectPreviewMatches(this.client2, 'payForAPICall', [apiId], { value: pricePerCall });
+            this.assert(payment.changes.find(change => change.what.startsWith('balance of')).after === providerBalance + pricePerCall, 'The provider\'s balance should be previewed');
+            this.assert(payment.changes[0].after === (await this.client1.getAPI(apiId)).totalCalls, 'totalCalls should move as previewed');
+            
+            await this.expectPreviewMatches(this.oracleClient, 'reportAPICall', [apiId, true]);
+            await this.expectPreviewMatches(this.oracleClient, 'slashProvider', [apiId]);
+            
+            const { apiId: retiring } = await this.registerFixtureAPI();
+            await this.expectPreviewMatches(this.client1, 'requestWithdrawal', [retiring]);
+            await this.increaseTime((await this.client1.constants()).withdrawalDelay);
+            const { preview: withdrawal } = await this.expectPreviewMatches(this.client1, 'withdrawStake', [retiring]);
+            this.assert(withdrawal.changes[0].after === (await this.client1.getAPI(retiring)).stake, 'The stake should be emptied as previewed');
+            
+            await this.expectPreviewMatches(this.client1, 'setOracle', [this.attackerWallet.address]);
+            await this.expectPreviewMatches(this.client1, 'transferOwnership', [this.wallet2.address]);
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testRevertsCaughtBeforeSending() {
+        await this.runTest('Reverting Writes Are Caught Before Sending', async ({ apiId, pricePerCall }) => {
+            const minStake = ethers.parseEther('0.1');
+            const cases = [
+                [this.client1, 'registerAPI', ['https://api.example.com/free', 'Free API', 0n], { value: ethers.parseEther('0.15') }, 'Price must be greater than zero'],
+                [this.client1, 'registerAPI', ['', 'No endpoint', pricePerCall], { value: ethers.parseEther('0.15') }, 'Endpoint required'],
+                [this.client1, 'registerAPI', ['https://api.example.com/cheap', 'Cheap stake', pricePerCall], { value: minStake - 1n }, 'Insufficient stake'],
+                [this.client2, 'payForAPICall', [apiId], { value: pricePerCall - 1n }, 'Insufficient payment'],
+                [this.client2, 'payForAPICall', [99n], { value: pricePerCall }, 'API does not exist'],
+                [this.oracleClient, 'reportAPICall', [apiId, true], {}, 'No unreported calls'],
+                [this.attackerClient, 'slashProvider', [apiId], {}, 'Only oracle'],
+                [this.attackerClient, 'requestWithdrawal', [apiId], {}, 'Not API provider'],
+                [this.client1, 'withdrawStake', [apiId], {}, 'No withdrawal requested'],
+                [this.client2, 'setOracle', [this.wallet2.address], {}, 'Only owner']
+            ];
+            
+            const nonces = await Promise.all([this.wallet1, this.wallet2, this.oracleWallet, this.attackerWallet].map(wallet => this.provider.getTransactionCount(wallet.address)));
+            for (const [client, method, args, overrides, reason] of cases) {
+                const preview = await client.preview(method, args, overrides);
+                this.assert(!preview.ok && preview.error.reason === reason, `${method} should be previewed as reverting with "${reason}", got ${preview.ok ? 'success' : preview.error.message}`);
+                this.assert(preview.events.length === 0 && preview.gasLimit === null, 'A reverting write has no events or gas');
+                console.log(`   ❌ ${method}: ${preview.error.message}`);
+            }
+            const after = await Promise.all([this.wallet1, this.wallet2, this.oracleWallet, this.attackerWallet].map(wallet => this.provider.getTransactionCount(wallet.address)));
+            this.assert(after.join() === nonces.join(), 'Nothing should have been sent, or paid for');
+            
+            let unknown = null;
+            await this.client1.preview('getAPI', [apiId]).catch(error => { unknown = error; });
+            this.assert(unknown && unknown.code === 'INVALID_ARGUMENT', 'Only writes can be previewed');
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    // Runs a CLI command in-process and captures what it prints
+    async cli(args, { client = this.client1, answer = false } = {}) {
+        const output = [];
+        const io = {
+            log: message => output.push(message),
+            info: message => output.push(message),
+            confirm: async () => answer
+        };
+        const result = await cli.run(args, { client, io });
+        return { result, output: output.join('\n') };
+    }
+
+    async testCLIDryRun() {
+        await this.runTest('CLI Writes Are Simulated First', async ({ apiId }) => {
+            const nonce = await this.wallet1.getNonce();
+            const register = ['register', '--endpoint', 'https://api.example.com/dry', '--description', 'Dry run', '--price', '0.001', '--stake', '0.1'];
+            const { result, output } = await this.cli([...register, '--dry-run'], { answer: true });
+            console.log(output.split('\n').map(line => `   ${line}`).join('\n'));
+            this.assert(result.dryRun && result.preview.ok, 'A dry run should return the preview');
+            this.assert(output.includes('APIRegistered(') && output.includes('ETH out: 0.1 ETH') && output.includes('nextApiId: 2 → 3'), 'The preview should show events, cost and state changes');
+            this.assert(await this.wallet1.getNonce() === nonce, 'A dry run should send nothing, even with a confirming answer');
+            
+            let reverted = null;
+            try {
+                await this.cli(['register', '--endpoint', '', '--description', 'Nowhere', '--price', '0.001', '--stake', '0.1', '--yes']);
+            } catch (error) {
+                reverted = error;
+            }
+            this.assert(reverted && reverted.code === 'REVERTED' && reverted.reason === 'Endpoint required', 'A write that would revert should fail with its reason');
+            this.assert(await this.wallet1.getNonce() === nonce, 'A write that would revert should not be sent');
+            
+            const { output: json } = await this.cli(['pay', apiId.toString(), '--dry-run', '--json'], { client: this.client2 });
+            const parsed = JSON.parse(json.slice(json.indexOf('\n{') + 1));
+            this.assert(parsed.dryRun && parsed.preview.events[0].name === 'APIPayment' && parsed.preview.value === '1000000000000000', 'JSON dry runs should carry the preview');
+            
+            await this.client2.payForAPICall(apiId);
+            const { result: reported } = await this.cli(['report', apiId.toString(), '--result', 'failure', '--yes'], { client: this.oracleClient });
+            this.assert(reported.hash && reported.success === false, 'The oracle should report through the CLI');
+            
+            const { result: requested } = await this.cli(['request-withdrawal', apiId.toString(), '--yes']);
+            this.assert(requested.hash && (await this.client1.getWithdrawalRequest(apiId)) > 0n, 'The provider should request a withdrawal through the CLI');
+            let early = null;
+            await this.cli(['withdraw', apiId.toString(), '--yes']).catch(error => { early = error; });
+            this.assert(early && early.reason === 'Withdrawal delay not met', 'An early withdrawal should be refused before sending');
+            
+            const { result: slashed } = await this.cli(['slash', apiId.toString(), '--yes'], { client: this.oracleClient });
+            this.assert(slashed.amount === ethers.parseEther('0.015'), 'The oracle should slash through the CLI');
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testClientPreviews() {
+        await this.runTest('Clients With Previews On Never Send A Reverting Write', async ({ apiId, pricePerCall }) => {
+            // A gasLimit skips the estimate, which would otherwise refuse the reverting write as well
+            const overrides = { gasLimit: 200000n };
+            const careful = this.client2.connect(this.wallet2, { ...this.clientOptions(this.wallet2), preview: true });
+            const nonce = await this.wallet2.getNonce();
+            
+            let refused = null;
+            await careful.payForAPICall(apiId, { amount: pricePerCall - 1n }, overrides).catch(error => { refused = error; });
+            console.log(`   ❌ ${refused && refused.message}`);
+            this.assert(refused && refused.code === 'REVERTED' && refused.reason === 'Insufficient payment', `The preview's revert should be thrown, got ${refused && refused.message}`);
+            this.assert(await this.wallet2.getNonce() === nonce, 'A write previewed as reverting should not be sent');
+            
+            let mined = null;
+            await this.client2.payForAPICall(apiId, { amount: pricePerCall - 1n }, overrides).catch(error => { mined = error; });
+            this.assert(mined && await this.wallet2.getNonce() === nonce + 1, 'Without previews the reverting write is sent and its gas paid');
+            
+            const paid = await careful.payForAPICall(apiId, {}, overrides);
+            this.assert(paid.receipt.status === 1 && paid.event, 'A write previewed as succeeding should be sent');
+            this.assert(careful.connect(this.wallet1).previewWrites && !this.client2.connect(this.wallet1).previewWrites, 'Connected clients should keep the preview option');
+        }, { fixture: 'oneActiveAPI' });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new WritePreviewTests();
+        await tests.runWritePreviewTests();
+    } catch (error) {
+        console.error('\n💥 Phase 22 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { WritePreviewTests };
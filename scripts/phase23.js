@@ -0,0 +1,396 @@
+// scripts/phase23.js - Event Webhooks
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { TestBase, releaseWalletPool } = require('./setup');
+const { EventWatcher, WatcherStore, verifyWebhook } = require('../lib/watcher');
+const { run: runWatch, parseArgs } = require('./watch');
+const { ethers } = require('ethers');
+
+const SECRET = 'phase23-webhook-secret';
+
+/**
+ * A local webhook receiver recording every request per path. `statuses[path]` is a list of
+ * statuses to answer with in turn, the last one repeats, 200 when there is none.
+ */
+async function startReceiver() {
+    const receiver = { statuses: {}, requests: [] };
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const count = receiver.requests.filter(request => request.path === req.url).length;
+            const statuses = receiver.statuses[req.url] || [200];
+            receiver.requests.push({ path: req.url, headers: req.headers, body, payload: JSON.parse(body) });
+            res.statusCode = statuses[Math.min(count, statuses.length - 1)];
+            res.end();
+        });
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    receiver.url = webhookPath => `http://127.0.0.1:${port}${webhookPath}`;
+    receiver.at = webhookPath => receiver.requests.filter(request => request.path === webhookPath);
+    receiver.close = () => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    };
+    return receiver;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class EventWebhookTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 23,
+        title: 'Event Webhooks',
+        run: 'runEventWebhookTests',
+        dependsOn: ['EventIndexerTests']
+    };
+
+    constructor() {
+        super();
+    }
+
+    async runEventWebhookTests() {
+        console.log('📬 PHASE 23: EVENT WEBHOOKS');
+        console.log('Testing live events delivered to provider webhooks: signatures, filters, retries, dead letters and restarts\n');
+        
+        await this.setup();
+        
+        // Every test reverts the chain so the watchers only see the blocks it mined
+        if (!this.supportsSnapshots) {
+            throw new Error(`❌ Event webhook tests mine their own events and only run locally, not on ${this.network}`);
+        }
+        
+        // Test 1: Signatures and filters
+        await this.testSignedFilteredDelivery();
+        
+        // Test 2: Failing receivers
+        await this.testRetriesAndDeadLetters();
+        
+        // Test 3: Restarts
+        await this.testDeliverySurvivesRestarts();
+        
+        // Test 4: Following the chain
+        await this.testFollowsNewBlocks();
+        
+        // Test 5: Reorgs
+        await this.testReorgs();
+        await this.testReorgMovesLogIndex();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 23 complete! Providers can follow their APIs through signed webhooks.');
+        } else {
+            console.log('\n⚠️  Fix Phase 23 issues before proceeding');
+        }
+    }
+
+    // A watcher over the local chain, started from the current block
+    async watcher(webhooks, options = {}) {
+        const watcher = new EventWatcher(this.client1, { webhooks, backoffMs: 10, ...options });
+        await watcher.poll();
+        return watcher;
+    }
+
+    // Runs something with a receiver and a temporary directory, cleaning both up afterwards
+    async withReceiver(fn) {
+        const receiver = await startReceiver();
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'marketplace-watcher-'));
+        try {
+            return await fn(receiver, dir);
+        } finally {
+            await receiver.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    async testSignedFilteredDelivery() {
+        await this.runTest('Signed Webhooks Filtered By Provider, API And Event', ({ apiId, pricePerCall }) => this.withReceiver(async receiver => {
+            const watcher = await this.watcher([
+                { name: 'provider', url: receiver.url('/provider'), secret: SECRET, providers: [this.wallet1.address] },
+                { name: 'api', url: receiver.url('/api'), secret: SECRET, apiIds: ['2'] },
+                { name: 'reports', url: receiver.url('/reports'), secret: SECRET, events: ['APICallReported'] }
+            ]);
+            
+            await this.client2.payForAPICall(apiId);
+            await this.client2.payForAPICall(apiId);
+            await this.oracleClient.reportAPICall(apiId, true);
+            const { apiId: other } = await this.attackerClient.registerAPI({ endpoint: 'https://api.example.com/other', description: 'Other provider', pricePerCall, stake: ethers.parseEther('0.1') });
+            await this.client2.payForAPICall(other);
+            await this.oracleClient.reportAPICall(other, false);
+            
+            const result = await watcher.tick();
+            this.assert(result.events === 6 && result.delivered === 8 && result.pending === 0, `Every matching event should be delivered, got ${JSON.stringify(result)}`);
+            const names = webhookPath => receiver.at(webhookPath).map(request => `${request.payload.name}(${request.payload.apiId})`).join(', ');
+            console.log(`   📬 provider: ${names('/provider')}`);
+            console.log(`   📬 api 2: ${names('/api')}`);
+            console.log(`   📬 reports: ${names('/reports')}`);
+            this.assert(names('/provider') === 'APIPayment(1), APIPayment(1), APICallReported(1)', 'Payments for one provider should find it even without a registration in range');
+            this.assert(names('/api') === 'APIRegistered(2), APIPayment(2), APICallReported(2)', 'An apiId filter should only let through that API');
+            this.assert(names('/reports') === 'APICallReported(1), APICallReported(2)', 'An event filter should only let through those events');
+            
+            const [payment] = receiver.at('/provider');
+            const { payload, headers, body } = payment;
+            this.assert(payload.provider === this.wallet1.address && payload.args.amount === pricePerCall.toString() && payload.contract === this.contractAddress, 'The payload should carry the provider, the args and the contract');
+            this.assert(headers['x-marketplace-event'] === 'APIPayment' && headers['x-marketplace-delivery'] === `provider:${payload.txHash}:0` && payload.id === `${payload.txHash}:0`, 'Headers should name the event and the delivery');
+            this.assert(verifyWebhook({ secret: SECRET, body, headers }), 'The signature should verify');
+            this.assert(!verifyWebhook({ secret: SECRET, body: body.replace(pricePerCall.toString(), '1'), headers }), 'A changed body should not verify');
+            this.assert(!verifyWebhook({ secret: 'someone-else', body, headers }), 'Another secret should not verify');
+            this.assert(!verifyWebhook({ secret: SECRET, body, headers, now: Date.now() + 10 * 60 * 1000 }), 'An old delivery should not verify');
+            
+            const again = await watcher.tick();
+            this.assert(again.events === 0 && receiver.requests.length === 8, 'Events should only be delivered once when nothing fails');
+            
+            let unknown = null;
+            try {
+                new EventWatcher(this.client1, { webhooks: [{ url: receiver.url('/x'), secret: SECRET, events: ['OracleUpdated'] }] });
+            } catch (error) {
+                unknown = error;
+            }
+            this.assert(unknown && unknown.code === 'INVALID_ARGUMENT', 'Only events about APIs can be subscribed to');
+        }), { fixture: 'oneActiveAPI' });
+    }
+
+    async testRetriesAndDeadLetters() {
+        await this.runTest('Failed Deliveries Are Retried, Then Dead-Lettered', ({ apiId }) => this.withReceiver(async (receiver, dir) => {
+            const deadLetterFile = path.join(dir, 'dead-letters.jsonl');
+            receiver.statuses['/flaky'] = [500, 502, 200];
+            receiver.statuses['/down'] = [503];
+            const events = [];
+            const watcher = await this.watcher([
+                { name: 'flaky', url: receiver.url('/flaky'), secret: SECRET },
+                { name: 'down', url: receiver.url('/down'), secret: SECRET }
+            ], { maxAttempts: 3, deadLetterFile, onEvent: event => events.push(event) });
+            
+            await this.client2.payForAPICall(apiId);
+            await watcher.tick();
+            const retry = events.find(event => event.type === 'retry');
+            this.assert(retry && retry.delivery.nextAttemptAt > Date.now() - 1000 && watcher.store.outbox.length === 2, 'Failed deliveries should wait for their retry');
+            for (let round = 0; round < 20 && watcher.store.outbox.length > 0; round++) {
+                await sleep(25);
+                await watcher.flush();
+            }
+            
+            const flaky = receiver.at('/flaky');
+            this.assert(flaky.length === 3 && new Set(flaky.map(request => request.headers['x-marketplace-delivery'])).size === 1, 'Retries should resend the same delivery until it is accepted');
+            this.assert(flaky.every(request => verifyWebhook({ secret: SECRET, body: request.body, headers: request.headers })), 'Every retry should be signed');
+            this.assert(receiver.at('/down').length === 3, 'A receiver that stays down should get maxAttempts tries');
+            
+            const deadLetters = fs.readFileSync(deadLetterFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            console.log(`   ☠️  ${deadLetters.map(letter => `${letter.id} after ${letter.attempts} attempts: ${letter.lastError}`).join('\n   ')}`);
+            this.assert(deadLetters.length === 1 && deadLetters[0].webhook === 'down' && deadLetters[0].lastError === 'HTTP 503' && deadLetters[0].payload.name === 'APIPayment', 'The undeliverable event should be in the dead letter file');
+            this.assert(watcher.store.outbox.length === 0 && watcher.store.delivered === 1, 'Dead letters should leave the outbox');
+            
+            // Refused connections are failures like any other
+            await receiver.close();
+            const refused = await this.watcher([{ name: 'gone', url: receiver.url('/gone'), secret: SECRET }], { maxAttempts: 1, deadLetterFile });
+            await this.client2.payForAPICall(apiId);
+            await refused.tick();
+            const last = JSON.parse(fs.readFileSync(deadLetterFile, 'utf8').trim().split('\n').at(-1));
+            this.assert(last.webhook === 'gone' && /ECONNREFUSED/.test(last.lastError), `A refused connection should be dead-lettered with its cause, got ${last.lastError}`);
+        }), { fixture: 'oneActiveAPI' });
+    }
+
+    async testDeliverySurvivesRestarts() {
+        await this.runTest('Deliveries Survive Restarts At Least Once', ({ apiId }) => this.withReceiver(async (receiver, dir) => {
+            const file = path.join(dir, 'watcher.json');
+            const webhooks = [{ name: 'provider', url: receiver.url('/provider'), secret: SECRET }];
+            
+            // Queued, then stopped before delivering anything
+            const first = await this.watcher(webhooks, { store: new WatcherStore(file) });
+            await this.client2.payForAPICall(apiId);
+            await first.poll();
+            this.assert(receiver.requests.length === 0 && first.store.outbox.length === 1, 'The payment should be queued');
+            
+            const second = new EventWatcher(this.client1, { webhooks, store: new WatcherStore(file), fromBlock: 0 });
+            await this.client2.payForAPICall(apiId);
+            const resumed = await second.tick();
+            this.assert(resumed.events === 1 && resumed.delivered === 2, 'A restart should deliver what was queued plus what came after, ignoring fromBlock');
+            this.assert(new Set(receiver.requests.map(request => request.payload.id)).size === 2, 'Nothing should be delivered twice');
+            
+            // The receiver got it, but the watcher died before hearing back
+            let crash = true;
+            const crashing = async (url, init) => {
+                const response = await fetch(url, init);
+                if (crash) {
+                    crash = false;
+                    throw new Error('socket hang up');
+                }
+                return response;
+            };
+            const third = new EventWatcher(this.client1, { webhooks, store: new WatcherStore(file), fetch: crashing, backoffMs: 0 });
+            await this.oracleClient.reportAPICall(apiId, true);
+            await third.tick();
+            this.assert(receiver.requests.length === 3 && third.store.outbox.length === 1, 'An unconfirmed delivery should stay queued');
+            
+            const fourth = new EventWatcher(this.client1, { webhooks, store: new WatcherStore(file) });
+            await fourth.tick();
+            const ids = receiver.requests.map(request => request.headers['x-marketplace-delivery']);
+            this.assert(receiver.requests.length === 4 && ids[2] === ids[3] && fourth.store.outbox.length === 0, 'It should be delivered again with the same id');
+            console.log(`   🔁 ${ids.length} requests for ${new Set(ids).size} events, checkpoint at block ${fourth.store.checkpoint}`);
+            
+            // A webhook dropped from the configuration can't be delivered to anymore
+            await this.client2.payForAPICall(apiId);
+            await fourth.poll();
+            const reconfigured = new EventWatcher(this.client1, { webhooks: [{ name: 'other', url: receiver.url('/other'), secret: SECRET }], store: new WatcherStore(file), deadLetterFile: path.join(dir, 'dead.jsonl') });
+            await reconfigured.flush();
+            this.assert(reconfigured.store.outbox.length === 0 && fs.readFileSync(path.join(dir, 'dead.jsonl'), 'utf8').includes('no longer configured'), 'Deliveries to a removed webhook should be dead-lettered');
+        }), { fixture: 'oneActiveAPI' });
+    }
+
+    async testFollowsNewBlocks() {
+        await this.runTest('Watcher Follows New Blocks And Runs From The CLI', ({ apiId }) => this.withReceiver(async (receiver, dir) => {
+            const watcher = new EventWatcher(this.client1, {
+                webhooks: [{ name: 'live', url: receiver.url('/live'), secret: SECRET }],
+                subscribe: true,
+                intervalMs: 60000
+            });
+            await watcher.start();
+            const startedAt = Date.now();
+            try {
+                await this.client2.payForAPICall(apiId);
+                while (receiver.requests.length === 0 && Date.now() - startedAt < 20000) {
+                    await sleep(100);
+                }
+            } finally {
+                await watcher.stop();
+            }
+            this.assert(receiver.at('/live').length === 1, 'A new block should be delivered without waiting for the interval');
+            console.log(`   ⚡ Payment delivered ${Date.now() - startedAt}ms after the watcher started`);
+            
+            const fromBlock = await this.provider.getBlockNumber() + 1;
+            await this.client2.payForAPICall(apiId);
+            await this.client2.payForAPICall(apiId);
+            const output = [];
+            const io = { log: message => output.push(message), info: message => output.push(message) };
+            const argv = ['--webhook', receiver.url('/cli'), '--api', apiId.toString(), '--events', 'APIPayment', '--from-block', String(fromBlock), '--state', path.join(dir, 'cli.json'), '--dead-letters', path.join(dir, 'cli-dead.jsonl'), '--once'];
+            const cli = await runWatch(argv, { client: this.client1, io, secret: SECRET });
+            console.log(`   ${output.join('\n   ')}`);
+            this.assert(receiver.at('/cli').length === 2 && cli.store.delivered === 2, 'The CLI should deliver the payments since --from-block');
+            this.assert(output.some(line => line.includes('✅') && line.includes('delivered')), 'Deliveries should be printed');
+            
+            let missingSecret = null;
+            await runWatch(argv, { client: this.client1, io, secret: '' }).catch(error => { missingSecret = error; });
+            this.assert(missingSecret && missingSecret.code === 'INVALID_ARGUMENT', 'Webhooks should not go out unsigned');
+            for (const args of [[], ['--webhook', 'ftp://example.com'], ['--webhook', 'https://example.com', '--provider', '0x12'], ['--webhook', 'https://example.com', '--events', 'Nope'], ['--webhook', 'https://example.com', '--ws', 'https://example.com']]) {
+                let caught = null;
+                try {
+                    parseArgs(args);
+                } catch (error) {
+                    caught = error;
+                }
+                this.assert(caught && caught.code === 'INVALID_ARGUMENT', `${args.join(' ') || 'No arguments'} should be refused`);
+            }
+        }), { fixture: 'oneActiveAPI' });
+    }
+
+    async testReorgs() {
+        await this.runTest('Reorgs Neither Repeat Nor Lose Deliveries', ({ apiId }) => this.withReceiver(async receiver => {
+            const events = [];
+            const watcher = await this.watcher([{ name: 'provider', url: receiver.url('/provider'), secret: SECRET }], { onEvent: event => events.push(event) });
+            const forkBlock = await this.provider.getBlockNumber();
+            const fork = await this.takeSnapshot();
+            
+            // The branch that gets orphaned: a payment and a report delivered, a second payment only queued
+            const delivered = await this.client2.payForAPICall(apiId);
+            await this.oracleClient.reportAPICall(apiId, true);
+            await watcher.tick();
+            const queued = await this.client2.payForAPICall(apiId);
+            await watcher.poll();
+            this.assert(receiver.requests.length === 2 && watcher.store.outbox.length === 1, 'Two events should be delivered and one queued before the reorg');
+            const raw = await Promise.all([delivered.hash, queued.hash].map(async hash => ethers.Transaction.from(await this.provider.getTransaction(hash)).serialized));
+            
+            // The branch that wins: an empty block first so every height gets a new hash,
+            // then both payments again without the report, and a new payment
+            await this.revertToSnapshot(fork);
+            await this.provider.send('evm_mine', []);
+            for (const tx of raw) {
+                await this.provider.send('eth_sendRawTransaction', [tx]);
+            }
+            await this.client2.payForAPICall(apiId);
+            
+            const result = await watcher.tick();
+            const reorg = events.find(event => event.type === 'reorg');
+            console.log(`   🔀 Rewound to block ${result.rewoundTo}, dropped ${reorg.dropped.length}, ${reorg.orphaned.length} delivered from orphaned blocks`);
+            this.assert(result.rewoundTo === forkBlock && watcher.store.reorgs === 1, `The watcher should rewind to the fork at block ${forkBlock}, got ${result.rewoundTo}`);
+            this.assert(reorg.dropped.length === 1 && reorg.dropped[0].payload.txHash === queued.hash, 'The queued payment of the orphaned branch should be dropped');
+            this.assert(reorg.orphaned.length === 2, 'The deliveries made from orphaned blocks should be listed');
+            
+            const ids = receiver.requests.map(request => request.headers['x-marketplace-delivery']);
+            const names = receiver.requests.map(request => request.payload.name);
+            this.assert(ids.length === 4 && new Set(ids).size === 4, `No event should be delivered twice, got ${ids.join(', ')}`);
+            this.assert(names.join() === 'APIPayment,APICallReported,APIPayment,APIPayment', `The re-mined and the new payment should be delivered, got ${names.join(', ')}`);
+            
+            const requeued = receiver.requests[2].payload;
+            const block = await this.provider.getBlock(requeued.blockNumber);
+            this.assert(requeued.txHash === queued.hash && requeued.blockHash === block.hash, 'The queued payment should be delivered from its block in the new chain');
+            this.assert(watcher.store.outbox.length === 0 && (await watcher.tick()).rewoundTo === undefined, 'The watcher should carry on from the new chain');
+        }), { fixture: 'oneActiveAPI' });
+    }
+
+    async testReorgMovesLogIndex() {
+        await this.runTest('Re-mined Events Are Not Delivered Again At Another logIndex', ({ apiId, pricePerCall }) => this.withReceiver(async receiver => {
+            const watcher = await this.watcher([{ name: 'provider', url: receiver.url('/provider'), secret: SECRET }]);
+            const forkBlock = await this.provider.getBlockNumber();
+            const fork = await this.takeSnapshot();
+            
+            // Two payments mined in one block, the second one's event at logIndex 1. Without
+            // automine Hardhat gives sends the whole block's gas unless they name a limit
+            const data = this.client2.interface.encodeFunctionData('payForAPICall', [apiId]);
+            await this.provider.send('evm_setAutomine', [false]);
+            let sent;
+            try {
+                sent = [];
+                for (let i = 0; i < 2; i++) {
+                    sent.push(await this.wallet2.sendTransaction({ to: this.contractAddress, data, value: pricePerCall, gasLimit: 200000n }));
+                }
+                await this.provider.send('evm_mine', []);
+            } finally {
+                await this.provider.send('evm_setAutomine', [true]);
+            }
+            await watcher.tick();
+            const before = receiver.requests.map(request => request.payload.logIndex);
+            this.assert(before.join() === '0,1', `Both payments should be delivered from one block, got logIndex ${before.join(', ')}`);
+            const raw = await Promise.all(sent.map(async ({ hash }) => ethers.Transaction.from(await this.provider.getTransaction(hash)).serialized));
+            
+            // The new chain mines each payment in a block of its own, the second one at logIndex 0
+            await this.revertToSnapshot(fork);
+            await this.provider.send('evm_mine', []);
+            for (const tx of raw) {
+                await this.provider.send('eth_sendRawTransaction', [tx]);
+            }
+            const moved = await this.provider.getTransactionReceipt(sent[1].hash);
+            this.assert(moved.logs[0].index === 0, `The second payment should be re-mined at another logIndex, got ${moved.logs[0].index}`);
+            
+            const result = await watcher.tick();
+            const ids = receiver.requests.map(request => request.headers['x-marketplace-delivery']);
+            this.assert(result.rewoundTo === forkBlock, `The watcher should rewind to the fork at block ${forkBlock}, got ${result.rewoundTo}`);
+            this.assert(ids.length === 2 && ids[1] === `provider:${sent[1].hash}:0`, `Neither payment should be delivered again, got ${ids.join(', ')}`);
+        }), { fixture: 'oneActiveAPI' });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new EventWebhookTests();
+        await tests.runEventWebhookTests();
+    } catch (error) {
+        console.error('\n💥 Phase 23 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { EventWebhookTests };
@@ -1,20 +1,28 @@
 
 // scripts/phase3-fixed.js - Payment System Tests (Overpayment Fix)
-const { TestBase } = require('./setup');
+const { TestBase, releaseWalletPool } = require('./setup');
 const { ethers } = require('ethers');
 
 class PaymentSystemTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 3,
+        title: 'Payment System',
+        run: 'runPaymentTests',
+        dependsOn: ['RegistrationEdgeTests']
+    };
+
     constructor() {
         super();
-        this.testApiId = null;
     }
 
     async runPaymentTests() {
         console.log('💳 PHASE 3: PAYMENT SYSTEM TESTS (FIXED)');
         console.log('Testing the core payment mechanism for API calls\n');
         
+        await this.setup();
+        
         await this.setupTestEnvironment();
-        await this.setupTestAPI();
         
         // Test 1: Successful payment flow
         await this.testSuccessfulPayment();
@@ -34,7 +42,7 @@ class PaymentSystemTests extends TestBase {
     }
 
     async setupTestEnvironment() {
-        console.log('💰 Ensuring wallets are properly funded...');
+        console.log('💰 Checking wallet balances...');
         
         const balance1 = await this.provider.getBalance(this.wallet1.address);
         const balance2 = await this.provider.getBalance(this.wallet2.address);
@@ -42,52 +50,21 @@ class PaymentSystemTests extends TestBase {
         console.log(`   Wallet 1 balance: ${ethers.formatEther(balance1)} ETH`);
         console.log(`   Wallet 2 balance: ${ethers.formatEther(balance2)} ETH`);
         
-        const requiredBalance = ethers.parseEther('0.1');
-        
-        if (balance2 < requiredBalance) {
-            console.log(`   💸 Funding wallet 2 with test ETH...`);
-            
-            const fundAmount = ethers.parseEther('0.2');
-            const fundTx = await this.wallet1.sendTransaction({
-                to: this.wallet2.address,
-                value: fundAmount
-            });
-            
-            console.log(`   ⏳ Funding transaction: ${fundTx.hash}`);
-            await fundTx.wait();
-            
-            const newBalance = await this.provider.getBalance(this.wallet2.address);
-            console.log(`   ✅ Wallet 2 funded! New balance: ${ethers.formatEther(newBalance)} ETH`);
-        } else {
-            console.log(`   ✅ Wallet 2 already has sufficient funds`);
-        }
-    }
-
-    async setupTestAPI() {
-        console.log('\n🔧 Setting up test API...');
-        
-        const nextApiId = await this.contract1.nextApiId();
-        console.log(`   📊 Current next API ID: ${nextApiId}`);
-        
-        if (nextApiId > 1n) {
-            this.testApiId = 1n;
-            const api = await this.contract1.getAPI(this.testApiId);
-            
-            console.log(`   ✅ Using existing API ID: ${this.testApiId}`);
-            console.log(`      Endpoint: ${api.endpoint}`);
-            console.log(`      Price: ${ethers.formatEther(api.pricePerCall)} ETH`);
-            console.log(`      Active: ${api.active}`);
+        // Live runs top the pool wallets up in setup(), so this only trips when the funder ran dry
+        if (balance2 < ethers.parseEther('0.1')) {
+            throw new Error('❌ Wallet 2 needs at least 0.1 ETH, check the funder balance');
         }
+        console.log(`   ✅ Wallet 2 has sufficient funds`);
     }
 
     async testSuccessfulPayment() {
-        await this.runTest('Successful Payment Flow', async () => {
+        await this.runTest('Successful Payment Flow', async ({ apiId }) => {
             console.log('   💰 Testing successful API payment...');
             
             const consumerBalance = await this.provider.getBalance(this.wallet2.address);
             console.log(`   💳 Consumer balance: ${ethers.formatEther(consumerBalance)} ETH`);
             
-            const api = await this.contract1.getAPI(this.testApiId);
+            const api = await this.client1.getAPI(apiId);
             const paymentAmount = api.pricePerCall;
             
             console.log(`   📋 Payment: ${ethers.formatEther(paymentAmount)} ETH`);
@@ -96,12 +73,12 @@ class PaymentSystemTests extends TestBase {
             const totalCallsBefore = api.totalCalls;
             
             // Make payment
-            const paymentTx = await this.contract2.payForAPICall(this.testApiId, {
-                value: paymentAmount
-            });
+            const { event, receipt } = await this.client2.payForAPICall(apiId, { amount: paymentAmount });
+            console.log(`   ✅ Payment confirmed in block: ${receipt.blockNumber}`);
             
-            const paymentReceipt = await paymentTx.wait();
-            console.log(`   ✅ Payment confirmed in block: ${paymentReceipt.blockNumber}`);
+            this.assert(event, 'APIPayment event should be emitted');
+            this.assert(event.args.consumer === this.wallet2.address, 'APIPayment should name the consumer');
+            this.assert(event.args.amount === paymentAmount, 'APIPayment should carry the amount');
             
             // Verify results
             const providerBalanceAfter = await this.provider.getBalance(api.provider);
@@ -109,18 +86,18 @@ class PaymentSystemTests extends TestBase {
             
             this.assert(providerReceived === paymentAmount, 'Provider should receive payment');
             
-            const apiAfter = await this.contract1.getAPI(this.testApiId);
+            const apiAfter = await this.client1.getAPI(apiId);
             this.assert(apiAfter.totalCalls === totalCallsBefore + 1n, 'Calls should increment');
             
             console.log(`   ✅ Payment flow completed successfully`);
-        });
+        }, { fixture: 'oneActiveAPI' });
     }
 
     async testSimpleOverpayment() {
-        await this.runTest('Simple Overpayment Test', async () => {
+        await this.runTest('Simple Overpayment Test', async ({ apiId }) => {
             console.log('   💰 Testing overpayment acceptance...');
             
-            const api = await this.contract1.getAPI(this.testApiId);
+            const api = await this.client1.getAPI(apiId);
             const requiredPayment = api.pricePerCall;
             const overpayment = requiredPayment + ethers.parseEther('0.0005'); // Small overpayment
             
@@ -130,25 +107,21 @@ class PaymentSystemTests extends TestBase {
             const providerBalanceBefore = await this.provider.getBalance(api.provider);
             
             try {
-                const overpayTx = await this.contract2.payForAPICall(this.testApiId, {
-                    value: overpayment
-                });
-                
-                const overpayReceipt = await overpayTx.wait();
-                console.log(`   ✅ Overpayment accepted in block: ${overpayReceipt.blockNumber}`);
+                const { receipt } = await this.client2.payForAPICall(apiId, { amount: overpayment });
+                console.log(`   ✅ Overpayment accepted in block: ${receipt.blockNumber}`);
                 
                 const providerBalanceAfter = await this.provider.getBalance(api.provider);
                 const received = providerBalanceAfter - providerBalanceBefore;
                 
                 console.log(`   💰 Provider received: ${ethers.formatEther(received)} ETH`);
                 this.assert(received === overpayment, 'Provider should receive full overpayment');
-                
+            
             } catch (error) {
                 // If overpayment fails, that's actually fine for now - the core payment works
                 console.log(`   ⚠️  Overpayment failed, but core payment system works: ${error.message}`);
                 console.log(`   ✅ This is acceptable - main payment functionality verified`);
             }
-        });
+        }, { fixture: 'oneActiveAPI' });
     }
 }
 
@@ -158,7 +131,9 @@ async function main() {
         await tests.runPaymentTests();
     } catch (error) {
         console.error('\n💥 Phase 3 failed:', error.message);
-        process.exit(1);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
     }
 }
 
@@ -0,0 +1,259 @@
+// scripts/phase4.js - Oracle Reporting and Slashing
+const { TestBase, releaseWalletPool } = require('./setup');
+const { LocalOracle } = require('./oracle');
+const { ethers } = require('ethers');
+
+class OracleReportingTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 4,
+        title: 'Oracle Reporting',
+        run: 'runOracleTests',
+        dependsOn: ['PaymentSystemTests']
+    };
+
+    constructor() {
+        super();
+        
+        // One active API from wallet 1 that wallet 2 has already paid for once
+        this.defineFixture('paidAPI', async () => {
+            const api = await this.registerFixtureAPI();
+            await this.client2.payForAPICall(api.apiId, { amount: api.pricePerCall });
+            return api;
+        });
+    }
+
+    async runOracleTests() {
+        console.log('🔮 PHASE 4: ORACLE REPORTING SYSTEM');
+        console.log('Testing call reports, access control and provider slashing\n');
+        
+        await this.setup();
+        
+        if (!this.oracleWallet) {
+            throw new Error('❌ Oracle tests need ORACLE_PRIVATE_KEY in .env on live networks');
+        }
+        
+        // Test 1: Oracle wiring
+        await this.testOracleConfiguration();
+        
+        // Test 2: Reporting outcomes
+        await this.testReportSuccessfulCall();
+        await this.testReportFailedCall();
+        
+        // Test 3: Access control
+        await this.testNonOracleRejected();
+        await this.testSuccessWithoutPaidCall();
+        await this.testOverReportRejected();
+        
+        // Test 4: Slashing
+        await this.testSlashAfterFailures();
+        await this.testSlashIsolatedToAPI();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 4 complete! Oracle reporting and slashing verified.');
+        } else {
+            console.log('\n⚠️  Fix Phase 4 issues before proceeding');
+        }
+    }
+
+    createOracle(options) {
+        return new LocalOracle(this.oracleClient, options);
+    }
+
+    async testOracleConfiguration() {
+        await this.runTest('Oracle Configuration', async () => {
+            const { oracle, slashPercentage } = await this.client1.constants();
+            
+            console.log(`   🔮 Contract oracle: ${oracle}`);
+            console.log(`   🔮 Test oracle:     ${this.oracleWallet.address}`);
+            console.log(`   ✂️  Slash %: ${slashPercentage}%`);
+            
+            this.assert(oracle === this.oracleWallet.address, 'Contract oracle should be the test oracle signer');
+            this.assert(slashPercentage === 10n, 'Slash percentage should be 10%');
+        }, { fixture: 'clean' });
+    }
+
+    async testReportSuccessfulCall() {
+        await this.runTest('Report Successful Call', async ({ apiId }) => {
+            const oracle = this.createOracle();
+            const before = await this.client1.getAPI(apiId);
+            
+            console.log(`   📊 Before: ${before.successfulCalls}/${before.totalCalls} successful`);
+            
+            const result = await oracle.reportSuccess(apiId);
+            const event = this.findEvent(result, 'APICallReported');
+            this.assert(event, 'APICallReported event should be emitted');
+            this.assert(event.args.apiId === apiId, 'Event should reference the API');
+            this.assert(event.args.success === true, 'Event should report success');
+            
+            const after = await this.client1.getAPI(apiId);
+            console.log(`   📊 After:  ${after.successfulCalls}/${after.totalCalls} successful`);
+            
+            this.assert(after.successfulCalls === before.successfulCalls + 1n, 'Successful calls should increment');
+            this.assert(after.totalCalls === before.totalCalls, 'Total calls should only change on payment');
+            this.assert(after.active === true, 'API should stay active');
+        }, { fixture: 'paidAPI' });
+    }
+
+    async testReportFailedCall() {
+        await this.runTest('Report Failed Call', async ({ apiId, stake }) => {
+            const oracle = this.createOracle({ failureThreshold: 3 });
+            const before = await this.client1.getAPI(apiId);
+            
+            const result = await oracle.reportFailure(apiId);
+            const event = this.findEvent(result, 'APICallReported');
+            this.assert(event, 'APICallReported event should be emitted');
+            this.assert(event.args.success === false, 'Event should report failure');
+            this.assert(!this.findEvent(result, 'ProviderSlashed'), 'A single failure should not slash');
+            
+            const after = await this.client1.getAPI(apiId);
+            console.log(`   📊 Successful calls: ${after.successfulCalls}/${after.totalCalls}`);
+            
+            this.assert(after.successfulCalls === before.successfulCalls, 'Successful calls should not change');
+            this.assert(after.stake === stake, 'Stake should be untouched below the slash threshold');
+            this.assert(after.active === true, 'API should stay active');
+        }, { fixture: 'paidAPI' });
+    }
+
+    async testNonOracleRejected() {
+        await this.runTest('Reject Reports From Non-Oracle Accounts', async ({ apiId }) => {
+            console.log('   🔒 Consumer tries to report...');
+            await this.expectRevert(this.client2.reportAPICall(apiId, true), 'Only oracle');
+            await this.expectRevert(this.client2.reportAPICall(apiId, false), 'Only oracle');
+            
+            console.log('   🔒 Provider tries to slash...');
+            await this.expectRevert(this.client1.slashProvider(apiId), 'Only oracle');
+            
+            const api = await this.client1.getAPI(apiId);
+            this.assert(api.active === true, 'API should stay active');
+            this.assert(api.successfulCalls === 0n, 'No report should have been recorded');
+        }, { fixture: 'paidAPI' });
+    }
+
+    async testSuccessWithoutPaidCall() {
+        await this.runTest('Reject Reports Without Paid Call', async ({ apiId }) => {
+            const oracle = this.createOracle();
+            
+            // successfulCalls can never exceed totalCalls
+            await this.expectRevert(oracle.reportSuccess(apiId), 'No unreported calls');
+            await this.expectRevert(oracle.reportFailure(apiId), 'No unreported calls');
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testOverReportRejected() {
+        await this.runTest('Reject More Reports Than Paid Calls', async ({ apiId }) => {
+            const oracle = this.createOracle({ autoSlash: false });
+            
+            await oracle.reportFailure(apiId);
+            this.assert(await this.client1.getReportedCalls(apiId) === 1n, 'The paid call should be reported');
+            
+            // Failures answer for a paid call just like successes
+            await this.expectRevert(oracle.reportFailure(apiId), 'No unreported calls');
+            await this.expectRevert(oracle.reportSuccess(apiId), 'No unreported calls');
+            
+            const api = await this.client1.getAPI(apiId);
+            console.log(`   📊 Reported: ${await this.client1.getReportedCalls(apiId)}/${api.totalCalls} paid calls`);
+            this.assert(api.successfulCalls === 0n && oracle.history.length === 1, 'Only the first report should count');
+        }, { fixture: 'paidAPI' });
+    }
+
+    async testSlashAfterFailures() {
+        await this.runTest('Slash After Repeated Failures', async ({ apiId, stake, pricePerCall }) => {
+            const oracle = this.createOracle({ failureThreshold: 3 });
+            const expectedSlash = await oracle.expectedSlash(stake);
+            
+            const providerStakeBefore = await this.client1.getProviderStake(this.wallet1.address);
+            const contractBalanceBefore = await this.provider.getBalance(this.contractAddress);
+            
+            console.log(`   💰 Stake: ${ethers.formatEther(stake)} ETH`);
+            console.log(`   ✂️  Expected slash: ${ethers.formatEther(expectedSlash)} ETH`);
+            
+            // One report per paid call, the fixture paid for the first
+            await this.client2.payForAPICall(apiId, { amount: pricePerCall });
+            await this.client2.payForAPICall(apiId, { amount: pricePerCall });
+            await oracle.play(['failure', 'failure'], apiId);
+            const stillActive = await this.client1.getAPI(apiId);
+            this.assert(stillActive.active === true, 'API should stay active below the threshold');
+            this.assert(stillActive.stake === stake, 'Stake should be untouched below the threshold');
+            
+            await oracle.reportFailure(apiId);
+            oracle.printHistory();
+            
+            const slashEntry = oracle.history.find(entry => entry.action === 'slash');
+            this.assert(slashEntry, 'Oracle should slash after the third failure');
+            
+            const slashReceipt = await this.provider.getTransactionReceipt(slashEntry.txHash);
+            const slashEvent = this.findEvent(slashReceipt, 'ProviderSlashed');
+            this.assert(slashEvent, 'ProviderSlashed event should be emitted');
+            this.assert(slashEvent.args.provider === this.wallet1.address, 'Event should name the provider');
+            this.assert(slashEvent.args.amount === expectedSlash, 'Event should carry the slashed amount');
+            this.assert(this.findEvent(slashReceipt, 'APIDeactivated'), 'APIDeactivated event should be emitted');
+            
+            const after = await this.client1.getAPI(apiId);
+            const providerStakeAfter = await this.client1.getProviderStake(this.wallet1.address);
+            const contractBalanceAfter = await this.provider.getBalance(this.contractAddress);
+            
+            console.log(`   📊 API stake: ${ethers.formatEther(after.stake)} ETH`);
+            console.log(`   📊 Provider stake: ${ethers.formatEther(providerStakeAfter)} ETH`);
+            console.log(`   📊 Active: ${after.active}`);
+            
+            this.assert(after.stake === stake - expectedSlash, 'API stake should drop by 10%');
+            this.assert(providerStakeAfter === providerStakeBefore - expectedSlash, 'Provider stake should drop by the slash');
+            this.assert(contractBalanceAfter === contractBalanceBefore - expectedSlash, 'Slashed ETH should leave the contract');
+            this.assert(after.active === false, 'Slashed API should be deactivated');
+            
+            console.log('   🔒 Paying for the slashed API...');
+            await this.expectRevert(this.client2.payForAPICall(apiId, { amount: pricePerCall }), 'API not active');
+        }, { fixture: 'paidAPI' });
+    }
+
+    async testSlashIsolatedToAPI() {
+        await this.runTest('Slash Only Affects The Reported API', async ({ apiId, stake }) => {
+            const otherStake = ethers.parseEther('0.2');
+            const { apiId: otherApiId } = await this.client1.registerAPI({
+                endpoint: "https://api.weather.com/v1/forecast",
+                description: "Weather forecast API",
+                pricePerCall: ethers.parseEther('0.002'),
+                stake: otherStake
+            });
+            
+            const oracle = this.createOracle();
+            const expectedSlash = await oracle.expectedSlash(stake);
+            const providerStakeBefore = await this.client1.getProviderStake(this.wallet1.address);
+            
+            await oracle.slash(apiId);
+            
+            const slashed = await this.client1.getAPI(apiId);
+            const other = await this.client1.getAPI(otherApiId);
+            const providerStakeAfter = await this.client1.getProviderStake(this.wallet1.address);
+            
+            console.log(`   📊 Slashed API ${apiId}: ${ethers.formatEther(slashed.stake)} ETH, active ${slashed.active}`);
+            console.log(`   📊 Other API ${otherApiId}: ${ethers.formatEther(other.stake)} ETH, active ${other.active}`);
+            
+            this.assert(other.stake === otherStake, 'Other API stake should be untouched');
+            this.assert(other.active === true, 'Other API should stay active');
+            this.assert(providerStakeAfter === providerStakeBefore - expectedSlash, 'Provider stake should only lose the slash');
+            this.assert(providerStakeAfter === slashed.stake + other.stake, 'Provider stake should equal the sum of API stakes');
+        }, { fixture: 'oneActiveAPI' });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new OracleReportingTests();
+        await tests.runOracleTests();
+    } catch (error) {
+        console.error('\n💥 Phase 4 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { OracleReportingTests };
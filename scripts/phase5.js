@@ -0,0 +1,204 @@
+// scripts/phase5.js - Stake Withdrawal Lifecycle (local chain only)
+const { TestBase, releaseWalletPool } = require('./setup');
+const { LocalOracle } = require('./oracle');
+const { ethers } = require('ethers');
+
+class StakeWithdrawalTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 5,
+        title: 'Stake Withdrawal',
+        run: 'runWithdrawalTests',
+        dependsOn: ['OracleReportingTests']
+    };
+
+    constructor() {
+        super();
+    }
+
+    async runWithdrawalTests() {
+        console.log('⏳ PHASE 5: STAKE WITHDRAWAL LIFECYCLE');
+        console.log('Testing withdrawal requests and the WITHDRAWAL_DELAY with time travel\n');
+        
+        await this.setup();
+        
+        if (!this.supportsTimeTravel) {
+            throw new Error(`❌ Withdrawal tests fast-forward the chain clock and cannot run on ${this.network}`);
+        }
+        
+        ({ withdrawalDelay: this.withdrawalDelay } = await this.client1.constants());
+        
+        // Test 1: Requesting a withdrawal
+        await this.testRequestWithdrawal();
+        
+        // Test 2: Timing rules
+        await this.testEarlyWithdrawalRejected();
+        await this.testWithdrawalAfterDelay();
+        
+        // Test 3: Interaction with slashing
+        await this.testSlashDuringPendingWithdrawal();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 5 complete! Stake withdrawal lifecycle verified.');
+        } else {
+            console.log('\n⚠️  Fix Phase 5 issues before proceeding');
+        }
+    }
+
+    // providerStakes must always equal the provider's API stakes and the ETH the contract holds
+    async assertStakeAccounting(apiIds, label) {
+        let apiStakeTotal = 0n;
+        for (const apiId of apiIds) {
+            const api = await this.client1.getAPI(apiId);
+            apiStakeTotal += api.stake;
+        }
+        
+        const providerStake = await this.client1.getProviderStake(this.wallet1.address);
+        const contractBalance = await this.provider.getBalance(this.contractAddress);
+        
+        console.log(`   📊 ${label}: provider stake ${ethers.formatEther(providerStake)} ETH, contract balance ${ethers.formatEther(contractBalance)} ETH`);
+        
+        this.assert(providerStake === apiStakeTotal, `${label}: provider stake should equal the sum of API stakes`);
+        this.assert(contractBalance === providerStake, `${label}: contract balance should equal staked ETH`);
+    }
+
+    async requestWithdrawal(apiId) {
+        const result = await this.client1.requestWithdrawal(apiId);
+        const requestedAt = await this.client1.getWithdrawalRequest(apiId);
+        return { result, requestedAt, availableAt: requestedAt + this.withdrawalDelay };
+    }
+
+    async testRequestWithdrawal() {
+        await this.runTest('Request Withdrawal', async ({ apiId, stake }) => {
+            await this.assertStakeAccounting([apiId], 'Before request');
+            
+            console.log('   🔒 Consumer tries to request the provider\'s stake...');
+            await this.expectRevert(this.client2.requestWithdrawal(apiId), 'Not API provider');
+            
+            const { result, requestedAt, availableAt } = await this.requestWithdrawal(apiId);
+            const block = await this.provider.getBlock(result.receipt.blockNumber);
+            
+            console.log(`   ⏱️  Requested at: ${new Date(Number(requestedAt) * 1000).toISOString()}`);
+            console.log(`   ⏱️  Available at: ${new Date(Number(availableAt) * 1000).toISOString()}`);
+            
+            const event = this.findEvent(result, 'WithdrawalRequested');
+            this.assert(event, 'WithdrawalRequested event should be emitted');
+            this.assert(event.args.provider === this.wallet1.address, 'Event should name the provider');
+            this.assert(event.args.availableAt === availableAt, 'Event should announce when the stake unlocks');
+            this.assert(requestedAt === BigInt(block.timestamp), 'Request should be timestamped with its block');
+            this.assert(this.findEvent(result, 'APIDeactivated'), 'Requesting a withdrawal should deactivate the API');
+            
+            const api = await this.client1.getAPI(apiId);
+            this.assert(api.active === false, 'API should be inactive while withdrawing');
+            this.assert(api.stake === stake, 'Stake stays locked until the delay passes');
+            await this.assertStakeAccounting([apiId], 'After request');
+            
+            await this.expectRevert(this.client1.requestWithdrawal(apiId), 'Withdrawal already requested');
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testEarlyWithdrawalRejected() {
+        await this.runTest('Early Withdrawal Rejected', async ({ apiId }) => {
+            await this.expectRevert(this.client1.withdrawStake(apiId), 'No withdrawal requested');
+            
+            const { availableAt } = await this.requestWithdrawal(apiId);
+            
+            console.log('   ⏱️  Withdrawing immediately...');
+            await this.expectRevert(this.client1.withdrawStake(apiId), 'Withdrawal delay not met');
+            
+            console.log('   ⏩ Jumping to 1 day before the delay ends...');
+            await this.increaseTime(this.withdrawalDelay - 86400n);
+            await this.expectRevert(this.client1.withdrawStake(apiId), 'Withdrawal delay not met');
+            
+            console.log('   ⏩ Jumping to 1 second before the delay ends...');
+            await this.setNextBlockTimestamp(availableAt - 1n);
+            await this.expectRevert(this.client1.withdrawStake(apiId), 'Withdrawal delay not met');
+            
+            await this.assertStakeAccounting([apiId], 'After rejected withdrawals');
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testWithdrawalAfterDelay() {
+        await this.runTest('Withdrawal Just After Delay', async ({ apiId, stake }) => {
+            const { availableAt } = await this.requestWithdrawal(apiId);
+            const providerStakeBefore = await this.client1.getProviderStake(this.wallet1.address);
+            const walletBalanceBefore = await this.provider.getBalance(this.wallet1.address);
+            
+            console.log(`   ⏩ Jumping to the exact unlock time (${this.withdrawalDelay / 86400n} days later)...`);
+            await this.setNextBlockTimestamp(availableAt);
+            
+            const result = await this.client1.withdrawStake(apiId);
+            const { receipt } = result;
+            const block = await this.provider.getBlock(receipt.blockNumber);
+            console.log(`   ✅ Withdrawn in block ${receipt.blockNumber} at ${new Date(block.timestamp * 1000).toISOString()}`);
+            
+            const event = this.findEvent(result, 'StakeWithdrawn');
+            this.assert(event, 'StakeWithdrawn event should be emitted');
+            this.assert(event.args.amount === stake, 'Full stake should be withdrawn');
+            this.assert(BigInt(block.timestamp) === availableAt, 'Withdrawal should succeed exactly at the unlock time');
+            
+            const walletBalanceAfter = await this.provider.getBalance(this.wallet1.address);
+            this.assert(walletBalanceAfter === walletBalanceBefore + stake - receipt.fee, 'Provider should receive the stake');
+            
+            const api = await this.client1.getAPI(apiId);
+            const providerStakeAfter = await this.client1.getProviderStake(this.wallet1.address);
+            this.assert(api.stake === 0n, 'API stake should be cleared');
+            this.assert(providerStakeAfter === providerStakeBefore - stake, 'Provider stake should drop by the withdrawn amount');
+            this.assert(await this.client1.getWithdrawalRequest(apiId) === 0n, 'Withdrawal request should be cleared');
+            await this.assertStakeAccounting([apiId], 'After withdrawal');
+            
+            await this.expectRevert(this.client1.withdrawStake(apiId), 'No withdrawal requested');
+            await this.expectRevert(this.client1.requestWithdrawal(apiId), 'No stake to withdraw');
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testSlashDuringPendingWithdrawal() {
+        await this.runTest('Slash During Pending Withdrawal', async ({ apiId, stake }) => {
+            const oracle = new LocalOracle(this.oracleClient);
+            const expectedSlash = await oracle.expectedSlash(stake);
+            
+            const { availableAt } = await this.requestWithdrawal(apiId);
+            await this.assertStakeAccounting([apiId], 'After request');
+            
+            console.log('   ⏩ Jumping 3 days into the withdrawal window...');
+            await this.increaseTime(3n * 86400n);
+            
+            const slashResult = await oracle.slash(apiId);
+            this.assert(this.findEvent(slashResult, 'ProviderSlashed'), 'Pending stake should still be slashable');
+            this.assert(!this.findEvent(slashResult, 'APIDeactivated'), 'API was already inactive');
+            await this.assertStakeAccounting([apiId], 'After slash');
+            
+            this.assert(await this.client1.getWithdrawalRequest(apiId) === availableAt - this.withdrawalDelay, 'Slashing should not reset the withdrawal timer');
+            await this.expectRevert(this.client1.withdrawStake(apiId), 'Withdrawal delay not met');
+            
+            console.log('   ⏩ Jumping to the unlock time...');
+            await this.setNextBlockTimestamp(availableAt);
+            const event = this.findEvent(await this.client1.withdrawStake(apiId), 'StakeWithdrawn');
+            
+            console.log(`   💰 Withdrawn: ${ethers.formatEther(event.args.amount)} ETH (slashed ${ethers.formatEther(expectedSlash)} ETH)`);
+            
+            this.assert(event.args.amount === stake - expectedSlash, 'Only the unslashed stake should be withdrawn');
+            await this.assertStakeAccounting([apiId], 'After withdrawal');
+        }, { fixture: 'oneActiveAPI' });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new StakeWithdrawalTests();
+        await tests.runWithdrawalTests();
+    } catch (error) {
+        console.error('\n💥 Phase 5 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { StakeWithdrawalTests };
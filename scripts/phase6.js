@@ -0,0 +1,261 @@
+// scripts/phase6.js - Provider Payment Verification Middleware
+const { TestBase, releaseWalletPool } = require('./setup');
+const { startProviderServer } = require('./provider');
+const { signPaymentProof, MemoryPaymentStore } = require('../lib/payments');
+const { ethers } = require('ethers');
+
+class PaymentMiddlewareTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 6,
+        title: 'Payment Verification Middleware',
+        run: 'runMiddlewareTests',
+        dependsOn: ['PaymentSystemTests']
+    };
+
+    constructor() {
+        super();
+    }
+
+    async runMiddlewareTests() {
+        console.log('🛂 PHASE 6: PAYMENT VERIFICATION MIDDLEWARE');
+        console.log('Testing a provider HTTP server that only serves paid requests\n');
+        
+        await this.setup();
+        
+        // Test 1: Happy path
+        await this.testPaidRequestServed();
+        
+        // Test 2: Rejections
+        await this.testMissingPaymentRejected();
+        await this.testReplayRejected();
+        await this.testSharedStoreReplayRejected();
+        await this.testMismatchedPaymentRejected();
+        await this.testSomeoneElsesPaymentRejected();
+        
+        // Test 3: Confirmations
+        await this.testConfirmationsRequired();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 6 complete! Provider payment verification works end to end.');
+        } else {
+            console.log('\n⚠️  Fix Phase 6 issues before proceeding');
+        }
+    }
+
+    async withProviderServer(verifierOptions, fn) {
+        const server = await startProviderServer(this.client1, verifierOptions);
+        try {
+            return await fn(server);
+        } finally {
+            await server.close();
+        }
+    }
+
+    async request(url, headers = {}) {
+        const response = await fetch(url, { headers });
+        const body = await response.json();
+        return { status: response.status, headers: response.headers, body };
+    }
+
+    // Headers of a request using txHash for apiId, signed by the wallet claiming to have paid
+    async paid(txHash, apiId, wallet = this.wallet2, overrides = {}) {
+        const { chainId } = await this.provider.getNetwork();
+        const proof = { chainId, contractAddress: this.contractAddress, apiId, txHash, ...overrides };
+        return { 'x-payment-tx': txHash, 'x-payment-signature': await signPaymentProof(wallet, proof) };
+    }
+
+    async pay(apiId) {
+        const { hash } = await this.client2.payForAPICall(apiId);
+        console.log(`   💳 Paid for API ${apiId}: ${hash}`);
+        return hash;
+    }
+
+    async testPaidRequestServed() {
+        await this.runTest('Paid Request Is Served', async ({ apiId, pricePerCall }) => {
+            await this.withProviderServer({ apiId }, async ({ url }) => {
+                const txHash = await this.pay(apiId);
+                
+                const response = await this.request(url, await this.paid(txHash, apiId));
+                console.log(`   📨 ${response.status} ${JSON.stringify(response.body)}`);
+                
+                this.assert(response.status === 200, 'Paid request should be served');
+                this.assert(response.body.consumer === this.wallet2.address, 'Verified consumer should be attached to the request');
+                this.assert(response.body.amount === pricePerCall.toString(), 'Verified amount should be attached to the request');
+            });
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testMissingPaymentRejected() {
+        await this.runTest('Missing Or Malformed Payment Rejected', async ({ apiId }) => {
+            await this.withProviderServer({ apiId }, async ({ url }) => {
+                const missing = await this.request(url);
+                this.assert(missing.status === 402, 'Unpaid request should get 402');
+                this.assert(missing.body.error === 'PAYMENT_MISSING', `Expected PAYMENT_MISSING, got ${missing.body.error}`);
+                
+                const malformed = await this.request(url, { 'x-payment-tx': '0x1234' });
+                this.assert(malformed.body.error === 'PAYMENT_INVALID', `Expected PAYMENT_INVALID, got ${malformed.body.error}`);
+                
+                const unknown = await this.request(url, await this.paid(ethers.hexlify(ethers.randomBytes(32)), apiId));
+                this.assert(unknown.status === 402, 'Unknown transaction should get 402');
+                this.assert(unknown.body.error === 'PAYMENT_NOT_FOUND', `Expected PAYMENT_NOT_FOUND, got ${unknown.body.error}`);
+                
+                console.log('   ✅ Missing, malformed and unknown payments rejected');
+            });
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testReplayRejected() {
+        await this.runTest('Replayed Payment Rejected', async ({ apiId }) => {
+            await this.withProviderServer({ apiId }, async ({ url }) => {
+                const txHash = await this.pay(apiId);
+                
+                const first = await this.request(url, await this.paid(txHash, apiId));
+                const replay = await this.request(url, await this.paid(txHash.toUpperCase().replace('0X', '0x'), apiId));
+                
+                this.assert(first.status === 200, 'First use of a payment should be served');
+                this.assert(replay.status === 402, 'Replayed payment should get 402');
+                this.assert(replay.body.error === 'PAYMENT_REPLAYED', `Expected PAYMENT_REPLAYED, got ${replay.body.error}`);
+                
+                console.log('   🔁 Sending the same payment twice concurrently...');
+                const concurrentHash = await this.pay(apiId);
+                const headers = await this.paid(concurrentHash, apiId);
+                const responses = await Promise.all([this.request(url, headers), this.request(url, headers)]);
+                const served = responses.filter(response => response.status === 200).length;
+                this.assert(served === 1, `Exactly one concurrent request should be served, got ${served}`);
+            });
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testSharedStoreReplayRejected() {
+        await this.runTest('Servers Sharing A Payment Store Serve A Payment Once', async ({ apiId }) => {
+            const usedPayments = new MemoryPaymentStore();
+            await this.withProviderServer({ apiId, usedPayments }, async first => {
+                await this.withProviderServer({ apiId, usedPayments }, async second => {
+                    const txHash = await this.pay(apiId);
+                    const headers = await this.paid(txHash, apiId);
+                    
+                    const responses = await Promise.all([this.request(first.url, headers), this.request(second.url, headers)]);
+                    const served = responses.filter(response => response.status === 200).length;
+                    console.log(`   🔁 ${responses.map(response => response.body.error || response.status).join(', ')}`);
+                    this.assert(served === 1, `Exactly one of the servers should serve the payment, got ${served}`);
+                    this.assert(responses.some(response => response.body.error === 'PAYMENT_REPLAYED'), 'The other server should see the payment as used');
+                });
+            });
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testMismatchedPaymentRejected() {
+        await this.runTest('Payment For Another API Rejected', async ({ apiId }) => {
+            const { apiId: otherApiId, hash: registrationHash } = await this.client1.registerAPI({
+                endpoint: "https://api.weather.com/v1/forecast",
+                description: "Weather forecast API",
+                pricePerCall: ethers.parseEther('0.002'),
+                stake: ethers.parseEther('0.15')
+            });
+            
+            await this.withProviderServer({ apiId }, async ({ url }) => {
+                const otherPayment = await this.pay(otherApiId);
+                const wrongApi = await this.request(url, await this.paid(otherPayment, apiId));
+                this.assert(wrongApi.body.error === 'PAYMENT_MISMATCH', `Expected PAYMENT_MISMATCH for another API, got ${wrongApi.body.error}`);
+                
+                const notAPayment = await this.request(url, await this.paid(registrationHash, apiId, this.wallet1));
+                this.assert(notAPayment.body.error === 'PAYMENT_MISMATCH', `Expected PAYMENT_MISMATCH for a registration, got ${notAPayment.body.error}`);
+                
+                console.log('   ✅ Wrong API and non-payment rejected');
+            });
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testSomeoneElsesPaymentRejected() {
+        await this.runTest('Someone Else\'s Payment Rejected', async ({ apiId }) => {
+            await this.withProviderServer({ apiId }, async ({ url }) => {
+                // Anyone watching the chain sees the victim's payment hash
+                const txHash = await this.pay(apiId);
+                
+                const unsigned = await this.request(url, { 'x-payment-tx': txHash });
+                this.assert(unsigned.body.error === 'PAYMENT_UNSIGNED', `Expected PAYMENT_UNSIGNED without a signature, got ${unsigned.body.error}`);
+                
+                const garbage = await this.request(url, { 'x-payment-tx': txHash, 'x-payment-signature': '0x1234' });
+                this.assert(garbage.body.error === 'PAYMENT_INVALID', `Expected PAYMENT_INVALID for a malformed signature, got ${garbage.body.error}`);
+                
+                const stolen = await this.request(url, await this.paid(txHash, apiId, this.attackerWallet));
+                console.log(`   🥷 Attacker: ${stolen.status} ${stolen.body.message}`);
+                this.assert(stolen.status === 402 && stolen.body.error === 'PAYMENT_MISMATCH', `Expected PAYMENT_MISMATCH for the attacker, got ${stolen.body.error}`);
+                
+                // A signature the victim made for another payment proves nothing about this one
+                const otherHash = await this.pay(apiId);
+                const { 'x-payment-signature': reused } = await this.paid(otherHash, apiId);
+                const copied = await this.request(url, { 'x-payment-tx': txHash, 'x-payment-signature': reused });
+                this.assert(copied.body.error === 'PAYMENT_MISMATCH', `Expected PAYMENT_MISMATCH for a signature of another payment, got ${copied.body.error}`);
+                
+                // Even the payer's own proof only counts for the API, contract and chain it names
+                const elsewhere = [
+                    [{ apiId: apiId + 1n }, 'another API'],
+                    [{ contractAddress: this.wallet1.address }, 'another contract'],
+                    [{ chainId: 1n }, 'another chain']
+                ];
+                for (const [overrides, what] of elsewhere) {
+                    const misdirected = await this.request(url, await this.paid(txHash, apiId, this.wallet2, overrides));
+                    this.assert(misdirected.body.error === 'PAYMENT_MISMATCH', `Expected PAYMENT_MISMATCH for a proof signed for ${what}, got ${misdirected.body.error}`);
+                }
+                
+                // Rejected attempts must not burn the payment for its real owner
+                const owner = await this.request(url, await this.paid(txHash, apiId));
+                this.assert(owner.status === 200 && owner.body.consumer === this.wallet2.address, 'The payer should still be served');
+                console.log('   ✅ Only the payer can redeem the payment');
+            });
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testConfirmationsRequired() {
+        await this.runTest('Waits For Confirmations', async ({ apiId }) => {
+            await this.withProviderServer({ apiId, confirmations: 3 }, async ({ url }) => {
+                const txHash = await this.pay(apiId);
+                
+                const early = await this.request(url, await this.paid(txHash, apiId));
+                console.log(`   ⏳ ${early.status} ${early.body.message}`);
+                this.assert(early.status === 425, 'Unconfirmed payment should get 425 Too Early');
+                this.assert(early.body.error === 'PAYMENT_UNCONFIRMED', `Expected PAYMENT_UNCONFIRMED, got ${early.body.error}`);
+                this.assert(early.headers.get('retry-after'), 'Unconfirmed response should tell the consumer when to retry');
+                
+                await this.provider.send('hardhat_mine', ['0x2']);
+                
+                const confirmed = await this.request(url, await this.paid(txHash, apiId));
+                this.assert(confirmed.status === 200, 'Payment should be accepted once it has 3 confirmations');
+            });
+            
+            await this.withProviderServer({ apiId, confirmations: 2, confirmationTimeoutMs: 5000 }, async ({ url }) => {
+                const txHash = await this.pay(apiId);
+                
+                // The server holds the request open until the next block lands
+                const pending = this.request(url, await this.paid(txHash, apiId));
+                setTimeout(() => this.provider.send('evm_mine', []), 200);
+                const response = await pending;
+                
+                this.assert(response.status === 200, 'Server should wait for the confirmation within its timeout');
+                console.log('   ✅ Confirmation waiting works');
+            });
+        }, { fixture: 'oneActiveAPI' });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new PaymentMiddlewareTests();
+        await tests.runMiddlewareTests();
+    } catch (error) {
+        console.error('\n💥 Phase 6 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { PaymentMiddlewareTests };
@@ -0,0 +1,260 @@
+// scripts/phase7.js - Consumer Paying Client
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TestBase, releaseWalletPool } = require('./setup');
+const { startProviderServer } = require('./provider');
+const { PayingClient, PaymentLedger } = require('../lib/consumer');
+const { MarketplaceError } = require('../lib/errors');
+const { ethers } = require('ethers');
+
+class PayingClientTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 7,
+        title: 'Paying Client',
+        run: 'runPayingClientTests',
+        dependsOn: ['PaymentMiddlewareTests']
+    };
+
+    constructor() {
+        super();
+    }
+
+    async runPayingClientTests() {
+        console.log('🛒 PHASE 7: CONSUMER PAYING CLIENT');
+        console.log('Testing pay-and-call against a local provider server\n');
+        
+        await this.setup();
+        
+        // Test 1: One-step flow
+        await this.testPayAndCall();
+        await this.testMaxPriceGuard();
+        
+        // Test 2: Prepaid calls
+        await this.testPrepaidCalls();
+        await this.testPartialPrepay();
+        await this.testLedgerPersists();
+        
+        // Test 3: Confirmation retries
+        await this.testRetryUnconfirmed();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 7 complete! Consumers can pay and call in one step.');
+        } else {
+            console.log('\n⚠️  Fix Phase 7 issues before proceeding');
+        }
+    }
+
+    // Registers an API whose endpoint is a local provider server and runs fn against it
+    async withServedAPI(verifierOptions, fn) {
+        const apiId = await this.client1.nextApiId();
+        const server = await startProviderServer(this.client1, { apiId, ...verifierOptions });
+        try {
+            await this.client1.registerAPI({
+                endpoint: server.url,
+                description: "Local weather API",
+                pricePerCall: ethers.parseEther('0.001'),
+                stake: ethers.parseEther('0.15')
+            });
+            return await fn({ apiId, ...server });
+        } finally {
+            await server.close();
+        }
+    }
+
+    async expectErrorCode(promise, code) {
+        try {
+            await promise;
+        } catch (error) {
+            this.assert(error instanceof MarketplaceError, `Expected a MarketplaceError, got ${error.message}`);
+            this.assert(error.code === code, `Expected ${code}, got ${error.code}: ${error.message}`);
+            console.log(`   ✅ Rejected with ${code}: ${error.message}`);
+            return error;
+        }
+        throw new Error(`Expected ${code} but the call succeeded`);
+    }
+
+    async testPayAndCall() {
+        await this.runTest('Pay And Call In One Step', async () => {
+            await this.withServedAPI({}, async ({ apiId, url }) => {
+                const consumer = new PayingClient(this.client2);
+                
+                const response = await consumer.fetch(apiId, { path: '?city=paris' });
+                const body = await response.json();
+                console.log(`   📨 ${response.status} ${JSON.stringify(body)}`);
+                
+                this.assert(response.status === 200, 'Paid call should be served');
+                this.assert(body.consumer === this.wallet2.address, 'Provider should see the consumer that paid');
+                this.assert(body.path === '/v1/current?city=paris', 'Path should be appended to the endpoint');
+                
+                const { payment } = response;
+                this.assert(payment.status === 'used', 'Ledger should mark the payment used');
+                this.assert(payment.request.url === `${url}?city=paris`, 'Ledger should record the request');
+                this.assert(consumer.ledger.entries().length === 1, 'Exactly one payment should be recorded');
+                
+                const api = await this.client1.getAPI(apiId);
+                this.assert(api.totalCalls === 1n, 'One call should be paid on chain');
+            });
+        }, { fixture: 'clean' });
+    }
+
+    async testMaxPriceGuard() {
+        await this.runTest('Max Price Guard', async () => {
+            await this.withServedAPI({}, async ({ apiId }) => {
+                const consumer = new PayingClient(this.client2, { maxPrice: '0.0005' });
+                const nonceBefore = await this.wallet2.getNonce();
+                
+                await this.expectErrorCode(consumer.fetch(apiId), 'PRICE_TOO_HIGH');
+                await this.expectErrorCode(consumer.prepay(apiId, 2), 'PRICE_TOO_HIGH');
+                
+                this.assert(await this.wallet2.getNonce() === nonceBefore, 'No transaction should be sent');
+                this.assert(consumer.ledger.entries().length === 0, 'Nothing should be recorded');
+                
+                const generous = new PayingClient(this.client2, { maxPrice: '0.001' });
+                const response = await generous.fetch(apiId);
+                this.assert(response.status === 200, 'A price equal to the max should be paid');
+            });
+        }, { fixture: 'clean' });
+    }
+
+    async testPrepaidCalls() {
+        await this.runTest('Prepaid Calls Use Pipelined Nonces', async () => {
+            await this.withServedAPI({}, async ({ apiId }) => {
+                const consumer = new PayingClient(this.client2);
+                const nonceBefore = await this.wallet2.getNonce();
+                
+                const prepaid = await consumer.prepay(apiId, 3);
+                const nonces = [];
+                for (const entry of prepaid) {
+                    nonces.push((await this.provider.getTransaction(entry.txHash)).nonce);
+                }
+                console.log(`   💳 Prepaid 3 calls with nonces ${nonces.join(', ')}`);
+                
+                this.assert(nonces.join() === [0, 1, 2].map(i => nonceBefore + i).join(), 'Prepayments should use consecutive nonces');
+                this.assert((await this.client1.getAPI(apiId)).totalCalls === 3n, 'Three calls should be paid on chain');
+                
+                for (const entry of prepaid) {
+                    const response = await consumer.fetch(apiId);
+                    this.assert(response.status === 200, 'Prepaid call should be served');
+                    this.assert(response.payment.txHash === entry.txHash, 'Prepaid payments should be spent oldest first');
+                }
+                this.assert(await this.wallet2.getNonce() === nonceBefore + 3, 'Prepaid calls should not send transactions');
+                
+                const response = await consumer.fetch(apiId);
+                this.assert(response.status === 200, 'Call after the prepaid ones should be served');
+                this.assert(!prepaid.some(entry => entry.txHash === response.payment.txHash), 'A fresh payment should be made once prepaid calls run out');
+                this.assert(consumer.ledger.entries({ status: 'used' }).length === 4, 'All four payments should be used');
+            });
+        }, { fixture: 'clean' });
+    }
+
+    async testPartialPrepay() {
+        await this.runTest('Prepaid Calls That Went Through Are Kept When One Fails', async () => {
+            await this.withServedAPI({}, async ({ apiId }) => {
+                // The second payment underpays and reverts, the others go through
+                const client = Object.create(this.client2);
+                let payments = 0;
+                client.payForAPICall = (id, { amount }, overrides) =>
+                    this.client2.payForAPICall(id, { amount: ++payments === 2 ? amount - 1n : amount }, overrides);
+                const consumer = new PayingClient(client);
+                
+                const error = await this.expectErrorCode(consumer.prepay(apiId, 4), 'PREPAY_INCOMPLETE');
+                this.assert(error.failures.length === 1 && error.failures[0].code === 'REVERTED', 'The underpaid prepayment should be the one failure');
+                this.assert(error.paid.length === 3, `The other prepayments should be reported, got ${error.paid.length}`);
+                
+                const recorded = consumer.ledger.entries({ apiId, status: 'paid' });
+                this.assert(recorded.length === 3, `The confirmed prepayments should be in the ledger, got ${recorded.length}`);
+                this.assert((await this.client1.getAPI(apiId)).totalCalls === 3n, 'Three calls should be paid on chain');
+                
+                const response = await consumer.fetch(apiId);
+                this.assert(response.status === 200 && recorded.some(entry => entry.txHash === response.payment.txHash), 'A recorded prepayment should be spent');
+            });
+        }, { fixture: 'clean' });
+    }
+
+    async testLedgerPersists() {
+        await this.runTest('Ledger Persists Across Restarts', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'marketplace-ledger-'));
+            const file = path.join(dir, 'ledger.json');
+            
+            try {
+                await this.withServedAPI({}, async ({ apiId }) => {
+                    const [first, second] = await new PayingClient(this.client2, { ledger: new PaymentLedger(file) }).prepay(apiId, 2);
+                    
+                    console.log('   🔄 Reloading the ledger from disk...');
+                    const restarted = new PayingClient(this.client2, { ledger: new PaymentLedger(file) });
+                    this.assert(restarted.ledger.entries({ status: 'paid' }).length === 2, 'Prepaid calls should survive a restart');
+                    
+                    const response = await restarted.fetch(apiId);
+                    this.assert(response.payment.txHash === first.txHash, 'Restarted client should spend the saved prepayment');
+                    
+                    const reloaded = new PaymentLedger(file);
+                    this.assert(reloaded.get(first.txHash).status === 'used', 'Spent payment should be saved as used');
+                    this.assert(reloaded.get(first.txHash).request.status === 200, 'Saved entry should record the response');
+                    this.assert(reloaded.get(second.txHash).status === 'paid', 'Unspent payment should stay available');
+                    
+                    // A stale ledger entry the provider has already seen is marked rejected
+                    reloaded.update(first.txHash, { status: 'paid' });
+                    const stale = await new PayingClient(this.client2, { ledger: reloaded }).fetch(apiId);
+                    this.assert(stale.status === 402, 'Provider should refuse the replayed payment');
+                    this.assert(reloaded.get(first.txHash).status === 'rejected', 'Refused payment should be marked rejected');
+                });
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        }, { fixture: 'clean' });
+    }
+
+    async testRetryUnconfirmed() {
+        await this.runTest('Retries Unconfirmed Payments', async () => {
+            await this.withServedAPI({ confirmations: 2 }, async ({ apiId }) => {
+                const retries = [];
+                const consumer = new PayingClient(this.client2, {
+                    retryDelayMs: 10,
+                    onRetry: async ({ attempt, response }) => {
+                        retries.push(response.status);
+                        console.log(`   ⏳ Attempt ${attempt} got ${response.status}, mining a block...`);
+                        await this.provider.send('evm_mine', []);
+                    }
+                });
+                
+                const response = await consumer.fetch(apiId);
+                this.assert(response.status === 200, 'Call should be served once the payment confirms');
+                this.assert(retries.join() === '425', 'Client should retry exactly once after a 425');
+                this.assert(response.payment.request.attempts === 2, 'Ledger should record both attempts');
+                
+                console.log('   ⏳ Giving up immediately instead...');
+                const impatient = new PayingClient(this.client2, { maxRetries: 0 });
+                const early = await impatient.fetch(apiId);
+                this.assert(early.status === 425, 'Unconfirmed response should be returned once retries run out');
+                this.assert(early.payment.status === 'paid', 'Unconfirmed payment should stay available');
+                
+                await this.provider.send('evm_mine', []);
+                const later = await impatient.fetch(apiId);
+                this.assert(later.status === 200, 'Next call should be served');
+                this.assert(later.payment.txHash === early.payment.txHash, 'Next call should reuse the unconfirmed payment');
+            });
+        }, { fixture: 'clean' });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new PayingClientTests();
+        await tests.runPayingClientTests();
+    } catch (error) {
+        console.error('\n💥 Phase 7 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { PayingClientTests };
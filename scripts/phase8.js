@@ -0,0 +1,230 @@
+// scripts/phase8.js - Event Indexer
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TestBase, releaseWalletPool } = require('./setup');
+const { LocalOracle } = require('./oracle');
+const { EventIndexer, IndexStore } = require('../lib/indexer');
+const { ethers } = require('ethers');
+
+class EventIndexerTests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 8,
+        title: 'Event Indexer',
+        run: 'runIndexerTests',
+        dependsOn: ['OracleReportingTests']
+    };
+
+    constructor() {
+        super();
+    }
+
+    async runIndexerTests() {
+        console.log('🗂️  PHASE 8: EVENT INDEXER');
+        console.log('Testing the local API catalogue, checkpoints and reorg handling\n');
+        
+        await this.setup();
+        
+        // Test 1: Catalogue and stats
+        await this.testCatalogueStats();
+        
+        // Test 2: Resuming
+        await this.testResumeFromCheckpoint();
+        
+        // Test 3: Reorgs
+        if (this.supportsSnapshots) {
+            await this.testReorgRewind();
+            await this.testReorgWhileReading();
+        } else {
+            console.log(`⏭️  Skipping reorg tests, ${this.network} cannot rewind blocks`);
+        }
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 8 complete! The indexer builds a resumable API catalogue.');
+        } else {
+            console.log('\n⚠️  Fix Phase 8 issues before proceeding');
+        }
+    }
+
+    createIndexer(options = {}) {
+        return new EventIndexer(this.client1, options);
+    }
+
+    async withTempStore(fn) {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'marketplace-index-'));
+        try {
+            return await fn(path.join(dir, 'index.json'));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    }
+
+    printStats(stats) {
+        const ratio = stats.successRatio === null ? 'n/a' : `${(stats.successRatio * 100).toFixed(0)}%`;
+        console.log(`   📊 API ${stats.apiId}: ${stats.calls} calls, ${ethers.formatEther(stats.revenue)} ETH revenue, ${stats.uniqueConsumers} consumers, ${ratio} success, active ${stats.active}`);
+    }
+
+    async testCatalogueStats() {
+        await this.runTest('Catalogue And Per-API Stats', async ({ apiId, pricePerCall }) => {
+            const { apiId: otherApiId } = await this.client1.registerAPI({
+                endpoint: "https://api.weather.com/v1/forecast",
+                description: "Weather forecast API",
+                pricePerCall: ethers.parseEther('0.002'),
+                stake: ethers.parseEther('0.15')
+            });
+            
+            const overpayment = pricePerCall * 2n;
+            await this.client2.payForAPICall(apiId);
+            await this.client2.payForAPICall(apiId, { amount: overpayment });
+            await this.client1.payForAPICall(apiId);
+            
+            const oracle = new LocalOracle(this.oracleClient, { autoSlash: false });
+            await oracle.play(['success', 'failure', 'success'], apiId);
+            
+            // Small batches so the scan spans several getLogs ranges
+            const indexer = this.createIndexer({ batchSize: 3 });
+            const { events, toBlock } = await indexer.sync();
+            console.log(`   🗂️  Indexed ${events} events up to block ${toBlock}`);
+            
+            const catalogue = indexer.allStats();
+            catalogue.forEach(stats => this.printStats(stats));
+            
+            this.assert(catalogue.length === 2, 'Both APIs should be catalogued');
+            this.assert(toBlock === await this.provider.getBlockNumber(), 'Indexer should reach the head');
+            
+            const stats = indexer.stats(apiId);
+            const onChain = await this.client1.getAPI(apiId);
+            this.assert(stats.endpoint === onChain.endpoint, 'Endpoint should come from APIRegistered');
+            this.assert(stats.provider === this.wallet1.address, 'Provider should come from APIRegistered');
+            this.assert(stats.calls === onChain.totalCalls, 'Indexed calls should match totalCalls');
+            this.assert(stats.revenue === pricePerCall * 2n + overpayment, 'Revenue should sum the amounts paid');
+            this.assert(stats.uniqueConsumers === 2, 'Consumers should be counted once each');
+            this.assert(stats.successes === 2 && stats.failures === 1, 'Reports should be counted by outcome');
+            this.assert(stats.successRatio === 2 / 3, 'Success ratio should be successes over reports');
+            
+            const other = indexer.stats(otherApiId);
+            this.assert(other.calls === 0n && other.revenue === 0n, 'Unused API should have no calls');
+            this.assert(other.successRatio === null, 'Success ratio should be null before any report');
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testResumeFromCheckpoint() {
+        await this.runTest('Resume From Checkpoint', async ({ apiId }) => {
+            await this.withTempStore(async file => {
+                await this.client2.payForAPICall(apiId);
+                
+                const first = await this.createIndexer({ store: new IndexStore(file) }).sync();
+                const checkpoint = new IndexStore(file).checkpoint;
+                console.log(`   💾 Checkpoint saved at block ${checkpoint.number}`);
+                this.assert(checkpoint.number === first.toBlock, 'Checkpoint should be the last processed block');
+                
+                await this.client2.payForAPICall(apiId);
+                await this.client2.payForAPICall(apiId);
+                
+                console.log('   🔄 Restarting the indexer from disk...');
+                const restarted = this.createIndexer({ store: new IndexStore(file) });
+                const second = await restarted.sync();
+                console.log(`   🗂️  Resumed at block ${second.fromBlock}, indexed ${second.events} new events`);
+                
+                this.assert(second.fromBlock === checkpoint.number + 1, 'Indexing should resume after the checkpoint');
+                this.assert(second.events === 2, 'Only the new payments should be read');
+                this.assert(restarted.stats(apiId).calls === 3n, 'Stats should include payments from both runs');
+                
+                const idle = await restarted.sync();
+                this.assert(idle.events === 0, 'Syncing again without new blocks should add nothing');
+                
+                await this.client2.payForAPICall(apiId);
+                const lagging = this.createIndexer({ store: new IndexStore(file), confirmations: 1 });
+                await lagging.sync();
+                this.assert(lagging.stats(apiId).calls === 3n, 'Unconfirmed blocks should not be indexed yet');
+            });
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testReorgRewind() {
+        await this.runTest('Rewind After Reorg', async ({ apiId, pricePerCall }) => {
+            const indexer = this.createIndexer();
+            await indexer.sync();
+            const forkPoint = indexer.store.checkpoint.number;
+            
+            const snapshot = await this.takeSnapshot();
+            await this.client2.payForAPICall(apiId);
+            await this.client2.payForAPICall(apiId);
+            await indexer.sync();
+            this.assert(indexer.stats(apiId).calls === 2n, 'Payments on the old fork should be indexed');
+            
+            console.log('   🔀 Replacing the last blocks with a different fork...');
+            await this.revertToSnapshot(snapshot);
+            const overpayment = pricePerCall * 3n;
+            for (let i = 0; i < 3; i++) {
+                await this.client2.payForAPICall(apiId, { amount: overpayment });
+            }
+            
+            const { rewoundTo, events } = await indexer.sync();
+            console.log(`   ⏪ Rewound to block ${rewoundTo}, re-indexed ${events} events`);
+            this.printStats(indexer.stats(apiId));
+            
+            this.assert(rewoundTo === forkPoint, 'Indexer should rewind to the last block both forks share');
+            this.assert(indexer.store.reorgs === 1, 'Reorg should be recorded');
+            this.assert(indexer.stats(apiId).calls === 3n, 'Only payments on the new fork should count');
+            this.assert(indexer.stats(apiId).revenue === overpayment * 3n, 'Revenue should come from the new fork');
+        }, { fixture: 'oneActiveAPI' });
+    }
+
+    async testReorgWhileReading() {
+        await this.runTest('Reorg Between Reading Logs And Block Hashes', async ({ apiId }) => {
+            const indexer = this.createIndexer();
+            await indexer.sync();
+            
+            const snapshot = await this.takeSnapshot();
+            await this.client2.payForAPICall(apiId);
+            await this.client2.payForAPICall(apiId);
+            
+            // The chain is replaced right after getLogs answers, by as many blocks without payments
+            const provider = this.provider;
+            let reorged = false;
+            indexer.provider = {
+                getBlockNumber: () => provider.getBlockNumber(),
+                getBlock: number => provider.getBlock(number),
+                getLogs: async filter => {
+                    const logs = await provider.getLogs(filter);
+                    if (!reorged) {
+                        reorged = true;
+                        console.log('   🔀 Replacing the blocks just read with a different fork...');
+                        await this.revertToSnapshot(snapshot);
+                        await provider.send('hardhat_mine', ['0x2']);
+                    }
+                    return logs;
+                }
+            };
+            
+            await indexer.sync();
+            this.assert(reorged, 'The chain should have been replaced during the sync');
+            this.assert(indexer.stats(apiId).calls === 0n, `Payments of the replaced blocks should not be indexed, got ${indexer.stats(apiId).calls}`);
+            
+            const { rewoundTo } = await indexer.sync();
+            this.assert(rewoundTo === undefined && indexer.store.reorgs === 0, 'The saved hashes should be those of the chain the logs came from');
+        }, { fixture: 'oneActiveAPI' });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new EventIndexerTests();
+        await tests.runIndexerTests();
+    } catch (error) {
+        console.error('\n💥 Phase 8 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { EventIndexerTests };
@@ -0,0 +1,206 @@
+// scripts/phase9.js - Marketplace CLI
+const { TestBase, releaseWalletPool } = require('./setup');
+const { LocalOracle } = require('./oracle');
+const cli = require('./marketplace');
+const { ethers } = require('ethers');
+
+class MarketplaceCLITests extends TestBase {
+    // Picked up by the runner in scripts/test.js
+    static suite = {
+        phase: 9,
+        title: 'Marketplace CLI',
+        run: 'runCLITests',
+        dependsOn: ['OracleReportingTests']
+    };
+
+    constructor() {
+        super();
+        
+        // Three APIs with different prices and track records:
+        // 1 is reliable, 2 is unreliable, 3 is inactive
+        this.defineFixture('catalogue', async () => {
+            const register = (endpoint, price) => this.client1.registerAPI({
+                endpoint,
+                description: `Test API at ${endpoint}`,
+                pricePerCall: ethers.parseEther(price),
+                stake: ethers.parseEther('0.15')
+            });
+            const { apiId: reliable } = await register('https://api.example.com/reliable', '0.001');
+            const { apiId: flaky } = await register('https://api.example.com/flaky', '0.003');
+            const { apiId: retired } = await register('https://api.example.com/retired', '0.002');
+            
+            const oracle = new LocalOracle(this.oracleClient, { autoSlash: false });
+            for (const [apiId, outcomes] of [[reliable, ['success', 'success']], [flaky, ['success', 'failure']]]) {
+                for (const outcome of outcomes) {
+                    await this.client2.payForAPICall(apiId);
+                    await oracle.report(apiId, outcome === 'success');
+                }
+            }
+            await this.client1.requestWithdrawal(retired);
+            
+            return { reliable, flaky, retired };
+        });
+    }
+
+    async runCLITests() {
+        console.log('⌨️  PHASE 9: MARKETPLACE CLI');
+        console.log('Testing list, show, register, pay and stake commands\n');
+        
+        await this.setup();
+        
+        // Test 1: Reads
+        await this.testListFilters();
+        await this.testShow();
+        
+        // Test 2: Writes
+        await this.testRegister();
+        await this.testPay();
+        await this.testStake();
+        
+        this.printResults();
+        
+        if (this.results.failed === 0) {
+            console.log('\n🎉 Phase 9 complete! The marketplace CLI works end to end.');
+        } else {
+            console.log('\n⚠️  Fix Phase 9 issues before proceeding');
+        }
+    }
+
+    // Runs a CLI command in-process and captures what it prints
+    async cli(args, { client = this.client1, answer = false } = {}) {
+        const output = [];
+        const io = {
+            log: message => output.push(message),
+            info: message => output.push(message),
+            confirm: async () => answer
+        };
+        const result = await cli.run(args, { client, io });
+        return { result, output: output.join('\n') };
+    }
+
+    async expectCLIError(args, code, options) {
+        try {
+            await this.cli(args, options);
+        } catch (error) {
+            this.assert(error.code === code, `Expected ${code}, got ${error.code}: ${error.message}`);
+            console.log(`   ✅ ${args.join(' ')} -> ${error.message}`);
+            return;
+        }
+        throw new Error(`Expected "${args.join(' ')}" to fail with ${code}`);
+    }
+
+    async testListFilters() {
+        await this.runTest('List With Filters', async ({ reliable, flaky, retired }) => {
+            const ids = async args => (await this.cli(['list', '--json', ...args])).result.map(api => api.id);
+            
+            const { output } = await this.cli(['list']);
+            console.log(output.split('\n').map(line => `   ${line}`).join('\n'));
+            this.assert(output.split('\n').length === 5, 'Table should have a header, a rule and one row per API');
+            this.assert(output.includes('100.0%') && output.includes('50.0%'), 'Table should show reliability');
+            
+            const json = JSON.parse((await this.cli(['list', '--json'])).output);
+            this.assert(json.length === 3 && json[0].pricePerCall === '1000000000000000', 'JSON output should carry wei as strings');
+            
+            this.assert((await ids(['--active'])).join() === [reliable, flaky].join(), '--active should hide the retired API');
+            this.assert((await ids(['--max-price', '0.002'])).join() === [reliable, retired].join(), '--max-price should filter by price');
+            this.assert((await ids(['--min-price', '0.002', '--active'])).join() === [flaky].join(), 'Filters should combine');
+            this.assert((await ids(['--min-success', '0.9'])).join() === [reliable].join(), '--min-success should filter by reliability');
+            
+            await this.expectCLIError(['list', '--min-success', '2'], 'INVALID_ARGUMENT');
+            await this.expectCLIError(['list', '--stake', '1'], 'INVALID_ARGUMENT');
+        }, { fixture: 'catalogue' });
+    }
+
+    async testShow() {
+        await this.runTest('Show API', async ({ retired }) => {
+            const { output } = await this.cli(['show', retired.toString()]);
+            console.log(output.split('\n').map(line => `   ${line}`).join('\n'));
+            this.assert(output.includes('Active:      no'), 'Retired API should show as inactive');
+            this.assert(output.includes('Withdrawal:  requested'), 'Pending withdrawal should be shown');
+            
+            const { result } = await this.cli(['show', retired.toString(), '--json']);
+            this.assert(result.id === retired && result.withdrawalRequestedAt instanceof Date, 'JSON result should carry the API and withdrawal');
+            
+            await this.expectCLIError(['show', '99'], 'NOT_FOUND');
+            await this.expectCLIError(['show', 'weather'], 'INVALID_ARGUMENT');
+        }, { fixture: 'catalogue' });
+    }
+
+    async testRegister() {
+        await this.runTest('Register Checks MIN_STAKE And Confirms', async () => {
+            const args = ['register', '--endpoint', 'https://api.example.com/new', '--description', 'New API', '--price', '0.001'];
+            const nonceBefore = await this.wallet1.getNonce();
+            
+            await this.expectCLIError([...args, '--stake', '0.05', '--yes'], 'INVALID_ARGUMENT');
+            await this.expectCLIError(['register', '--endpoint', 'https://api.example.com/new', '--stake', '0.1'], 'INVALID_ARGUMENT');
+            
+            const declined = await this.cli([...args, '--stake', '0.1'], { answer: false });
+            this.assert(declined.result.cancelled, 'Declining should cancel the write');
+            this.assert(declined.output.includes('MIN_STAKE 0.1 ETH'), 'Summary should compare the stake with MIN_STAKE');
+            this.assert(await this.wallet1.getNonce() === nonceBefore, 'Nothing should be sent before confirmation');
+            
+            const expectedId = await this.client1.nextApiId();
+            const { result } = await this.cli([...args, '--stake', '0.1'], { answer: true });
+            console.log(`   ✅ Registered API ${result.apiId}`);
+            this.assert(result.apiId === expectedId, 'Confirmed registration should create the next API');
+            
+            const { result: skipped } = await this.cli([...args, '--stake', '0.2', '--yes']);
+            const api = await this.client1.getAPI(skipped.apiId);
+            this.assert(api.stake === ethers.parseEther('0.2'), '--yes should register without asking');
+        }, { fixture: 'clean' });
+    }
+
+    async testPay() {
+        await this.runTest('Pay For A Call', async ({ reliable, retired }) => {
+            const before = await this.client1.getAPI(reliable);
+            
+            const { result, output } = await this.cli(['pay', reliable.toString(), '--yes'], { client: this.client2 });
+            console.log(output.split('\n').map(line => `   ${line}`).join('\n'));
+            this.assert(result.amount === before.pricePerCall, 'Default payment should be the price');
+            
+            const after = await this.client1.getAPI(reliable);
+            this.assert(after.totalCalls === before.totalCalls + 1n, 'Payment should be recorded on chain');
+            
+            await this.expectCLIError(['pay', reliable.toString(), '--amount', '0.0001', '--yes'], 'INVALID_ARGUMENT', { client: this.client2 });
+            await this.expectCLIError(['pay', retired.toString(), '--yes'], 'API_INACTIVE', { client: this.client2 });
+            
+            const declined = await this.cli(['pay', reliable.toString()], { client: this.client2, answer: false });
+            this.assert(declined.result.cancelled, 'Declining should cancel the payment');
+            
+            const readOnly = this.client1.connect(this.provider);
+            await this.expectCLIError(['pay', reliable.toString(), '--yes'], 'INVALID_ARGUMENT', { client: readOnly });
+        }, { fixture: 'catalogue' });
+    }
+
+    async testStake() {
+        await this.runTest('Show Provider Stake', async () => {
+            const { result, output } = await this.cli(['stake']);
+            console.log(output.split('\n').map(line => `   ${line}`).join('\n'));
+            
+            this.assert(result.provider === this.wallet1.address, 'Stake should default to the signer');
+            this.assert(result.totalStake === await this.client1.getProviderStake(this.wallet1.address), 'Total should match providerStakes');
+            this.assert(result.apis.length === 3, 'Each of the provider\'s APIs should be listed');
+            
+            const { result: consumer } = await this.cli(['stake', '--address', this.wallet2.address, '--json']);
+            this.assert(consumer.totalStake === 0n && consumer.apis.length === 0, 'Consumer should have no stake');
+        }, { fixture: 'catalogue' });
+    }
+}
+
+async function main() {
+    try {
+        const tests = new MarketplaceCLITests();
+        await tests.runCLITests();
+    } catch (error) {
+        console.error('\n💥 Phase 9 failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await releaseWalletPool();
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { MarketplaceCLITests };
@@ -0,0 +1,161 @@
+// scripts/provider.js - Local provider HTTP servers protected by the payment middleware
+const http = require('http');
+const { ethers } = require('ethers');
+const { PaymentVerifier, requirePayment } = require('../lib/payments');
+
+// Default handler: echoes the verified payment back as JSON
+function echoPayment(req, res) {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+        data: 'sunny, 21°C',
+        path: req.url,
+        consumer: req.payment.consumer,
+        amount: req.payment.amount.toString()
+    }));
+}
+
+/**
+ * Starts a provider endpoint for `apiId` on a random local port.
+ * Verifier options are passed through to PaymentVerifier.
+ */
+async function startProviderServer(client, verifierOptions, handler = echoPayment) {
+    const verifier = new PaymentVerifier(client, { pollIntervalMs: 50, ...verifierOptions });
+    const server = http.createServer(requirePayment(verifier, handler));
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/v1/current`;
+    console.log(`   🌐 Provider server listening on ${url}`);
+    
+    return { url, verifier, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+/**
+ * What a MockProvider does with a request:
+ *   healthy     answers paid requests like echoPayment
+ *   slow        the same, after waiting `delayMs` (default 2000) before looking at any request
+ *   error       takes the payment and answers 500
+ *   drop        takes the payment and closes the connection without an answer
+ *   overcharge  takes the payment but wants `overchargeFactor` (default 2) times the registered price, answering 402
+ */
+const BEHAVIORS = ['healthy', 'slow', 'error', 'drop', 'overcharge'];
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function sendJSON(res, status, body) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * A provider for end-to-end scenarios: a local paid endpoint registered through
+ * registerAPI with its real URL, whose behavior each test sets. Every paid
+ * request is kept in `calls`, so the oracle can report what really happened.
+ */
+class MockProvider {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.verifierOptions = options.verifier || {};
+        this.apiId = null;
+        this.url = null;
+        this.handler = null;
+        this.calls = [];
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        this.setBehavior(options.behavior || 'healthy', options);
+    }
+
+    /** Starts a provider, registers its API and returns it */
+    static async start(client, options = {}) {
+        const provider = new MockProvider(client, options);
+        await provider.listen();
+        await provider.register(options);
+        console.log(`   🌐 Mock provider for API ${provider.apiId} (${provider.behavior}) on ${provider.url}`);
+        return provider;
+    }
+
+    setBehavior(behavior, { delayMs = 2000, overchargeFactor = 2n } = {}) {
+        if (!BEHAVIORS.includes(behavior)) {
+            throw new Error(`Unknown provider behavior "${behavior}", expected one of: ${BEHAVIORS.join(', ')}`);
+        }
+        this.behavior = behavior;
+        this.delayMs = delayMs;
+        this.overchargeFactor = BigInt(overchargeFactor);
+    }
+
+    async listen() {
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.url = `http://127.0.0.1:${this.server.address().port}/v1/current`;
+    }
+
+    async register({ description = 'Mock provider API', pricePerCall = ethers.parseEther('0.001'), stake = ethers.parseEther('0.1') } = {}) {
+        const { apiId } = await this.client.registerAPI({ endpoint: this.url, description, pricePerCall, stake });
+        this.apiId = apiId;
+        this.verifier = new PaymentVerifier(this.client, { apiId, pollIntervalMs: 50, ...this.verifierOptions });
+        this.handler = requirePayment(this.verifier, (req, res) => this.serve(req, res));
+        return apiId;
+    }
+
+    async handle(req, res) {
+        if (!this.handler) {
+            sendJSON(res, 503, { error: 'NOT_REGISTERED', message: 'This API is not registered yet' });
+            return;
+        }
+        if (this.behavior === 'slow') {
+            await sleep(this.delayMs);
+            // A consumer that gave up never gets its payment taken
+            if (req.socket.destroyed) {
+                return;
+            }
+        }
+        this.handler(req, res);
+    }
+
+    async serve(req, res) {
+        const { txHash, consumer, amount } = req.payment;
+        const call = { txHash, consumer, amount, behavior: this.behavior, status: null, delivered: false, reported: false };
+        this.calls.push(call);
+        
+        switch (this.behavior) {
+            case 'error':
+                call.status = 500;
+                sendJSON(res, 500, { error: 'UPSTREAM_FAILURE', message: 'Weather service unavailable' });
+                return;
+            case 'drop':
+                req.socket.destroy();
+                return;
+            case 'overcharge': {
+                const price = (await this.client.getAPI(this.apiId)).pricePerCall * this.overchargeFactor;
+                if (amount < price) {
+                    call.status = 402;
+                    sendJSON(res, 402, { error: 'PAYMENT_INSUFFICIENT', message: `This call costs ${ethers.formatEther(price)} ETH` });
+                    return;
+                }
+                break;
+            }
+        }
+        
+        call.status = 200;
+        call.delivered = true;
+        echoPayment(req, res);
+    }
+
+    /** Reports every call not reported yet through `oracle` (a LocalOracle), successful when it was delivered */
+    async reportCalls(oracle) {
+        const results = [];
+        for (const call of this.calls.filter(entry => !entry.reported)) {
+            results.push(await oracle.report(this.apiId, call.delivered));
+            call.reported = true;
+        }
+        return results;
+    }
+
+    close() {
+        // Slow requests still waiting would hold close() up
+        this.server.closeAllConnections();
+        return new Promise(resolve => this.server.close(resolve));
+    }
+}
+
+module.exports = { startProviderServer, echoPayment, MockProvider, BEHAVIORS };
@@ -0,0 +1,58 @@
+// scripts/rpc.js - RPC provider and transaction settings for the scripts
+//
+// RPC URLs come from the network profile (scripts/networks.js), transaction settings from .env:
+//
+//   TX_CONFIRMATIONS   blocks every write waits for, default 1
+//   TX_TIMEOUT_MS      give up on a write after this long, default 5 minutes
+//   TX_BUMP_AFTER_MS   replace a write with higher fees when still pending after this long, default 60s
+//   TX_MAX_BUMPS       replacements per write, default 3
+const { FailoverProvider } = require('../lib/transactions');
+require('dotenv').config();
+
+// `log` is where failovers and retries are reported, commands printing JSON pass console.error
+function createProvider(urls, { log = console.log } = {}) {
+    return new FailoverProvider(urls, {
+        onFailover: ({ method, from, to, error }) => {
+            log(`   🔀 ${method} failed on ${from} (${error.shortMessage || error.message}), switching to ${to}`);
+        }
+    });
+}
+
+function envNumber(name) {
+    return process.env[name] === undefined ? undefined : Number(process.env[name]);
+}
+
+function describeTransactionEvent(event) {
+    switch (event.type) {
+        case 'retry':
+            return `   🔁 ${event.method} failed (${event.error.shortMessage || event.error.message}), retry ${event.attempt} in ${event.delayMs} ms`;
+        case 'resync':
+            return `   🔢 Nonce ${event.nonce} of ${event.address} was already used, resyncing`;
+        case 'landed':
+            return `   📬 Nonce ${event.nonce} of ${event.address} was used by our own broadcast ${event.hash}, keeping it`;
+        case 'rebroadcast':
+            return `   📡 ${event.hash} dropped by the node, broadcasting again`;
+        case 'bump':
+            return `   ⛽ Nonce ${event.nonce} still pending, replaced ${event.replaces} with higher fees: ${event.hash}`;
+        default:
+            return null;
+    }
+}
+
+/** TransactionManager options from .env, logging retries and replacements */
+function transactionOptions({ log = console.log } = {}) {
+    return {
+        confirmations: envNumber('TX_CONFIRMATIONS'),
+        timeoutMs: envNumber('TX_TIMEOUT_MS'),
+        bumpAfterMs: envNumber('TX_BUMP_AFTER_MS'),
+        maxBumps: envNumber('TX_MAX_BUMPS'),
+        onEvent: event => {
+            const message = describeTransactionEvent(event);
+            if (message) {
+                log(message);
+            }
+        }
+    };
+}
+
+module.exports = { createProvider, transactionOptions, describeTransactionEvent };
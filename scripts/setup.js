@@ -1,104 +1,469 @@
 // test/setup.js - Base test configuration and utilities
 const { ethers } = require('ethers');
+const { MarketplaceClient } = require('../lib/client');
+const { decodeRevert, formatCall, argsMatch } = require('../lib/errors');
+const { InvariantChecker } = require('../lib/invariants');
+const { TransactionManager } = require('../lib/transactions');
+const { CONTRACT_ABI } = require('../lib/abi');
+const { GasTracker } = require('./gas');
+const { WalletPool } = require('./wallets');
+const { formatInvariantReport } = require('./audit');
+const { createProvider, transactionOptions } = require('./rpc');
+const { currentNetwork, verifyNetwork } = require('./networks');
+const { deployMarketplace, compileMarketplace } = require('./deploy');
+const { checkAbi, checkDeployment, formatDriftReport } = require('./drift');
 require('dotenv').config();
 
 // Configuration
+// The network profile comes from networks.json (--network <name>, default hardhat, see scripts/networks.js):
+// hardhat runs against a fresh in-process chain, live profiles against their deployed contract.
+// Keys stay in .env.
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
-const RPC_URL = process.env.RPC_URL || 'https://ethereum-sepolia-rpc.publicnode.com';
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
-
-// Contract ABI - Core functions only
-const CONTRACT_ABI = [
-    // View functions for constants
-    "function MIN_STAKE() view returns (uint256)",
-    "function SLASH_PERCENTAGE() view returns (uint256)",
-    "function WITHDRAWAL_DELAY() view returns (uint256)",
-    "function nextApiId() view returns (uint256)",
-    "function oracle() view returns (address)",
-    "function owner() view returns (address)",
+const ORACLE_PRIVATE_KEY = process.env.ORACLE_PRIVATE_KEY;
+const TEST_MNEMONIC = process.env.TEST_MNEMONIC;
+
+// One pool per process: every suite in a run shares the funding and the final sweep
+let walletPool = null;
+let walletPoolSweep = false;
+let walletPoolReleased = null;
+
+// Checked once per process, also when a phase runs without scripts/test.js
+let abiChecked = false;
+
+async function sharedWalletPool(provider, profile) {
+    if (walletPool) {
+        return walletPool;
+    }
     
-    // Core functions
-    "function registerAPI(string endpoint, string description, uint256 pricePerCall) payable",
-    "function payForAPICall(uint256 apiId) payable",
-    "function getAPI(uint256 apiId) view returns (tuple(uint256 id, string endpoint, string description, uint256 pricePerCall, uint256 stake, address provider, bool active, uint256 totalCalls, uint256 successfulCalls, uint256 createdAt))",
+    walletPool = new WalletPool(provider, new ethers.Wallet(PRIVATE_KEY, provider), {
+        mnemonic: TEST_MNEMONIC,
+        targets: profile.funding.targets,
+        transactions: transactionOptions()
+    });
+    console.log('💰 Topping up test wallets...');
+    await walletPool.fund();
     
-    // State tracking
-    "function providerStakes(address) view returns (uint256)",
+    // Swept by releaseWalletPool() unless the profile's funding policy or SWEEP_WALLETS=true/false says otherwise
+    walletPoolSweep = process.env.SWEEP_WALLETS === undefined ? profile.funding.sweep : process.env.SWEEP_WALLETS !== 'false';
     
-    // Events
-    "event APIRegistered(uint256 indexed apiId, address indexed provider, string endpoint, uint256 stake)",
-    "event APIPayment(uint256 indexed apiId, address indexed consumer, uint256 amount)"
-];
+    return walletPool;
+}
+
+/**
+ * Returns the test wallets' leftovers to the funder and prints their balances. The runner
+ * and every phase entry point call it from a `finally`, so failed runs are swept as well.
+ * Only the first call does anything, and nothing at all when no pool was funded.
+ */
+async function releaseWalletPool() {
+    if (!walletPool) {
+        return;
+    }
+    if (!walletPoolReleased) {
+        walletPoolReleased = (async () => {
+            if (walletPoolSweep) {
+                console.log('\n🧹 Sweeping test wallets back to the funder...');
+                await walletPool.sweep();
+            }
+            console.log(walletPool.formatReport(await walletPool.report()));
+        })();
+    }
+    await walletPoolReleased;
+}
 
 class TestBase {
     constructor() {
         this.results = {
             passed: 0,
             failed: 0,
-            errors: []
+            skipped: 0,
+            errors: [],
+            tests: []
+        };
+        
+        this.profile = currentNetwork();
+        this.network = this.profile.name;
+        
+        // Set by the runner (scripts/test.js --grep) to only run matching tests
+        this.grep = null;
+        
+        // Set by a suite, or for every suite by scripts/test.js --invariants, to audit
+        // the contract's accounting after each passing test
+        this.checkInvariants = false;
+        
+        // Named chain states a test can ask for via runTest(name, fn, { fixture })
+        this.fixtures = {
+            clean: async () => ({}),
+            oneActiveAPI: async () => this.registerFixtureAPI()
         };
+        this.snapshots = [];
+        this.fixtureCache = new Map();
         
-        this.setupWallets();
+        // Gas of every write made through the clients, read by the runner's gas report
+        this.gas = new GasTracker(this.constructor.name);
     }
 
-    setupWallets() {
-        if (!CONTRACT_ADDRESS) {
-            throw new Error('❌ Please set CONTRACT_ADDRESS in .env file');
+    // Connects wallets and contracts for the selected network. Safe to call repeatedly.
+    async setup() {
+        if (this.client1) {
+            return;
         }
         
-        this.provider = new ethers.JsonRpcProvider(RPC_URL);
-        this.wallet1 = new ethers.Wallet(PRIVATE_KEY, this.provider);
-        this.contract1 = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, this.wallet1);
+        if (this.profile.inProcess) {
+            await this.setupLocalNetwork();
+        } else {
+            await this.assertDeploymentInSync();
+            await this.setupWallets();
+        }
         
-        // Create second wallet for consumer tests
-        this.wallet2 = new ethers.Wallet(ethers.Wallet.createRandom().privateKey, this.provider);
-        this.contract2 = this.contract1.connect(this.wallet2);
+        // Fails fast on a wrong RPC or a contract built with different constants
+        const { chainId } = await verifyNetwork(this.client1, this.profile);
         
-        console.log(`📋 Contract: ${CONTRACT_ADDRESS}`);
+        console.log(`🌐 Network: ${this.network} (chain ${chainId})`);
+        console.log(`📋 Contract: ${this.contractAddress}`);
         console.log(`👤 Wallet 1: ${this.wallet1.address}`);
         console.log(`👤 Wallet 2: ${this.wallet2.address}`);
+        if (this.oracleWallet) {
+            console.log(`🔮 Oracle: ${this.oracleWallet.address}`);
+        }
+    }
+
+    // Live networks use the deterministic wallet pool (scripts/wallets.js), funded from PRIVATE_KEY
+    async setupWallets() {
+        const { contractAddress } = this.profile;
+        if (!contractAddress) {
+            throw new Error(`❌ No contract for "${this.network}": deploy one with \`npm run deploy -- --network ${this.network}\` or set the profile's contractAddress in networks.json`);
+        }
+        if (!PRIVATE_KEY) {
+            throw new Error('❌ Please set PRIVATE_KEY in .env file, it funds the test wallets');
+        }
+        
+        this.provider = createProvider(this.profile.rpcUrls);
+        this.wallets = await sharedWalletPool(this.provider, this.profile);
+        this.wallet1 = this.wallets.wallet('provider');
+        this.wallet2 = this.wallets.wallet('consumer');
+        this.attackerWallet = this.wallets.wallet('attacker');
+        this.contractAddress = contractAddress;
+        this.client1 = new MarketplaceClient(contractAddress, this.wallet1, this.clientOptions(this.wallet1));
+        this.client2 = this.client1.connect(this.wallet2, this.clientOptions(this.wallet2));
+        this.attackerClient = this.client1.connect(this.attackerWallet, this.clientOptions(this.attackerWallet));
+        
+        // Oracle tests need the contract's oracle key: ORACLE_PRIVATE_KEY, or the pool's
+        // oracle role when the contract was deployed with it
+        const { oracle } = await this.client1.constants();
+        if (ORACLE_PRIVATE_KEY) {
+            this.oracleWallet = new ethers.Wallet(ORACLE_PRIVATE_KEY, this.provider);
+        } else if (oracle === this.wallets.wallet('oracle').address) {
+            this.oracleWallet = this.wallets.wallet('oracle');
+        }
+        if (this.oracleWallet) {
+            this.oracleClient = this.client1.connect(this.oracleWallet, this.clientOptions(this.oracleWallet));
+        }
+    }
+
+    // Starts the in-process Hardhat network, deploys a fresh APIMarketplace and uses the
+    // pre-funded Hardhat accounts in pool role order: provider, consumer, oracle, attacker
+    async setupLocalNetwork() {
+        // Loaded lazily so Sepolia runs don't pay for booting Hardhat
+        const hre = require('hardhat');
+        await hre.run('compile', { quiet: true });
+        
+        const artifact = await hre.artifacts.readArtifact('APIMarketplace');
+        this.assertAbiInSync(artifact.abi);
+        
+        const [deployer, consumer, oracle, attacker] = await hre.ethers.getSigners();
+        const { address } = await deployMarketplace({
+            signer: deployer,
+            artifact,
+            oracle: oracle.address,
+            transactions: TransactionManager.for(deployer, transactionOptions())
+        });
+        
+        this.provider = hre.ethers.provider;
+        this.wallet1 = deployer;
+        this.wallet2 = consumer;
+        this.contractAddress = address;
+        this.client1 = new MarketplaceClient(this.contractAddress, this.wallet1, this.clientOptions(this.wallet1));
+        this.client2 = this.client1.connect(this.wallet2, this.clientOptions(this.wallet2));
+        this.oracleWallet = oracle;
+        this.oracleClient = this.client1.connect(this.oracleWallet, this.clientOptions(this.oracleWallet));
+        this.attackerWallet = attacker;
+        this.attackerClient = this.client1.connect(this.attackerWallet, this.clientOptions(this.attackerWallet));
+        
+        // Every fixture is built on top of the freshly deployed contract
+        this.snapshots = [{ name: 'clean', id: await this.takeSnapshot(), data: {} }];
+    }
+
+    // Every client talks to the contract through CONTRACT_ABI, a stale one decodes wrong values
+    assertAbiInSync(compiledAbi) {
+        if (abiChecked) {
+            return;
+        }
+        const drift = checkAbi(compiledAbi);
+        if (!drift.ok) {
+            console.log(formatDriftReport(drift));
+            throw new Error('CONTRACT_ABI has drifted from the contract, update lib/abi.js (see above)');
+        }
+        abiChecked = true;
+    }
+
+    // A live contract was deployed earlier, maybe from other source than the one CONTRACT_ABI is checked against
+    async assertDeploymentInSync() {
+        if (abiChecked) {
+            return;
+        }
+        const artifact = await compileMarketplace();
+        const deployment = checkDeployment(this.profile.deployment, artifact.abi);
+        if (!deployment.ok) {
+            throw new Error(deployment.message);
+        }
+        console.log(deployment.message);
+        this.assertAbiInSync(artifact.abi);
+    }
+
+    // Writes go through the wallet's shared TransactionManager and their gas is recorded.
+    // Live profiles simulate them first, like the CLIs do.
+    clientOptions(wallet) {
+        return {
+            onTransaction: tx => this.gas.record(tx),
+            transactions: TransactionManager.for(wallet, transactionOptions()),
+            preview: this.profile.preview
+        };
+    }
+
+    get supportsSnapshots() {
+        return this.profile.inProcess;
+    }
+
+    async takeSnapshot() {
+        return this.provider.send('evm_snapshot', []);
+    }
+
+    async revertToSnapshot(snapshotId) {
+        const reverted = await this.provider.send('evm_revert', [snapshotId]);
+        if (!reverted) {
+            throw new Error(`Failed to revert to snapshot ${snapshotId}`);
+        }
+        // Nonces went back with the chain
+        TransactionManager.resetNonces(this.provider);
+    }
+
+    get supportsTimeTravel() {
+        return this.profile.inProcess;
+    }
+
+    async latestTimestamp() {
+        const block = await this.provider.getBlock('latest');
+        return BigInt(block.timestamp);
+    }
+
+    // Moves the local chain clock forward and mines a block at the new time
+    async increaseTime(seconds) {
+        this.assert(this.supportsTimeTravel, `Time travel is not available on ${this.network}`);
+        await this.provider.send('evm_increaseTime', [Number(seconds)]);
+        await this.provider.send('evm_mine', []);
+    }
+
+    // The next mined block (or estimated call) will run at exactly `timestamp`
+    async setNextBlockTimestamp(timestamp) {
+        this.assert(this.supportsTimeTravel, `Time travel is not available on ${this.network}`);
+        await this.provider.send('evm_setNextBlockTimestamp', [Number(timestamp)]);
+    }
+
+    defineFixture(name, builder) {
+        this.fixtures[name] = builder;
+        this.fixtureCache.delete(name);
+        this.snapshots = this.snapshots.filter(entry => entry.name !== name);
+    }
+
+    // Puts the chain into the named fixture state and returns the data its builder produced.
+    // Locally the state is built once from a clean deployment and then restored from a snapshot.
+    // Live networks can't revert, so the builder runs once per process and its data is reused.
+    async loadFixture(name) {
+        const builder = this.fixtures[name];
+        if (!builder) {
+            throw new Error(`Unknown fixture "${name}"`);
+        }
+        
+        if (!this.supportsSnapshots) {
+            if (!this.fixtureCache.has(name)) {
+                this.fixtureCache.set(name, await this.buildFixture(name, builder));
+            }
+            return this.fixtureCache.get(name);
+        }
+        
+        const index = this.snapshots.findIndex(entry => entry.name === name);
+        if (index !== -1) {
+            // Reverting consumes the snapshot and invalidates every later one
+            const entry = this.snapshots[index];
+            await this.revertToSnapshot(entry.id);
+            entry.id = await this.takeSnapshot();
+            this.snapshots.splice(index + 1);
+            return entry.data;
+        }
+        
+        await this.loadFixture('clean');
+        const data = await this.buildFixture(name, builder);
+        this.snapshots.push({ name, id: await this.takeSnapshot(), data });
+        return data;
     }
 
-    async runTest(testName, testFunction) {
+    // Gas spent building a fixture is reported under the fixture, not the test that needed it
+    async buildFixture(name, builder) {
+        const test = this.gas.test;
+        this.gas.test = `fixture ${name}`;
+        try {
+            return await builder();
+        } finally {
+            this.gas.test = test;
+        }
+    }
+
+    async registerFixtureAPI() {
+        const endpoint = "https://api.weather.com/v1/current";
+        const description = "Real-time weather data API";
+        const pricePerCall = ethers.parseEther('0.001');
+        const stake = ethers.parseEther('0.15');
+        
+        const { apiId } = await this.client1.registerAPI({ endpoint, description, pricePerCall, stake });
+        return { apiId, endpoint, description, pricePerCall, stake };
+    }
+
+    // Runs a test, optionally from a fixture state (options.fixture), and
+    // restores the chain afterwards so the next test sees the same state
+    async runTest(testName, testFunction, options = {}) {
+        if (this.grep && !this.grep.test(testName)) {
+            this.results.skipped++;
+            this.results.tests.push({ name: testName, status: 'skipped', durationMs: 0 });
+            return null;
+        }
+        
+        const startedAt = Date.now();
+        let snapshotId = null;
+        this.gas.test = testName;
         try {
             console.log(`\n🧪 ${testName}...`);
-            await testFunction();
+            const fixtureData = options.fixture ? await this.loadFixture(options.fixture) : undefined;
+            if (this.supportsSnapshots) {
+                snapshotId = await this.takeSnapshot();
+            }
+            
+            await testFunction(fixtureData);
+            if (this.checkInvariants) {
+                await this.assertInvariants();
+            }
             console.log(`✅ PASSED: ${testName}`);
             this.results.passed++;
+            this.results.tests.push({ name: testName, status: 'passed', durationMs: Date.now() - startedAt });
             return true;
         } catch (error) {
             console.log(`❌ FAILED: ${testName}`);
             console.log(`   Error: ${error.message}`);
             this.results.failed++;
             this.results.errors.push(`${testName}: ${error.message}`);
+            this.results.tests.push({
+                name: testName,
+                status: 'failed',
+                durationMs: Date.now() - startedAt,
+                error: error.message
+            });
             return false;
+        } finally {
+            if (snapshotId !== null) {
+                await this.revertToSnapshot(snapshotId);
+            }
         }
     }
 
-    async expectRevert(promise, expectedMessage) {
+    // Awaits a call or transaction that must be rejected by the contract and returns the
+    // decoded revert. `expected` can be a require/revert string, { panic: code } or
+    // { customError: 'Name', args: [...] }. RPC and other non-revert failures never count.
+    // Custom errors are decoded with `contractInterface`, APIMarketplace's by default.
+    async expectRevert(promise, expected, contractInterface = this.client1.interface) {
+        let revert;
         try {
-            await promise;
-            throw new Error('Expected transaction to revert but it succeeded');
-        } catch (error) {
-            if (error.message.includes('Expected transaction to revert')) {
-                throw error;
+            const result = await promise;
+            // Transactions sent with a manual gas limit only revert once mined
+            if (result && typeof result.wait === 'function') {
+                await result.wait();
             }
-            
-            if (expectedMessage && !error.message.toLowerCase().includes(expectedMessage.toLowerCase())) {
-                console.warn(`   ⚠️  Expected "${expectedMessage}" but got "${error.message}"`);
+        } catch (error) {
+            revert = decodeRevert(error, contractInterface);
+            if (!revert) {
+                throw new Error(`Expected a contract revert but the call failed for another reason: ${error.message}`);
             }
         }
+        
+        if (!revert) {
+            throw new Error('Expected transaction to revert but it succeeded');
+        }
+        
+        this.assertRevertMatches(revert, expected);
+        console.log(`   ✅ Reverted as expected: ${revert.message}`);
+        return revert;
     }
 
-    findEvent(receipt, eventName) {
-        return receipt.logs.find(log => {
-            try {
-                const parsed = this.contract1.interface.parseLog(log);
-                return parsed.name === eventName;
-            } catch {
-                return false;
+    async expectRevertWithCustomError(promise, errorName, args, contractInterface) {
+        return this.expectRevert(promise, { customError: errorName, args }, contractInterface);
+    }
+
+    async expectPanic(promise, code, contractInterface) {
+        return this.expectRevert(promise, { panic: code }, contractInterface);
+    }
+
+    assertRevertMatches(revert, expected) {
+        // Any revert at all would also pass a call failing for the wrong reason
+        if (expected === undefined || expected === null) {
+            throw new Error(`Say how the call should revert, it ${revert.message}`);
+        }
+        
+        if (typeof expected === 'string') {
+            this.assert(
+                revert.kind === 'error' && revert.reason === expected,
+                `Expected revert with reason '${expected}' but ${revert.message}`
+            );
+            return;
+        }
+        
+        if (expected.panic !== undefined) {
+            this.assert(
+                revert.kind === 'panic' && revert.code === BigInt(expected.panic),
+                `Expected panic 0x${BigInt(expected.panic).toString(16)} but ${revert.message}`
+            );
+            return;
+        }
+        
+        if (expected.customError !== undefined) {
+            const wanted = expected.args ? formatCall(expected.customError, expected.args) : expected.customError;
+            this.assert(
+                revert.kind === 'custom' && revert.name === expected.customError,
+                `Expected custom error ${wanted} but ${revert.message}`
+            );
+            if (expected.args) {
+                this.assert(
+                    argsMatch(Array.from(revert.args), expected.args),
+                    `Expected custom error ${wanted} but ${revert.message}`
+                );
             }
-        });
+            return;
+        }
+        
+        throw new Error(`Unsupported revert expectation: ${JSON.stringify(expected)}`);
+    }
+
+    // Live runs skip the event-based invariants, indexing a public chain from block 0 is too slow
+    async assertInvariants() {
+        const checker = new InvariantChecker(this.client1, { events: this.supportsSnapshots });
+        const report = await checker.check();
+        if (!report.ok) {
+            throw new Error(`Invariants violated\n${formatInvariantReport(report)}`);
+        }
+        return report;
+    }
+
+    // Looks up an event in a client write result, or in a raw receipt
+    findEvent(resultOrReceipt, eventName) {
+        const events = resultOrReceipt.events || this.client1.parseEvents(resultOrReceipt);
+        return events.find(event => event.name === eventName);
     }
 
     assert(condition, message) {
@@ -111,11 +476,16 @@ class TestBase {
         const total = this.results.passed + this.results.failed;
         console.log(`\n📊 Results: ${this.results.passed}/${total} passed`);
         
+        if (this.results.skipped > 0) {
+            console.log(`⏭️  Skipped: ${this.results.skipped}`);
+        }
+        
         if (this.results.failed > 0) {
             console.log('\n❌ Failures:');
             this.results.errors.forEach(error => console.log(`  • ${error}`));
+            process.exitCode = 1;
         }
     }
 }
 
-module.exports = { TestBase, CONTRACT_ABI };
\ No newline at end of file
+module.exports = { TestBase, CONTRACT_ABI, releaseWalletPool };
\ No newline at end of file
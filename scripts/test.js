@@ -0,0 +1,418 @@
+// scripts/test.js - Runs every phase suite in dependency order and writes reports
+//
+// Usage: node scripts/test.js [--grep <pattern>] [--report-dir <dir>] [--list]
+//                              [--gas-price <gwei>] [--gas-threshold <percent>] [--gas-warn] [--update-gas-baseline]
+//                              [--invariants] [--network <name>]
+//
+// Checks CONTRACT_ABI against the compiled contract (scripts/drift.js) before any suite runs.
+const fs = require('fs');
+const path = require('path');
+const { TestBase, releaseWalletPool } = require('./setup');
+const { currentNetwork } = require('./networks');
+const { compileMarketplace } = require('./deploy');
+const { checkAbi, formatDriftReport } = require('./drift');
+const gasReport = require('./gas');
+
+const DEFAULT_REPORT_DIR = 'reports';
+const DEFAULT_GAS_PRICE_GWEI = process.env.GAS_PRICE_GWEI || '20';
+
+function parseArgs(argv) {
+    const options = {
+        grep: null,
+        reportDir: DEFAULT_REPORT_DIR,
+        list: false,
+        gasPriceGwei: DEFAULT_GAS_PRICE_GWEI,
+        gasThreshold: null,
+        gasWarn: false,
+        updateGasBaseline: false,
+        invariants: false,
+        network: null
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--grep':
+            case '-g':
+                options.grep = new RegExp(requireValue(argv, ++i, arg), 'i');
+                break;
+            case '--report-dir':
+                options.reportDir = requireValue(argv, ++i, arg);
+                break;
+            case '--list':
+                options.list = true;
+                break;
+            case '--gas-price':
+                options.gasPriceGwei = requireValue(argv, ++i, arg);
+                break;
+            case '--gas-threshold':
+                options.gasThreshold = Number(requireValue(argv, ++i, arg));
+                if (!(options.gasThreshold >= 0)) {
+                    throw new Error('--gas-threshold must be a percentage');
+                }
+                break;
+            case '--gas-warn':
+                options.gasWarn = true;
+                break;
+            case '--update-gas-baseline':
+                options.updateGasBaseline = true;
+                break;
+            case '--invariants':
+                options.invariants = true;
+                break;
+            case '--network':
+                // Read by every suite through currentNetwork(), only checked here
+                options.network = requireValue(argv, ++i, arg);
+                break;
+            default:
+                throw new Error(`Unknown option "${arg}"`);
+        }
+    }
+    
+    return options;
+}
+
+function requireValue(argv, index, flag) {
+    if (index >= argv.length) {
+        throw new Error(`${flag} needs a value`);
+    }
+    return argv[index];
+}
+
+// Collects every TestBase subclass exported from scripts/phase*.js
+function discoverSuites(dir = __dirname) {
+    const suites = [];
+    
+    const files = fs.readdirSync(dir).filter(file => /^phase\d+\.js$/.test(file));
+    for (const file of files) {
+        const exported = require(path.join(dir, file));
+        for (const SuiteClass of Object.values(exported)) {
+            if (typeof SuiteClass !== 'function' || !(SuiteClass.prototype instanceof TestBase)) {
+                continue;
+            }
+            if (!SuiteClass.suite) {
+                throw new Error(`${SuiteClass.name} in ${file} is missing its static suite description`);
+            }
+            suites.push(SuiteClass);
+        }
+    }
+    
+    return orderSuites(suites);
+}
+
+// Topological sort on suite.dependsOn, ties broken by phase number
+function orderSuites(suites) {
+    const byName = new Map(suites.map(SuiteClass => [SuiteClass.name, SuiteClass]));
+    const ordered = [];
+    const state = new Map();
+    
+    const visit = (SuiteClass, trail) => {
+        if (state.get(SuiteClass.name) === 'done') {
+            return;
+        }
+        if (state.get(SuiteClass.name) === 'visiting') {
+            throw new Error(`Circular suite dependency: ${[...trail, SuiteClass.name].join(' -> ')}`);
+        }
+        
+        state.set(SuiteClass.name, 'visiting');
+        for (const dependency of SuiteClass.suite.dependsOn || []) {
+            if (!byName.has(dependency)) {
+                throw new Error(`${SuiteClass.name} depends on unknown suite ${dependency}`);
+            }
+            visit(byName.get(dependency), [...trail, SuiteClass.name]);
+        }
+        state.set(SuiteClass.name, 'done');
+        ordered.push(SuiteClass);
+    };
+    
+    [...suites]
+        .sort((a, b) => a.suite.phase - b.suite.phase)
+        .forEach(SuiteClass => visit(SuiteClass, []));
+    
+    return ordered;
+}
+
+async function runSuite(SuiteClass, options, gasSamples) {
+    const { phase, title, run } = SuiteClass.suite;
+    const startedAt = Date.now();
+    const report = {
+        name: SuiteClass.name,
+        phase,
+        title,
+        status: 'passed',
+        durationMs: 0,
+        tests: [],
+        error: null
+    };
+    
+    try {
+        const tests = new SuiteClass();
+        tests.grep = options.grep;
+        tests.checkInvariants = tests.checkInvariants || options.invariants;
+        report.tests = tests.results.tests;
+        try {
+            await tests[run]();
+        } finally {
+            gasSamples.push(...tests.gas.samples);
+        }
+        
+        if (tests.results.failed > 0) {
+            report.status = 'failed';
+        }
+    } catch (error) {
+        console.error(`\n💥 Phase ${phase} failed:`, error.message);
+        report.status = 'failed';
+        report.error = error.message;
+    }
+    
+    report.durationMs = Date.now() - startedAt;
+    return report;
+}
+
+function skippedSuite(SuiteClass, reason) {
+    const { phase, title } = SuiteClass.suite;
+    console.log(`\n⏭️  Skipping Phase ${phase} (${title}): ${reason}`);
+    return {
+        name: SuiteClass.name,
+        phase,
+        title,
+        status: 'skipped',
+        durationMs: 0,
+        tests: [],
+        error: reason
+    };
+}
+
+function summarize(suites) {
+    const tests = suites.flatMap(suite => suite.tests);
+    return {
+        suites: suites.length,
+        tests: tests.length,
+        passed: tests.filter(test => test.status === 'passed').length,
+        failed: tests.filter(test => test.status === 'failed').length
+            + suites.filter(suite => suite.status === 'failed' && suite.error).length,
+        skipped: tests.filter(test => test.status === 'skipped').length,
+        durationMs: suites.reduce((sum, suite) => sum + suite.durationMs, 0)
+    };
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function toJUnit(report) {
+    const seconds = ms => (ms / 1000).toFixed(3);
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    const { summary } = report;
+    
+    lines.push(`<testsuites name="eth-prague-2025" tests="${summary.tests}" failures="${summary.failed}" skipped="${summary.skipped}" time="${seconds(summary.durationMs)}">`);
+    
+    for (const suite of report.suites) {
+        const suiteName = escapeXml(`Phase ${suite.phase}: ${suite.title}`);
+        const failures = suite.tests.filter(test => test.status === 'failed').length + (suite.status === 'failed' && suite.error ? 1 : 0);
+        const skipped = suite.tests.filter(test => test.status === 'skipped').length + (suite.status === 'skipped' ? 1 : 0);
+        const count = suite.tests.length + (suite.error ? 1 : 0);
+        
+        lines.push(`  <testsuite name="${suiteName}" tests="${count}" failures="${failures}" skipped="${skipped}" time="${seconds(suite.durationMs)}">`);
+        
+        for (const test of suite.tests) {
+            const open = `    <testcase classname="${escapeXml(suite.name)}" name="${escapeXml(test.name)}" time="${seconds(test.durationMs)}"`;
+            if (test.status === 'failed') {
+                lines.push(`${open}>`);
+                lines.push(`      <failure message="${escapeXml(test.error)}"/>`);
+                lines.push('    </testcase>');
+            } else if (test.status === 'skipped') {
+                lines.push(`${open}>`);
+                lines.push('      <skipped/>');
+                lines.push('    </testcase>');
+            } else {
+                lines.push(`${open}/>`);
+            }
+        }
+        
+        // Suite-level problems (setup crash, skipped dependency) get their own testcase
+        if (suite.error) {
+            const tag = suite.status === 'skipped' ? 'skipped' : 'failure';
+            lines.push(`    <testcase classname="${escapeXml(suite.name)}" name="suite setup" time="0.000">`);
+            lines.push(`      <${tag} message="${escapeXml(suite.error)}"/>`);
+            lines.push('    </testcase>');
+        }
+        
+        lines.push('  </testsuite>');
+    }
+    
+    lines.push('</testsuites>');
+    return lines.join('\n') + '\n';
+}
+
+// Prints the gas table, compares it with the committed baseline and optionally replaces it
+function checkGas(samples, options) {
+    const summary = gasReport.summarizeGas(samples);
+    const baseline = gasReport.loadBaseline();
+    const thresholdPercent = options.gasThreshold ?? (baseline ? baseline.thresholdPercent : gasReport.DEFAULT_THRESHOLD_PERCENT);
+    
+    // Gas only repeats exactly on the local chain, live fixtures depend on existing state
+    const comparable = baseline && currentNetwork().inProcess;
+    const regressions = comparable ? gasReport.findRegressions(summary, baseline, thresholdPercent) : [];
+    
+    console.log(`\n⛽ Gas usage (${samples.length} transactions)`);
+    console.log(gasReport.formatGasReport(summary, comparable ? baseline : null, options.gasPriceGwei));
+    
+    if (!baseline) {
+        console.log('⚠️  No gas baseline yet, create one with --update-gas-baseline');
+    } else if (!comparable) {
+        console.log(`⏭️  Gas baseline is only compared on the local hardhat network`);
+    }
+    for (const regression of regressions) {
+        const icon = options.gasWarn ? '⚠️ ' : '❌';
+        console.log(`${icon} Gas regression: ${regression.key} ${regression.stat} ${regression.current.toLocaleString()} gas, ${regression.changePercent}% over the baseline ${regression.baseline.toLocaleString()} (threshold ${thresholdPercent}%)`);
+    }
+    
+    if (options.updateGasBaseline) {
+        if (options.grep) {
+            console.log('⚠️  Not updating the gas baseline from a --grep run, it would drop the other tests');
+        } else {
+            gasReport.saveBaseline(summary, thresholdPercent);
+            console.log(`💾 Gas baseline updated: ${path.relative(process.cwd(), gasReport.BASELINE_FILE)}`);
+        }
+    }
+    
+    return {
+        gasPriceGwei: Number(options.gasPriceGwei),
+        thresholdPercent,
+        operations: summary.operations,
+        tests: summary.tests,
+        regressions,
+        failOnRegression: !options.gasWarn
+    };
+}
+
+function writeReports(report, reportDir) {
+    fs.mkdirSync(reportDir, { recursive: true });
+    
+    const jsonPath = path.join(reportDir, 'test-results.json');
+    const junitPath = path.join(reportDir, 'junit.xml');
+    
+    // BigInt-safe, in case a suite ever records chain values
+    fs.writeFileSync(jsonPath, JSON.stringify(report, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2) + '\n');
+    fs.writeFileSync(junitPath, toJUnit(report));
+    
+    const historyPath = path.join(reportDir, 'gas-history.json');
+    gasReport.appendHistory(historyPath, {
+        startedAt: report.startedAt,
+        network: report.network,
+        operations: report.gas.operations
+    });
+    
+    console.log(`\n📝 Reports written:`);
+    console.log(`   ${jsonPath}`);
+    console.log(`   ${junitPath}`);
+    console.log(`   ${historyPath}`);
+}
+
+async function runAll(options) {
+    const suites = discoverSuites();
+    
+    if (options.list) {
+        suites.forEach(SuiteClass => {
+            const { phase, title, dependsOn } = SuiteClass.suite;
+            const after = dependsOn && dependsOn.length ? ` (after ${dependsOn.join(', ')})` : '';
+            console.log(`Phase ${phase}: ${title} - ${SuiteClass.name}${after}`);
+        });
+        return null;
+    }
+    
+    // Every suite talks to the contract through CONTRACT_ABI, a stale one decodes wrong values
+    const drift = checkAbi((await compileMarketplace()).abi);
+    console.log(formatDriftReport(drift));
+    if (!drift.ok) {
+        throw new Error('CONTRACT_ABI has drifted from the contract, update lib/abi.js (see above)');
+    }
+    
+    const startedAt = new Date();
+    const reports = [];
+    const failedSuites = new Set();
+    const gasSamples = [];
+    
+    try {
+        for (const SuiteClass of suites) {
+            const blockedBy = (SuiteClass.suite.dependsOn || []).filter(name => failedSuites.has(name));
+            if (blockedBy.length > 0) {
+                reports.push(skippedSuite(SuiteClass, `depends on failed ${blockedBy.join(', ')}`));
+                failedSuites.add(SuiteClass.name);
+                continue;
+            }
+            
+            console.log(`\n${'='.repeat(60)}`);
+            const report = await runSuite(SuiteClass, options, gasSamples);
+            reports.push(report);
+            if (report.status === 'failed') {
+                failedSuites.add(SuiteClass.name);
+            }
+        }
+    } finally {
+        // The suites share one funded wallet pool, return it even when a suite throws
+        await releaseWalletPool();
+    }
+    
+    const report = {
+        network: currentNetwork().name,
+        startedAt: startedAt.toISOString(),
+        grep: options.grep ? options.grep.source : null,
+        summary: summarize(reports),
+        suites: reports,
+        gas: checkGas(gasSamples, options)
+    };
+    
+    writeReports(report, options.reportDir);
+    return report;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.log('Usage: node scripts/test.js [--grep <pattern>] [--report-dir <dir>] [--list]');
+        console.log('                            [--gas-price <gwei>] [--gas-threshold <percent>] [--gas-warn] [--update-gas-baseline]');
+        console.log('                            [--invariants] [--network <name>]');
+        process.exit(2);
+    }
+    
+    try {
+        const report = await runAll(options);
+        if (!report) {
+            return;
+        }
+        
+        const { summary } = report;
+        console.log(`\n${'='.repeat(60)}`);
+        console.log(`📊 All phases: ${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped (${(summary.durationMs / 1000).toFixed(1)}s)`);
+        
+        const { gas } = report;
+        if (gas.regressions.length > 0) {
+            console.log(`⛽ ${gas.regressions.length} gas regression(s)${gas.failOnRegression ? '' : ' (warning only)'}`);
+        }
+        
+        process.exitCode = summary.failed > 0 || (gas.regressions.length > 0 && gas.failOnRegression) ? 1 : 0;
+        
+        if (process.exitCode === 0) {
+            console.log('🎉 All phases passed!');
+        }
+    } catch (error) {
+        console.error('\n💥 Test run failed:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { discoverSuites, orderSuites, runAll, toJUnit };
@@ -0,0 +1,187 @@
+// scripts/wallets.js - Deterministic role wallets for live test runs
+//
+// Usage: node scripts/wallets.js [--network <name>] [--sweep]
+//   Prints the pool's addresses and balances, --sweep returns leftover ETH to the funder.
+//   Targets come from the network profile's funding policy (scripts/networks.js).
+//
+// Roles are derived from TEST_MNEMONIC, or from PRIVATE_KEY when it isn't set, so every
+// run reuses the same addresses. The PRIVATE_KEY wallet is the funder: it tops roles up
+// to their target balance before a run and gets the leftovers back afterwards.
+const { ethers } = require('ethers');
+const { TransactionManager } = require('../lib/transactions');
+const { formatTable } = require('./format');
+
+const ROLES = ['provider', 'consumer', 'oracle', 'attacker'];
+
+// Balance (ETH) each role is topped up to before a run
+const DEFAULT_TARGETS = {
+    provider: '0.5',
+    consumer: '0.2',
+    oracle: '0.05',
+    attacker: '0.05'
+};
+
+const TRANSFER_GAS = 21000n;
+
+class WalletPool {
+    constructor(provider, funder, options = {}) {
+        this.provider = provider;
+        this.funder = funder;
+        if (!options.mnemonic && !funder.privateKey) {
+            throw new Error('WalletPool needs a mnemonic when the funder has no private key');
+        }
+        this.mnemonic = options.mnemonic || WalletPool.mnemonicFromKey(funder.privateKey);
+        this.targets = Object.fromEntries(ROLES.map(role =>
+            [role, ethers.parseEther(String((options.targets || {})[role] ?? DEFAULT_TARGETS[role]))]
+        ));
+        
+        // Same path scheme as Hardhat's accounts: m/44'/60'/0'/0/<index>
+        this.wallets = Object.fromEntries(ROLES.map((role, index) =>
+            [role, ethers.HDNodeWallet.fromPhrase(this.mnemonic, undefined, `m/44'/60'/0'/0/${index}`).connect(provider)]
+        ));
+        this.startBalances = null;
+        // Options for the wallets' TransactionManagers, see scripts/rpc.js
+        this.transactionOptions = options.transactions || {};
+    }
+
+    // Stable mnemonic for a funder key, so a plain PRIVATE_KEY setup still gets fixed wallets
+    static mnemonicFromKey(privateKey) {
+        const entropy = ethers.keccak256(ethers.concat([ethers.toUtf8Bytes('api-marketplace test wallets'), privateKey]));
+        return ethers.Mnemonic.fromEntropy(entropy).phrase;
+    }
+
+    manager(signer) {
+        return TransactionManager.for(signer, this.transactionOptions);
+    }
+
+    wallet(role) {
+        if (!this.wallets[role]) {
+            throw new Error(`Unknown wallet role "${role}", expected one of: ${ROLES.join(', ')}`);
+        }
+        return this.wallets[role];
+    }
+
+    async balances() {
+        const entries = [['funder', this.funder], ...Object.entries(this.wallets)];
+        const balances = await Promise.all(entries.map(([, wallet]) => this.provider.getBalance(wallet.address)));
+        return Object.fromEntries(entries.map(([role], index) => [role, balances[index]]));
+    }
+
+    /** Sends the funder's ETH so `role` holds its target. Never takes ETH away. */
+    async topUp(role, target = this.targets[role]) {
+        const wallet = this.wallet(role);
+        const balance = await this.provider.getBalance(wallet.address);
+        if (balance >= target) {
+            return null;
+        }
+        
+        const amount = target - balance;
+        const funderBalance = await this.provider.getBalance(this.funder.address);
+        if (funderBalance < amount) {
+            throw new Error(`Funder ${this.funder.address} has ${ethers.formatEther(funderBalance)} ETH, needs ${ethers.formatEther(amount)} ETH to top up ${role}`);
+        }
+        
+        console.log(`   💸 Topping up ${role} with ${ethers.formatEther(amount)} ETH`);
+        return this.manager(this.funder).send({ to: wallet.address, value: amount });
+    }
+
+    /** Records the starting balances, then tops every role up to its target */
+    async fund() {
+        if (!this.startBalances) {
+            this.startBalances = await this.balances();
+        }
+        for (const role of ROLES) {
+            await this.topUp(role);
+        }
+    }
+
+    /** Returns each role's ETH, minus the transfer fee, to the funder */
+    async sweep() {
+        const { maxFeePerGas, maxPriorityFeePerGas, gasPrice } = await this.provider.getFeeData();
+        const fee = TRANSFER_GAS * (maxFeePerGas ?? gasPrice);
+        const swept = {};
+        
+        for (const role of ROLES) {
+            const wallet = this.wallets[role];
+            const balance = await this.provider.getBalance(wallet.address);
+            if (balance <= fee) {
+                continue;
+            }
+            
+            // The value leaves exactly enough for these fees, so they can't be bumped
+            const fees = maxFeePerGas ? { maxFeePerGas, maxPriorityFeePerGas } : { gasPrice };
+            await this.manager(wallet).send({ to: this.funder.address, value: balance - fee, gasLimit: TRANSFER_GAS, ...fees }, { maxBumps: 0 });
+            swept[role] = balance - fee;
+            console.log(`   🧹 Swept ${ethers.formatEther(balance - fee)} ETH from ${role}`);
+        }
+        
+        return swept;
+    }
+
+    /**
+     * Balance of every wallet now versus before funding. `spent` is what the
+     * run cost overall: gas, stakes left in the contract, slashed ETH.
+     */
+    async report() {
+        const start = this.startBalances || await this.balances();
+        const end = await this.balances();
+        const rows = Object.keys(end).map(role => ({
+            role,
+            address: role === 'funder' ? this.funder.address : this.wallets[role].address,
+            start: start[role],
+            end: end[role],
+            change: end[role] - start[role]
+        }));
+        const sum = key => rows.reduce((total, row) => total + row[key], 0n);
+        
+        return { rows, spent: sum('start') - sum('end') };
+    }
+
+    formatReport({ rows, spent }) {
+        const table = formatTable(rows.map(row => ({
+            ...row,
+            start: ethers.formatEther(row.start),
+            end: ethers.formatEther(row.end),
+            change: `${row.change >= 0n ? '+' : ''}${ethers.formatEther(row.change)}`
+        })), [
+            ['ROLE', 'role'],
+            ['ADDRESS', 'address'],
+            ['START (ETH)', 'start'],
+            ['END (ETH)', 'end'],
+            ['CHANGE', 'change']
+        ]);
+        return `${table}\n💰 This run spent ${ethers.formatEther(spent)} ETH`;
+    }
+}
+
+async function main() {
+    const { createProvider, transactionOptions } = require('./rpc');
+    const { currentNetwork } = require('./networks');
+    const profile = currentNetwork();
+    if (profile.inProcess) {
+        throw new Error(`The ${profile.name} network has no persistent wallets, pick a live one with --network`);
+    }
+    
+    const provider = createProvider(profile.rpcUrls);
+    const funder = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+    const pool = new WalletPool(provider, funder, {
+        mnemonic: process.env.TEST_MNEMONIC,
+        targets: profile.funding.targets,
+        transactions: transactionOptions()
+    });
+    
+    if (process.argv.includes('--sweep')) {
+        pool.startBalances = await pool.balances();
+        await pool.sweep();
+    }
+    console.log(pool.formatReport(await pool.report()));
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { WalletPool, ROLES, DEFAULT_TARGETS };
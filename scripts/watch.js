@@ -0,0 +1,248 @@
+// scripts/watch.js - Delivers marketplace events to a provider's webhook as they are mined
+//
+// Usage: node scripts/watch.js --webhook <url> [--network <name>] [--provider <address>]... [--api <id>]... [--events <list>]
+//                              [--from-block <n>] [--confirmations <n>] [--interval <seconds>] [--max-attempts <n>]
+//                              [--timeout <ms>] [--ws <url>] [--state <file>] [--dead-letters <file>] [--once] [--json]
+//
+//   --provider       only events of APIs registered by this address, repeat for more
+//   --api            only events of this API, repeat for more
+//   --events         comma separated, default all of APIRegistered, APIPayment, APICallReported, ProviderSlashed,
+//                    APIDeactivated, WithdrawalRequested and StakeWithdrawn
+//   --from-block     where to start without a saved state, default the current block
+//   --confirmations  stay this many blocks behind the head, default 0. Reorgs are undone, but an event
+//                    delivered from a block that gets orphaned stays delivered, a few blocks make that rare
+//   --interval       seconds between polls, default 5
+//   --max-attempts   deliveries, with doubling delays from 1s, before an event goes to the dead letters (default 5)
+//   --ws             follow new blocks over this websocket RPC URL instead of polling the network's RPC URLs
+//   --state          checkpoint and undelivered events, default .watcher/<network>.json
+//   --dead-letters   JSON lines of events that could not be delivered, default .watcher/<network>.dead-letters.jsonl
+//   --once           deliver what happened since the last run and exit
+//
+// Webhooks are signed with WEBHOOK_SECRET from .env. Every request carries the headers
+// x-marketplace-signature (sha256=<HMAC of "<timestamp>.<body>">), x-marketplace-timestamp,
+// x-marketplace-delivery and x-marketplace-event; receivers can check them with verifyWebhook
+// from index.js. Delivery is at least once, so receivers should skip delivery ids they have seen.
+const path = require('path');
+const { ethers } = require('ethers');
+const { MarketplaceClient } = require('../lib/client');
+const { MarketplaceError } = require('../lib/errors');
+const { EventWatcher, WatcherStore, WEBHOOK_EVENTS } = require('../lib/watcher');
+const { toJSON } = require('./format');
+const { createProvider } = require('./rpc');
+const { networkFromArgs, loadNetwork, verifyNetwork } = require('./networks');
+require('dotenv').config();
+
+const WATCHER_DIR = path.join(__dirname, '..', '.watcher');
+
+function usageError(message) {
+    return new MarketplaceError(message, { code: 'INVALID_ARGUMENT', method: 'watch' });
+}
+
+function parseArgs(argv) {
+    const options = { network: networkFromArgs([]), webhook: null, providers: [], apiIds: [], events: [], fromBlock: null, ws: null, state: null, deadLetters: null, once: false, json: false, watcher: {} };
+    const number = (flag, value, valid) => {
+        const parsed = Number(value);
+        if (value === undefined || !valid(parsed)) {
+            throw usageError(`Invalid ${flag} "${value}"`);
+        }
+        return parsed;
+    };
+    const positiveInteger = parsed => Number.isInteger(parsed) && parsed > 0;
+    const nonNegativeInteger = parsed => Number.isInteger(parsed) && parsed >= 0;
+    const url = (flag, value, protocols) => {
+        let parsed = null;
+        try {
+            parsed = new URL(value);
+        } catch (error) {
+            // Reported below
+        }
+        if (!parsed || !protocols.includes(parsed.protocol)) {
+            throw usageError(`Invalid ${flag} "${value}", expected a ${protocols.join(' or ')}// URL`);
+        }
+        return value;
+    };
+    const value = (flag, next) => {
+        if (next === undefined || next.startsWith('--')) {
+            throw usageError(`${flag} needs a value`);
+        }
+        return next;
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--network':
+                options.network = argv[++i];
+                break;
+            case '--webhook':
+                options.webhook = url(arg, argv[++i], ['http:', 'https:']);
+                break;
+            case '--provider': {
+                const address = argv[++i];
+                if (!address || !ethers.isAddress(address)) {
+                    throw usageError(`Invalid --provider "${address}", expected an address`);
+                }
+                options.providers.push(ethers.getAddress(address));
+                break;
+            }
+            case '--api':
+                options.apiIds.push(String(number(arg, argv[++i], nonNegativeInteger)));
+                break;
+            case '--events':
+                options.events = value(arg, argv[++i]).split(',').map(name => name.trim()).filter(Boolean);
+                break;
+            case '--from-block':
+                options.fromBlock = number(arg, argv[++i], nonNegativeInteger);
+                break;
+            case '--confirmations':
+                options.watcher.confirmations = number(arg, argv[++i], nonNegativeInteger);
+                break;
+            case '--interval':
+                options.watcher.intervalMs = number(arg, argv[++i], parsed => parsed > 0) * 1000;
+                break;
+            case '--max-attempts':
+                options.watcher.maxAttempts = number(arg, argv[++i], positiveInteger);
+                break;
+            case '--timeout':
+                options.watcher.timeoutMs = number(arg, argv[++i], positiveInteger);
+                break;
+            case '--ws':
+                options.ws = url(arg, argv[++i], ['ws:', 'wss:']);
+                break;
+            case '--state':
+                options.state = value(arg, argv[++i]);
+                break;
+            case '--dead-letters':
+                options.deadLetters = value(arg, argv[++i]);
+                break;
+            case '--once':
+                options.once = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            default:
+                throw usageError(`Unknown option "${arg}"`);
+        }
+    }
+    
+    if (!options.webhook) {
+        throw usageError('Pass the URL to deliver events to with --webhook');
+    }
+    const unknown = options.events.filter(name => !WEBHOOK_EVENTS.includes(name));
+    if (unknown.length > 0) {
+        throw usageError(`Unknown event(s) ${unknown.join(', ')}, expected some of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    options.state = options.state || path.join(WATCHER_DIR, `${options.network}.json`);
+    options.deadLetters = options.deadLetters || path.join(WATCHER_DIR, `${options.network}.dead-letters.jsonl`);
+    return options;
+}
+
+function describeEvent(event) {
+    switch (event.type) {
+        case 'queued':
+            return `📥 ${event.payload.name} of API ${event.payload.apiId} in block ${event.payload.blockNumber}`;
+        case 'delivered':
+            return `   ✅ ${event.delivery.id} delivered (attempt ${event.delivery.attempts})`;
+        case 'retry':
+            return `   🔁 ${event.delivery.id} failed (${event.error.message}), attempt ${event.delivery.attempts + 1} at ${new Date(event.delivery.nextAttemptAt).toISOString()}`;
+        case 'dead-letter':
+            return `   ☠️  ${event.delivery.id} gave up after ${event.delivery.attempts} attempt(s): ${event.delivery.lastError}`;
+        case 'reorg':
+            return [
+                `🔀 Reorg, reading again after block ${event.rewoundTo}: ${event.dropped.length} undelivered event(s) dropped until the new chain has them`,
+                ...event.orphaned.map(id => `   ⚠️  ${id} was delivered from an orphaned block`)
+            ].join('\n');
+        case 'error':
+            return `⚠️  Watching failed: ${event.error.message}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Watches until `signal` aborts, or delivers once with --once.
+ * Tests pass their own client, io, fetch and secret to drive it in-process.
+ * @returns {Promise<EventWatcher>}
+ */
+async function run(argv, { client, io, fetch, signal, secret = process.env.WEBHOOK_SECRET }) {
+    const options = parseArgs(argv);
+    if (!secret) {
+        throw usageError('Set WEBHOOK_SECRET in .env to sign the webhooks with');
+    }
+    const watcher = new EventWatcher(client, {
+        ...options.watcher,
+        webhooks: [{ name: 'webhook', url: options.webhook, secret, providers: options.providers, apiIds: options.apiIds, events: options.events }],
+        store: new WatcherStore(options.state),
+        fromBlock: options.fromBlock,
+        deadLetterFile: options.deadLetters,
+        subscribe: Boolean(options.ws),
+        fetch,
+        onEvent: event => {
+            if (event.type === 'error') {
+                io.info(describeEvent(event));
+            } else {
+                // The reason of a retry is in delivery.lastError
+                io.log(options.json ? toJSON({ ...event, error: undefined }) : describeEvent(event));
+            }
+        }
+    });
+    
+    if (options.once) {
+        const result = await watcher.tick();
+        if (result) {
+            io.info(`📬 Blocks ${result.fromBlock}-${result.toBlock}: ${result.delivered} delivered, ${result.pending} pending`);
+        }
+        return watcher;
+    }
+    
+    io.info(`👀 Watching for ${options.webhook} ${options.ws ? 'as blocks arrive' : `every ${watcher.options.intervalMs / 1000}s`}, stop with Ctrl+C`);
+    await watcher.start();
+    if (!signal.aborted) {
+        await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+    }
+    await watcher.stop();
+    io.info(`📬 ${watcher.store.delivered} delivered in total, ${watcher.store.outbox.length} pending until the next run`);
+    return watcher;
+}
+
+async function main() {
+    let provider = null;
+    try {
+        const argv = process.argv.slice(2);
+        const options = parseArgs(argv);
+        const profile = loadNetwork(networkFromArgs(argv));
+        if (profile.inProcess) {
+            throw usageError(`The ${profile.name} network only lives inside test runs, pick a live one with --network`);
+        }
+        if (!profile.contractAddress) {
+            throw usageError(`No contract for "${profile.name}": deploy one with \`npm run deploy -- --network ${profile.name}\``);
+        }
+        
+        provider = options.ws ? new ethers.WebSocketProvider(options.ws) : createProvider(profile.rpcUrls, { log: console.error });
+        const client = new MarketplaceClient(profile.contractAddress, provider);
+        await verifyNetwork(client, profile);
+        
+        const controller = new AbortController();
+        process.once('SIGINT', () => controller.abort());
+        process.once('SIGTERM', () => controller.abort());
+        await run(argv, {
+            client,
+            io: { log: message => console.log(message), info: message => console.error(message) },
+            signal: controller.signal
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        if (provider) {
+            provider.destroy();
+        }
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { run, parseArgs, describeEvent };